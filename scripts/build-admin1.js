@@ -0,0 +1,75 @@
+/**
+ * build-admin1.js — Regenerates src/layers/admin1-ne.json
+ *
+ * The bundled admin-1 boundaries (states / provinces) are Natural Earth
+ * admin-1, taken from the per-country TopoJSON that the `datamaps` package
+ * ships, merged into one topology and simplified for zonal statistics.
+ * The build tools are not app dependencies; install them on the side:
+ *
+ *   npm install --no-save datamaps topojson-client topojson-server topojson-simplify
+ *   node scripts/build-admin1.js
+ *
+ * Object "admin1"; properties: name, admin (country), hasc (HASC code, or
+ * null where the source has none or repeats one).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { feature, quantize } = require("topojson-client");
+const { topology } = require("topojson-server");
+const { presimplify, quantile, simplify } = require("topojson-simplify");
+
+const DIST = path.dirname(require.resolve("datamaps/dist/datamaps.world.min.js"));
+const OUT = path.join(__dirname, "..", "src", "layers", "admin1-ne.json");
+const SKIP = new Set(["world", "world.hires", "all", "all.hires", "none"]);
+// Share of arc points kept (≈ 2.4 MB of TopoJSON)
+const KEEP = 0.05;
+
+// The topology literal assigned to `<name>Topo` in a datamaps bundle
+function readTopo(file, name = file) {
+  const src = fs.readFileSync(path.join(DIST, `datamaps.${file}.min.js`), "utf8");
+  const start = src.indexOf(`${name}Topo=`) + name.length + 5;
+  if (src[start] !== "{") return null;
+  let depth = 0;
+  let i = start;
+  for (; i < src.length; i++) {
+    if (src[i] === '"') i = src.indexOf('"', i + 1);
+    else if (src[i] === "{") depth++;
+    else if (src[i] === "}" && --depth === 0) break;
+  }
+  // eslint-disable-next-line no-new-func
+  return new Function(`return ${src.slice(start, i + 1)}`)();
+}
+
+// Country names by ISO 3166-1 alpha-3 code
+const world = readTopo("world.hires", "world");
+const countryNames = new Map(world.objects.world.geometries.map((g) => [g.id, g.properties.name]));
+
+const features = [];
+for (const file of fs.readdirSync(DIST).sort()) {
+  const match = /^datamaps\.(.+)\.min\.js$/.exec(file);
+  if (!match || SKIP.has(match[1])) continue;
+  const iso = match[1];
+  const topo = readTopo(iso);
+  if (!topo) continue;
+  const admin = countryNames.get(iso.toUpperCase()) || null;
+  for (const f of feature(topo, Object.values(topo.objects)[0]).features) {
+    if (!f.geometry || !f.properties.name) continue; // unnamed slivers
+    features.push({
+      type: "Feature",
+      geometry: f.geometry,
+      properties: { name: f.properties.name, admin, hasc: /^[A-Z]{2}\.[A-Z0-9]+$/.test(f.id) ? f.id : null },
+    });
+  }
+}
+
+// Some codes are placeholders shared by several units; those get none
+const codeCounts = new Map();
+for (const { properties: p } of features) codeCounts.set(p.hasc, (codeCounts.get(p.hasc) || 0) + 1);
+for (const { properties: p } of features) if (codeCounts.get(p.hasc) > 1) p.hasc = null;
+
+let topo = topology({ admin1: { type: "FeatureCollection", features } }, 1e5);
+topo = presimplify(topo);
+topo = quantize(simplify(topo, quantile(topo, KEEP)), 1e5);
+fs.writeFileSync(OUT, JSON.stringify(topo));
+console.log(`${features.length} units → ${OUT} (${(fs.statSync(OUT).size / 1e6).toFixed(1)} MB)`);
@@ -10,12 +10,40 @@
  * Environ. Res. Lett. 20. DOI: 10.1088/1748-9326/ae20ac
  */
 
-import { useState, useCallback } from "react";
-import Map from "./components/Map";
+import { useState, useCallback, useEffect, useMemo, useRef } from "react";
+import CompareMap, { LEFT_THRESHOLD, RIGHT_THRESHOLD } from "./components/CompareMap";
 import ControlPanel from "./components/ControlPanel";
+import EmbedDialog from "./components/EmbedDialog";
+import ExportDialog from "./components/ExportDialog";
 import Legend from "./components/Legend";
 import InfoPanel from "./components/InfoPanel";
-import { BURDEN_LAYERS } from "./layers/burdenConfig";
+import MapAnnouncer from "./components/MapAnnouncer";
+import OfflinePanel from "./components/OfflinePanel";
+import PixelInspector from "./components/PixelInspector";
+import RegionAnalysisPanel from "./components/RegionAnalysisPanel";
+import StoryPlayer from "./components/StoryPlayer";
+import TileHealthBanner from "./components/TileHealthBanner";
+import ViewportHistogram from "./components/ViewportHistogram";
+import ZonalStatsPanel from "./components/ZonalStatsPanel";
+import {
+  BURDEN_LAYERS,
+  THRESHOLD_OPTIONS,
+  ZONAL_LAYER,
+  applyLocale,
+  paletteColors,
+} from "./layers/burdenConfig";
+import { DEFAULT_BREADBASKET_FILTER } from "./layers/breadbasketFilter";
+import { DEFAULT_COMBINATION, buildDerivedLayers } from "./layers/derivedLayers";
+import { PALETTES, storePalette, storedPalette } from "./layers/palettes";
+import { thresholdLabel, uniformThresholds } from "./layers/thresholds";
+import { getStories, stepState } from "./stories/stories";
+import { readEmbedOptions } from "./utils/embed";
+import { DEFAULT_LOCALE, LOCALES, getLocale, localizeStory, storeLocale, t } from "./utils/i18n";
+import { encodeState, decodeState, normalizeCamera, sameCamera } from "./utils/urlState";
+import useEmbedApi from "./utils/useEmbedApi";
+import useMediaQuery, { COMPACT_QUERY } from "./utils/useMediaQuery";
+import useZonalStats from "./utils/useZonalStats";
+import { layerTileStatus } from "./utils/tileHealth";
 import "./styles/global.css";
 
 // Mapbox token injection (same pattern as ExposureApp)
@@ -26,14 +54,208 @@ const DEFAULT_ACTIVE_LAYERS = ["breadbaskets", "cooccurrence"];
 const DEFAULT_OPACITY = {
   breadbaskets: 0.85,
   cooccurrence: 0.75,
+  combination: 0.85,
+  sensitivity: 0.8,
+  bivariate: 0.9,
+  zonal: 0.6,
   ...Object.fromEntries(Object.keys(BURDEN_LAYERS).map((k) => [k, 0.70])),
 };
+const DEFAULT_CAMERA = { center: [20, 15], zoom: 2 };
+
+const DEFAULT_STATE = {
+  activeLayers: DEFAULT_ACTIVE_LAYERS,
+  layerOpacity: DEFAULT_OPACITY,
+  selectedThreshold: "strict",
+  burdenThresholds: uniformThresholds("strict"),
+  viewMode: "cooccurrence",
+  combination: DEFAULT_COMBINATION,
+  sensitivityTarget: "cooccurrence",
+  compareMode: "off",
+  zonalLevel: "admin0",
+  breadbasketFilter: DEFAULT_BREADBASKET_FILTER,
+  camera: DEFAULT_CAMERA,
+  locale: getLocale(),
+};
+
+// Layers owned by a view mode (switching modes swaps between them)
+const MODE_LAYER_KEYS = ["cooccurrence", "combination", "bivariate"];
+
+// Copy-link button text after a copy attempt
+const LINK_COPY_LABELS = { copied: "app.linkCopied", failed: "app.linkCopyFailed" };
+
+// Embed mode options from the query string (utils/embed.js), null otherwise
+const EMBED = readEmbedOptions();
+
+// Snapshot of the permalink state at page load (hash wins over defaults)
+function readUrlState() {
+  return decodeState(window.location.hash, DEFAULT_STATE);
+}
 
 export default function App() {
-  const [activeLayers, setActiveLayers] = useState(DEFAULT_ACTIVE_LAYERS);
-  const [layerOpacity, setLayerOpacity] = useState(DEFAULT_OPACITY);
-  const [selectedThreshold, setSelectedThreshold] = useState("strict");
-  const [viewMode, setViewMode] = useState("cooccurrence");
+  const [initialState] = useState(readUrlState);
+  const [activeLayers, setActiveLayers] = useState(initialState.activeLayers);
+  const [layerOpacity, setLayerOpacity] = useState(initialState.layerOpacity);
+  const [selectedThreshold, setSelectedThreshold] = useState(initialState.selectedThreshold);
+  const [burdenThresholds, setBurdenThresholds] = useState(initialState.burdenThresholds);
+  const [viewMode, setViewMode] = useState(initialState.viewMode);
+  const [combination, setCombination] = useState(initialState.combination);
+  const [sensitivityTarget, setSensitivityTarget] = useState(initialState.sensitivityTarget);
+  const [compareMode, setCompareMode] = useState(initialState.compareMode);
+  const [zonalLevel, setZonalLevel] = useState(initialState.zonalLevel);
+  const [breadbasketFilter, setBreadbasketFilter] = useState(initialState.breadbasketFilter);
+  const [camera, setCamera] = useState(initialState.camera);
+  const [inspectedPoint, setInspectedPoint] = useState(null);
+  const [focusedUnit, setFocusedUnit] = useState(null);
+  const [viewport, setViewport] = useState(null);
+  const [primaryMap, setPrimaryMap] = useState(null);
+  const [regionToolOpen, setRegionToolOpen] = useState(false);
+  const [drawing, setDrawing] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [offlineOpen, setOfflineOpen] = useState(false);
+  const [embedOpen, setEmbedOpen] = useState(false);
+  const [tileHealth, setTileHealth] = useState({ sources: {}, retryNow: null });
+  const [palette, setPalette] = useState(storedPalette);
+  const [locale, setLocale] = useState(getLocale);
+  const [story, setStory] = useState(null); // { key, step } while a story plays
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const compact = useMediaQuery(COMPACT_QUERY);
+  // Every colour the map, legend and panels draw with (same object per palette)
+  const colors = paletteColors(palette);
+
+  // ── Permalink sync ──
+  // Layer / threshold / view-mode changes push a history entry so back/forward
+  // steps through them; camera moves, opacity and production-slider drags
+  // only replace the current entry to avoid flooding the history. The
+  // language is kept in the link but is not a step of its own. An embedded
+  // map leaves the link alone, so the host page's history is untouched.
+  const lastPushKeyRef = useRef(null);
+
+  useEffect(() => {
+    if (EMBED) return;
+    const state = {
+      activeLayers,
+      layerOpacity,
+      selectedThreshold,
+      burdenThresholds,
+      viewMode,
+      combination,
+      sensitivityTarget,
+      compareMode,
+      zonalLevel,
+      breadbasketFilter,
+      camera,
+      locale,
+    };
+    const hash = encodeState(state, DEFAULT_STATE);
+    const pushKey = encodeState(
+      {
+        ...state,
+        layerOpacity: null,
+        camera: null,
+        breadbasketFilter: { ...breadbasketFilter, minValue: 0 },
+        locale: DEFAULT_LOCALE,
+      },
+      DEFAULT_STATE
+    );
+    const isDiscreteChange = lastPushKeyRef.current !== null && lastPushKeyRef.current !== pushKey;
+    lastPushKeyRef.current = pushKey;
+
+    if (hash === window.location.hash) return;
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (isDiscreteChange) {
+      window.history.pushState(null, "", url);
+    } else {
+      window.history.replaceState(null, "", url);
+    }
+  }, [
+    activeLayers,
+    layerOpacity,
+    selectedThreshold,
+    burdenThresholds,
+    viewMode,
+    combination,
+    sensitivityTarget,
+    compareMode,
+    zonalLevel,
+    breadbasketFilter,
+    camera,
+    locale,
+  ]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const next = readUrlState();
+      setActiveLayers(next.activeLayers);
+      setLayerOpacity(next.layerOpacity);
+      setSelectedThreshold(next.selectedThreshold);
+      setBurdenThresholds(next.burdenThresholds);
+      setViewMode(next.viewMode);
+      setCombination(next.combination);
+      setSensitivityTarget(next.sensitivityTarget);
+      setCompareMode(next.compareMode);
+      setZonalLevel(next.zonalLevel);
+      setBreadbasketFilter(next.breadbasketFilter);
+      setCamera(next.camera);
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  // Colour palette: remembered for the next visit
+  const handlePaletteChange = useCallback((key) => {
+    storePalette(key);
+    setPalette(key);
+  }, []);
+
+  // Interface language: rewrites the shared layer text, then re-renders
+  const handleLocaleChange = useCallback((key) => {
+    applyLocale(key);
+    storeLocale(key);
+    setLocale(key);
+  }, []);
+
+  // Copy the current permalink to the clipboard; the button reads "copied"
+  // or "failed" (no clipboard access, e.g. denied or an insecure page) for a
+  // moment afterwards
+  const [linkCopy, setLinkCopy] = useState(null);
+  const linkCopyTimerRef = useRef(null);
+  useEffect(() => () => clearTimeout(linkCopyTimerRef.current), []);
+
+  const handleCopyLink = useCallback(() => {
+    const show = (status) => {
+      setLinkCopy(status);
+      clearTimeout(linkCopyTimerRef.current);
+      linkCopyTimerRef.current = setTimeout(() => setLinkCopy(null), 2000);
+    };
+    Promise.resolve()
+      .then(() => navigator.clipboard.writeText(window.location.href))
+      .then(
+        () => show("copied"),
+        (e) => {
+          console.warn("Copy link failed:", e);
+          show("failed");
+        }
+      );
+  }, []);
+
+  // Figure export dialog
+  const handleExportOpen = useCallback(() => setExportOpen(true), []);
+  const handleExportClose = useCallback(() => setExportOpen(false), []);
+
+  // Embed-code generator
+  const handleEmbedOpen = useCallback(() => setEmbedOpen(true), []);
+  const handleEmbedClose = useCallback(() => setEmbedOpen(false), []);
+
+  // Offline region manager
+  const handleOfflineToggle = useCallback(() => setOfflineOpen((open) => !open), []);
+
+  // Control drawer on phones
+  const handleDrawerToggle = useCallback(() => setDrawerOpen((open) => !open), []);
+
+  // Camera reported by the map after each move
+  const handleCameraChange = useCallback((cam) => {
+    setCamera((prev) => (sameCamera(prev, cam) ? prev : normalizeCamera(cam)));
+  }, []);
 
   // Toggle a layer on/off
   const handleToggle = useCallback((key) => {
@@ -47,83 +269,390 @@ export default function App() {
     setLayerOpacity((prev) => ({ ...prev, [key]: value }));
   }, []);
 
-  // Switch threshold (strict / liberal)
+  // Switch threshold (strict / liberal) for all burdens at once
   const handleThresholdChange = useCallback((thresh) => {
     setSelectedThreshold(thresh);
+    setBurdenThresholds(uniformThresholds(thresh));
   }, []);
 
-  // Switch view mode: co-occurrence vs individual burdens
+  // Override the threshold for a single burden dimension
+  const handleBurdenThresholdChange = useCallback((key, thresh) => {
+    setBurdenThresholds((prev) => ({ ...prev, [key]: thresh }));
+  }, []);
+
+  // Switch view mode: co-occurrence, individual burdens or combination
   const handleViewModeChange = useCallback((mode) => {
     setViewMode(mode);
 
-    if (mode === "cooccurrence") {
-      // Activate co-occurrence, deactivate individual burdens
+    if (mode === "individual") {
+      // Deactivate the mode-owned composite layers, keep others
+      setActiveLayers((prev) => prev.filter((k) => !MODE_LAYER_KEYS.includes(k)));
+    } else {
+      // Activate this mode's layer, deactivate individual burdens and other modes' layers
       setActiveLayers((prev) => {
-        const cleaned = prev.filter((k) => !Object.keys(BURDEN_LAYERS).includes(k));
-        return cleaned.includes("cooccurrence")
-          ? cleaned
-          : [...cleaned, "cooccurrence"];
+        const cleaned = prev.filter(
+          (k) =>
+            !Object.keys(BURDEN_LAYERS).includes(k) &&
+            !(MODE_LAYER_KEYS.includes(k) && k !== mode)
+        );
+        return cleaned.includes(mode) ? cleaned : [...cleaned, mode];
       });
-    } else {
-      // Deactivate co-occurrence, keep others
-      setActiveLayers((prev) => prev.filter((k) => k !== "cooccurrence"));
     }
   }, []);
 
+  // Set one burden's state in the combination picker (any / require / exclude)
+  const handleCombinationChange = useCallback((key, state) => {
+    setCombination((prev) => ({ ...prev, [key]: state }));
+  }, []);
+
+  // Dimension shown by the threshold-sensitivity layer
+  const handleSensitivityTargetChange = useCallback((target) => {
+    setSensitivityTarget(target);
+  }, []);
+
+  // Strict vs. less-strict comparison: off / swipe / split
+  const handleCompareModeChange = useCallback((mode) => {
+    setCompareMode(mode);
+  }, []);
+
+  // Breadbasket food-group / minimum-production filter
+  const handleBreadbasketFilterChange = useCallback((filter) => {
+    setBreadbasketFilter(filter);
+  }, []);
+
+  // Zonal statistics: boundary level and the unit picked in the table
+  const handleZonalLevelChange = useCallback((level) => {
+    setZonalLevel(level);
+    setFocusedUnit(null);
+  }, []);
+
+  const handleSelectUnit = useCallback((unit) => {
+    setFocusedUnit({ index: unit.index, bbox: unit.bbox });
+  }, []);
+
+  // Sets any of { viewMode, layers, threshold, combination, compareMode,
+  // camera } through the same handlers as the control panel, then flies the
+  // camera to its region
+  const applyView = useCallback(
+    (view) => {
+      if (view.viewMode) handleViewModeChange(view.viewMode);
+      if (view.layers) setActiveLayers(view.layers);
+      if (view.threshold) handleThresholdChange(view.threshold);
+      Object.entries(view.combination || {}).forEach(([k, v]) => handleCombinationChange(k, v));
+      if (view.compareMode) handleCompareModeChange(view.compareMode);
+      if (view.camera) setCamera({ ...normalizeCamera(view.camera), animate: true });
+      setInspectedPoint(null);
+    },
+    [handleViewModeChange, handleThresholdChange, handleCombinationChange, handleCompareModeChange]
+  );
+
+  // Guided stories: each step is a view
+  const stories = useMemo(() => getStories().map((s) => localizeStory(s, locale)), [locale]);
+
+  const handleStoryStep = useCallback(
+    (key, index) => {
+      applyView(stepState(getStories().find((s) => s.key === key).steps[index]));
+      setDrawerOpen(false);
+      setStory({ key, step: index });
+    },
+    [applyView]
+  );
+
+  const handleStoryNavigate = useCallback((index) => handleStoryStep(story.key, index), [story, handleStoryStep]);
+  const handleStoryClose = useCallback(() => setStory(null), []);
+
+  // Embed mode: the host page sets views and hears about changes and clicks
+  const embedView = useMemo(
+    () => ({ viewMode, activeLayers, burdenThresholds, combination, compareMode, camera, locale }),
+    [viewMode, activeLayers, burdenThresholds, combination, compareMode, camera, locale]
+  );
+  const locked = Boolean(EMBED && !EMBED.controls);
+  const reportClick = useEmbedApi(EMBED, { state: embedView, ready: Boolean(primaryMap), onSet: applyView });
+
+  // Click-to-inspect: pin a readout card at the clicked location
+  // (clicks place vertices instead while a region is being drawn)
+  const handleMapClick = useCallback(
+    (lngLat) => {
+      if (drawing) return;
+      setInspectedPoint({ lng: lngLat.lng, lat: lngLat.lat });
+      // While comparing, the primary (left) map shows the strict layers
+      reportClick(lngLat, compareMode === "off" ? burdenThresholds : uniformThresholds(LEFT_THRESHOLD));
+    },
+    [drawing, reportClick, compareMode, burdenThresholds]
+  );
+
+  const handleInspectorClose = useCallback(() => setInspectedPoint(null), []);
+
+  // Statistics are only computed while the choropleth layer is on
+  const zonalActive = activeLayers.includes(ZONAL_LAYER.key);
+  const zonal = useZonalStats({ enabled: zonalActive, level: zonalLevel, burdenThresholds });
+
+  const choropleth = useMemo(() => {
+    if (!zonal.stats) return null;
+    return {
+      type: "FeatureCollection",
+      features: zonal.collection.features.map((f, i) => ({
+        ...f,
+        properties: { ...f.properties, multiShare: zonal.stats[i].multiShare },
+      })),
+    };
+  }, [zonal.collection, zonal.stats]);
+
+  // Draw-a-region analysis tool
+  const handleRegionToolToggle = useCallback(() => {
+    setRegionToolOpen((open) => !open);
+    setDrawing(false);
+  }, []);
+
+  // Threshold selections read by the pixel inspector (strict + less strict
+  // while comparing or when the sensitivity layer is on)
+  const sensitivityActive = activeLayers.includes("sensitivity");
+  const inspectorThresholdSets = useMemo(() => {
+    if (compareMode === "off" && !sensitivityActive) {
+      return [{ key: "active", label: thresholdLabel(burdenThresholds), thresholds: burdenThresholds }];
+    }
+    return [LEFT_THRESHOLD, RIGHT_THRESHOLD].map((key) => ({
+      key,
+      label: THRESHOLD_OPTIONS.find((o) => o.key === key).label,
+      thresholds: uniformThresholds(key),
+    }));
+  }, [compareMode, sensitivityActive, burdenThresholds]);
+
+  // Tile loading status per active layer, as drawn on the primary map
+  // (strict on the left while comparing)
+  const primaryThresholds = useMemo(
+    () => (compareMode === "off" ? burdenThresholds : uniformThresholds(LEFT_THRESHOLD)),
+    [compareMode, burdenThresholds]
+  );
+  const tileStatus = useMemo(
+    () => layerTileStatus(tileHealth.sources, activeLayers, primaryThresholds),
+    [tileHealth.sources, activeLayers, primaryThresholds]
+  );
+
+  // Client-composited layers for a given set of thresholds (one per map side)
+  const derivedLayersFor = useCallback(
+    (thresholds) =>
+      buildDerivedLayers({ activeLayers, combination, sensitivityTarget, layerOpacity }, thresholds, colors),
+    [activeLayers, combination, sensitivityTarget, layerOpacity, colors]
+  );
+
   return (
-    <div className="app-root">
-      {/* Header */}
-      <header className="app-header">
-        <div className="header-left">
-          <img
-            src="https://ires.ubc.ca/files/2021/02/logo_square.png"
-            alt="UBC IRES"
-            className="header-logo"
-            onError={(e) => (e.target.style.display = "none")}
-          />
-          <div className="header-titles">
-            <h1 className="header-title">Agrifood Burden Explorer</h1>
-            <p className="header-sub">
-              Mapping co-occurring pressures on global food security
-            </p>
+    <div className={`app-root ${locked ? "embed-locked" : ""}`}>
+      {/* Header (not embedded) */}
+      {!EMBED && (
+        <header className="app-header">
+          <div className="header-left">
+            <img
+              src="https://ires.ubc.ca/files/2021/02/logo_square.png"
+              alt="UBC IRES"
+              className="header-logo"
+              onError={(e) => (e.target.style.display = "none")}
+            />
+            <div className="header-titles">
+              <h1 className="header-title">{t("app.title")}</h1>
+              <p className="header-sub">{t("app.subtitle")}</p>
+            </div>
           </div>
-        </div>
-      </header>
+          <div className="header-actions">
+            <select
+              className="header-palette"
+              value={locale}
+              onChange={(e) => handleLocaleChange(e.target.value)}
+              aria-label={t("app.language")}
+            >
+              {LOCALES.map((l) => (
+                <option key={l.key} value={l.key} lang={l.key}>
+                  🌐 {l.label}
+                </option>
+              ))}
+            </select>
+            <select
+              className="header-palette"
+              value={palette}
+              onChange={(e) => handlePaletteChange(e.target.value)}
+              aria-label={t("app.palette")}
+              title={t(`palette.${palette}.description`)}
+            >
+              {PALETTES.map((p) => (
+                <option key={p.key} value={p.key}>
+                  🎨 {t(`palette.${p.key}`)}
+                </option>
+              ))}
+            </select>
+            <button className={`header-share-btn ${offlineOpen ? "active" : ""}`} onClick={handleOfflineToggle}>
+              {t("app.offline")}
+            </button>
+            <button className="header-share-btn" onClick={handleExportOpen}>
+              {t("app.export")}
+            </button>
+            <button className="header-share-btn" onClick={handleEmbedOpen}>
+              {t("app.embed")}
+            </button>
+            <button className="header-share-btn" onClick={handleCopyLink}>
+              {t(LINK_COPY_LABELS[linkCopy] || "app.copyLink")}
+            </button>
+          </div>
+        </header>
+      )}
+
+      {exportOpen && (
+        <ExportDialog
+          map={primaryMap}
+          state={{
+            activeLayers,
+            viewMode,
+            combination,
+            sensitivityTarget,
+            colors,
+            breadbasketFilter,
+            // While comparing, the primary (left) map shows the strict layers
+            burdenThresholds: compareMode === "off" ? burdenThresholds : uniformThresholds(LEFT_THRESHOLD),
+          }}
+          note={compareMode === "off" ? null : t("export.compareNote")}
+          onClose={handleExportClose}
+        />
+      )}
+
+      {embedOpen && <EmbedDialog onClose={handleEmbedClose} />}
 
       {/* Map + UI layout */}
       <div className="app-body">
-        {/* Sidebar */}
-        <ControlPanel
-          activeLayers={activeLayers}
-          layerOpacity={layerOpacity}
-          selectedThreshold={selectedThreshold}
-          viewMode={viewMode}
-          onToggle={handleToggle}
-          onOpacityChange={handleOpacityChange}
-          onThresholdChange={handleThresholdChange}
-          onViewModeChange={handleViewModeChange}
-        />
+        {/* Sidebar (left out of a locked embed) */}
+        {!locked && (
+          <ControlPanel
+            activeLayers={activeLayers}
+            layerOpacity={layerOpacity}
+            burdenThresholds={burdenThresholds}
+            viewMode={viewMode}
+            combination={combination}
+            compareMode={compareMode}
+            sensitivityTarget={sensitivityTarget}
+            colors={colors}
+            onToggle={handleToggle}
+            onOpacityChange={handleOpacityChange}
+            onThresholdChange={handleThresholdChange}
+            onBurdenThresholdChange={handleBurdenThresholdChange}
+            onViewModeChange={handleViewModeChange}
+            onCombinationChange={handleCombinationChange}
+            onCompareModeChange={handleCompareModeChange}
+            onSensitivityTargetChange={handleSensitivityTargetChange}
+            regionToolOpen={regionToolOpen}
+            onRegionToolToggle={handleRegionToolToggle}
+            tileStatus={tileStatus}
+            drawerOpen={!compact || drawerOpen}
+            onDrawerToggle={handleDrawerToggle}
+          />
+        )}
 
         {/* Map canvas */}
         <div className="map-container">
-          <Map
+          <CompareMap
+            compareMode={compareMode}
             activeLayers={activeLayers}
             layerOpacity={layerOpacity}
-            selectedThreshold={selectedThreshold}
+            burdenThresholds={burdenThresholds}
+            breadbasketFilter={breadbasketFilter}
+            buildDerivedLayers={derivedLayersFor}
+            camera={camera}
+            onCameraChange={handleCameraChange}
+            onViewportChange={setViewport}
+            inspectedPoint={inspectedPoint}
+            onMapClick={handleMapClick}
+            choropleth={zonalActive ? choropleth : null}
+            focusedUnit={focusedUnit}
+            onMapReady={setPrimaryMap}
+            onTileHealthChange={setTileHealth}
+            colors={colors}
+            locale={locale}
           />
 
+          {/* Screen-reader announcements: layers shown, burdens at the centre */}
+          <MapAnnouncer
+            activeLayers={activeLayers}
+            burdenThresholds={primaryThresholds}
+            camera={camera}
+            locale={locale}
+          />
+
+          {/* Explains layers whose tiles fail to load */}
+          <TileHealthBanner
+            health={tileHealth}
+            tileStatus={tileStatus}
+            burdenThresholds={primaryThresholds}
+          />
+
+          {/* Live distribution for the current view */}
+          <ViewportHistogram
+            viewport={viewport}
+            burdenThresholds={burdenThresholds}
+            thresholdsLabel={thresholdLabel(burdenThresholds)}
+            colors={colors}
+          />
+
+          {/* Left overlay cards: pinned pixel readout, region analysis, offline regions */}
+          <div className="overlay-stack-left">
+            <PixelInspector
+              point={inspectedPoint}
+              thresholdSets={inspectorThresholdSets}
+              showSensitivity={sensitivityActive}
+              colors={colors}
+              onClose={handleInspectorClose}
+            />
+            {regionToolOpen && (
+              <RegionAnalysisPanel
+                map={primaryMap}
+                burdenThresholds={burdenThresholds}
+                thresholdsLabel={thresholdLabel(burdenThresholds)}
+                colors={colors}
+                onDrawingChange={setDrawing}
+                onClose={handleRegionToolToggle}
+              />
+            )}
+            {offlineOpen && <OfflinePanel map={primaryMap} onClose={handleOfflineToggle} />}
+          </div>
+
+          {/* Regional statistics table */}
+          {zonalActive && (
+            <ZonalStatsPanel
+              level={zonalLevel}
+              onLevelChange={handleZonalLevelChange}
+              result={zonal}
+              thresholdsLabel={thresholdLabel(burdenThresholds)}
+              selectedIndex={focusedUnit?.index}
+              onSelectUnit={handleSelectUnit}
+              colors={colors}
+            />
+          )}
+
           {/* Legend overlay */}
           <Legend
             activeLayers={activeLayers}
             viewMode={viewMode}
+            combination={combination}
+            burdenThresholds={burdenThresholds}
+            sensitivityTarget={sensitivityTarget}
+            map={primaryMap}
+            colors={colors}
+            breadbasketFilter={breadbasketFilter}
+            onBreadbasketFilterChange={locked ? null : handleBreadbasketFilterChange}
           />
 
+          {/* Guided story caption and step navigation */}
+          {story && (
+            <StoryPlayer
+              story={stories.find((s) => s.key === story.key)}
+              step={story.step}
+              onStep={handleStoryNavigate}
+              onClose={handleStoryClose}
+            />
+          )}
+
           {/* Info panel overlay */}
-          <InfoPanel />
+          <InfoPanel stories={locked ? [] : stories} onStoryStart={handleStoryStep} />
 
           {/* Attribution */}
           <div className="app-attribution">
-            Built by{" "}
+            {t("app.builtBy")}{" "}
             <a
               href="https://github.com/kushankb"
               target="_blank"
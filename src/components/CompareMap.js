@@ -0,0 +1,180 @@
+/**
+ * CompareMap.js — Map stage with optional strict vs. less-strict comparison
+ *
+ * Modes:
+ *   off    single map using the explorer's own thresholds
+ *   swipe  two stacked maps; the less-strict map is clipped to the right of a
+ *          draggable vertical divider
+ *   split  strict and less-strict maps side by side
+ *
+ * The primary map stays mounted in every mode (no re-init when toggling).
+ * Cameras are mirrored on every `move` frame; breadbasket visibility, layer
+ * choice and opacity come from the same props on both sides. The zonal
+ * choropleth (computed for the explorer's own thresholds), fly-to-unit
+ * focus, viewport and tile-health reporting apply to the primary map only.
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import Map from "./Map";
+import { THRESHOLD_OPTIONS } from "../layers/burdenConfig";
+import { uniformThresholds } from "../layers/thresholds";
+
+export const LEFT_THRESHOLD = "strict";
+export const RIGHT_THRESHOLD = "liberal";
+
+// Mirror camera moves between two maps; returns an unsubscribe function
+function syncMaps(a, b) {
+  let syncing = false;
+  const follow = (from, to) => () => {
+    if (syncing) return;
+    syncing = true;
+    to.jumpTo({
+      center: from.getCenter(),
+      zoom: from.getZoom(),
+      bearing: from.getBearing(),
+      pitch: from.getPitch(),
+    });
+    syncing = false;
+  };
+  const aToB = follow(a, b);
+  const bToA = follow(b, a);
+  a.on("move", aToB);
+  b.on("move", bToA);
+  return () => {
+    a.off("move", aToB);
+    b.off("move", bToA);
+  };
+}
+
+function thresholdLabelFor(key) {
+  return THRESHOLD_OPTIONS.find((o) => o.key === key)?.label;
+}
+
+// ── Swipe divider ────────────────────────────────────────────────────────────
+function SwipeDivider({ position, onChange, containerRef }) {
+  const handlePointerDown = useCallback((e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+  }, []);
+
+  const handlePointerMove = useCallback(
+    (e) => {
+      if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+      const rect = containerRef.current.getBoundingClientRect();
+      const next = (e.clientX - rect.left) / rect.width;
+      onChange(Math.min(0.98, Math.max(0.02, next)));
+    },
+    [containerRef, onChange]
+  );
+
+  return (
+    <div
+      className="compare-divider"
+      style={{ left: `${position * 100}%` }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+    >
+      <div className="compare-handle">⇔</div>
+    </div>
+  );
+}
+
+// =============================================================================
+export default function CompareMap({
+  compareMode = "off",
+  burdenThresholds,
+  buildDerivedLayers,
+  onCameraChange,
+  onViewportChange,
+  choropleth,
+  focusedUnit,
+  onMapReady,
+  onTileHealthChange,
+  ...mapProps
+}) {
+  const containerRef = useRef(null);
+  const [primaryMap, setPrimaryMap] = useState(null);
+  const [secondaryMap, setSecondaryMap] = useState(null);
+  const [swipePos, setSwipePos] = useState(0.5);
+  const comparing = compareMode !== "off";
+
+  const leftThresholds = useMemo(
+    () => (comparing ? uniformThresholds(LEFT_THRESHOLD) : burdenThresholds),
+    [comparing, burdenThresholds]
+  );
+  const rightThresholds = useMemo(() => uniformThresholds(RIGHT_THRESHOLD), []);
+
+  const leftDerived = useMemo(() => buildDerivedLayers(leftThresholds), [buildDerivedLayers, leftThresholds]);
+  const rightDerived = useMemo(() => buildDerivedLayers(rightThresholds), [buildDerivedLayers, rightThresholds]);
+
+  // Hand the primary map instance to tools that draw on / query it
+  useEffect(() => {
+    if (primaryMap && onMapReady) onMapReady(primaryMap);
+  }, [primaryMap, onMapReady]);
+
+  // Secondary map is unmounted when comparison is switched off
+  useEffect(() => {
+    if (!comparing) setSecondaryMap(null);
+  }, [comparing]);
+
+  // Keep cameras locked together
+  useEffect(() => {
+    if (!primaryMap || !secondaryMap) return;
+    secondaryMap.jumpTo({ center: primaryMap.getCenter(), zoom: primaryMap.getZoom() });
+    return syncMaps(primaryMap, secondaryMap);
+  }, [primaryMap, secondaryMap]);
+
+  // Pane sizes change with the mode — Mapbox only tracks window resizes
+  useEffect(() => {
+    const id = requestAnimationFrame(() => {
+      primaryMap?.resize();
+      secondaryMap?.resize();
+    });
+    return () => cancelAnimationFrame(id);
+  }, [compareMode, primaryMap, secondaryMap]);
+
+  const dividerPos = compareMode === "swipe" ? swipePos : 0.5;
+  const secondaryStyle =
+    compareMode === "swipe" ? { clipPath: `inset(0 0 0 ${swipePos * 100}%)` } : undefined;
+
+  return (
+    <div ref={containerRef} className={`compare-stage compare-${compareMode}`}>
+      <div className="compare-pane compare-pane-primary">
+        <Map
+          {...mapProps}
+          burdenThresholds={leftThresholds}
+          derivedLayers={leftDerived}
+          choropleth={choropleth}
+          focusedUnit={focusedUnit}
+          onCameraChange={onCameraChange}
+          onViewportChange={onViewportChange}
+          onTileHealthChange={onTileHealthChange}
+          onMapReady={setPrimaryMap}
+        />
+      </div>
+
+      {comparing && (
+        <>
+          <div className="compare-pane compare-pane-secondary" style={secondaryStyle}>
+            <Map
+              {...mapProps}
+              id="map-compare"
+              burdenThresholds={rightThresholds}
+              derivedLayers={rightDerived}
+              onMapReady={setSecondaryMap}
+            />
+          </div>
+          {compareMode === "swipe" && (
+            <SwipeDivider position={swipePos} onChange={setSwipePos} containerRef={containerRef} />
+          )}
+          <div className="compare-label compare-label-left" style={{ left: `${dividerPos * 100}%` }}>
+            {thresholdLabelFor(LEFT_THRESHOLD)}
+          </div>
+          <div className="compare-label compare-label-right" style={{ left: `${dividerPos * 100}%` }}>
+            {thresholdLabelFor(RIGHT_THRESHOLD)}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
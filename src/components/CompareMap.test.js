@@ -0,0 +1,120 @@
+/* eslint-disable testing-library/no-container, testing-library/no-node-access -- the panes and divider are layout boxes without roles */
+import { fireEvent, render } from "@testing-library/react";
+import CompareMap from "./CompareMap";
+
+// Map instances by container id, in the order they were created
+const mockMaps = {};
+
+// Camera-only map stand-in; jumpTo fires `move` synchronously, as Mapbox does
+function mockFakeMap() {
+  const listeners = {};
+  const camera = { center: { lng: 0, lat: 0 }, zoom: 2, bearing: 0, pitch: 0 };
+  const map = {
+    camera,
+    on: (type, fn) => (listeners[type] = [...(listeners[type] || []), fn]),
+    off: (type, fn) => (listeners[type] = (listeners[type] || []).filter((f) => f !== fn)),
+    fire: (type) => (listeners[type] || []).forEach((fn) => fn()),
+    jumpTo: jest.fn((options) => {
+      Object.assign(camera, options);
+      map.fire("move");
+    }),
+    getCenter: () => camera.center,
+    getZoom: () => camera.zoom,
+    getBearing: () => camera.bearing,
+    getPitch: () => camera.pitch,
+    resize: () => {},
+  };
+  return map;
+}
+
+jest.mock("./Map", () => {
+  const { useEffect } = require("react");
+  return function MockMap({ id = "map", onMapReady }) {
+    useEffect(() => {
+      mockMaps[id] = mockFakeMap();
+      onMapReady(mockMaps[id]);
+    }, [id, onMapReady]);
+    return <div data-testid={id} />;
+  };
+});
+
+const props = { buildDerivedLayers: () => [], burdenThresholds: {}, onCameraChange: () => {} };
+
+// Pans the primary map as a user drag would: a camera change, then `move`
+function pan(map, center, zoom) {
+  Object.assign(map.camera, { center, zoom });
+  map.fire("move");
+}
+
+beforeAll(() => {
+  // jsdom has neither PointerEvent nor pointer capture
+  window.PointerEvent ??= class PointerEvent extends MouseEvent {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.pointerId = init.pointerId;
+    }
+  };
+  const captured = new WeakSet();
+  Element.prototype.setPointerCapture = function () {
+    captured.add(this);
+  };
+  Element.prototype.hasPointerCapture = function () {
+    return captured.has(this);
+  };
+});
+
+afterEach(() => {
+  Object.keys(mockMaps).forEach((id) => delete mockMaps[id]);
+});
+
+test("the secondary camera follows the primary on every move, without echoing back", () => {
+  render(<CompareMap {...props} compareMode="split" />);
+  const { map: primary, "map-compare": secondary } = mockMaps;
+  expect(secondary.jumpTo).toHaveBeenCalledTimes(1); // lined up on mount
+  secondary.jumpTo.mockClear();
+
+  pan(primary, { lng: 36.8, lat: -1.3 }, 6);
+  expect(secondary.jumpTo).toHaveBeenCalledTimes(1);
+  expect(secondary.camera).toMatchObject({ center: { lng: 36.8, lat: -1.3 }, zoom: 6 });
+  expect(primary.jumpTo).not.toHaveBeenCalled();
+
+  pan(secondary, { lng: 10, lat: 20 }, 4);
+  expect(primary.jumpTo).toHaveBeenCalledTimes(1);
+  expect(primary.camera).toMatchObject({ center: { lng: 10, lat: 20 }, zoom: 4 });
+  expect(secondary.jumpTo).toHaveBeenCalledTimes(1);
+});
+
+test("leaving compare mode stops the syncing", () => {
+  const { rerender } = render(<CompareMap {...props} compareMode="split" />);
+  const { map: primary, "map-compare": secondary } = mockMaps;
+  secondary.jumpTo.mockClear();
+
+  rerender(<CompareMap {...props} compareMode="off" />);
+  pan(primary, { lng: 36.8, lat: -1.3 }, 6);
+  expect(secondary.jumpTo).not.toHaveBeenCalled();
+});
+
+test("in swipe mode the secondary map is clipped at the divider as it is dragged", () => {
+  const { container } = render(<CompareMap {...props} compareMode="swipe" />);
+  const stage = container.querySelector(".compare-stage");
+  const pane = container.querySelector(".compare-pane-secondary");
+  const divider = container.querySelector(".compare-divider");
+  stage.getBoundingClientRect = () => ({ left: 100, width: 800 });
+  expect(pane.style.clipPath).toBe("inset(0 0 0 50%)");
+
+  fireEvent.pointerMove(divider, { pointerId: 1, clientX: 300 });
+  expect(pane.style.clipPath).toBe("inset(0 0 0 50%)"); // not dragging yet
+
+  fireEvent.pointerDown(divider, { pointerId: 1, clientX: 500 });
+  fireEvent.pointerMove(divider, { pointerId: 1, clientX: 300 });
+  expect(pane.style.clipPath).toBe("inset(0 0 0 25%)");
+  expect(divider.style.left).toBe("25%");
+
+  fireEvent.pointerMove(divider, { pointerId: 1, clientX: 2000 });
+  expect(pane.style.clipPath).toBe("inset(0 0 0 98%)");
+});
+
+test("split mode does not clip the secondary map", () => {
+  const { container } = render(<CompareMap {...props} compareMode="split" />);
+  expect(container.querySelector(".compare-pane-secondary").style.clipPath).toBe("");
+});
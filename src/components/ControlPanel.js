@@ -3,33 +3,75 @@
  *
  * Sections:
  *   1. Base Layer (breadbaskets)
- *   2. View Mode: Co-occurrence (hero) vs Individual Burdens
- *   3. Threshold selector (strict / liberal)
+ *   2. View Mode: Co-occurrence (hero) vs Individual Burdens vs Combination
+ *      vs Bivariate (breadbasket production × burden count)
+ *   3. Threshold selector (strict / liberal, optionally per burden, or a
+ *      custom cutoff on a burden's continuous index) + compare
  *   4. Individual burden toggles + opacity sliders
- *   5. Context stats panel
+ *   5. Threshold sensitivity layer
+ *   6. Regional statistics (country / admin-1 choropleth + table) and the
+ *      draw-a-region analysis tool
+ *   7. Context stats panel
+ *
+ * Layer buttons carry a tile-loading indicator (loading / ok / failing; see
+ * utils/tileHealth.js) while the layer is on.
+ *
+ * On phones the panel is a bottom drawer: only its handle shows until
+ * `drawerOpen` (always true on larger screens).
  */
 
-import { useState, useRef, useCallback } from "react";
+import { useState, useRef, useCallback, useId } from "react";
 import { createPortal } from "react-dom";
 import {
+  BIVARIATE_LAYER,
+  BREADBASKET,
+  BURDEN_COUNT,
   BURDEN_LAYERS,
+  CITATION,
+  COMBINATION_LAYER,
+  COMBINATION_STATES,
+  COMPARE_MODES,
+  COOCCURRENCE_LAYER,
+  SENSITIVITY_LAYER,
   THRESHOLD_OPTIONS,
   LAYER_DESCRIPTIONS,
+  ZONAL_LAYER,
 } from "../layers/burdenConfig";
+import { describeCombination, isCombinationActive } from "../layers/derivedLayers";
+import {
+  criterionFor,
+  cutoffThreshold,
+  cutoffValue,
+  isCustomCutoff,
+  thresholdLabel,
+  uniformThreshold,
+  variantLabel,
+} from "../layers/thresholds";
+import { layerLabel } from "../utils/announcements";
+import { formatNumber, t } from "../utils/i18n";
 
 // ── Tooltip ─────────────────────────────────────────────────────────────────
-function InfoTooltip({ info, btnRef, visible }) {
+// Shown while its button is hovered with a mouse or focused from the
+// keyboard, or toggled by the ⓘ button on touch screens; `id` is the
+// aria-describedby target. Placed below the button when there is no room
+// to its right (the phone drawer).
+const TOOLTIP_WIDTH = 220; // .layer-tooltip max-width
+
+function InfoTooltip({ id, info, btnRef, visible }) {
   if (!visible || !info) return null;
   const rect = btnRef.current?.getBoundingClientRect();
   if (!rect) return null;
+  const below = rect.right + 12 + TOOLTIP_WIDTH > window.innerWidth;
   return createPortal(
     <div
+      id={id}
+      role="tooltip"
       className="layer-tooltip"
-      style={{
-        top: rect.top + rect.height / 2,
-        left: rect.right + 12,
-        transform: "translateY(-50%)",
-      }}
+      style={
+        below
+          ? { top: rect.bottom + 6, left: Math.max(8, Math.min(rect.left, window.innerWidth - TOOLTIP_WIDTH - 8)) }
+          : { top: rect.top + rect.height / 2, left: rect.right + 12, transform: "translateY(-50%)" }
+      }
     >
       {info.text}
       {info.source && <span className="tooltip-source">{info.source}</span>}
@@ -42,7 +84,7 @@ function InfoTooltip({ info, btnRef, visible }) {
 function OpacitySlider({ layerKey, value, color, onChange }) {
   return (
     <div className="opacity-slider-row">
-      <span className="opacity-label">Opacity</span>
+      <span className="opacity-label">{t("panel.opacity")}</span>
       <input
         type="range"
         className="opacity-slider"
@@ -50,22 +92,42 @@ function OpacitySlider({ layerKey, value, color, onChange }) {
         max="1"
         step="0.05"
         value={value}
+        aria-label={t("panel.opacityOf", { layer: layerLabel(layerKey) })}
+        aria-valuetext={formatNumber(value, { style: "percent" })}
         onChange={(e) => onChange(layerKey, parseFloat(e.target.value))}
         style={{ "--slider-color": color }}
       />
-      <span className="opacity-value">{Math.round(value * 100)}%</span>
+      <span className="opacity-value">{formatNumber(value, { style: "percent" })}</span>
     </div>
   );
 }
 
+// ── Tile status dot ─────────────────────────────────────────────────────────
+function TileStatus({ status }) {
+  if (!status) return null;
+  const title = t(`panel.tiles.${status}`);
+  return <span className={`tile-status tile-status-${status}`} title={title} aria-label={title} />;
+}
+
 // ── Generic Layer Button ─────────────────────────────────────────────────────
-function LayerButton({ layerKey, label, sublabel, color, icon, isActive, onToggle }) {
+function LayerButton({ layerKey, label, sublabel, color, icon, isActive, onToggle, tileStatus }) {
   const [showTooltip, setShowTooltip] = useState(false);
   const btnRef = useRef(null);
+  const tooltipId = useId();
   const info = LAYER_DESCRIPTIONS[layerKey];
 
-  const handleMouseEnter = useCallback(() => setShowTooltip(true), []);
-  const handleMouseLeave = useCallback(() => setShowTooltip(false), []);
+  // Taps send mouse events and focus too; only a real hover or keyboard
+  // focus opens the tooltip
+  const handlePointerEnter = useCallback((e) => {
+    if (e.pointerType === "mouse") setShowTooltip(true);
+  }, []);
+  const handleFocus = useCallback((e) => {
+    if (e.currentTarget.matches(":focus-visible")) setShowTooltip(true);
+  }, []);
+  const handleHide = useCallback(() => setShowTooltip(false), []);
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === "Escape") setShowTooltip(false);
+  }, []);
 
   return (
     <div className="layer-btn-wrapper">
@@ -73,9 +135,14 @@ function LayerButton({ layerKey, label, sublabel, color, icon, isActive, onToggl
         ref={btnRef}
         className={`layer-btn ${isActive ? "active" : ""}`}
         style={{ "--btn-color": color }}
+        aria-pressed={isActive}
+        aria-describedby={showTooltip && info ? tooltipId : undefined}
         onClick={() => onToggle(layerKey)}
-        onMouseEnter={handleMouseEnter}
-        onMouseLeave={handleMouseLeave}
+        onPointerEnter={handlePointerEnter}
+        onPointerLeave={handleHide}
+        onFocus={handleFocus}
+        onBlur={handleHide}
+        onKeyDown={handleKeyDown}
       >
         {icon && <span className="layer-icon">{icon}</span>}
         <span className="layer-dot" />
@@ -83,8 +150,184 @@ function LayerButton({ layerKey, label, sublabel, color, icon, isActive, onToggl
           <span className="layer-btn-label">{label}</span>
           {sublabel && <span className="layer-btn-unit">{sublabel}</span>}
         </span>
+        {isActive && <TileStatus status={tileStatus} />}
       </button>
-      <InfoTooltip info={info} btnRef={btnRef} visible={showTooltip} />
+      {info && (
+        <button
+          className="layer-info-btn"
+          aria-label={t("panel.about", { layer: label })}
+          aria-expanded={showTooltip}
+          aria-describedby={showTooltip ? tooltipId : undefined}
+          onClick={() => setShowTooltip(!showTooltip)}
+          onBlur={handleHide}
+        >
+          ⓘ
+        </button>
+      )}
+      <InfoTooltip id={tooltipId} info={info} btnRef={btnRef} visible={showTooltip} />
+    </div>
+  );
+}
+
+// ── View mode tabs ───────────────────────────────────────────────────────────
+const VIEW_TABS = ["cooccurrence", "individual", "combination", "bivariate"].map((key) => ({ key }));
+
+// ARIA tablist: only the selected tab is in the tab order; arrow keys,
+// Home and End move between tabs and select them.
+function ViewModeTabs({ viewMode, onChange }) {
+  const listRef = useRef(null);
+
+  const handleKeyDown = (e) => {
+    const i = VIEW_TABS.findIndex((tab) => tab.key === viewMode);
+    const next = {
+      ArrowRight: i + 1,
+      ArrowDown: i + 1,
+      ArrowLeft: i - 1,
+      ArrowUp: i - 1,
+      Home: 0,
+      End: VIEW_TABS.length - 1,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    const tab = VIEW_TABS[(next + VIEW_TABS.length) % VIEW_TABS.length];
+    onChange(tab.key);
+    listRef.current?.querySelector(`#view-tab-${tab.key}`)?.focus();
+  };
+
+  return (
+    <div className="view-mode-tabs" role="tablist" aria-label={t("panel.viewMode")} ref={listRef} onKeyDown={handleKeyDown}>
+      {VIEW_TABS.map((tab) => (
+        <button
+          key={tab.key}
+          id={`view-tab-${tab.key}`}
+          role="tab"
+          aria-selected={viewMode === tab.key}
+          aria-controls="view-mode-panel"
+          tabIndex={viewMode === tab.key ? 0 : -1}
+          className={`view-tab ${viewMode === tab.key ? "active" : ""}`}
+          onClick={() => onChange(tab.key)}
+        >
+          {t(`panel.tab.${tab.key}`)}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// ── Combination Picker ───────────────────────────────────────────────────────
+function CombinationPicker({ combination, colors, onChange }) {
+  return (
+    <div className="combo-picker">
+      {Object.values(BURDEN_LAYERS).map((cfg) => (
+        <div key={cfg.key} className="combo-row">
+          <span className="combo-name">
+            <span className="combo-icon">{cfg.icon}</span>
+            {cfg.shortLabel}
+          </span>
+          <div className="combo-states" role="group" aria-label={t("panel.combinationGroup", { burden: cfg.label })}>
+            {COMBINATION_STATES.map((st) => (
+              <button
+                key={st.key}
+                className={`combo-state combo-${st.key} ${combination[cfg.key] === st.key ? "active" : ""}`}
+                style={{ "--btn-color": colors.burdens[cfg.key].color }}
+                aria-pressed={combination[cfg.key] === st.key}
+                onClick={() => onChange(cfg.key, st.key)}
+              >
+                {st.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ── Per-burden Threshold Picker ──────────────────────────────────────────────
+// Cutoff on a burden's continuous index, with the variants' cutoffs as
+// reference ticks. Applied on release — every cutoff re-composites the map.
+function CutoffSlider({ cfg, threshold, color, onChange }) {
+  const [draft, setDraft] = useState(null);
+  const { min, max, step } = cfg.index;
+  const value = draft ?? cutoffValue(cfg.key, threshold);
+  // Tick offset along the track, inset by half the 12px thumb
+  const position = (v) => `calc(6px + (100% - 12px) * ${(v - min) / (max - min)})`;
+
+  const commit = () => {
+    if (draft == null) return;
+    setDraft(null);
+    onChange(cfg.key, cutoffThreshold(cfg.key, draft));
+  };
+
+  return (
+    <div className="cutoff-slider">
+      <div className="cutoff-slider-label">
+        <span>{criterionFor(cfg.key, draft ?? threshold)}</span>
+        {(draft != null || isCustomCutoff(threshold)) && <span className="cutoff-custom">{t("panel.custom")}</span>}
+      </div>
+      <div className="cutoff-track">
+        <input
+          type="range"
+          className="opacity-slider"
+          min={min}
+          max={max}
+          step={step}
+          value={value}
+          aria-label={t("panel.cutoff", { burden: cfg.shortLabel })}
+          onChange={(e) => setDraft(parseFloat(e.target.value))}
+          onPointerUp={commit}
+          onKeyUp={commit}
+          onBlur={commit}
+          style={{ "--slider-color": color }}
+        />
+        {THRESHOLD_OPTIONS.map((opt) => (
+          <span
+            key={opt.key}
+            className={`cutoff-tick cutoff-tick-${opt.key}`}
+            style={{ left: position(cfg.index.cutoffs[opt.key]) }}
+            title={`${opt.label}: ${cfg.criteria[opt.key]}`}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function BurdenThresholdPicker({ burdenThresholds, colors, onChange }) {
+  return (
+    <div className="thresh-per-burden">
+      {Object.values(BURDEN_LAYERS).map((cfg) => (
+        <div key={cfg.key} className="thresh-burden">
+          <div className="thresh-burden-row">
+            <span className="combo-name">
+              <span className="combo-icon">{cfg.icon}</span>
+              {cfg.shortLabel}
+            </span>
+            <div className="combo-states" role="group" aria-label={t("panel.burdenThreshold", { burden: cfg.label })}>
+              {THRESHOLD_OPTIONS.map((opt) => (
+                <button
+                  key={opt.key}
+                  className={`combo-state ${burdenThresholds[cfg.key] === opt.key ? "active" : ""}`}
+                  aria-pressed={burdenThresholds[cfg.key] === opt.key}
+                  onClick={() => onChange(cfg.key, opt.key)}
+                  title={cfg.criteria[opt.key]}
+                >
+                  {opt.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {cfg.index && (
+            <CutoffSlider
+              cfg={cfg}
+              threshold={burdenThresholds[cfg.key]}
+              color={colors.burdens[cfg.key].color}
+              onChange={onChange}
+            />
+          )}
+        </div>
+      ))}
+      <div className="multi-burden-hint">{t("panel.cutoffHint")}</div>
     </div>
   );
 }
@@ -93,39 +336,64 @@ function LayerButton({ layerKey, label, sublabel, color, icon, isActive, onToggl
 export default function ControlPanel({
   activeLayers,
   layerOpacity,
-  selectedThreshold,
+  burdenThresholds,
   onToggle,
   onOpacityChange,
   onThresholdChange,
+  onBurdenThresholdChange,
   viewMode,
   onViewModeChange,
+  combination,
+  onCombinationChange,
+  compareMode,
+  onCompareModeChange,
+  sensitivityTarget,
+  onSensitivityTargetChange,
+  colors,
+  regionToolOpen,
+  onRegionToolToggle,
+  tileStatus = {},
+  drawerOpen = true,
+  onDrawerToggle,
 }) {
-  const bbActive   = activeLayers.includes("breadbaskets");
-  const coocActive = activeLayers.includes("cooccurrence");
+  const bbActive    = activeLayers.includes("breadbaskets");
+  const coocActive  = activeLayers.includes("cooccurrence");
+  const comboActive = activeLayers.includes("combination");
+  const bivariateActive = activeLayers.includes(BIVARIATE_LAYER.key);
+  const sensActive  = activeLayers.includes("sensitivity");
+  const zonalActive = activeLayers.includes(ZONAL_LAYER.key);
   const nActive    = Object.keys(BURDEN_LAYERS).filter(k => activeLayers.includes(k)).length;
+  // Accent of the co-occurrence controls: the ramp's second-highest class
+  const cooccurrenceColor = colors.cooccurrence[BURDEN_COUNT - 1];
+  const sharedThresh = uniformThreshold(burdenThresholds);
+  const [perBurdenOpen, setPerBurdenOpen] = useState(!sharedThresh);
 
   return (
-    <div className="control-panel">
+    <div className={`control-panel ${drawerOpen ? "drawer-open" : ""}`}>
+      <button className="drawer-handle" aria-expanded={drawerOpen} onClick={onDrawerToggle}>
+        {drawerOpen ? t("panel.drawerClose") : t("panel.drawerOpen")}
+      </button>
 
       {/* ── Header ── */}
       <div className="panel-header">
         <div className="panel-logo">🌍</div>
         <div>
-          <div className="panel-title">Burden Explorer</div>
-          <div className="panel-subtitle">Agrifood System Pressures</div>
+          <div className="panel-title">{t("panel.title")}</div>
+          <div className="panel-subtitle">{t("panel.subtitle")}</div>
         </div>
       </div>
 
       {/* ── Base Layer ── */}
       <div className="panel-section">
-        <div className="panel-section-label">Base Layer</div>
+        <div className="panel-section-label">{t("panel.baseLayer")}</div>
         <LayerButton
           layerKey="breadbaskets"
-          label="Food Breadbaskets"
-          sublabel="by food group"
+          label={BREADBASKET.label}
+          sublabel={t("panel.breadbasketsSub")}
           color="#e6a532"
           isActive={bbActive}
           onToggle={onToggle}
+          tileStatus={tileStatus.breadbaskets}
         />
         {bbActive && (
           <OpacitySlider
@@ -141,25 +409,10 @@ export default function ControlPanel({
 
       {/* ── View Mode Toggle ── */}
       <div className="panel-section">
-        <div className="panel-section-label">View Mode</div>
-        <div className="view-mode-tabs">
-          <button
-            className={`view-tab ${viewMode === "cooccurrence" ? "active" : ""}`}
-            onClick={() => onViewModeChange("cooccurrence")}
-          >
-            Co-occurrence
-          </button>
-          <button
-            className={`view-tab ${viewMode === "individual" ? "active" : ""}`}
-            onClick={() => onViewModeChange("individual")}
-          >
-            Individual
-          </button>
-        </div>
-        <div className="view-mode-desc">
-          {viewMode === "cooccurrence"
-            ? "Shows how many burden hotspots overlap at each location (0–4)."
-            : "Toggle individual burden dimensions to compare patterns."}
+        <div className="panel-section-label">{t("panel.viewMode")}</div>
+        <ViewModeTabs viewMode={viewMode} onChange={onViewModeChange} />
+        <div className="view-mode-desc" id="view-mode-panel" role="tabpanel" aria-labelledby={`view-tab-${viewMode}`}>
+          {t(`panel.mode.${viewMode}`, { n: BURDEN_COUNT })}
         </div>
       </div>
 
@@ -168,18 +421,19 @@ export default function ControlPanel({
         <div className="panel-section">
           <LayerButton
             layerKey="cooccurrence"
-            label="Burden Co-occurrence"
-            sublabel="0–4 simultaneous burdens"
-            color="#d73027"
+            label={COOCCURRENCE_LAYER.label}
+            sublabel={t("panel.cooccurrenceSub", { n: BURDEN_COUNT })}
+            color={cooccurrenceColor}
             icon="🔥"
             isActive={coocActive}
             onToggle={onToggle}
+            tileStatus={tileStatus.cooccurrence}
           />
           {coocActive && (
             <OpacitySlider
               layerKey="cooccurrence"
               value={layerOpacity.cooccurrence}
-              color="#d73027"
+              color={cooccurrenceColor}
               onChange={onOpacityChange}
             />
           )}
@@ -190,9 +444,9 @@ export default function ControlPanel({
       {viewMode === "individual" && (
         <div className="panel-section">
           <div className="panel-section-label">
-            Burden Layers
+            {t("panel.burdenLayers")}
             {nActive > 0 && (
-              <span className="active-count">{nActive} active</span>
+              <span className="active-count">{t("panel.activeCount", { n: nActive })}</span>
             )}
           </div>
           {Object.values(BURDEN_LAYERS).map((cfg) => {
@@ -203,16 +457,17 @@ export default function ControlPanel({
                   layerKey={cfg.key}
                   label={cfg.label}
                   sublabel={cfg.description.substring(0, 55) + "…"}
-                  color={cfg.color}
+                  color={colors.burdens[cfg.key].color}
                   icon={cfg.icon}
                   isActive={isActive}
                   onToggle={onToggle}
+                  tileStatus={tileStatus[cfg.key]}
                 />
                 {isActive && (
                   <OpacitySlider
                     layerKey={cfg.key}
                     value={layerOpacity[cfg.key] ?? 0.7}
-                    color={cfg.color}
+                    color={colors.burdens[cfg.key].color}
                     onChange={onOpacityChange}
                   />
                 )}
@@ -220,23 +475,79 @@ export default function ControlPanel({
             );
           })}
           {nActive >= 2 && (
-            <div className="multi-burden-hint">
-              Tip: Overlap between active layers reveals co-occurring burdens.
-            </div>
+            <div className="multi-burden-hint">{t("panel.overlapTip")}</div>
           )}
         </div>
       )}
 
+      {/* ── Combination mode ── */}
+      {viewMode === "combination" && (
+        <div className="panel-section">
+          <LayerButton
+            layerKey="combination"
+            label={COMBINATION_LAYER.label}
+            sublabel={describeCombination(combination)}
+            color={colors.combination}
+            icon="🧩"
+            isActive={comboActive}
+            onToggle={onToggle}
+          />
+          {comboActive && (
+            <OpacitySlider
+              layerKey="combination"
+              value={layerOpacity.combination}
+              color={colors.combination}
+              onChange={onOpacityChange}
+            />
+          )}
+          <CombinationPicker combination={combination} colors={colors} onChange={onCombinationChange} />
+          {!isCombinationActive(combination) && (
+            <div className="multi-burden-hint">{t("panel.combinationHint")}</div>
+          )}
+        </div>
+      )}
+
+      {/* ── Bivariate mode ── */}
+      {viewMode === "bivariate" && (
+        <div className="panel-section">
+          <LayerButton
+            layerKey={BIVARIATE_LAYER.key}
+            label={BIVARIATE_LAYER.label}
+            sublabel={t("panel.bivariateSub")}
+            color={BIVARIATE_LAYER.color}
+            icon="🎯"
+            isActive={bivariateActive}
+            onToggle={onToggle}
+            tileStatus={tileStatus[BIVARIATE_LAYER.key]}
+          />
+          {bivariateActive && (
+            <OpacitySlider
+              layerKey={BIVARIATE_LAYER.key}
+              value={layerOpacity[BIVARIATE_LAYER.key] ?? 0.9}
+              color={BIVARIATE_LAYER.color}
+              onChange={onOpacityChange}
+            />
+          )}
+          <div className="multi-burden-hint">{t("panel.bivariateHint")}</div>
+        </div>
+      )}
+
       <div className="panel-divider" />
 
       {/* ── Threshold Selector ── */}
       <div className="panel-section">
-        <div className="panel-section-label">Hotspot Threshold</div>
-        <div className="threshold-selector">
+        <div className="panel-section-label">
+          {t("panel.threshold")}
+          {!sharedThresh && (
+            <span className="active-count">{thresholdLabel(burdenThresholds).toLowerCase()}</span>
+          )}
+        </div>
+        <div className="threshold-selector" role="group" aria-label={t("panel.threshold")}>
           {THRESHOLD_OPTIONS.map((opt) => (
             <button
               key={opt.key}
-              className={`thresh-btn ${selectedThreshold === opt.key ? "active" : ""}`}
+              className={`thresh-btn ${sharedThresh === opt.key ? "active" : ""}`}
+              aria-pressed={sharedThresh === opt.key}
               onClick={() => onThresholdChange(opt.key)}
               title={opt.description}
             >
@@ -244,23 +555,139 @@ export default function ControlPanel({
             </button>
           ))}
         </div>
-        <div className="thresh-desc">
-          {THRESHOLD_OPTIONS.find((o) => o.key === selectedThreshold)?.description}
+        <button
+          className="legend-bb-toggle thresh-custom-toggle"
+          aria-expanded={perBurdenOpen}
+          onClick={() => setPerBurdenOpen(!perBurdenOpen)}
+        >
+          {t("panel.perBurden")} {perBurdenOpen ? "▲" : "▼"}
+        </button>
+        {perBurdenOpen && (
+          <BurdenThresholdPicker
+            burdenThresholds={burdenThresholds}
+            colors={colors}
+            onChange={onBurdenThresholdChange}
+          />
+        )}
+        {sharedThresh ? (
+          <div className="thresh-desc">
+            {THRESHOLD_OPTIONS.find((o) => o.key === sharedThresh)?.description}
+          </div>
+        ) : (
+          <ul className="thresh-desc thresh-criteria">
+            {Object.values(BURDEN_LAYERS).map((cfg) => (
+              <li key={cfg.key}>
+                {cfg.icon} {criterionFor(cfg.key, burdenThresholds[cfg.key])}
+                <span className="thresh-criteria-variant">{variantLabel(burdenThresholds[cfg.key])}</span>
+              </li>
+            ))}
+            <li className="thresh-criteria-note">{t("panel.recomputed")}</li>
+          </ul>
+        )}
+
+        <div className="compare-row">
+          <span className="compare-row-label">{t("panel.compare")}</span>
+          <div className="combo-states" role="group" aria-label={t("panel.compareGroup")}>
+            {COMPARE_MODES.map((mode) => (
+              <button
+                key={mode.key}
+                className={`combo-state ${compareMode === mode.key ? "active" : ""}`}
+                aria-pressed={compareMode === mode.key}
+                onClick={() => onCompareModeChange(mode.key)}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
         </div>
+        {compareMode !== "off" && (
+          <div className="multi-burden-hint">
+            {t("panel.compareHint", { left: THRESHOLD_OPTIONS[0].label, right: THRESHOLD_OPTIONS[1].label })}
+          </div>
+        )}
+      </div>
+
+      <div className="panel-divider" />
+
+      {/* ── Threshold Sensitivity ── */}
+      <div className="panel-section">
+        <div className="panel-section-label">{t("panel.robustness")}</div>
+        <LayerButton
+          layerKey="sensitivity"
+          label={SENSITIVITY_LAYER.label}
+          sublabel={t("panel.sensitivitySub")}
+          color={SENSITIVITY_LAYER.color}
+          icon="⚖️"
+          isActive={sensActive}
+          onToggle={onToggle}
+        />
+        {sensActive && (
+          <>
+            <div className="sensitivity-target-row">
+              <span className="opacity-label">{t("panel.dimension")}</span>
+              <select
+                className="panel-select"
+                aria-label={t("panel.sensitivityDimension")}
+                value={sensitivityTarget}
+                onChange={(e) => onSensitivityTargetChange(e.target.value)}
+              >
+                <option value="cooccurrence">{t("panel.cooccurrenceCount")}</option>
+                {Object.values(BURDEN_LAYERS).map((cfg) => (
+                  <option key={cfg.key} value={cfg.key}>{cfg.label}</option>
+                ))}
+              </select>
+            </div>
+            <OpacitySlider
+              layerKey="sensitivity"
+              value={layerOpacity.sensitivity}
+              color={SENSITIVITY_LAYER.color}
+              onChange={onOpacityChange}
+            />
+          </>
+        )}
+      </div>
+
+      <div className="panel-divider" />
+
+      {/* ── Regional Statistics ── */}
+      <div className="panel-section">
+        <div className="panel-section-label">{t("panel.regionalStats")}</div>
+        <LayerButton
+          layerKey={ZONAL_LAYER.key}
+          label={ZONAL_LAYER.label}
+          sublabel={t("panel.zonalSub")}
+          color={ZONAL_LAYER.color}
+          icon="🗺️"
+          isActive={zonalActive}
+          onToggle={onToggle}
+        />
+        {zonalActive && (
+          <OpacitySlider
+            layerKey={ZONAL_LAYER.key}
+            value={layerOpacity[ZONAL_LAYER.key]}
+            color={ZONAL_LAYER.color}
+            onChange={onOpacityChange}
+          />
+        )}
+        <LayerButton
+          layerKey="region"
+          label={t("panel.region")}
+          sublabel={t("panel.regionSub")}
+          color="#66c2a5"
+          icon="📐"
+          isActive={regionToolOpen}
+          onToggle={onRegionToolToggle}
+        />
       </div>
 
       <div className="panel-divider" />
 
       {/* ── Citation ── */}
       <div className="panel-section panel-citation">
-        <div className="citation-label">Data Source</div>
-        <div className="citation-text">
-          Levers et al. (2025). "Different places, different challenges: mapping
-          global variations in agrifood-system burdens."{" "}
-          <em>Environ. Res. Lett.</em> 20.
-        </div>
+        <div className="citation-label">{t("panel.dataSource")}</div>
+        <div className="citation-text">{CITATION.text}</div>
         <div className="citation-doi">
-          DOI: 10.1088/1748-9326/ae20ac
+          DOI: {CITATION.doi}
         </div>
       </div>
 
@@ -0,0 +1,135 @@
+/**
+ * EmbedDialog.js — Copy-paste code for embedding the map in another page
+ *
+ * The <iframe> opens the current view in embed mode (utils/embed.js), with
+ * or without the control panel, and only talks to the host page whose
+ * address is entered here — the code is offered once it is a valid
+ * http(s) address. A script example shows the host page changing the view
+ * and listening for clicks through postMessage.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { embedCode, embedScript, embedUrl, pageOrigin } from "../utils/embed";
+import { t } from "../utils/i18n";
+
+const CONTROL_OPTIONS = ["shown", "hidden"];
+
+export default function EmbedDialog({ onClose }) {
+  const [controls, setControls] = useState("hidden");
+  const [width, setWidth] = useState("100%");
+  const [height, setHeight] = useState("500");
+  const [host, setHost] = useState("");
+  const [copied, setCopied] = useState(null); // { key, status: "copied" | "failed" }
+  const copyTimerRef = useRef(null);
+  useEffect(() => () => clearTimeout(copyTimerRef.current), []);
+
+  const origin = pageOrigin(host);
+  const code = origin
+    ? embedCode({
+        src: embedUrl(window.location.href, { controls: controls === "shown", origin }),
+        width: width.trim() || "100%",
+        height: height.trim() || "500",
+        title: t("app.title"),
+      })
+    : "";
+  const script = embedScript(window.location.origin);
+
+  const handleCopy = (key, text) => {
+    const show = (status) => {
+      setCopied({ key, status });
+      clearTimeout(copyTimerRef.current);
+      copyTimerRef.current = setTimeout(() => setCopied(null), 2000);
+    };
+    Promise.resolve()
+      .then(() => navigator.clipboard.writeText(text))
+      .then(
+        () => show("copied"),
+        (e) => {
+          console.warn("Copy embed code failed:", e);
+          show("failed");
+        }
+      );
+  };
+
+  const copyLabel = (key, label) => {
+    if (copied?.key !== key) return label;
+    return copied.status === "copied" ? t("embed.copied") : t("embed.copyFailed");
+  };
+
+  return (
+    <div className="export-backdrop" onClick={onClose}>
+      <div className="export-dialog embed-dialog" onClick={(e) => e.stopPropagation()} role="dialog" aria-label={t("embed.title")}>
+        <div className="inspector-header">
+          <div className="inspector-title">{t("embed.title")}</div>
+          <button className="inspector-close" onClick={onClose} aria-label={t("embed.close")}>
+            ✕
+          </button>
+        </div>
+
+        <div className="export-row">
+          <span className="export-label">{t("embed.controls")}</span>
+          <div className="combo-states">
+            {CONTROL_OPTIONS.map((key) => (
+              <button
+                key={key}
+                className={`combo-state ${controls === key ? "active" : ""}`}
+                onClick={() => setControls(key)}
+              >
+                {t(`embed.controls.${key}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="export-row">
+          <span className="export-label">{t("embed.size")}</span>
+          <input
+            className="zonal-filter embed-size"
+            type="text"
+            value={width}
+            aria-label={t("embed.width")}
+            onChange={(e) => setWidth(e.target.value)}
+          />
+          <span className="embed-times">×</span>
+          <input
+            className="zonal-filter embed-size"
+            type="text"
+            value={height}
+            aria-label={t("embed.height")}
+            onChange={(e) => setHeight(e.target.value)}
+          />
+        </div>
+
+        <div className="export-row">
+          <span className="export-label">{t("embed.host")}</span>
+          <input
+            className="zonal-filter embed-host"
+            type="url"
+            value={host}
+            placeholder="https://example.org/page"
+            aria-label={t("embed.host")}
+            aria-invalid={host.trim() !== "" && !origin}
+            onChange={(e) => setHost(e.target.value)}
+          />
+        </div>
+
+        <div className="inspector-note">{origin ? t("embed.note") : t("embed.hostNeeded")}</div>
+        {origin && (
+          <>
+            <textarea className="embed-code" readOnly rows={4} value={code} onFocus={(e) => e.target.select()} />
+            <button className="export-btn" onClick={() => handleCopy("code", code)}>
+              {copyLabel("code", t("embed.copyCode"))}
+            </button>
+          </>
+        )}
+
+        <div className="region-block-title">{t("embed.script")}</div>
+        <div className="inspector-note">{t("embed.scriptNote")}</div>
+        <textarea className="embed-code" readOnly rows={8} value={script} onFocus={(e) => e.target.select()} />
+        <button className="combo-state embed-copy" onClick={() => handleCopy("script", script)}>
+          {copyLabel("script", t("embed.copyScript"))}
+        </button>
+      </div>
+    </div>
+  );
+}
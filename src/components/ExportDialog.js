@@ -0,0 +1,144 @@
+/**
+ * ExportDialog.js — Save the current map as a figure
+ *
+ * Options: frame size, DPI, PNG or SVG-wrapped PNG, optional title.
+ * The figure is the map re-rendered at that size (utils/mapSnapshot.js) with
+ * legend, scale bar, threshold description and citation composited on top
+ * (utils/exportFigure.js).
+ */
+
+import { useState } from "react";
+import { downloadFile } from "../utils/download";
+import {
+  EXPORT_DPIS,
+  EXPORT_FORMATS,
+  EXPORT_SIZES,
+  composeFigure,
+  svgWrap,
+} from "../utils/exportFigure";
+import { t } from "../utils/i18n";
+import { renderMapSnapshot, snapshotScale } from "../utils/mapSnapshot";
+
+function frameSize(sizeKey, map) {
+  const size = EXPORT_SIZES.find((s) => s.key === sizeKey);
+  if (size.width) return { width: size.width, height: size.height };
+  const el = map?.getContainer();
+  return { width: el?.clientWidth || 1280, height: el?.clientHeight || 720 };
+}
+
+export default function ExportDialog({ map, state, note, onClose }) {
+  const [sizeKey, setSizeKey] = useState("view");
+  const [dpi, setDpi] = useState(150);
+  const [format, setFormat] = useState("png");
+  const [title, setTitle] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const { width, height } = frameSize(sizeKey, map);
+  const scale = snapshotScale(width, height, dpi);
+
+  const handleExport = async () => {
+    if (!map) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const { canvas: mapCanvas, camera } = await renderMapSnapshot(map, { width, height, scale });
+      const figure = composeFigure(mapCanvas, { scale, state, camera, title: title.trim() });
+      const stamp = new Date().toISOString().slice(0, 10);
+      const name = `burden-map-${stamp}`;
+      if (format === "svg") {
+        const svg = svgWrap(figure.toDataURL("image/png"), figure.width / scale, figure.height / scale);
+        downloadFile(svg, `${name}.svg`, "image/svg+xml");
+      } else {
+        const blob = await new Promise((resolve) => figure.toBlob(resolve, "image/png"));
+        downloadFile(blob, `${name}.png`);
+      }
+      onClose();
+    } catch (e) {
+      console.warn("Map export failed:", e);
+      setError(e.message || t("export.failed"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="export-backdrop" onClick={busy ? undefined : onClose}>
+      <div className="export-dialog" onClick={(e) => e.stopPropagation()} role="dialog" aria-label={t("export.title")}>
+        <div className="inspector-header">
+          <div className="inspector-title">{t("export.title")}</div>
+          <button className="inspector-close" onClick={onClose} disabled={busy} aria-label={t("export.close")}>
+            ✕
+          </button>
+        </div>
+
+        <div className="export-row">
+          <span className="export-label">{t("export.size")}</span>
+          <div className="combo-states">
+            {EXPORT_SIZES.map((s) => (
+              <button
+                key={s.key}
+                className={`combo-state ${sizeKey === s.key ? "active" : ""}`}
+                onClick={() => setSizeKey(s.key)}
+              >
+                {t(`export.size.${s.key}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="export-row">
+          <span className="export-label">{t("export.dpi")}</span>
+          <div className="combo-states">
+            {EXPORT_DPIS.map((d) => (
+              <button
+                key={d}
+                className={`combo-state ${dpi === d ? "active" : ""}`}
+                onClick={() => setDpi(d)}
+              >
+                {d}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="export-row">
+          <span className="export-label">{t("export.format")}</span>
+          <div className="combo-states">
+            {EXPORT_FORMATS.map((f) => (
+              <button
+                key={f.key}
+                className={`combo-state ${format === f.key ? "active" : ""}`}
+                onClick={() => setFormat(f.key)}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="export-row">
+          <span className="export-label">{t("export.figureTitle")}</span>
+          <input
+            className="zonal-filter export-title"
+            type="text"
+            placeholder={t("export.optional")}
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+          />
+        </div>
+
+        <div className="inspector-note">
+          {t("export.mapArea", { width: Math.round(width * scale), height: Math.round(height * scale) })}
+          {scale < dpi / 96 && ` ${t("export.reduced")}`} {t("export.added")}
+          {note && ` ${note}`}
+        </div>
+        {error && <div className="region-error">{error}</div>}
+
+        <button className="export-btn" onClick={handleExport} disabled={busy || !map}>
+          {busy ? t("export.rendering") : t("export.download", { format: format.toUpperCase() })}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,94 +1,98 @@
 /**
  * InfoPanel.js — Collapsible story/context panel
  *
- * Shows key findings from Levers et al. 2025 to help users
- * understand what they're looking at.
+ * Shows key findings and the burden dimensions (from the layer manifest)
+ * to help users understand what they're looking at, and starts the guided
+ * stories. A finding that a story step shows on the map opens that step.
  */
 
 import { useState } from "react";
+import { BURDEN_INFO, CITATION, KEY_FINDINGS } from "../layers/burdenConfig";
+import { formatStat, t } from "../utils/i18n";
 
-const FINDINGS = [
-  {
-    icon: "👥",
-    stat: "~5 billion",
-    text: "people live in regions with at least one burden hotspot",
-  },
-  {
-    icon: "🔴",
-    stat: "1.8–1.9 billion",
-    text: "people live where multiple burdens overlap simultaneously",
-  },
-  {
-    icon: "🌾",
-    stat: "470M ha",
-    text: "agricultural area (10% globally) experiences multiple concurrent burdens",
-  },
-  {
-    icon: "🏡",
-    stat: "Small farms",
-    text: "and Indigenous lands are disproportionately in multi-burden hotspot areas",
-  },
-];
-
-const BURDENS_INFO = [
-  {
-    icon: "🌿",
-    name: "Environmental Footprint",
-    detail: "Cumulative food-production pressure: GHG emissions, freshwater use, habitat disturbance, nutrient pollution",
-    threshold: "Strict: ≥ 2 SD above global mean · Less strict: ≥ 1 SD",
-    source: "Halpern et al. 2022",
-  },
-  {
-    icon: "⛈️",
-    name: "Weather Extremes",
-    detail: "Pixel-level z-scores of drought (CDD), precipitation (RX5), heat (TX35), frost (FD) vs. each pixel's own 1980–2009 climatology",
-    threshold: "Strict: any indicator ≥ 2 SD · Less strict: ≥ 1 SD",
-    source: "ERA5 / Hersbach et al. 2020",
-  },
-  {
-    icon: "💰",
-    name: "Income Poverty",
-    detail: "Subnational GNI per capita (PPP, 2011 US$)",
-    threshold: "Strict: ≤ $5.50/day · Less strict: ≤ $21.70/day",
-    source: "Smits & Permanyer 2019",
-  },
-  {
-    icon: "🍽️",
-    name: "Malnutrition",
-    detail: "Double burden: combined prevalence of childhood wasting and overweight (under-5, LMICs only)",
-    threshold: "Strict: ≥ 15% · Less strict: ≥ 10%",
-    source: "Kinyoki et al. 2020",
-  },
-];
+// First story step showing each finding: { [finding index]: { story, step } }
+function findingSteps(stories) {
+  const steps = {};
+  stories.forEach((story) =>
+    story.steps.forEach((s, step) => {
+      if (s.finding != null && !steps[s.finding]) steps[s.finding] = { story: story.key, step };
+    })
+  );
+  return steps;
+}
 
-export default function InfoPanel() {
+export default function InfoPanel({ stories, onStoryStart }) {
   const [open, setOpen] = useState(false);
+  const steps = findingSteps(stories);
+
+  const start = (key, step) => {
+    setOpen(false);
+    onStoryStart(key, step);
+  };
 
   return (
     <div className={`info-panel ${open ? "open" : "closed"}`}>
       <button className="info-toggle" onClick={() => setOpen(!open)}>
-        {open ? "✕ Close" : "ℹ About this map"}
+        {open ? t("info.close") : t("info.open")}
       </button>
 
       {open && (
         <div className="info-content">
-          <div className="info-section-title">Key Findings</div>
-          <div className="findings-grid">
-            {FINDINGS.map((f, i) => (
-              <div key={i} className="finding-card">
-                <span className="finding-icon">{f.icon}</span>
-                <span className="finding-stat">{f.stat}</span>
-                <span className="finding-text">{f.text}</span>
+          {stories.length > 0 && (
+            <>
+              <div className="info-section-title">{t("info.stories")}</div>
+              <div className="info-stories">
+                {stories.map((story) => (
+                  <button
+                    key={story.key}
+                    className="story-start"
+                    title={story.description}
+                    onClick={() => start(story.key, 0)}
+                  >
+                    ▶ {story.title}
+                  </button>
+                ))}
               </div>
-            ))}
-          </div>
+            </>
+          )}
+
+          {KEY_FINDINGS.length > 0 && (
+            <>
+              <div className="info-section-title">{t("info.findings")}</div>
+              <div className="findings-grid">
+                {KEY_FINDINGS.map((f, i) => {
+                  const content = (
+                    <>
+                      <span className="finding-icon">{f.icon}</span>
+                      <span className="finding-stat">{formatStat(f)}</span>
+                      <span className="finding-text">{f.text}</span>
+                    </>
+                  );
+                  return steps[i] ? (
+                    <button
+                      key={i}
+                      className="finding-card"
+                      title={t("info.showOnMap")}
+                      onClick={() => start(steps[i].story, steps[i].step)}
+                    >
+                      {content}
+                    </button>
+                  ) : (
+                    <div key={i} className="finding-card">
+                      {content}
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          )}
 
           <div className="info-section-title" style={{ marginTop: "1rem" }}>
-            Burden Dimensions &amp; Thresholds
+            {t("info.dimensions")}
           </div>
           <div className="burdens-table">
-            {BURDENS_INFO.map((b, i) => (
-              <div key={i} className="burden-info-row">
+            {BURDEN_INFO.map((b) => (
+              <div key={b.key} className="burden-info-row">
                 <span className="bi-icon">{b.icon}</span>
                 <div className="bi-text">
                   <div className="bi-name">{b.name}</div>
@@ -105,8 +109,8 @@ export default function InfoPanel() {
           </div>
 
           <div className="info-cite">
-            Levers et al. (2025). <em>Environ. Res. Lett.</em> 20.{" "}
-            DOI: 10.1088/1748-9326/ae20ac &bull; Data: Zenodo 10.5281/zenodo.15340862
+            {CITATION.text} DOI: {CITATION.doi}
+            {CITATION.data && <> &bull; {t("info.data")}: {CITATION.data}</>}
           </div>
         </div>
       )}
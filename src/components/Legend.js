@@ -2,29 +2,57 @@
  * Legend.js — Dynamic legend for active layers
  *
  * Shows:
- *   - Co-occurrence scale (0–4 burdens) when in co-occurrence mode
+ *   - Co-occurrence scale (0–N burdens) when in co-occurrence mode
  *   - Individual burden swatches when in individual mode
- *   - Breadbasket food-group legend (collapsible)
+ *   - Active burden combination when in combination mode
+ *   - 3×3 production × burden-count grid when in bivariate mode
+ *   - Threshold-sensitivity classes when that layer is on
+ *   - Multi-burden share classes for the regional choropleth
+ *   - Breadbasket food-group legend (collapsible): each group toggles its
+ *     dots on the map and shows how many are in view; a log-scale slider
+ *     hides sites below a minimum production. Without
+ *     `onBreadbasketFilterChange` (a locked embed) it only shows the filter.
+ *
+ * The whole legend folds down to its title; it starts folded on phones.
  */
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import {
+  BIVARIATE_LAYER,
+  BREADBASKET,
   BURDEN_LAYERS,
+  COMBINATION_LAYER,
   COOCCURRENCE_COLORS,
+  COOCCURRENCE_LAYER,
   FOOD_GROUP_COLORS,
+  SENSITIVITY_LAYER,
+  ZONAL_LAYER,
 } from "../layers/burdenConfig";
+import {
+  DEFAULT_BREADBASKET_FILTER,
+  countFoodGroups,
+  formatProduction,
+  isBreadbasketFilterActive,
+  sliderToValue,
+  toggleFoodGroup,
+  valueToSlider,
+} from "../layers/breadbasketFilter";
+import { describeCombination, isCombinationActive } from "../layers/derivedLayers";
+import { isCustomCutoff, uniformThreshold } from "../layers/thresholds";
+import { formatNumber, t } from "../utils/i18n";
+import { COMPACT_QUERY, matchesMedia } from "../utils/useMediaQuery";
 
-function CooccurrenceLegend() {
+function CooccurrenceLegend({ mixed, custom, colors }) {
   return (
     <div className="legend-block">
-      <div className="legend-title">Simultaneous Burdens</div>
+      <div className="legend-title">{t("legend.simultaneous")}</div>
       <div className="legend-cooc-scale">
-        {COOCCURRENCE_COLORS.map(({ value, color, label }) => (
+        {COOCCURRENCE_COLORS.map(({ value, label }) => (
           <div key={value} className="legend-cooc-row">
             <span
               className="legend-cooc-swatch"
               style={{
-                background: value === 0 ? "rgba(60,60,80,0.4)" : color,
+                background: value === 0 ? "rgba(60,60,80,0.4)" : colors.cooccurrence[value],
                 border: value === 0 ? "1px dashed #555" : "none",
               }}
             />
@@ -33,65 +61,276 @@ function CooccurrenceLegend() {
         ))}
       </div>
       <div className="legend-note">
-        Per 5 arc-minute grid cell (~9 km). Pixel intensity reflects count of concurrent burden hotspots.
+        {COOCCURRENCE_LAYER.legendNote}
+        {mixed && !custom && ` ${t("legend.mixed")}`}
+        {custom && ` ${t("legend.customCutoffs")}`}
       </div>
     </div>
   );
 }
 
-function BurdenSwatchLegend({ activeBurdens }) {
+function BurdenSwatchLegend({ activeBurdens, colors }) {
   if (!activeBurdens.length) return null;
   return (
     <div className="legend-block">
-      <div className="legend-title">Active Burdens</div>
+      <div className="legend-title">{t("legend.activeBurdens")}</div>
       {activeBurdens.map((key) => {
         const cfg = BURDEN_LAYERS[key];
         if (!cfg) return null;
         return (
           <div key={key} className="legend-burden-row">
-            <span className="legend-burden-swatch" style={{ background: cfg.color }} />
+            <span className="legend-burden-swatch" style={{ background: colors.burdens[key].color }} />
             <span className="legend-burden-name">
               {cfg.icon} {cfg.shortLabel}
             </span>
-            <span className="legend-burden-desc">hotspot</span>
+            <span className="legend-burden-desc">{t("legend.hotspot")}</span>
           </div>
         );
       })}
+      <div className="legend-note">{t("legend.binary")}</div>
+    </div>
+  );
+}
+
+function CombinationLegend({ combination, colors }) {
+  const required = Object.keys(BURDEN_LAYERS).filter((k) => combination[k] === "require");
+  const excluded = Object.keys(BURDEN_LAYERS).filter((k) => combination[k] === "exclude");
+  return (
+    <div className="legend-block">
+      <div className="legend-title">{COMBINATION_LAYER.label}</div>
+      <div className="legend-burden-row">
+        <span className="legend-burden-swatch" style={{ background: colors.combination }} />
+        <span className="legend-burden-name">{describeCombination(combination)}</span>
+      </div>
+      {required.map((key) => (
+        <div key={key} className="legend-combo-row">
+          <span className="legend-combo-op">✓</span>
+          {BURDEN_LAYERS[key].icon} {BURDEN_LAYERS[key].shortLabel}
+          <span className="legend-burden-desc">{t("legend.hotspot")}</span>
+        </div>
+      ))}
+      {excluded.map((key) => (
+        <div key={key} className="legend-combo-row excluded">
+          <span className="legend-combo-op">✕</span>
+          {BURDEN_LAYERS[key].icon} {BURDEN_LAYERS[key].shortLabel}
+          <span className="legend-burden-desc">{t("legend.notHotspot")}</span>
+        </div>
+      ))}
+      <div className="legend-note">{t("legend.combinationNote")}</div>
+    </div>
+  );
+}
+
+// Rows run from most burdens (top) to none; columns from low to high production
+function BivariateLegend() {
+  const { colors, burdenClasses, productionClasses } = BIVARIATE_LAYER;
+  const rows = colors.map((row, b) => ({ row, label: burdenClasses[b].label })).reverse();
+  return (
+    <div className="legend-block">
+      <div className="legend-title">{BIVARIATE_LAYER.label}</div>
+      <div className="legend-bivariate">
+        <div className="legend-bivariate-axis-y">{t("legend.burdens")}</div>
+        <div className="legend-bivariate-grid">
+          {rows.map(({ row, label }) => (
+            <div key={label} className="legend-bivariate-row">
+              <span className="legend-bivariate-label">{label}</span>
+              {row.map((color, p) => (
+                <span
+                  key={p}
+                  className="legend-bivariate-cell"
+                  style={{ background: color }}
+                  title={t("legend.bivariateCell", { burdens: label, production: productionClasses[p].label })}
+                />
+              ))}
+            </div>
+          ))}
+          <div className="legend-bivariate-row">
+            <span className="legend-bivariate-label" />
+            {productionClasses.map(({ key, label }) => (
+              <span key={key} className="legend-bivariate-tick">{label}</span>
+            ))}
+          </div>
+          <div className="legend-bivariate-axis-x">{t("legend.production")}</div>
+        </div>
+      </div>
+      <div className="legend-note">{t("legend.bivariateNote")}</div>
+    </div>
+  );
+}
+
+function SensitivityLegend({ target, colors }) {
+  const isCooc = target === "cooccurrence";
+  const classes = isCooc ? SENSITIVITY_LAYER.deltaColors : SENSITIVITY_LAYER.burdenClasses;
+  const classColors = isCooc ? colors.sensitivityDelta : colors.sensitivity;
+  return (
+    <div className="legend-block">
+      <div className="legend-title">
+        {t("legend.sensitivity", { target: isCooc ? t("panel.tab.cooccurrence") : BURDEN_LAYERS[target].shortLabel })}
+      </div>
+      <div className="legend-cooc-scale">
+        {classes.map(({ value, label }, i) => (
+          <div key={value} className="legend-cooc-row">
+            <span className="legend-cooc-swatch" style={{ background: classColors[i] }} />
+            <span className="legend-cooc-label">{label}</span>
+          </div>
+        ))}
+      </div>
       <div className="legend-note">
-        Binary hotspot classification (≥ threshold).
+        {t(isCooc ? "legend.sensitivityCooc" : "legend.sensitivityBurden")}
       </div>
     </div>
   );
 }
 
-function BreadbasketLegend({ visible }) {
+function ZonalLegend({ colors }) {
+  return (
+    <div className="legend-block">
+      <div className="legend-title">{t("legend.zonal")}</div>
+      <div className="legend-cooc-scale">
+        {ZONAL_LAYER.stops.map(({ value, label }, i) => (
+          <div key={value} className="legend-cooc-row">
+            <span className="legend-cooc-swatch" style={{ background: colors.zonal[i] }} />
+            <span className="legend-cooc-label">{label}</span>
+          </div>
+        ))}
+      </div>
+      <div className="legend-note">{t("legend.zonalNote")}</div>
+    </div>
+  );
+}
+
+// Breadbasket counts per food group in the current view, refreshed
+// whenever the map settles
+function useFoodGroupCounts(map, enabled, minValue) {
+  const [result, setResult] = useState(null);
+  useEffect(() => {
+    if (!map || !enabled) return;
+    const update = () => {
+      const b = map.getBounds();
+      const features = map.querySourceFeatures("breadbaskets", { sourceLayer: BREADBASKET.layer });
+      const bounds = { west: b.getWest(), south: b.getSouth(), east: b.getEast(), north: b.getNorth() };
+      setResult(countFoodGroups(features, bounds, minValue));
+    };
+    update();
+    map.on("idle", update);
+    return () => map.off("idle", update);
+  }, [map, enabled, minValue]);
+  return result;
+}
+
+function BreadbasketLegend({ visible, map, colors, filter, onFilterChange }) {
   const [expanded, setExpanded] = useState(false);
+  // Slider range: the largest production seen so far, rounded up to a power of ten
+  const [maxValue, setMaxValue] = useState(0);
+  const counted = useFoodGroupCounts(map, visible && expanded, filter.minValue);
+
+  useEffect(() => {
+    if (counted?.maxValue > maxValue) setMaxValue(10 ** Math.ceil(Math.log10(counted.maxValue)));
+  }, [counted, maxValue]);
+
   if (!visible) return null;
+  const readOnly = !onFilterChange;
+  const filtered = isBreadbasketFilterActive(filter);
+  const sliderMax = Math.max(maxValue, filter.minValue);
+  const minLabel = filter.minValue > 0 ? formatProduction(filter.minValue) : t("legend.any");
+
   return (
     <div className="legend-block legend-block-bb">
       <button
         className="legend-bb-toggle"
+        aria-expanded={expanded}
         onClick={() => setExpanded(!expanded)}
       >
-        Food Groups {expanded ? "▲" : "▼"}
+        {t("legend.foodGroups")} {filtered && <span className="legend-bb-filtered">{t("legend.filtered")}</span>}{" "}
+        {expanded ? "▲" : "▼"}
       </button>
       {expanded && (
-        <div className="legend-bb-grid">
-          {Object.entries(FOOD_GROUP_COLORS).map(([key, { color, label }]) => (
-            <div key={key} className="legend-bb-row">
-              <span className="legend-bb-dot" style={{ background: color }} />
-              <span className="legend-bb-label">{label}</span>
-            </div>
-          ))}
-        </div>
+        <>
+          <div className="legend-bb-grid">
+            {Object.entries(FOOD_GROUP_COLORS).map(([key, { label }]) => {
+              const shown = !filter.groups || filter.groups.includes(key);
+              return (
+                <button
+                  key={key}
+                  className={`legend-bb-row ${shown ? "" : "off"}`}
+                  aria-pressed={shown}
+                  disabled={readOnly}
+                  onClick={() => onFilterChange(toggleFoodGroup(filter, key))}
+                >
+                  <span className="legend-bb-dot" style={{ background: colors.foodGroups[key] }} />
+                  <span className="legend-bb-label">{label}</span>
+                  {counted && <span className="legend-bb-count">{formatNumber(counted.counts[key])}</span>}
+                </button>
+              );
+            })}
+          </div>
+          {readOnly ? (
+            filter.minValue > 0 && (
+              <div className="legend-bb-slider-label">
+                <span>{t("legend.minProduction")}</span>
+                <span>{minLabel}</span>
+              </div>
+            )
+          ) : (
+            <>
+              <div className="legend-bb-actions">
+                <button onClick={() => onFilterChange({ ...filter, groups: null })}>{t("legend.all")}</button>
+                <button onClick={() => onFilterChange({ ...filter, groups: [] })}>{t("legend.none")}</button>
+                {filtered && (
+                  <button onClick={() => onFilterChange(DEFAULT_BREADBASKET_FILTER)}>{t("legend.reset")}</button>
+                )}
+              </div>
+              <div className="legend-bb-slider">
+                <div className="legend-bb-slider-label">
+                  <span>{t("legend.minProduction")}</span>
+                  <span>{minLabel}</span>
+                </div>
+                <input
+                  type="range"
+                  className="opacity-slider"
+                  min="0"
+                  max="1"
+                  step="0.01"
+                  disabled={sliderMax <= 1}
+                  aria-label={t("legend.minProduction")}
+                  aria-valuetext={minLabel}
+                  value={valueToSlider(filter.minValue, sliderMax)}
+                  onChange={(e) =>
+                    onFilterChange({ ...filter, minValue: sliderToValue(parseFloat(e.target.value), sliderMax) })
+                  }
+                  style={{ "--slider-color": "#e6a532" }}
+                />
+              </div>
+            </>
+          )}
+          {counted && <div className="legend-note">{t("legend.countsNote")}</div>}
+        </>
       )}
     </div>
   );
 }
 
-export default function Legend({ activeLayers, viewMode }) {
+export default function Legend({
+  activeLayers,
+  viewMode,
+  combination,
+  burdenThresholds,
+  sensitivityTarget,
+  map,
+  colors,
+  breadbasketFilter = DEFAULT_BREADBASKET_FILTER,
+  onBreadbasketFilterChange,
+}) {
+  const [open, setOpen] = useState(() => !matchesMedia(COMPACT_QUERY));
   const bbActive = activeLayers.includes("breadbaskets");
   const coocActive = activeLayers.includes("cooccurrence");
+  const comboShown =
+    viewMode === "combination" &&
+    activeLayers.includes("combination") &&
+    isCombinationActive(combination);
+  const bivariateShown = viewMode === "bivariate" && activeLayers.includes(BIVARIATE_LAYER.key);
+  const sensActive = activeLayers.includes("sensitivity");
+  const zonalActive = activeLayers.includes(ZONAL_LAYER.key);
   const activeBurdens = Object.keys(BURDEN_LAYERS).filter((k) =>
     activeLayers.includes(k)
   );
@@ -99,17 +338,44 @@ export default function Legend({ activeLayers, viewMode }) {
   const hasContent =
     (viewMode === "cooccurrence" && coocActive) ||
     (viewMode === "individual" && activeBurdens.length > 0) ||
+    comboShown ||
+    bivariateShown ||
+    sensActive ||
+    zonalActive ||
     bbActive;
 
   if (!hasContent) return null;
 
   return (
-    <div className="legend-panel">
-      {viewMode === "cooccurrence" && coocActive && <CooccurrenceLegend />}
-      {viewMode === "individual" && activeBurdens.length > 0 && (
-        <BurdenSwatchLegend activeBurdens={activeBurdens} />
+    <div className={`legend-panel ${open ? "" : "folded"}`}>
+      <button className="legend-fold" aria-expanded={open} onClick={() => setOpen(!open)}>
+        {t("legend.title")} {open ? "▼" : "▲"}
+      </button>
+      {open && (
+        <>
+          {viewMode === "cooccurrence" && coocActive && (
+            <CooccurrenceLegend
+              mixed={!uniformThreshold(burdenThresholds)}
+              custom={Object.values(burdenThresholds).some(isCustomCutoff)}
+              colors={colors}
+            />
+          )}
+          {viewMode === "individual" && activeBurdens.length > 0 && (
+            <BurdenSwatchLegend activeBurdens={activeBurdens} colors={colors} />
+          )}
+          {comboShown && <CombinationLegend combination={combination} colors={colors} />}
+          {bivariateShown && <BivariateLegend />}
+          {sensActive && <SensitivityLegend target={sensitivityTarget} colors={colors} />}
+          {zonalActive && <ZonalLegend colors={colors} />}
+          <BreadbasketLegend
+            visible={bbActive}
+            map={map}
+            colors={colors}
+            filter={breadbasketFilter}
+            onFilterChange={onBreadbasketFilterChange}
+          />
+        </>
       )}
-      <BreadbasketLegend visible={bbActive} />
     </div>
   );
 }
@@ -2,23 +2,68 @@
  * Map.js — Core flat-map component for the Agrifood Burdens Explorer
  *
  * Architecture:
- *   BASE:        Breadbasket dots (Mapbox vector tileset)
- *   HERO LAYER:  Co-occurrence raster (0–4 burdens per pixel)
- *   INDIVIDUAL:  4 binary burden rasters (env footprint, weather, poverty, malnutrition)
+ *   BASE:        Breadbasket dots (Mapbox vector tileset), filtered by food
+ *                group and minimum production (layers/breadbasketFilter.js)
+ *   HERO LAYER:  Co-occurrence raster (0–N burdens per pixel)
+ *   INDIVIDUAL:  One binary raster per burden dimension in the layer manifest
+ *                (env footprint, weather, poverty, malnutrition by default)
  *   PROJECTION:  Flat Mercator (not globe)
- *   THRESHOLD:   "strict" or "liberal" — switches between tile directories
+ *   THRESHOLD:   "strict" or "liberal" per burden — switches between tile
+ *                directories; mixed thresholds use a derived co-occurrence layer,
+ *                custom cutoffs derived layers classified from index tiles
+ *   TILES:       {z}/{x}/{y}.png directories or PMTiles archives, per the
+ *                runtime tile-source config (layers/tileSources.js)
+ *   PALETTE:     Drawn in the colour set of the `colors` prop
+ *                (burdenConfig.paletteColors); outside the default palette
+ *                the rasters are recoloured on the client
+ *                (layers/recolorSource.js). A new colour set swaps their
+ *                sources and restyles dots and choropleth; derived layer
+ *                specs carry their own colours
+ *   DERIVED:     Client-composited layers (e.g. burden combinations) drawn
+ *                as image sources covering the current viewport
+ *   ZONAL:       Country / admin-1 choropleth of multi-burden area share
+ *   BIVARIATE:   Breadbasket sites re-coloured by production × burden count
+ *                (utils/bivariate.js), recomputed whenever the map settles
+ *   HEALTH:      Tile errors per source are tracked (utils/tileHealth.js)
+ *                and failing sources reloaded with backoff
+ *   KEYBOARD:    The focused canvas pans with the arrow keys and zooms with
+ *                + / − (Mapbox keyboard handler); Enter inspects the centre
+ *   LANGUAGE:    Popup and canvas label text come from utils/i18n.js; the
+ *                label follows the `locale` prop
+ *   CAMERA:      Follows the `camera` prop; story steps fly there
+ *   TOUCH:       Without hover, tapping a breadbasket dot opens its popup
+ *   OFFLINE:     Without a network the Mapbox basemap is replaced by a plain
+ *                background with bundled country outlines
  */
 
 import { useEffect, useRef, useCallback } from "react";
 import mapboxgl from "mapbox-gl";
 import "mapbox-gl/dist/mapbox-gl.css";
 import {
+  BIVARIATE_LAYER,
   BREADBASKET,
+  BURDEN_COUNT,
   BURDEN_LAYERS,
   COOCCURRENCE_LAYER,
   FOOD_GROUP_COLORS,
-  tileUrl,
+  TILE_MAXZOOM,
+  ZONAL_LAYER,
+  tileUrls,
 } from "../layers/burdenConfig";
+import { loadBoundaries } from "../layers/boundaries";
+import { breadbasketFilterExpr } from "../layers/breadbasketFilter";
+import { DEFAULT_PALETTE } from "../layers/palettes";
+import { archiveSource, isPmtilesUrl } from "../layers/pmtilesArchive";
+import { recolorSource } from "../layers/recolorSource";
+import { sameCamera } from "../utils/urlState";
+import { watchTileHealth } from "../utils/tileHealth";
+import { thresholdLabel, uniformThreshold } from "../layers/thresholds";
+import { computeBivariatePoints } from "../utils/bivariate";
+import { compositeViewport } from "../utils/rasterComposite";
+import { productionRank } from "../utils/regionStats";
+import { sampleBurdensAt } from "../utils/tileSampler";
+import { formatNumber, t } from "../utils/i18n";
+import { NO_HOVER_QUERY, REDUCED_MOTION_QUERY, matchesMedia } from "../utils/useMediaQuery";
 
 mapboxgl.accessToken = process.env.REACT_APP_MAPBOX_TOKEN;
 
@@ -35,9 +80,33 @@ const BREADBASKET_SIZE = [
   8, 4.0,
 ];
 
-function buildFoodGroupColorExpr() {
+const BASEMAP_STYLE = "mapbox://styles/mapbox/dark-v11";
+
+// Basemap used when the page starts without a network (offline workshops)
+const OFFLINE_STYLE = {
+  version: 8,
+  sources: {},
+  layers: [{ id: "background", type: "background", paint: { "background-color": "#111827" } }],
+};
+
+function addOfflineOutlines(m) {
+  loadBoundaries("admin0")
+    .then((countries) => {
+      if (!m.getStyle()) return;
+      m.addSource("offline-countries", { type: "geojson", data: countries });
+      m.addLayer({
+        id: "offline-countries",
+        type: "line",
+        source: "offline-countries",
+        paint: { "line-color": "#4a5568", "line-width": 0.6 },
+      });
+    })
+    .catch((e) => console.warn("Offline outlines unavailable:", e));
+}
+
+function buildFoodGroupColorExpr(colors) {
   const expr = ["match", ["get", BREADBASKET.groupKey]];
-  Object.entries(FOOD_GROUP_COLORS).forEach(([key, { color }]) => {
+  Object.entries(colors.foodGroups).forEach(([key, color]) => {
     expr.push(key, color);
   });
   expr.push("#444444");
@@ -45,42 +114,78 @@ function buildFoodGroupColorExpr() {
 }
 
 // ── Add all map sources ──────────────────────────────────────────────────────
-function addAllSources(m) {
-  // Breadbasket vector source
-  m.addSource("breadbaskets", {
-    type: "vector",
-    url: `mapbox://${BREADBASKET.id}`,
-  });
+const customImplementations = new WeakMap(); // map → { sourceId: custom source }
 
-  // Co-occurrence layers (strict + liberal)
-  for (const threshKey of ["strict", "liberal"]) {
-    const dir = COOCCURRENCE_LAYER.tileDir[threshKey];
-    m.addSource(`raster-cooccurrence-${threshKey}`, {
+// Every raster source: co-occurrence and each burden, strict + liberal
+function rasterSourceDefs() {
+  return [COOCCURRENCE_LAYER, ...Object.values(BURDEN_LAYERS)].flatMap((layer) =>
+    ["strict", "liberal"].map((threshold) => ({
+      id: `raster-${layer.key}-${threshold}`,
+      dir: layer.tileDir[threshold],
+      layerKey: layer.key,
+      threshold,
+    }))
+  );
+}
+
+// Raster source for one tile directory: plain raster tiles, a custom source
+// reading a PMTiles archive, or — outside the default palette — a custom
+// source recolouring either (same source ID in every case)
+function addRasterSource(m, { id, dir, layerKey, threshold }, colors) {
+  const urls = tileUrls(dir);
+  const recolor = colors.key !== DEFAULT_PALETTE;
+  const implementations = { ...customImplementations.get(m) };
+  delete implementations[id]; // left from an earlier palette
+  if (recolor || isPmtilesUrl(urls[0])) {
+    implementations[id] = recolor
+      ? recolorSource(id, { tileDir: dir, layerKey, threshold, colors })
+      : archiveSource(id, urls[0], { tileSize: 256, maxzoom: TILE_MAXZOOM });
+    m.addSource(id, implementations[id]);
+  } else {
+    m.addSource(id, {
       type: "raster",
-      tiles: [tileUrl(dir)],
+      tiles: urls,
       tileSize: 256,
       minzoom: 0,
-      maxzoom: 7,
+      maxzoom: TILE_MAXZOOM,
     });
   }
+  customImplementations.set(m, implementations);
+}
 
-  // Individual burden layers (strict + liberal for each)
-  for (const [key, cfg] of Object.entries(BURDEN_LAYERS)) {
-    for (const threshKey of ["strict", "liberal"]) {
-      const dir = cfg.tileDir[threshKey];
-      m.addSource(`raster-${key}-${threshKey}`, {
-        type: "raster",
-        tiles: [tileUrl(dir)],
-        tileSize: 256,
-        minzoom: 0,
-        maxzoom: 7,
-      });
-    }
+function addAllSources(m, colors) {
+  // Breadbasket vector source
+  m.addSource("breadbaskets", {
+    type: "vector",
+    url: `mapbox://${BREADBASKET.id}`,
+  });
+
+  // Co-occurrence and individual burden layers (strict + liberal for each)
+  for (const def of rasterSourceDefs()) addRasterSource(m, def, colors);
+}
+
+// Every tile-backed source, watched for load errors
+function tileSourceIds() {
+  return ["breadbaskets", ...rasterSourceDefs().map((def) => def.id)];
+}
+
+// Drop and re-request every tile of a source (tile-health retries). Mapbox
+// adds clearTiles()/update() to custom source implementations; recoloured
+// ones also forget the sampler's copies (recolorSource.reload).
+function reloadSource(m, id) {
+  const implementation = customImplementations.get(m)?.[id];
+  if (implementation?.reload) {
+    implementation.reload();
+  } else if (implementation) {
+    implementation.clearTiles();
+    implementation.update();
+  } else {
+    m.getSource(id)?.reload();
   }
 }
 
 // ── Add all map layers ───────────────────────────────────────────────────────
-function addAllLayers(m) {
+function addAllLayers(m, colors) {
   // Breadbasket dots
   m.addLayer({
     id: "breadbaskets-layer",
@@ -90,7 +195,7 @@ function addAllLayers(m) {
     layout: { visibility: "visible" },
     paint: {
       "circle-radius": BREADBASKET_SIZE,
-      "circle-color": buildFoodGroupColorExpr(),
+      "circle-color": buildFoodGroupColorExpr(colors),
       "circle-opacity": 0.9,
       "circle-stroke-width": [
         "interpolate", ["linear"], ["zoom"],
@@ -134,54 +239,397 @@ function addAllLayers(m) {
   }
 }
 
+// ── Palette switch ───────────────────────────────────────────────────────────
+// Re-create every raster source for a new colour set (each layer is
+// removed and re-added at the same place in the layer order) and restyle
+// the expression-coloured layers
+function restyleForPalette(m, colors) {
+  for (const def of rasterSourceDefs()) {
+    const layers = m.getStyle().layers;
+    const index = layers.findIndex((l) => l.id === def.id);
+    if (index < 0) continue;
+    const layer = layers[index];
+    m.removeLayer(def.id);
+    m.removeSource(def.id);
+    addRasterSource(m, def, colors);
+    m.addLayer(layer, layers[index + 1]?.id);
+  }
+  m.setPaintProperty("breadbaskets-layer", "circle-color", buildFoodGroupColorExpr(colors));
+  if (m.getLayer("zonal-fill")) m.setPaintProperty("zonal-fill", "fill-color", buildZonalColorExpr(colors));
+}
+
+// ── Derived layers ───────────────────────────────────────────────────────────
+// Each spec (see layers/derivedLayers.js) is composited for the visible area
+// and pushed into an image source `derived-<id>`. `registry` tracks what each
+// layer last rendered so pans that stay inside the same view are free.
+function updateDerivedLayers(m, specs, registry) {
+  const wanted = new Set(specs.map((s) => s.id));
+
+  for (const id of Object.keys(registry)) {
+    if (!wanted.has(id) && m.getLayer(`derived-${id}`)) {
+      m.setLayoutProperty(`derived-${id}`, "visibility", "none");
+      registry[id].renderKey = null;
+    }
+  }
+
+  const b = m.getBounds();
+  const bounds = { west: b.getWest(), south: b.getSouth(), east: b.getEast(), north: b.getNorth() };
+  const zoom = m.getZoom();
+  const viewKey = `${zoom.toFixed(1)}|${Object.values(bounds).map((v) => v.toFixed(2)).join(",")}`;
+
+  for (const spec of specs) {
+    const entry = registry[spec.id] || (registry[spec.id] = { renderKey: null, version: 0 });
+    const layerId = `derived-${spec.id}`;
+
+    if (m.getLayer(layerId)) {
+      m.setPaintProperty(layerId, "raster-opacity", spec.opacity ?? 0.8);
+    }
+
+    const renderKey = `${spec.key}|${viewKey}`;
+    if (entry.renderKey === renderKey) continue;
+    entry.renderKey = renderKey;
+    const version = ++entry.version;
+
+    compositeViewport({ bounds, zoom, inputs: spec.inputs, pixel: spec.pixel })
+      .then(({ canvas, coordinates }) => {
+        if (version !== entry.version || !m.getStyle()) return; // superseded
+        const url = canvas.toDataURL("image/png");
+        const source = m.getSource(layerId);
+        if (source) {
+          source.updateImage({ url, coordinates });
+        } else {
+          m.addSource(layerId, { type: "image", url, coordinates });
+          m.addLayer({
+            id: layerId,
+            type: "raster",
+            source: layerId,
+            layout: { visibility: "none" },
+            paint: {
+              "raster-opacity": spec.opacity ?? 0.8,
+              "raster-fade-duration": 0,
+            },
+          });
+        }
+        if (entry.renderKey === renderKey) {
+          m.setLayoutProperty(layerId, "visibility", "visible");
+        }
+      })
+      .catch((e) => console.warn(`Derived layer "${spec.id}" failed:`, e));
+  }
+}
+
+// ── Bivariate production × burden points ────────────────────────────────────
+// Drawn from a GeoJSON copy of the breadbasket sites in view. The regular
+// breadbasket layer stays on underneath at zero opacity so its tiles keep
+// loading and the hover popup still works.
+function buildBivariateColorExpr() {
+  const expr = ["match", ["get", "bivariate"]];
+  BIVARIATE_LAYER.colors.forEach((row, b) => row.forEach((color, p) => expr.push(`${b}-${p}`, color)));
+  expr.push("#888888");
+  return expr;
+}
+
+function updateBivariateLayer(m, { activeLayers, burdenThresholds, breadbasketFilter, layerOpacity }, registry) {
+  const layerId = BIVARIATE_LAYER.key;
+  const opacity = layerOpacity[layerId] ?? 0.9;
+  if (!activeLayers.includes(layerId)) {
+    if (m.getLayer(layerId)) m.setLayoutProperty(layerId, "visibility", "none");
+    registry.key = null;
+    return;
+  }
+  if (m.getLayer(layerId)) {
+    m.setPaintProperty(layerId, "circle-opacity", opacity);
+    m.setPaintProperty(layerId, "circle-stroke-opacity", opacity * 0.5);
+  }
+
+  const b = m.getBounds();
+  const bounds = { west: b.getWest(), south: b.getSouth(), east: b.getEast(), north: b.getNorth() };
+  const zoom = m.getZoom();
+  const filter = breadbasketFilter ? breadbasketFilterExpr(breadbasketFilter) : null;
+  const key = JSON.stringify([zoom.toFixed(1), bounds, burdenThresholds, filter]);
+  if (registry.key === key || !m.isSourceLoaded("breadbaskets")) return; // unloaded: retried on idle
+  registry.key = key;
+  const version = (registry.version = (registry.version || 0) + 1);
+
+  const features =
+    filter === false
+      ? []
+      : m.querySourceFeatures("breadbaskets", { sourceLayer: BREADBASKET.layer, ...(filter && { filter }) });
+  computeBivariatePoints({ features, bounds, zoom, burdenThresholds })
+    .then(({ collection }) => {
+      if (version !== registry.version || !m.getStyle()) return; // superseded
+      const source = m.getSource(layerId);
+      if (source) {
+        source.setData(collection);
+      } else {
+        m.addSource(layerId, { type: "geojson", data: collection });
+        m.addLayer({
+          id: layerId,
+          type: "circle",
+          source: layerId,
+          paint: {
+            "circle-radius": BREADBASKET_SIZE,
+            "circle-color": buildBivariateColorExpr(),
+            "circle-opacity": opacity,
+            "circle-stroke-width": 0.4,
+            "circle-stroke-color": "#ffffff",
+            "circle-stroke-opacity": opacity * 0.5,
+          },
+        });
+      }
+      if (registry.key === key) m.setLayoutProperty(layerId, "visibility", "visible");
+    })
+    .catch((e) => {
+      if (version === registry.version) registry.key = null; // read again on the next idle
+      console.warn("Bivariate layer failed:", e);
+    });
+}
+
+// ── Zonal choropleth ─────────────────────────────────────────────────────────
+// Units are shaded in steps matching the stats table swatches; the focused
+// unit gets a highlighted outline.
+function buildZonalColorExpr(colors) {
+  const [first, ...rest] = ZONAL_LAYER.stops.map((stop, i) => ({ value: stop.value, color: colors.zonal[i] }));
+  const expr = ["step", ["get", "multiShare"], first.color];
+  rest.forEach(({ value, color }) => expr.push(value, color));
+  return expr;
+}
+
+const choroplethData = new WeakMap(); // map → FeatureCollection last pushed
+
+function syncChoropleth(m, { data, visible, opacity, focusedIndex, colors }) {
+  if (!data) {
+    if (m.getLayer("zonal-fill")) {
+      for (const id of ["zonal-fill", "zonal-line", "zonal-focus"]) {
+        m.setLayoutProperty(id, "visibility", "none");
+      }
+    }
+    return;
+  }
+
+  const source = m.getSource("zonal");
+  if (source) {
+    if (choroplethData.get(m) !== data) source.setData(data);
+  } else {
+    m.addSource("zonal", { type: "geojson", data });
+    m.addLayer({
+      id: "zonal-fill",
+      type: "fill",
+      source: "zonal",
+      paint: { "fill-color": buildZonalColorExpr(colors), "fill-opacity": opacity },
+    });
+    m.addLayer({
+      id: "zonal-line",
+      type: "line",
+      source: "zonal",
+      paint: { "line-color": "rgba(255,255,255,0.35)", "line-width": 0.5 },
+    });
+    m.addLayer({
+      id: "zonal-focus",
+      type: "line",
+      source: "zonal",
+      paint: { "line-color": "#ffffff", "line-width": 2 },
+    });
+  }
+  choroplethData.set(m, data);
+
+  const visibility = visible ? "visible" : "none";
+  for (const id of ["zonal-fill", "zonal-line", "zonal-focus"]) {
+    m.setLayoutProperty(id, "visibility", visibility);
+  }
+  m.setPaintProperty("zonal-fill", "fill-opacity", opacity);
+  m.setFilter("zonal-focus", ["==", ["get", "index"], focusedIndex ?? -1]);
+}
+
 // ── Hover popup setup ────────────────────────────────────────────────────────
-function setupHoverEvents(m, popupRef, stateRef) {
+// Breadbasket popup: food group, production with its rank among the sites
+// in view, and the burdens sampled from the rasters at the site for the
+// map's thresholds (`burdens` is undefined while reading, null on failure),
+// in the colour set `colors`.
+function breadbasketPopupHtml(props, rank, burdens, burdenThresholds, colors) {
+  const group = props[BREADBASKET.groupKey];
+  const fg = FOOD_GROUP_COLORS[group]
+    ? { label: FOOD_GROUP_COLORS[group].label, color: colors.foodGroups[group] }
+    : { label: group, color: "#888" };
+  const value = formatNumber(Math.round(Number(props[BREADBASKET.valueKey]) || 0));
+  const row = (key, val) =>
+    `<div class="popup-row"><span class="popup-key">${key}</span><span class="popup-value">${val}</span></div>`;
+
+  let burdenHtml;
+  if (burdens === undefined) {
+    burdenHtml = `<div class="popup-note">${t("popup.reading")}</div>`;
+  } else if (burdens === null) {
+    burdenHtml = `<div class="popup-note">${t("popup.unavailable")}</div>`;
+  } else {
+    const countColor = colors.cooccurrence[burdens.cooccurrence];
+    const hotspots = Object.values(BURDEN_LAYERS).filter((cfg) => burdens.hotspots[cfg.key]);
+    burdenHtml =
+      row(
+        t("popup.burdensHere"),
+        `<span class="popup-swatch" style="background:${countColor || "#444"}"></span> ` +
+          t("popup.ofTotal", { n: burdens.cooccurrence, total: BURDEN_COUNT })
+      ) +
+      (hotspots.length
+        ? hotspots
+            .map(
+              (cfg) =>
+                `<div class="popup-burden" style="--burden-color:${colors.burdens[cfg.key].color}">${cfg.icon} ${cfg.label}</div>`
+            )
+            .join("")
+        : `<div class="popup-note">${t("popup.noHotspots")}</div>`);
+  }
+
+  return `<div class="popup-title">
+      <span class="popup-swatch" style="background:${fg.color}"></span>
+      ${fg.label}
+    </div>
+    ${row(t("popup.production"), BREADBASKET.valueUnit ? `${value} ${BREADBASKET.valueUnit}` : value)}
+    ${rank ? row(t("popup.rank"), t("popup.rankValue", { rank: formatNumber(rank.rank), total: formatNumber(rank.total) })) : ""}
+    <div class="popup-divider">${t("popup.thresholds", { label: thresholdLabel(burdenThresholds) })}</div>
+    ${burdenHtml}`;
+}
+
+// Finger-sized hit box around a tap, in pixels
+const TAP_TOLERANCE = 10;
+
+/**
+ * Popup on hovering a breadbasket dot. Returns the tap equivalent for
+ * screens without hover: `tap(point)` opens the popup of the dot under a
+ * tap (true) or closes it (false).
+ */
+export function setupHoverEvents(m, popupRef, stateRef) {
+  let hover = 0; // latest hover, so slow tile reads don't overwrite a newer popup
+
+  const dotsShown = () => {
+    const { activeLayers } = stateRef.current;
+    return activeLayers.includes("breadbaskets") || activeLayers.includes(BIVARIATE_LAYER.key);
+  };
+
+  const open = (feature) => {
+    const props = feature.properties;
+    const [lng, lat] = feature.geometry.coordinates;
+    const { burdenThresholds, colors } = stateRef.current;
+    const rank = productionRank(
+      Number(props[BREADBASKET.valueKey]) || 0,
+      m.queryRenderedFeatures({ layers: ["breadbaskets-layer"] })
+    );
+    const show = (burdens) =>
+      popupRef.current
+        .setLngLat([lng, lat])
+        .setHTML(breadbasketPopupHtml(props, rank, burdens, burdenThresholds, colors));
+
+    const id = ++hover;
+    show(undefined).addTo(m);
+    sampleBurdensAt(lng, lat, burdenThresholds)
+      .catch((e) => {
+        console.warn("Popup burden read failed:", e);
+        return null;
+      })
+      .then((burdens) => {
+        if (id === hover) show(burdens);
+      });
+  };
+
+  const close = () => {
+    hover++;
+    popupRef.current.remove();
+  };
+
   m.on("mouseenter", "breadbaskets-layer", (e) => {
-    if (!stateRef.current.activeLayers.includes("breadbaskets")) return;
+    if (!dotsShown()) return;
     m.getCanvas().style.cursor = "crosshair";
-    if (!e.features?.length) return;
-    const props = e.features[0].properties;
-    const fg = FOOD_GROUP_COLORS[props[BREADBASKET.groupKey]] || {
-      label: props[BREADBASKET.groupKey],
-      color: "#888",
-    };
-    popupRef.current
-      .setLngLat(e.lngLat)
-      .setHTML(
-        `<div class="popup-title">
-          <span class="popup-swatch" style="background:${fg.color}"></span>
-          ${fg.label}
-        </div>
-        <div class="popup-row">
-          <span class="popup-key">Production</span>
-          <span class="popup-value">${Number(props[BREADBASKET.valueKey] || 0).toLocaleString()}</span>
-        </div>`
-      )
-      .addTo(m);
+    if (e.features?.length) open(e.features[0]);
   });
 
   m.on("mouseleave", "breadbaskets-layer", () => {
     m.getCanvas().style.cursor = "";
-    popupRef.current.remove();
+    close();
   });
+
+  return (point) => {
+    const box = [
+      [point.x - TAP_TOLERANCE, point.y - TAP_TOLERANCE],
+      [point.x + TAP_TOLERANCE, point.y + TAP_TOLERANCE],
+    ];
+    const [feature] = dotsShown() ? m.queryRenderedFeatures(box, { layers: ["breadbaskets-layer"] }) : [];
+    if (feature) open(feature);
+    else close();
+    return Boolean(feature);
+  };
+}
+
+/**
+ * Click anywhere → pixel query (handled by the inspector card); without
+ * hover, a tap on a breadbasket dot opens its popup instead.
+ */
+export function mapClickHandler(tapPopupRef, onMapClickRef) {
+  return (e) => {
+    if (matchesMedia(NO_HOVER_QUERY) && tapPopupRef.current?.(e.point)) return;
+    if (onMapClickRef.current) onMapClickRef.current(e.lngLat);
+  };
 }
 
 // =============================================================================
 export default function Map({
+  id = "map",
   activeLayers,
   layerOpacity,
-  selectedThreshold,
+  burdenThresholds,
+  breadbasketFilter,
+  camera,
+  onCameraChange,
+  onViewportChange,
+  inspectedPoint,
+  onMapClick,
+  derivedLayers = [],
+  choropleth = null,
+  focusedUnit = null,
   onMapReady,
+  onTileHealthChange,
+  colors,
+  locale,
 }) {
   const mapContainer = useRef(null);
   const mapRef = useRef(null);
   const popupRef = useRef(null);
   const readyRef = useRef(false);
-  const stateRef = useRef({ activeLayers, selectedThreshold });
+  const stateRef = useRef({ activeLayers, burdenThresholds, breadbasketFilter, layerOpacity, colors });
+  const onCameraChangeRef = useRef(onCameraChange);
+  const onViewportChangeRef = useRef(onViewportChange);
+  const onMapClickRef = useRef(onMapClick);
+  const onTileHealthChangeRef = useRef(onTileHealthChange);
+  const markerRef = useRef(null);
+  const derivedSpecsRef = useRef(derivedLayers);
+  const derivedRegistryRef = useRef({});
+  const choroplethStateRef = useRef(null);
+  const bivariateRegistryRef = useRef({});
+  const colorsRef = useRef(null); // colour set the map is drawn in
+  const flightRef = useRef(null); // camera a story step is flying to
+  const tapPopupRef = useRef(null); // breadbasket popup on tap (no hover)
+
+  useEffect(() => {
+    stateRef.current = { activeLayers, burdenThresholds, breadbasketFilter, layerOpacity, colors };
+  }, [activeLayers, burdenThresholds, breadbasketFilter, layerOpacity, colors]);
+
+  useEffect(() => {
+    onCameraChangeRef.current = onCameraChange;
+  }, [onCameraChange]);
+
+  useEffect(() => {
+    onViewportChangeRef.current = onViewportChange;
+  }, [onViewportChange]);
+
+  useEffect(() => {
+    onMapClickRef.current = onMapClick;
+  }, [onMapClick]);
+
+  useEffect(() => {
+    onTileHealthChangeRef.current = onTileHealthChange;
+  }, [onTileHealthChange]);
 
   useEffect(() => {
-    stateRef.current = { activeLayers, selectedThreshold };
-  }, [activeLayers, selectedThreshold]);
+    derivedSpecsRef.current = derivedLayers;
+  }, [derivedLayers]);
 
   // Init map
   useEffect(() => {
@@ -193,19 +641,42 @@ export default function Map({
       maxWidth: "320px",
     });
 
+    const offline = !navigator.onLine;
     const m = new mapboxgl.Map({
       container: mapContainer.current,
-      style: "mapbox://styles/mapbox/dark-v11",
-      center: [20, 15],
-      zoom: 2,
+      style: offline ? OFFLINE_STYLE : BASEMAP_STYLE,
+      center: camera.center,
+      zoom: camera.zoom,
       minZoom: 1,
       maxZoom: 9,
       projection: "mercator",   // ← flat map
       antialias: true,
+      keyboard: true,
     });
 
     mapRef.current = m;
 
+    // Keyboard access: the canvas takes focus and Enter acts as a click at
+    // the centre (the inspector's readout)
+    const canvas = m.getCanvas();
+    canvas.tabIndex = 0;
+    canvas.setAttribute("aria-label", t("a11y.map"));
+    const handleKeyDown = (e) => {
+      if (e.key === "Enter" && onMapClickRef.current) onMapClickRef.current(m.getCenter());
+    };
+    canvas.addEventListener("keydown", handleKeyDown);
+    let tileHealth = null;
+
+    // Visible bounds + zoom for viewport statistics
+    const reportViewport = () => {
+      if (!onViewportChangeRef.current) return;
+      const b = m.getBounds();
+      onViewportChangeRef.current({
+        bounds: { west: b.getWest(), south: b.getSouth(), east: b.getEast(), north: b.getNorth() },
+        zoom: m.getZoom(),
+      });
+    };
+
     m.on("load", () => {
       // Subtle basemap adjustments for data contrast
       try {
@@ -234,18 +705,54 @@ export default function Map({
         console.warn("Basemap tweak error:", e);
       }
 
-      addAllSources(m);
-      addAllLayers(m);
-      setupHoverEvents(m, popupRef, stateRef);
+      colorsRef.current = stateRef.current.colors;
+      addAllSources(m, colorsRef.current);
+      addAllLayers(m, colorsRef.current);
+      tileHealth = watchTileHealth(m, tileSourceIds(), {
+        reload: (id) => reloadSource(m, id),
+        onChange: (sources) => onTileHealthChangeRef.current?.({ sources, retryNow: tileHealth.retryNow }),
+      });
+      if (offline) addOfflineOutlines(m);
+      tapPopupRef.current = setupHoverEvents(m, popupRef, stateRef);
       readyRef.current = true;
+      updateDerivedLayers(m, derivedSpecsRef.current, derivedRegistryRef.current);
+      if (choroplethStateRef.current) syncChoropleth(m, choroplethStateRef.current);
+      reportViewport();
       if (onMapReady) onMapReady(m);
     });
 
+    // Bivariate sites need the breadbasket tiles for the new view loaded
+    m.on("idle", () => {
+      if (readyRef.current) updateBivariateLayer(m, stateRef.current, bivariateRegistryRef.current);
+    });
+
+    // Report camera after every pan/zoom (drives the permalink hash)
+    m.on("moveend", () => {
+      if (readyRef.current) {
+        updateDerivedLayers(m, derivedSpecsRef.current, derivedRegistryRef.current);
+        reportViewport();
+      }
+      if (!onCameraChangeRef.current) return;
+      const c = m.getCenter();
+      const cam = { center: [c.lng, c.lat], zoom: m.getZoom() };
+      // A flight cut short (by the next step or a drag) stops on the way
+      const flight = flightRef.current;
+      flightRef.current = null;
+      if (flight && !sameCamera(cam, flight)) return;
+      onCameraChangeRef.current(cam);
+    });
+
+    m.on("click", mapClickHandler(tapPopupRef, onMapClickRef));
+
     m.addControl(new mapboxgl.NavigationControl({ showCompass: false }), "bottom-right");
     m.addControl(new mapboxgl.ScaleControl({ unit: "metric" }), "bottom-left");
 
     return () => {
       readyRef.current = false;
+      canvas.removeEventListener("keydown", handleKeyDown);
+      tileHealth?.stop();
+      markerRef.current?.remove();
+      markerRef.current = null;
       m.remove();
       mapRef.current = null;
     };
@@ -256,24 +763,28 @@ export default function Map({
     const m = mapRef.current;
     if (!m || !readyRef.current) return;
 
-    const thresh = selectedThreshold || "strict";
+    const sharedThresh = uniformThreshold(burdenThresholds);
     const bbActive = activeLayers.includes("breadbaskets");
+    const bivariateActive = activeLayers.includes(BIVARIATE_LAYER.key);
 
-    // Breadbasket
+    // Breadbasket (kept on, invisible, under the bivariate sites)
     if (m.getLayer("breadbaskets-layer")) {
-      m.setLayoutProperty("breadbaskets-layer", "visibility", bbActive ? "visible" : "none");
-      if (bbActive) {
-        m.setPaintProperty("breadbaskets-layer", "circle-opacity", layerOpacity.breadbaskets ?? 0.9);
-        m.setPaintProperty("breadbaskets-layer", "circle-stroke-opacity", (layerOpacity.breadbaskets ?? 0.9) * 0.5);
+      m.setLayoutProperty("breadbaskets-layer", "visibility", bbActive || bivariateActive ? "visible" : "none");
+      if (bbActive || bivariateActive) {
+        const opacity = bivariateActive ? 0 : layerOpacity.breadbaskets ?? 0.9;
+        m.setPaintProperty("breadbaskets-layer", "circle-opacity", opacity);
+        m.setPaintProperty("breadbaskets-layer", "circle-stroke-opacity", opacity * 0.5);
       }
+      m.setFilter("breadbaskets-layer", breadbasketFilter ? breadbasketFilterExpr(breadbasketFilter) : null);
     }
 
-    // Co-occurrence — show only the active threshold
+    // Co-occurrence — show only the active threshold (mixed thresholds are
+    // drawn by the derived co-occurrence layer instead)
     const coocActive = activeLayers.includes("cooccurrence");
     for (const t of ["strict", "liberal"]) {
       const lid = `raster-cooccurrence-${t}`;
       if (!m.getLayer(lid)) continue;
-      const show = coocActive && t === thresh;
+      const show = coocActive && t === sharedThresh;
       m.setLayoutProperty(lid, "visibility", show ? "visible" : "none");
       if (show) {
         m.setPaintProperty(lid, "raster-opacity", layerOpacity.cooccurrence ?? 0.75);
@@ -286,18 +797,102 @@ export default function Map({
       for (const t of ["strict", "liberal"]) {
         const lid = `raster-${key}-${t}`;
         if (!m.getLayer(lid)) continue;
-        const show = isActive && t === thresh;
+        const show = isActive && t === burdenThresholds[key];
         m.setLayoutProperty(lid, "visibility", show ? "visible" : "none");
         if (show) {
           m.setPaintProperty(lid, "raster-opacity", layerOpacity[key] ?? 0.7);
         }
       }
     }
-  }, [activeLayers, layerOpacity, selectedThreshold]);
+  }, [activeLayers, layerOpacity, burdenThresholds, breadbasketFilter]);
 
   useEffect(() => {
     syncLayers();
   }, [syncLayers]);
 
-  return <div ref={mapContainer} id="map" />;
+  // Bivariate sites follow layer, threshold and breadbasket-filter changes
+  useEffect(() => {
+    const m = mapRef.current;
+    if (!m || !readyRef.current) return;
+    updateBivariateLayer(
+      m,
+      { activeLayers, burdenThresholds, breadbasketFilter, layerOpacity },
+      bivariateRegistryRef.current
+    );
+  }, [activeLayers, burdenThresholds, breadbasketFilter, layerOpacity]);
+
+  // Re-composite derived layers when their specs change
+  useEffect(() => {
+    const m = mapRef.current;
+    if (!m || !readyRef.current) return;
+    updateDerivedLayers(m, derivedLayers, derivedRegistryRef.current);
+  }, [derivedLayers]);
+
+  // Palette switch (derived layers follow their specs above)
+  useEffect(() => {
+    const m = mapRef.current;
+    if (!m || !readyRef.current || colors === colorsRef.current) return;
+    colorsRef.current = colors;
+    restyleForPalette(m, colors);
+  }, [colors]);
+
+  // Canvas label in the interface language
+  useEffect(() => {
+    mapRef.current?.getCanvas().setAttribute("aria-label", t("a11y.map"));
+  }, [locale]);
+
+  // Zonal choropleth data, visibility and focused unit
+  useEffect(() => {
+    const state = {
+      data: choropleth,
+      visible: activeLayers.includes(ZONAL_LAYER.key),
+      opacity: layerOpacity[ZONAL_LAYER.key] ?? 0.6,
+      focusedIndex: focusedUnit?.index,
+      colors,
+    };
+    choroplethStateRef.current = state;
+    const m = mapRef.current;
+    if (m && readyRef.current) syncChoropleth(m, state);
+  }, [choropleth, activeLayers, layerOpacity, focusedUnit, colors]);
+
+  // Fly to a unit picked in the stats table
+  useEffect(() => {
+    const m = mapRef.current;
+    if (!m || !focusedUnit) return;
+    const [w, s, e, n] = focusedUnit.bbox;
+    m.fitBounds([[w, s], [e, n]], { padding: 60, maxZoom: 7, duration: 1200 });
+  }, [focusedUnit]);
+
+  // Follow external camera changes (permalink load, back/forward); story
+  // steps (`animate`) fly there, unless the user prefers reduced motion.
+  // A compare map without onCameraChange follows the primary map instead.
+  useEffect(() => {
+    const m = mapRef.current;
+    if (!m || !camera || !onCameraChangeRef.current) return;
+    const c = m.getCenter();
+    if (sameCamera({ center: [c.lng, c.lat], zoom: m.getZoom() }, camera)) return;
+    if (camera.animate && !matchesMedia(REDUCED_MOTION_QUERY)) {
+      flightRef.current = camera;
+      m.flyTo({ center: camera.center, zoom: camera.zoom, duration: 2500 });
+    } else {
+      m.jumpTo({ center: camera.center, zoom: camera.zoom });
+    }
+  }, [camera]);
+
+  // Pin marker at the inspected location
+  useEffect(() => {
+    const m = mapRef.current;
+    if (!m) return;
+    if (!inspectedPoint) {
+      markerRef.current?.remove();
+      markerRef.current = null;
+      return;
+    }
+    if (!markerRef.current) {
+      markerRef.current = new mapboxgl.Marker({ color: "#fc8d59", scale: 0.6 });
+    }
+    markerRef.current.setLngLat([inspectedPoint.lng, inspectedPoint.lat]).addTo(m);
+  }, [inspectedPoint]);
+
+  return <div ref={mapContainer} id={id} className="map-canvas" />;
 }
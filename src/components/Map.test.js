@@ -0,0 +1,84 @@
+import { mapClickHandler, setupHoverEvents } from "./Map";
+import { BREADBASKET, paletteColors } from "../layers/burdenConfig";
+import { uniformThresholds } from "../layers/thresholds";
+import { NO_HOVER_QUERY } from "../utils/useMediaQuery";
+
+jest.mock("mapbox-gl", () => ({ __esModule: true, default: {} }));
+jest.mock("../utils/tileSampler", () => ({ sampleBurdensAt: () => new Promise(() => {}) })); // popup stays "reading"
+
+const DOT = {
+  type: "Feature",
+  geometry: { type: "Point", coordinates: [36.8, -1.3] },
+  properties: { [BREADBASKET.groupKey]: "grains", [BREADBASKET.valueKey]: 40 },
+};
+
+// Map stand-in with one breadbasket dot drawn at pixel (100, 100)
+function fakeMap() {
+  return {
+    on: jest.fn(),
+    getCanvas: () => ({ style: {} }),
+    queryRenderedFeatures: jest.fn((box) => {
+      if (!Array.isArray(box)) return [DOT];
+      const [[x0, y0], [x1, y1]] = box;
+      return x0 <= 100 && 100 <= x1 && y0 <= 100 && 100 <= y1 ? [DOT] : [];
+    }),
+  };
+}
+
+function fakePopup() {
+  const popup = {
+    setLngLat: jest.fn(() => popup),
+    setHTML: jest.fn(() => popup),
+    addTo: jest.fn(() => popup),
+    remove: jest.fn(() => popup),
+  };
+  return popup;
+}
+
+function setup({ hover = false, activeLayers = ["breadbaskets"] } = {}) {
+  window.matchMedia = jest.fn((query) => ({ matches: query === NO_HOVER_QUERY && !hover }));
+  const popup = fakePopup();
+  const stateRef = {
+    current: { activeLayers, burdenThresholds: uniformThresholds("strict"), colors: paletteColors() },
+  };
+  const tap = setupHoverEvents(fakeMap(), { current: popup }, stateRef);
+  const onMapClick = jest.fn();
+  const click = mapClickHandler({ current: tap }, { current: onMapClick });
+  return { popup, onMapClick, click };
+}
+
+const LNG_LAT = { lng: 36.8, lat: -1.3 };
+
+afterEach(() => {
+  delete window.matchMedia;
+});
+
+test("without hover, a tap on a dot opens its popup and does not inspect the pixel", () => {
+  const { popup, onMapClick, click } = setup();
+  click({ point: { x: 104, y: 95 }, lngLat: LNG_LAT });
+  expect(popup.setLngLat).toHaveBeenCalledWith([36.8, -1.3]);
+  expect(popup.addTo).toHaveBeenCalled();
+  expect(onMapClick).not.toHaveBeenCalled();
+});
+
+test("without hover, a tap elsewhere closes the popup and still inspects the pixel", () => {
+  const { popup, onMapClick, click } = setup();
+  click({ point: { x: 300, y: 300 }, lngLat: LNG_LAT });
+  expect(popup.addTo).not.toHaveBeenCalled();
+  expect(popup.remove).toHaveBeenCalled();
+  expect(onMapClick).toHaveBeenCalledWith(LNG_LAT);
+});
+
+test("hidden dots cannot be tapped", () => {
+  const { popup, onMapClick, click } = setup({ activeLayers: [] });
+  click({ point: { x: 100, y: 100 }, lngLat: LNG_LAT });
+  expect(popup.addTo).not.toHaveBeenCalled();
+  expect(onMapClick).toHaveBeenCalledWith(LNG_LAT);
+});
+
+test("with hover, a click on a dot inspects the pixel (the popup follows the pointer)", () => {
+  const { popup, onMapClick, click } = setup({ hover: true });
+  click({ point: { x: 100, y: 100 }, lngLat: LNG_LAT });
+  expect(popup.addTo).not.toHaveBeenCalled();
+  expect(onMapClick).toHaveBeenCalledWith(LNG_LAT);
+});
@@ -0,0 +1,50 @@
+/**
+ * MapAnnouncer.js — Screen-reader live regions for the map
+ *
+ * Two visually hidden, polite live regions (utils/announcements.js):
+ *   - the layers shown, whenever layers or thresholds change
+ *   - the burdens at the map centre, once the camera has settled
+ * The centre is read from the tiles like the pixel inspector; a failed read
+ * is announced as such rather than leaving the previous place's readout.
+ */
+
+import { useEffect, useState } from "react";
+import { describeLayers, describeReadout } from "../utils/announcements";
+import { sampleBurdensAt } from "../utils/tileSampler";
+
+// Wait for panning / zooming to pause before reading the centre
+const READOUT_DELAY_MS = 800;
+
+export default function MapAnnouncer({ activeLayers, burdenThresholds, camera, locale }) {
+  const [readout, setReadout] = useState("");
+  const [lng, lat] = camera.center;
+
+  useEffect(() => {
+    let cancelled = false;
+    const id = setTimeout(() => {
+      sampleBurdensAt(lng, lat, burdenThresholds)
+        .then((burdens) => {
+          if (!cancelled) setReadout(describeReadout([lng, lat], burdens));
+        })
+        .catch((e) => {
+          console.warn("Centre burden read failed:", e);
+          if (!cancelled) setReadout(describeReadout([lng, lat], null));
+        });
+    }, READOUT_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(id);
+    };
+  }, [lng, lat, burdenThresholds, locale]);
+
+  return (
+    <>
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+        {describeLayers(activeLayers, burdenThresholds)}
+      </div>
+      <div className="sr-only" aria-live="polite" aria-atomic="true">
+        {readout}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,263 @@
+/**
+ * OfflinePanel.js — Save map regions for use without a network
+ *
+ * Downloads every burden tile (all layers, both thresholds) covering the
+ * current view over a chosen zoom range (see utils/offlineCache.js) and
+ * lists the stored regions with their size, a "go to" and a delete action.
+ *
+ * Offline start-up also needs the app shell cached by the service worker,
+ * which is only registered in production builds (`npm run build`).
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { TILE_MAXZOOM } from "../layers/burdenConfig";
+import {
+  MAX_OFFLINE_REQUESTS,
+  clearRegions,
+  deleteRegion,
+  downloadRegion,
+  listRegions,
+  offlineRequests,
+  offlineSupported,
+  regionTiles,
+  storageEstimate,
+} from "../utils/offlineCache";
+import { serviceWorkerActive } from "../serviceWorkerRegistration";
+import { formatNumber, getLocale, t, tn } from "../utils/i18n";
+
+const ZOOMS = Array.from({ length: TILE_MAXZOOM + 1 }, (_, z) => z);
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return formatNumber(Math.max(1, Math.round(bytes / 1024)), { style: "unit", unit: "kilobyte" });
+  }
+  return formatNumber(bytes / (1024 * 1024), { style: "unit", unit: "megabyte", maximumFractionDigits: 1 });
+}
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString(getLocale()) : "";
+}
+
+function regionLabel(region) {
+  return region.incomplete ? t("offline.incomplete") : region.name;
+}
+
+// Failures of our own in the reader's language; others are the browser's
+function downloadError(e) {
+  return e.code === "tooLarge" ? t("offline.regionTooLarge", { n: formatNumber(e.tiles) }) : e.message;
+}
+
+function viewOf(map) {
+  const b = map.getBounds();
+  const zoom = Math.min(TILE_MAXZOOM, Math.max(0, Math.floor(map.getZoom())));
+  return {
+    bounds: { west: b.getWest(), south: b.getSouth(), east: b.getEast(), north: b.getNorth() },
+    zoom,
+  };
+}
+
+export default function OfflinePanel({ map, onClose }) {
+  const [online, setOnline] = useState(navigator.onLine);
+  const [view, setView] = useState(null);
+  const [name, setName] = useState("");
+  const [minZoom, setMinZoom] = useState(null);
+  const [maxZoom, setMaxZoom] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [regions, setRegions] = useState([]);
+  const [storage, setStorage] = useState(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  // Track the view being offered for download
+  useEffect(() => {
+    if (!map) return;
+    const update = () => setView(viewOf(map));
+    update();
+    map.on("moveend", update);
+    return () => map.off("moveend", update);
+  }, [map]);
+
+  // Default zoom range: the current zoom and two levels of detail below it
+  const lo = minZoom ?? view?.zoom ?? 0;
+  const hi = Math.max(lo, maxZoom ?? Math.min(TILE_MAXZOOM, (view?.zoom ?? 0) + 2));
+  const requests = view ? offlineRequests(regionTiles(view.bounds, lo, hi)) : null;
+  const tooLarge = requests && requests.urls.length > MAX_OFFLINE_REQUESTS;
+
+  const refresh = useCallback(async () => {
+    setRegions(await listRegions());
+    setStorage(await storageEstimate());
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Stop a running download when the panel closes
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleDownload = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setProgress({ done: 0, total: requests.urls.length, bytes: 0 });
+    try {
+      await downloadRegion(
+        { name: name.trim() || t("offline.defaultName", { n: regions.length + 1 }), bounds: view.bounds, minZoom: lo, maxZoom: hi },
+        { onProgress: setProgress, signal: controller.signal }
+      );
+      setName("");
+    } catch (e) {
+      if (e.name !== "AbortError") setError(e);
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+      refresh();
+    }
+  };
+
+  const handleDelete = async (cacheName) => {
+    await deleteRegion(cacheName);
+    refresh();
+  };
+
+  const handleClear = async () => {
+    await clearRegions();
+    refresh();
+  };
+
+  const handleGoTo = (r) => {
+    const { west, south, east, north } = r.bounds;
+    map?.fitBounds([[west, south], [east, north]], { duration: 800 });
+  };
+
+  if (!offlineSupported) {
+    return (
+      <div className="inspector-card offline-panel">
+        <div className="inspector-header">
+          <div className="inspector-title">{t("offline.title")}</div>
+          <button className="inspector-close" onClick={onClose} aria-label={t("offline.close")}>
+            ✕
+          </button>
+        </div>
+        <div className="inspector-loading">{t("offline.unsupported")}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="inspector-card offline-panel">
+      <div className="inspector-header">
+        <div className="inspector-title">{t("offline.title")}</div>
+        <span className={`offline-status ${online ? "online" : "offline"}`}>
+          {t(online ? "offline.online" : "offline.offline")}
+        </span>
+        <button className="inspector-close" onClick={onClose} aria-label={t("offline.close")}>
+          ✕
+        </button>
+      </div>
+      {!serviceWorkerActive() && (
+        <div className="inspector-note">{t("offline.devNote")}</div>
+      )}
+
+      <div className="region-block-title">{t("offline.saveView")}</div>
+      <input
+        className="zonal-filter"
+        type="text"
+        placeholder={t("offline.namePlaceholder")}
+        value={name}
+        disabled={Boolean(progress)}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <div className="offline-zooms">
+        <span>{t("offline.zoom")}</span>
+        <select value={lo} disabled={Boolean(progress)} onChange={(e) => setMinZoom(Number(e.target.value))}>
+          {ZOOMS.map((z) => (
+            <option key={z} value={z}>{z}</option>
+          ))}
+        </select>
+        <span>{t("offline.to")}</span>
+        <select value={hi} disabled={Boolean(progress)} onChange={(e) => setMaxZoom(Number(e.target.value))}>
+          {ZOOMS.filter((z) => z >= lo).map((z) => (
+            <option key={z} value={z}>{z}</option>
+          ))}
+        </select>
+      </div>
+      {requests && (
+        <div className={`inspector-note ${tooLarge ? "offline-warning" : ""}`}>
+          {tn("offline.tiles", requests.urls.length)}
+          {tooLarge && ` — ${t("offline.tooLarge", { max: formatNumber(MAX_OFFLINE_REQUESTS) })}`}
+          {requests.skipped.length > 0 && ` · ${tn("offline.skipped", requests.skipped.length)}`}
+        </div>
+      )}
+      {progress ? (
+        <>
+          <div className="zonal-progress">
+            <div className="zonal-progress-bar" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+          </div>
+          <div className="offline-progress">
+            <span>
+              {formatNumber(progress.done)} / {formatNumber(progress.total)} · {formatBytes(progress.bytes)}
+            </span>
+            <button className="combo-state" onClick={() => abortRef.current?.abort()}>
+              {t("offline.cancel")}
+            </button>
+          </div>
+        </>
+      ) : (
+        <button className="export-btn" disabled={!view || tooLarge || !online} onClick={handleDownload}>
+          {t("offline.download")}
+        </button>
+      )}
+      {error && <div className="region-error">{downloadError(error)}</div>}
+
+      <div className="region-block-title">{t("offline.stored")}</div>
+      {regions.length === 0 && <div className="inspector-loading">{t("offline.none")}</div>}
+      {regions.map((r) => (
+        <div key={r.cacheName} className="offline-region">
+          <div className="offline-region-info">
+            <div className="offline-region-name">{regionLabel(r)}</div>
+            {!r.incomplete && (
+              <div className="offline-region-meta">
+                z{r.minZoom}–{r.maxZoom} · {tn("offline.tiles", r.tiles)} · {formatBytes(r.bytes)} ·{" "}
+                {formatDate(r.created)}
+                {r.failed > 0 && ` · ${t("offline.failed", { n: formatNumber(r.failed) })}`}
+              </div>
+            )}
+          </div>
+          {!r.incomplete && (
+            <button className="combo-state" onClick={() => handleGoTo(r)}>
+              {t("offline.goTo")}
+            </button>
+          )}
+          <button className="combo-state" onClick={() => handleDelete(r.cacheName)} aria-label={t("offline.delete", { name: regionLabel(r) })}>
+            ✕
+          </button>
+        </div>
+      ))}
+      {regions.length > 0 && (
+        <div className="region-tools region-export">
+          <button className="combo-state" disabled={Boolean(progress)} onClick={handleClear}>
+            {t("offline.clearAll")}
+          </button>
+        </div>
+      )}
+      {storage?.usage != null && (
+        <div className="inspector-note">
+          {storage.quota
+            ? t("offline.storageOf", { usage: formatBytes(storage.usage), quota: formatBytes(storage.quota) })
+            : t("offline.storage", { usage: formatBytes(storage.usage) })}
+        </div>
+      )}
+    </div>
+  );
+}
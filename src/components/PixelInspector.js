@@ -0,0 +1,174 @@
+/**
+ * PixelInspector.js — Pinned click-to-inspect card
+ *
+ * Reads the burden tiles under the clicked location and shows:
+ *   - the co-occurrence count (0–N) with its legend colour
+ *   - which of the burden dimensions are hotspots there, with the index
+ *     value for burdens classified at a custom cutoff
+ *
+ * `thresholdSets` lists the threshold selections to read — normally just the
+ * active one, or strict + less strict side by side while comparing.
+ * With `showSensitivity` (sets must be strict, then less strict) each burden
+ * also gets its robustness class and co-occurrence its count delta.
+ */
+
+import { useEffect, useState } from "react";
+import {
+  BURDEN_COUNT,
+  BURDEN_LAYERS,
+  SENSITIVITY_LAYER,
+} from "../layers/burdenConfig";
+import { sensitivityClass } from "../layers/derivedLayers";
+import { formatCoord } from "../utils/announcements";
+import { formatNumber, t } from "../utils/i18n";
+import { sampleBurdensAt } from "../utils/tileSampler";
+
+function SensitivityBadge({ cls, colors }) {
+  const i = SENSITIVITY_LAYER.burdenClasses.findIndex((c) => c.value === cls);
+  if (i < 0) return <span className="inspector-sens-badge" />;
+  return (
+    <span
+      className="inspector-sens-badge"
+      style={{ background: colors.sensitivity[i] }}
+      title={SENSITIVITY_LAYER.burdenClasses[i].label}
+    >
+      {t(cls === "both" ? "inspector.robust" : "inspector.cutoff")}
+    </span>
+  );
+}
+
+function CoocSwatch({ count, colors }) {
+  return (
+    <span
+      className="inspector-cooc-swatch"
+      style={{
+        background: count === 0 ? "rgba(60,60,80,0.4)" : colors.cooccurrence[count],
+        border: count === 0 ? "1px dashed #555" : "none",
+      }}
+    />
+  );
+}
+
+export default function PixelInspector({ point, thresholdSets, showSensitivity, colors, onClose }) {
+  const [results, setResults] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!point) return;
+    let cancelled = false;
+    setResults(null);
+    setFailed(false);
+    Promise.all(
+      thresholdSets.map((set) => sampleBurdensAt(point.lng, point.lat, set.thresholds))
+    )
+      .then((r) => {
+        if (!cancelled) setResults(r);
+      })
+      .catch((e) => {
+        console.warn("Location readout failed:", e);
+        if (!cancelled) setFailed(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [point, thresholdSets]);
+
+  if (!point) return null;
+
+  const multi = thresholdSets.length > 1;
+
+  return (
+    <div className={`inspector-card ${multi ? "multi" : ""}`}>
+      <div className="inspector-header">
+        <div>
+          <div className="inspector-title">{t("inspector.title")}</div>
+          <div className="inspector-coords">
+            {formatCoord(point.lat, "N", "S")} · {formatCoord(point.lng, "E", "W")}
+          </div>
+        </div>
+        <button className="inspector-close" onClick={onClose} aria-label={t("inspector.close")}>
+          ✕
+        </button>
+      </div>
+
+      {!results ? (
+        <div className="inspector-loading">{t(failed ? "inspector.unavailable" : "inspector.reading")}</div>
+      ) : (
+        <>
+          {multi && (
+            <div className="inspector-burden-row inspector-columns">
+              <span className="inspector-burden-name" />
+              {showSensitivity && <span className="inspector-sens-badge" />}
+              {thresholdSets.map((set) => (
+                <span key={set.key} className="inspector-column-label">{set.label}</span>
+              ))}
+            </div>
+          )}
+
+          {multi ? (
+            <div className="inspector-burden-row inspector-cooc-multi">
+              <span className="inspector-burden-name">{t("inspector.cooccurring")}</span>
+              {showSensitivity && (
+                <span className="inspector-sens-badge inspector-sens-delta">
+                  {`Δ +${Math.max(0, results[1].cooccurrence - results[0].cooccurrence)}`}
+                </span>
+              )}
+              {results.map((r, i) => (
+                <span key={thresholdSets[i].key} className="inspector-cooc-cell">
+                  <CoocSwatch count={r.cooccurrence} colors={colors} />
+                  {r.cooccurrence}
+                </span>
+              ))}
+            </div>
+          ) : (
+            <div className="inspector-cooc">
+              <CoocSwatch count={results[0].cooccurrence} colors={colors} />
+              <span className="inspector-cooc-count">{results[0].cooccurrence}</span>
+              <span className="inspector-cooc-label">{t("inspector.ofTotal", { total: BURDEN_COUNT })}</span>
+            </div>
+          )}
+
+          <div className="inspector-burdens">
+            {Object.values(BURDEN_LAYERS).map((cfg) => {
+              const anyHot = results.some((r) => r.hotspots[cfg.key]);
+              return (
+                <div key={cfg.key} className={`inspector-burden-row ${anyHot ? "hot" : ""}`}>
+                  <span className="inspector-burden-icon">{cfg.icon}</span>
+                  <span className="inspector-burden-name">{cfg.shortLabel}</span>
+                  {showSensitivity && (
+                    <SensitivityBadge
+                      cls={sensitivityClass(results[0].hotspots[cfg.key], results[1].hotspots[cfg.key])}
+                      colors={colors}
+                    />
+                  )}
+                  {!multi && results[0].indexValues[cfg.key] != null && (
+                    <span className="inspector-burden-value">
+                      {formatNumber(results[0].indexValues[cfg.key], {
+                        minimumFractionDigits: cfg.index.decimals,
+                        maximumFractionDigits: cfg.index.decimals,
+                      })}
+                    </span>
+                  )}
+                  {results.map((r, i) => {
+                    const hot = r.hotspots[cfg.key];
+                    return (
+                      <span
+                        key={thresholdSets[i].key}
+                        className={`inspector-burden-status ${hot ? "on" : ""}`}
+                        style={hot ? { background: colors.burdens[cfg.key].color } : undefined}
+                      >
+                        {hot ? t("inspector.hotspot") : "—"}
+                      </span>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+
+      {!multi && <div className="inspector-note">{t("inspector.threshold", { label: thresholdSets[0].label })}</div>}
+    </div>
+  );
+}
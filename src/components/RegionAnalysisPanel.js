@@ -0,0 +1,280 @@
+/**
+ * RegionAnalysisPanel.js — Draw or upload a region and profile its burdens
+ *
+ * Tools: polygon, rectangle, or a GeoJSON boundary file.
+ * The profile (see utils/regionStats.js) lists:
+ *   - area and share per co-occurrence class (0–N burdens)
+ *   - hotspot share per burden dimension
+ *   - breadbasket count, total production and dominant food groups
+ * and can be exported as CSV or GeoJSON.
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { BURDEN_LAYERS, COOCCURRENCE_COLORS } from "../layers/burdenConfig";
+import { showRegion, startDrawing } from "../utils/drawRegion";
+import { downloadFile } from "../utils/download";
+import {
+  computeRegionBreadbaskets,
+  computeRegionBurdens,
+  parseRegionGeoJSON,
+  profileToCsv,
+  profileToGeoJSON,
+  regionName,
+} from "../utils/regionStats";
+import { formatNumber, t, tn } from "../utils/i18n";
+
+// Drawing tools; labels and hints are the `region.tool.<key>` and
+// `region.hint.<key>` messages
+const TOOLS = ["polygon", "rectangle"];
+
+function percent(v) {
+  return v > 0 && v < 0.005 ? "<1%" : `${Math.round(v * 100)}%`;
+}
+
+function formatWhole(v) {
+  return formatNumber(v, { maximumFractionDigits: 0 });
+}
+
+function fileSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "region";
+}
+
+export default function RegionAnalysisPanel({
+  map,
+  burdenThresholds,
+  thresholdsLabel,
+  colors,
+  onDrawingChange,
+  onClose,
+}) {
+  const [mode, setMode] = useState(null);
+  const [region, setRegion] = useState(null);
+  const [burdens, setBurdens] = useState(null);
+  const [breadbaskets, setBreadbaskets] = useState(null);
+  const [error, setError] = useState(null);
+  const stopDrawingRef = useRef(null);
+  const fileRef = useRef(null);
+
+  const cancelDrawing = useCallback(() => {
+    stopDrawingRef.current?.();
+    stopDrawingRef.current = null;
+    setMode(null);
+    onDrawingChange(false);
+  }, [onDrawingChange]);
+
+  const handleTool = (tool) => {
+    if (!map) return;
+    cancelDrawing();
+    if (mode === tool) return; // second click on the active tool cancels it
+    setError(null);
+    setRegion(null);
+    setMode(tool);
+    onDrawingChange(true);
+    stopDrawingRef.current = startDrawing(map, tool, {
+      onFinish: (r) => {
+        stopDrawingRef.current = null;
+        setMode(null);
+        onDrawingChange(false);
+        setRegion(r);
+      },
+      onCancel: () => {
+        stopDrawingRef.current = null;
+        setMode(null);
+        onDrawingChange(false);
+      },
+    });
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file || !map) return;
+    cancelDrawing();
+    try {
+      const r = parseRegionGeoJSON(JSON.parse(await file.text()));
+      setError(null);
+      setRegion(r);
+      showRegion(map, r);
+      const [w, s, east, n] = r.bbox;
+      map.fitBounds([[w, s], [east, n]], { padding: 60, maxZoom: 8 });
+    } catch (err) {
+      const error = err.code === "noPolygon" ? t("region.noPolygon") : err.message;
+      setError(t("region.readFailed", { file: file.name, error }));
+    }
+  };
+
+  const handleClear = () => {
+    cancelDrawing();
+    setRegion(null);
+    if (map) showRegion(map, null);
+  };
+
+  // Clear the drawing when the panel closes
+  useEffect(
+    () => () => {
+      stopDrawingRef.current?.();
+      if (map?.getStyle()) showRegion(map, null);
+    },
+    [map]
+  );
+
+  // Burden profile from the raster tiles
+  useEffect(() => {
+    setBurdens(null);
+    if (!region) return;
+    let cancelled = false;
+    computeRegionBurdens(region, burdenThresholds)
+      .then((b) => {
+        if (!cancelled) setBurdens(b);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(t("region.statsFailed", { error: err.message }));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [region, burdenThresholds]);
+
+  // Breadbasket summary from the vector tiles covering the region
+  useEffect(() => {
+    setBreadbaskets(null);
+    if (!region) return;
+    let cancelled = false;
+    computeRegionBreadbaskets(region)
+      .then((b) => {
+        if (!cancelled) setBreadbaskets(b);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(t("region.breadbasketsFailed", { error: err.message }));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [region]);
+
+  // Exported only once both parts are read
+  const profile = burdens && breadbaskets && {
+    name: regionName(region),
+    thresholdsLabel,
+    burdens,
+    breadbaskets,
+  };
+
+  const handleExport = (format) => {
+    const slug = fileSlug(profile.name);
+    if (format === "csv") {
+      downloadFile(profileToCsv(profile), `${slug}-burdens.csv`, "text/csv");
+    } else {
+      downloadFile(
+        JSON.stringify(profileToGeoJSON(region, profile), null, 2),
+        `${slug}-burdens.geojson`,
+        "application/geo+json"
+      );
+    }
+  };
+
+  return (
+    <div className="inspector-card region-panel">
+      <div className="inspector-header">
+        <div className="inspector-title">{t("region.title")}</div>
+        <button className="inspector-close" onClick={onClose} aria-label={t("region.close")}>
+          ✕
+        </button>
+      </div>
+
+      <div className="region-tools">
+        {TOOLS.map((tool) => (
+          <button
+            key={tool}
+            className={`combo-state ${mode === tool ? "active" : ""}`}
+            onClick={() => handleTool(tool)}
+          >
+            {t(`region.tool.${tool}`)}
+          </button>
+        ))}
+        <button className="combo-state" onClick={() => fileRef.current?.click()}>
+          {t("region.upload")}
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".geojson,.json,application/geo+json,application/json"
+          hidden
+          onChange={handleUpload}
+        />
+        {region && (
+          <button className="combo-state" onClick={handleClear}>
+            {t("region.clear")}
+          </button>
+        )}
+      </div>
+
+      {mode && <div className="inspector-loading">{t(`region.hint.${mode}`)}</div>}
+      {error && <div className="region-error">{error}</div>}
+      {!mode && !region && !error && (
+        <div className="inspector-loading">{t("region.empty")}</div>
+      )}
+      {region && !profile && !error && <div className="inspector-loading">{t("region.reading")}</div>}
+
+      {profile && (
+        <>
+          <div className="region-name">
+            {profile.name} · {formatWhole(burdens.areaKm2)} km²
+          </div>
+
+          <div className="region-block-title">{t("region.simultaneous")}</div>
+          {COOCCURRENCE_COLORS.map(({ value, label }) => (
+            <div key={value} className="region-row">
+              <span
+                className="inspector-cooc-swatch region-swatch"
+                style={{
+                  background: value === 0 ? "rgba(60,60,80,0.4)" : colors.cooccurrence[value],
+                  border: value === 0 ? "1px dashed #555" : "none",
+                }}
+              />
+              <span className="region-label">{label}</span>
+              <span className="region-value">{formatWhole(burdens.classShare[value] * burdens.areaKm2)} km²</span>
+              <span className="region-share">{percent(burdens.classShare[value])}</span>
+            </div>
+          ))}
+
+          <div className="region-block-title">{t("region.hotspotShare")}</div>
+          {Object.values(BURDEN_LAYERS).map((cfg) => (
+            <div key={cfg.key} className="region-row">
+              <span className="inspector-burden-icon">{cfg.icon}</span>
+              <span className="region-label">{cfg.shortLabel}</span>
+              <span className="region-share">{percent(burdens.burdenShare[cfg.key])}</span>
+            </div>
+          ))}
+
+          <div className="region-block-title">{t("region.breadbaskets")}</div>
+          {breadbaskets.count > 0 ? (
+            <>
+              <div className="region-row">
+                <span className="region-label">{tn("region.locations", breadbaskets.count)}</span>
+                <span className="region-value">
+                  {t("region.total", { value: formatWhole(breadbaskets.totalProduction) })}
+                </span>
+              </div>
+              {breadbaskets.groups.slice(0, 3).map((g) => (
+                <div key={g.key} className="region-row">
+                  <span className="legend-bb-dot" style={{ background: colors.foodGroups[g.key] || "#888" }} />
+                  <span className="region-label">{g.label}</span>
+                  <span className="region-share">{percent(g.share)}</span>
+                </div>
+              ))}
+            </>
+          ) : (
+            <div className="inspector-loading">{t("region.noBreadbaskets")}</div>
+          )}
+
+          <div className="region-tools region-export">
+            <button className="combo-state" onClick={() => handleExport("csv")}>⬇ CSV</button>
+            <button className="combo-state" onClick={() => handleExport("geojson")}>⬇ GeoJSON</button>
+          </div>
+          <div className="inspector-note">{t("region.note", { threshold: thresholdsLabel })}</div>
+        </>
+      )}
+    </div>
+  );
+}
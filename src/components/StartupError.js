@@ -0,0 +1,36 @@
+/**
+ * StartupError.js — Full-page message when the app cannot start
+ *
+ * Used before the app modules load (e.g. an invalid layer manifest), so it
+ * must not import anything built from the manifest. Its text is in the
+ * language index.js set up front.
+ */
+
+import { t } from "../utils/i18n";
+
+export default function StartupError({ error }) {
+  const [summary, ...details] = String(error.message || error).split("\n");
+  return (
+    <div className="gate-root">
+      <div className="gate-card">
+        <div className="gate-title">{t("app.title")}</div>
+        <div className="region-error">{summary}</div>
+        {details.length > 0 && (
+          <div className="gate-checks">
+            {details.map((line) => (
+              <div key={line} className="gate-check">
+                <span className="gate-dot fail" />
+                <span className="gate-url" title={line}>{line}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="region-tools">
+          <button className="combo-state" onClick={() => window.location.reload()}>
+            {t("startup.reload")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+/**
+ * StoryPlayer.js — Caption card for a guided story (stories/stories.js)
+ *
+ * Shows the current step's finding, title and caption with previous / next
+ * buttons and one dot per step. App.js applies each step to the map; this
+ * card only asks for a step with `onStep(index)`.
+ *
+ * Keyboard: → / PageDown next, ← / PageUp previous, Esc closes — except
+ * while typing, on a slider or tab list, or on the map canvas, where the
+ * arrow keys already have a job.
+ */
+
+import { useEffect, useRef } from "react";
+import { KEY_FINDINGS } from "../layers/burdenConfig";
+import { formatStat, t } from "../utils/i18n";
+
+const OWN_KEYS_SELECTOR = "input, select, textarea, [role='tablist'], .mapboxgl-canvas";
+
+export default function StoryPlayer({ story, step, onStep, onClose }) {
+  const cardRef = useRef(null);
+  const current = story.steps[step];
+  const finding = current.finding != null ? KEY_FINDINGS[current.finding] : null;
+  const last = step === story.steps.length - 1;
+
+  // Move focus into the card when a story starts
+  useEffect(() => {
+    cardRef.current?.focus();
+  }, [story.key]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || e.target.closest?.(OWN_KEYS_SELECTOR)) return;
+      if ((e.key === "ArrowRight" || e.key === "PageDown") && !last) onStep(step + 1);
+      else if ((e.key === "ArrowLeft" || e.key === "PageUp") && step > 0) onStep(step - 1);
+      else if (e.key === "Escape") onClose();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [step, last, onStep, onClose]);
+
+  return (
+    <div ref={cardRef} className="story-card" role="region" aria-label={story.title} tabIndex={-1}>
+      <div className="story-header">
+        <div className="story-title">{story.title}</div>
+        <div className="story-progress">{t("story.progress", { n: step + 1, total: story.steps.length })}</div>
+        <button className="inspector-close" onClick={onClose} aria-label={t("story.close")}>
+          ✕
+        </button>
+      </div>
+
+      <div className="story-body" aria-live="polite">
+        {finding && (
+          <div className="story-finding">
+            <span className="finding-icon">{finding.icon}</span>
+            <span className="finding-stat">{formatStat(finding)}</span> {finding.text}
+          </div>
+        )}
+        <div className="story-step-title">{current.title}</div>
+        <p className="story-caption">{current.caption}</p>
+      </div>
+
+      <div className="story-nav">
+        <button className="combo-state" disabled={step === 0} onClick={() => onStep(step - 1)}>
+          {t("story.previous")}
+        </button>
+        <div className="story-dots" role="group" aria-label={t("story.steps")}>
+          {story.steps.map((s, i) => (
+            <button
+              key={s.key}
+              className={`story-dot ${i === step ? "active" : ""}`}
+              aria-current={i === step ? "step" : undefined}
+              aria-label={t("story.goTo", { n: i + 1, title: s.title })}
+              title={s.title}
+              onClick={() => onStep(i)}
+            />
+          ))}
+        </div>
+        <button className="combo-state active" onClick={() => (last ? onClose() : onStep(step + 1))}>
+          {last ? t("story.finish") : t("story.next")}
+        </button>
+      </div>
+      <div className="story-keys">{t("story.keys")}</div>
+    </div>
+  );
+}
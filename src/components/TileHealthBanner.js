@@ -0,0 +1,83 @@
+/**
+ * TileHealthBanner.js — Explains why a layer is not showing
+ *
+ * Shown while any active layer's tiles are failing (see utils/tileHealth.js):
+ * names the layers, the error and its likely cause, counts down to the next
+ * automatic retry and offers an immediate one. Dismissing hides it until
+ * another layer starts failing.
+ */
+
+import { useEffect, useState } from "react";
+import { BIVARIATE_LAYER, tileUrl } from "../layers/burdenConfig";
+import { PMTILES_SCHEME } from "../layers/pmtilesArchive";
+import { uniformThreshold } from "../layers/thresholds";
+import { layerLabel } from "../utils/announcements";
+import { t, tn } from "../utils/i18n";
+import { layerSourceIds } from "../utils/tileHealth";
+import { tileDirFor } from "../utils/tileSampler";
+
+function describeError(error) {
+  if (!error || error.status == null) return t("health.unreachable");
+  if (error.status === 404) return t("health.notFound");
+  return `${t("health.http", { status: error.status })}${error.message ? ` (${error.message})` : ""}`;
+}
+
+// Likely fix, from where the failing layer's tiles come from
+function hintFor(key, burdenThresholds) {
+  if (key === "breadbaskets" || key === BIVARIATE_LAYER.key) return t("health.breadbaskets");
+  const threshold = burdenThresholds[key] || uniformThreshold(burdenThresholds);
+  const url = tileUrl(tileDirFor(key, threshold)).replace(PMTILES_SCHEME, "");
+  const { host } = new URL(url, window.location.href);
+  if (host === "localhost:8766") {
+    return t("health.localServer");
+  }
+  return t("health.host", { host });
+}
+
+export default function TileHealthBanner({ health, tileStatus, burdenThresholds }) {
+  const [dismissed, setDismissed] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const failing = Object.keys(tileStatus).filter((key) => tileStatus[key] === "failing");
+  const failingKey = failing.join(",");
+  const sources = failing.flatMap((key) =>
+    layerSourceIds(key, burdenThresholds).map((id) => health.sources[id]).filter(Boolean)
+  );
+  const error = sources.find((s) => s.error)?.error;
+  const retryTimes = sources.map((s) => s.retryAt).filter(Boolean);
+  const retryAt = retryTimes.length ? Math.min(...retryTimes) : null;
+
+  // Tick the retry countdown
+  useEffect(() => {
+    if (!retryAt) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [retryAt]);
+
+  if (!failing.length || dismissed === failingKey) return null;
+
+  const seconds = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : null;
+
+  return (
+    <div className="tile-banner" role="alert">
+      <div className="tile-banner-body">
+        <div className="tile-banner-title">
+          {tn("health.notLoading", failing.length, { layers: failing.map(layerLabel).join(", ") })}
+        </div>
+        <div className="tile-banner-text">
+          {t("health.empty", { error: describeError(error) })}{" "}
+          {hintFor(failing[0], burdenThresholds)}
+        </div>
+        <div className="tile-banner-retry">
+          {seconds != null ? t("health.retryIn", { n: seconds }) : t("health.retrying")}
+          <button className="combo-state" onClick={health.retryNow}>
+            {t("health.retryNow")}
+          </button>
+        </div>
+      </div>
+      <button className="inspector-close" onClick={() => setDismissed(failingKey)} aria-label={t("health.dismiss")}>
+        ✕
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+/**
+ * TileSourceGate.js — Resolve and check the tile hosts before the app mounts
+ *
+ * Runs initTileSources (layers/tileSources.js) once, so every tile URL the
+ * map and samplers build afterwards uses the configured mirrors. If a source
+ * has no reachable mirror the failures are listed with Retry and
+ * Continue-anyway actions; configuration errors can only be retried.
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import { TILE_DIRS } from "../layers/burdenConfig";
+import { initTileSources } from "../layers/tileSources";
+import { t } from "../utils/i18n";
+
+export default function TileSourceGate({ children }) {
+  const [status, setStatus] = useState("checking");
+  const [checks, setChecks] = useState([]);
+  const [error, setError] = useState(null);
+
+  const check = useCallback(() => {
+    setStatus("checking");
+    setError(null);
+    initTileSources(TILE_DIRS)
+      .then((report) => {
+        setChecks(report.checks);
+        setStatus(report.ok ? "ready" : "unreachable");
+      })
+      .catch((e) => {
+        setError(e.message);
+        setStatus("invalid");
+      });
+  }, []);
+
+  useEffect(check, [check]);
+
+  if (status === "ready") return children;
+
+  return (
+    <div className="gate-root">
+      <div className="gate-card">
+        <div className="gate-title">{t("app.title")}</div>
+        {status === "checking" && <div className="inspector-loading">{t("gate.connecting")}</div>}
+
+        {status === "invalid" && <div className="region-error">{error}</div>}
+
+        {status === "unreachable" && (
+          <>
+            <div className="region-error">{t("gate.unreachable")}</div>
+            <div className="gate-checks">
+              {checks.map((c) => (
+                <div key={`${c.group} ${c.mirror}`} className="gate-check">
+                  <span className={`gate-dot ${c.ok ? "ok" : "fail"}`} />
+                  <span className="gate-url" title={c.url}>
+                    {c.group !== "default" && <b>{c.group}: </b>}
+                    {c.mirror}
+                  </span>
+                  <span className="gate-status">{c.status}</span>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        {status !== "checking" && (
+          <div className="region-tools">
+            <button className="combo-state" onClick={check}>
+              {t("gate.retry")}
+            </button>
+            {status === "unreachable" && (
+              <button className="combo-state" onClick={() => setStatus("ready")}>
+                {t("gate.continue")}
+              </button>
+            )}
+          </div>
+        )}
+        <div className="inspector-note">{t("gate.config")}</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+/**
+ * ViewportHistogram.js — Live burden distribution for the current view
+ *
+ * Recomputed after every pan/zoom (see utils/viewportStats.js):
+ *   - stacked bar of the area share with 0–N co-occurring burdens
+ *   - hotspot area share per burden dimension
+ * Complements the global figures in InfoPanel with "what am I looking at".
+ * Starts collapsed on phones.
+ */
+
+import { useEffect, useState } from "react";
+import { BURDEN_LAYERS, COOCCURRENCE_COLORS } from "../layers/burdenConfig";
+import { formatNumber, t } from "../utils/i18n";
+import { COMPACT_QUERY, matchesMedia } from "../utils/useMediaQuery";
+import { computeViewportStats } from "../utils/viewportStats";
+
+const NO_BURDEN_COLOR = "rgba(60,60,80,0.6)";
+
+function percent(v) {
+  const format = (share) => formatNumber(share, { style: "percent" });
+  return v > 0 && v < 0.005 ? `<${format(0.01)}` : format(v);
+}
+
+// "1.2M km²", "45K km²" in the interface language
+function formatArea(km2) {
+  return `${formatNumber(km2, { notation: "compact", maximumFractionDigits: km2 >= 1e6 ? 1 : 0 })} km²`;
+}
+
+export default function ViewportHistogram({ viewport, burdenThresholds, thresholdsLabel, colors }) {
+  const [stats, setStats] = useState(null);
+  const [pending, setPending] = useState(false);
+  const [failed, setFailed] = useState(false);
+  const [collapsed, setCollapsed] = useState(() => matchesMedia(COMPACT_QUERY));
+
+  useEffect(() => {
+    if (!viewport || collapsed) return;
+    let cancelled = false;
+    setPending(true);
+    computeViewportStats({ ...viewport, burdenThresholds })
+      .then((s) => {
+        if (cancelled) return;
+        setStats(s);
+        setFailed(false);
+      })
+      .catch((e) => {
+        console.warn("Viewport statistics failed:", e);
+        if (cancelled) return;
+        setStats(null);
+        setFailed(true);
+      })
+      .finally(() => {
+        if (!cancelled) setPending(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [viewport, burdenThresholds, collapsed]);
+
+  return (
+    <div className={`viewport-hist ${pending ? "pending" : ""}`}>
+      <div className="viewport-hist-header">
+        <span className="inspector-title">{t("hist.inView")}</span>
+        {stats && !collapsed && (
+          <span className="viewport-hist-meta">
+            {stats.areaKm2 > 0 ? `${formatArea(stats.areaKm2)} · ${thresholdsLabel}` : t("hist.noData")}
+          </span>
+        )}
+        {failed && !collapsed && <span className="viewport-hist-meta">{t("hist.unavailable")}</span>}
+        <button
+          className="inspector-close"
+          onClick={() => setCollapsed(!collapsed)}
+          aria-label={t(collapsed ? "hist.show" : "hist.hide")}
+        >
+          {collapsed ? "▼" : "▲"}
+        </button>
+      </div>
+
+      {!collapsed && stats && stats.areaKm2 > 0 && (
+        <>
+          <div className="viewport-hist-bar">
+            {COOCCURRENCE_COLORS.map(({ value, label }) => (
+              <span
+                key={value}
+                className="viewport-hist-seg"
+                style={{
+                  width: `${stats.classShare[value] * 100}%`,
+                  background: value === 0 ? NO_BURDEN_COLOR : colors.cooccurrence[value],
+                }}
+                title={`${label}: ${percent(stats.classShare[value])}`}
+              />
+            ))}
+          </div>
+          <div className="viewport-hist-classes">
+            {COOCCURRENCE_COLORS.map(({ value }) => (
+              <span key={value} className="viewport-hist-class">
+                <b>{value}</b> {percent(stats.classShare[value])}
+              </span>
+            ))}
+          </div>
+          <div className="viewport-hist-burdens">
+            {Object.values(BURDEN_LAYERS).map((cfg) => (
+              <span key={cfg.key} className="viewport-hist-burden" title={t("hist.burdenShare", { burden: cfg.label })}>
+                {cfg.icon}
+                <span className="viewport-hist-mini">
+                  <span
+                    style={{
+                      width: `${stats.burdenShare[cfg.key] * 100}%`,
+                      background: colors.burdens[cfg.key].color,
+                    }}
+                  />
+                </span>
+                {percent(stats.burdenShare[cfg.key])}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+/**
+ * ZonalStatsPanel.js — Ranked table of burden statistics per country / admin-1
+ *
+ * Shows the zonal statistics computed for the current thresholds
+ * (see utils/useZonalStats.js):
+ *   - share of each unit's area with ≥ 2 co-occurring burdens
+ *   - mean number of burdens (area-weighted)
+ *   - share of the area that is a hotspot for each burden dimension
+ * Columns are sortable; clicking a row flies the map to that unit.
+ */
+
+import { useMemo, useState } from "react";
+import { BOUNDARY_LEVELS, BURDEN_LAYERS, ZONAL_LAYER } from "../layers/burdenConfig";
+import { formatNumber, t } from "../utils/i18n";
+
+const MAX_ROWS = 200;
+
+// Table columns, with headings in the current language
+function columns() {
+  return [
+    { key: "name",       label: t("zonal.col.name"),  value: (s) => s.name, numeric: false },
+    { key: "multiShare", label: t("zonal.col.multi"), value: (s) => s.multiShare, title: t("zonal.col.multiTitle") },
+    { key: "meanCount",  label: t("zonal.col.mean"),  value: (s) => s.meanCount, title: t("zonal.col.meanTitle") },
+    ...Object.values(BURDEN_LAYERS).map((cfg) => ({
+      key: cfg.key,
+      label: cfg.icon,
+      value: (s) => s.burdenShare[cfg.key],
+      title: t("zonal.col.burdenTitle", { burden: cfg.label }),
+    })),
+  ];
+}
+
+function formatShare(v) {
+  if (v === 0) return "—";
+  return v < 0.01 ? "<1%" : `${Math.round(v * 100)}%`;
+}
+
+// Choropleth colour for a share (same stops as the map layer)
+export function shareColor(share, colors) {
+  let color = colors.zonal[0];
+  ZONAL_LAYER.stops.forEach((stop, i) => {
+    if (share >= stop.value) color = colors.zonal[i];
+  });
+  return color;
+}
+
+export default function ZonalStatsPanel({
+  level,
+  onLevelChange,
+  result,
+  thresholdsLabel,
+  selectedIndex,
+  onSelectUnit,
+  colors,
+}) {
+  const [collapsed, setCollapsed] = useState(false);
+  const [sort, setSort] = useState({ key: "multiShare", desc: true });
+  const [filter, setFilter] = useState("");
+
+  const rows = useMemo(() => {
+    if (!result.stats) return [];
+    const col = columns().find((c) => c.key === sort.key);
+    const needle = filter.trim().toLowerCase();
+    return result.stats
+      .filter((s) => s.areaKm2 > 0)
+      .filter(
+        (s) =>
+          !needle ||
+          s.name.toLowerCase().includes(needle) ||
+          s.parent?.toLowerCase().includes(needle)
+      )
+      .sort((a, b) => {
+        const va = col.value(a);
+        const vb = col.value(b);
+        const cmp = col.numeric === false ? va.localeCompare(vb) : va - vb;
+        return sort.desc ? -cmp : cmp;
+      });
+  }, [result.stats, sort, filter]);
+
+  const handleSort = (key) => {
+    setSort((prev) =>
+      prev.key === key ? { key, desc: !prev.desc } : { key, desc: key !== "name" }
+    );
+  };
+
+  const loading = result.status === "loading";
+  const tableColumns = columns();
+
+  return (
+    <div className={`zonal-panel ${collapsed ? "collapsed" : ""}`}>
+      <div className="zonal-header">
+        <div className="inspector-title">{t("zonal.title")}</div>
+        <div className="combo-states">
+          {BOUNDARY_LEVELS.map((l) => (
+            <button
+              key={l.key}
+              className={`combo-state ${level === l.key ? "active" : ""}`}
+              onClick={() => onLevelChange(l.key)}
+            >
+              {l.label}
+            </button>
+          ))}
+        </div>
+        <button
+          className="inspector-close"
+          onClick={() => setCollapsed(!collapsed)}
+          aria-label={t(collapsed ? "zonal.expand" : "zonal.collapse")}
+        >
+          {collapsed ? "▲" : "▼"}
+        </button>
+      </div>
+
+      {loading && (
+        <div className="zonal-progress">
+          <div className="zonal-progress-bar" style={{ width: `${Math.round(result.progress * 100)}%` }} />
+        </div>
+      )}
+
+      {!collapsed && (
+        <>
+          {result.status === "error" && (
+            <div className="inspector-loading">{t("zonal.failed")}</div>
+          )}
+
+          {result.stats && (
+            <>
+              <input
+                className="zonal-filter"
+                type="search"
+                placeholder={t("zonal.filter")}
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+              />
+              <div className="zonal-table-wrap">
+                <table className="zonal-table">
+                  <thead>
+                    <tr>
+                      {tableColumns.map((col) => (
+                        <th
+                          key={col.key}
+                          title={col.title}
+                          className={sort.key === col.key ? "sorted" : ""}
+                          onClick={() => handleSort(col.key)}
+                        >
+                          {col.label}
+                          {sort.key === col.key && (sort.desc ? " ▾" : " ▴")}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.slice(0, MAX_ROWS).map((s) => (
+                      <tr
+                        key={s.index}
+                        className={s.index === selectedIndex ? "selected" : ""}
+                        onClick={() => onSelectUnit(s)}
+                      >
+                        <td className="zonal-name">
+                          <span className="zonal-swatch" style={{ background: shareColor(s.multiShare, colors) }} />
+                          {s.name}
+                          {s.parent && <span className="zonal-parent">{s.parent}</span>}
+                        </td>
+                        <td>{formatShare(s.multiShare)}</td>
+                        <td>{formatNumber(s.meanCount, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                        {Object.keys(BURDEN_LAYERS).map((k) => (
+                          <td key={k}>{formatShare(s.burdenShare[k])}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="inspector-note">
+                {rows.length > MAX_ROWS && `${t("zonal.top", { max: MAX_ROWS, n: formatNumber(rows.length) })} · `}
+                {t("zonal.note", { threshold: thresholdsLabel })}
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,33 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
-import App from './App';
+import StartupError from './components/StartupError';
+import { loadLayerManifest } from './layers/manifest';
+import { initialLocale, setLocale } from './utils/i18n';
+import { register as registerServiceWorker } from './serviceWorkerRegistration';
+import './styles/global.css';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
+
+// App shell + offline tile fallback (production builds)
+registerServiceWorker();
+
+// Interface language for the start-up screens; layer text follows once the
+// manifest is loaded (burdenConfig.applyLocale)
+setLocale(initialLocale());
+
+// Layer definitions are built from the manifest when their modules are first
+// evaluated, so the app is only loaded once the manifest is in place (and
+// stories, checked against it, after that).
 // Note: StrictMode removed to prevent Mapbox double-init/teardown in dev
-root.render(<App />);
+loadLayerManifest()
+  .then(() => import('./stories/stories'))
+  .then(({ loadStories }) => loadStories())
+  .then(() => Promise.all([import('./App'), import('./components/TileSourceGate')]))
+  .then(([{ default: App }, { default: TileSourceGate }]) => {
+    root.render(
+      <TileSourceGate>
+        <App />
+      </TileSourceGate>
+    );
+  })
+  .catch((error) => root.render(<StartupError error={error} />));
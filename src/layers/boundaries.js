@@ -0,0 +1,86 @@
+/**
+ * boundaries.js — Administrative boundaries for zonal statistics
+ *
+ * Levels:
+ *   admin0  Countries — Natural Earth 1:50m via the `world-atlas` package,
+ *           bundled with the app (loaded as a lazy chunk)
+ *   admin1  First-level subdivisions (states / provinces) — Natural Earth
+ *           admin-1, simplified into admin1-ne.json (lazy chunk); rebuilt
+ *           by scripts/build-admin1.js
+ *
+ * Every level is normalised to a GeoJSON FeatureCollection whose features
+ * carry { id, name, parent } properties and a [w, s, e, n] bbox.
+ */
+
+import { feature } from "topojson-client";
+
+// ── Geometry helpers ────────────────────────────────────────────────────────
+// Units split by the antimeridian (Russia, Fiji, …) get an east edge > 180
+// so the box stays tight instead of spanning the whole globe.
+export function geometryBbox(geometry) {
+  let w = Infinity, s = Infinity, e = -Infinity, n = -Infinity;
+  let wShift = Infinity, eShift = -Infinity;
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  for (const polygon of polygons) {
+    for (const ring of polygon) {
+      for (const [lng, lat] of ring) {
+        const shifted = lng < 0 ? lng + 360 : lng;
+        if (lng < w) w = lng;
+        if (lng > e) e = lng;
+        if (shifted < wShift) wShift = shifted;
+        if (shifted > eShift) eShift = shifted;
+        if (lat < s) s = lat;
+        if (lat > n) n = lat;
+      }
+    }
+  }
+  return eShift - wShift < e - w ? [wShift, s, eShift, n] : [w, s, e, n];
+}
+
+function normalize(collection, props) {
+  return {
+    type: "FeatureCollection",
+    features: collection.features
+      .filter((f) => f.geometry && (f.geometry.type === "Polygon" || f.geometry.type === "MultiPolygon"))
+      .map((f, i) => ({
+        type: "Feature",
+        id: i,
+        geometry: f.geometry,
+        bbox: geometryBbox(f.geometry),
+        properties: { ...props(f), index: i },
+      })),
+  };
+}
+
+// ── Loaders ─────────────────────────────────────────────────────────────────
+async function loadAdmin0() {
+  const { default: topo } = await import("world-atlas/countries-50m.json");
+  return normalize(feature(topo, topo.objects.countries), (f) => ({
+    id: String(f.id ?? f.properties.name),
+    name: f.properties.name,
+    parent: null,
+  }));
+}
+
+async function loadAdmin1() {
+  const { default: topo } = await import("./admin1-ne.json");
+  return normalize(feature(topo, topo.objects.admin1), (f) => ({
+    id: f.properties.hasc || `${f.properties.admin}-${f.properties.name}`,
+    name: f.properties.name,
+    parent: f.properties.admin || null,
+  }));
+}
+
+const LOADERS = { admin0: loadAdmin0, admin1: loadAdmin1 };
+const cache = {};
+
+// Boundaries for a level, fetched once per session
+export function loadBoundaries(level) {
+  if (!cache[level]) {
+    cache[level] = LOADERS[level]().catch((e) => {
+      delete cache[level]; // allow a retry
+      throw e;
+    });
+  }
+  return cache[level];
+}
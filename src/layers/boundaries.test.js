@@ -0,0 +1,14 @@
+import { loadBoundaries } from "./boundaries";
+
+test("admin-1 units are bundled, with their country as parent", async () => {
+  const { features } = await loadBoundaries("admin1");
+  expect(features.length).toBeGreaterThan(4000);
+  const unit = (name) => features.find((f) => f.properties.name === name && f.properties.parent === "Kenya");
+
+  expect(unit("Coast").properties.id).toBe("KE.CO");
+  const [w, s, e, n] = unit("Nairobi").bbox;
+  expect(w).toBeGreaterThan(36.5);
+  expect(e).toBeLessThan(37.2);
+  expect(s).toBeGreaterThan(-1.5);
+  expect(n).toBeLessThan(-1);
+});
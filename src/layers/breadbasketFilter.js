@@ -0,0 +1,92 @@
+/**
+ * breadbasketFilter.js — Food-group and production filters for the breadbasket dots
+ *
+ * `breadbasketFilter` is { groups, minValue }:
+ *   groups    food-group keys to show, or null for all of them
+ *   minValue  smallest production value (BREADBASKET.valueKey) shown; 0 = no minimum
+ * Map.js applies it to `breadbaskets-layer` as a Mapbox filter expression.
+ */
+
+import { BREADBASKET, FOOD_GROUP_COLORS } from "./burdenConfig";
+import { formatNumber } from "../utils/i18n";
+
+export const DEFAULT_BREADBASKET_FILTER = { groups: null, minValue: 0 };
+
+export const FOOD_GROUP_KEYS = Object.keys(FOOD_GROUP_COLORS);
+
+export function isBreadbasketFilterActive({ groups, minValue }) {
+  return groups !== null || minValue > 0;
+}
+
+// Show or hide one food group (null again once every group is shown)
+export function toggleFoodGroup(filter, key) {
+  const current = filter.groups ?? FOOD_GROUP_KEYS;
+  const groups = current.includes(key) ? current.filter((k) => k !== key) : [...current, key];
+  const all = FOOD_GROUP_KEYS.every((k) => groups.includes(k));
+  return { ...filter, groups: all ? null : FOOD_GROUP_KEYS.filter((k) => groups.includes(k)) };
+}
+
+/**
+ * Mapbox filter expression for `breadbaskets-layer`, or null for no filter.
+ */
+export function breadbasketFilterExpr({ groups, minValue }) {
+  const conditions = [];
+  if (groups !== null) {
+    conditions.push(
+      groups.length ? ["match", ["get", BREADBASKET.groupKey], groups, true, false] : false
+    );
+  }
+  if (minValue > 0) {
+    conditions.push([">=", ["to-number", ["get", BREADBASKET.valueKey], 0], minValue]);
+  }
+  if (!conditions.length) return null;
+  return conditions.length === 1 ? conditions[0] : ["all", ...conditions];
+}
+
+// Food groups the filter shows, in legend order
+export function shownFoodGroups({ groups }) {
+  return groups ? FOOD_GROUP_KEYS.filter((k) => groups.includes(k)) : FOOD_GROUP_KEYS;
+}
+
+// ── Production slider ───────────────────────────────────────────────────────
+// A production value with its unit, in the interface language
+export function formatProduction(value) {
+  const n = formatNumber(value);
+  return BREADBASKET.valueUnit ? `${n} ${BREADBASKET.valueUnit}` : n;
+}
+
+// Production is heavy-tailed, so the slider runs on a log scale: position
+// 0 is "no minimum", 1 is `max`.
+export function sliderToValue(position, max) {
+  if (position <= 0 || max <= 1) return 0;
+  return Math.round(10 ** (position * Math.log10(max)));
+}
+
+export function valueToSlider(value, max) {
+  if (value <= 1 || max <= 1) return 0;
+  return Math.min(1, Math.log10(value) / Math.log10(max));
+}
+
+/**
+ * Breadbasket points per food group inside `bounds` with at least
+ * `minValue` production (features repeat across vector tiles and are
+ * counted once), plus the largest production value seen.
+ */
+export function countFoodGroups(features, bounds, minValue) {
+  const seen = new Set();
+  const counts = Object.fromEntries(FOOD_GROUP_KEYS.map((k) => [k, 0]));
+  let maxValue = 0;
+  for (const f of features) {
+    if (f.geometry?.type !== "Point") continue;
+    const [lng, lat] = f.geometry.coordinates;
+    const key = f.id ?? `${lng.toFixed(5)},${lat.toFixed(5)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const value = Number(f.properties?.[BREADBASKET.valueKey]) || 0;
+    maxValue = Math.max(maxValue, value);
+    if (lng < bounds.west || lng > bounds.east || lat < bounds.south || lat > bounds.north) continue;
+    const group = f.properties?.[BREADBASKET.groupKey];
+    if (value >= minValue && group in counts) counts[group]++;
+  }
+  return { counts, maxValue };
+}
@@ -0,0 +1,44 @@
+import {
+  breadbasketFilterExpr,
+  countFoodGroups,
+  sliderToValue,
+  toggleFoodGroup,
+  valueToSlider,
+  DEFAULT_BREADBASKET_FILTER,
+  FOOD_GROUP_KEYS,
+} from "./breadbasketFilter";
+
+test("filters become a Mapbox expression only when something is hidden", () => {
+  expect(breadbasketFilterExpr(DEFAULT_BREADBASKET_FILTER)).toBeNull();
+  expect(breadbasketFilterExpr({ groups: [], minValue: 0 })).toBe(false);
+  expect(breadbasketFilterExpr({ groups: ["grains"], minValue: 100 })).toEqual([
+    "all",
+    ["match", ["get", "max_food_group"], ["grains"], true, false],
+    [">=", ["to-number", ["get", "max_food_group_value"], 0], 100],
+  ]);
+});
+
+test("toggling every group back on clears the group filter", () => {
+  const off = toggleFoodGroup(DEFAULT_BREADBASKET_FILTER, "grains");
+  expect(off.groups).toEqual(FOOD_GROUP_KEYS.filter((k) => k !== "grains"));
+  expect(toggleFoodGroup(off, "grains").groups).toBeNull();
+});
+
+test("the production slider is logarithmic", () => {
+  expect(sliderToValue(0, 1e6)).toBe(0);
+  expect(sliderToValue(0.5, 1e6)).toBe(1000);
+  expect(valueToSlider(1000, 1e6)).toBeCloseTo(0.5);
+});
+
+test("groups are counted once per point inside the view", () => {
+  const pt = (id, lng, group, value) => ({
+    id,
+    geometry: { type: "Point", coordinates: [lng, 0] },
+    properties: { max_food_group: group, max_food_group_value: value },
+  });
+  const features = [pt(1, 1, "grains", 50), pt(1, 1, "grains", 50), pt(2, 2, "pulses", 5), pt(3, 90, "grains", 900)];
+  const { counts, maxValue } = countFoodGroups(features, { west: 0, south: -10, east: 10, north: 10 }, 10);
+  expect(counts.grains).toBe(1);
+  expect(counts.pulses).toBe(0);
+  expect(maxValue).toBe(900);
+});
@@ -1,7 +1,7 @@
 /**
  * burdenConfig.js
  * ----------------
- * Configuration for the four agrifood-system burden layers from:
+ * Configuration for the agrifood-system burden layers from:
  *   Levers et al. (2025) "Different places, different challenges:
  *   mapping global variations in agrifood-system burdens"
  *   Environ. Res. Lett. 20, 2025. DOI: 10.1088/1748-9326/ae20ac
@@ -11,191 +11,366 @@
  *     - strict threshold map  (hotspot_strict.tif)
  *     - liberal threshold map (hotspot_liberal.tif)
  *
- * Raster pixel values encode burden hotspot counts (0–4).
+ * Raster pixel values encode burden hotspot counts (0–N for N dimensions).
  * Each burden dimension is also available as a separate binary layer.
  *
+ * The dimensions, thresholds, co-occurrence scale, breadbasket styling and
+ * descriptions come from the layer manifest (manifest.js / manifest.json);
+ * this module shapes them for the rest of the app. Derived layers
+ * (combination, sensitivity, zonal) are defined here in code.
+ *
+ * The colours below are the manifest's, which the raster tiles are rendered
+ * in. Display colours follow the selected palette (palettes.js):
+ * paletteColors() resolves one into a colour set that components and layer
+ * builders are handed and draw with. Text follows the interface language:
+ * labels, descriptions and tooltips are filled in by applyLocale()
+ * (utils/i18n.js), so the objects below only spell out keys, colours and
+ * tile settings.
+ *
  * Tile architecture:
  *   - Breadbasket base layer: Mapbox vector tileset (same as ExposureApp)
  *   - Burden layers: Static PNG raster tiles in public/tiles/{tileDir}/{z}/{x}/{y}.png
  *   - Tile server (dev): http://localhost:8766
+ *   - Tile hosts, mirrors and URL template: runtime config (tileSources.js)
  */
 
+import { getLayerManifest } from "./manifest";
+import { resolveTileUrls } from "./tileSources";
+import { sampleRamp } from "../utils/color";
+import { resolvePalette } from "./palettes";
+import { countWord, formatNumber, initialLocale, localizeManifest, setLocale, t, tn } from "../utils/i18n";
+
+const MANIFEST = getLayerManifest();
+
+// Fill the manifest's {n} / {count} placeholders with the dimension count
+function withCount(text) {
+  const n = MANIFEST.dimensions.length;
+  return text.replace(/\{n\}/g, n).replace(/\{count\}/g, countWord(n));
+}
+
 // ── Breadbasket base layer ──────────────────────────────────────────────────
 export const BREADBASKET = {
-  id: "plotline.cndbsry2",
-  layer: "prod_overview",
-  label: "Food Breadbaskets",
-  groupKey: "max_food_group",
-  valueKey: "max_food_group_value",
+  id: MANIFEST.breadbaskets.tileset,
+  layer: MANIFEST.breadbaskets.sourceLayer,
+  groupKey: MANIFEST.breadbaskets.groupKey,
+  valueKey: MANIFEST.breadbaskets.valueKey,
 };
 
 // ── Food group colour palette ───────────────────────────────────────────────
-export const FOOD_GROUP_COLORS = {
-  grains:           { color: "#f5c542", label: "Grains" },
-  meat_and_fish:    { color: "#ff6b6b", label: "Meat & Fish" },
-  dairy_and_eggs:   { color: "#fff06a", label: "Dairy & Eggs" },
-  fruits:           { color: "#7dde60", label: "Fruits" },
-  vegetables:       { color: "#3dcc3d", label: "Vegetables" },
-  oils_and_oilseed: { color: "#e89840", label: "Oils & Oilseeds" },
-  pulses:           { color: "#c4855c", label: "Pulses" },
-  starchy_roots:    { color: "#d49ce8", label: "Starchy Roots" },
-  treenuts:         { color: "#5ea54a", label: "Tree Nuts" },
-  other:            { color: "#aaaaaa", label: "Other" },
-};
+export const FOOD_GROUP_COLORS = Object.fromEntries(
+  MANIFEST.breadbaskets.foodGroups.map(({ key, color }) => [key, { color }])
+);
+
+// ── Individual burden layers ────────────────────────────────────────────────
+// Each burden is also available as a binary hotspot raster (0 = no, 1 = hotspot).
+// tileDir names match what the data pipeline will produce.
+// criteria are the per-threshold cutoffs, as listed in THRESHOLD_OPTIONS.
+// `index` (or null) describes the burden's continuous value raster, which
+// custom cutoffs classify on the client (see layers/thresholds.js).
+function indexConfig(index) {
+  if (!index) return null;
+  return {
+    ...index,
+    decimals: (String(index.step).split(".")[1] || "").length,
+  };
+}
+
+export const BURDEN_LAYERS = Object.fromEntries(
+  MANIFEST.dimensions.map((d) => [
+    d.key,
+    {
+      key: d.key,
+      source: d.source,
+      icon: d.icon,
+      color: d.color,
+      colorDark: d.colorDark,
+      tileDir: d.tileDir,
+      index: indexConfig(d.index),
+      legendColors: d.legendColors.map((c) => ({ ...c })).sort((a, b) => a.value - b.value),
+    },
+  ])
+);
+
+// Number of burden dimensions (the co-occurrence count runs 0…BURDEN_COUNT)
+export const BURDEN_COUNT = MANIFEST.dimensions.length;
 
 // ── Threshold variants ──────────────────────────────────────────────────────
 // The Zenodo data provides two threshold variants for hotspot classification.
 // "strict"  = more conservative thresholds (fewer hotspots)
 // "liberal" = more permissive thresholds (more hotspots)
-export const THRESHOLD_OPTIONS = [
-  { key: "strict",  label: "Strict",  description: "Env ≥ 2 SD · Climate z ≥ 2 · Poverty ≤ $5.50 · Malnutrition ≥ 15%" },
-  { key: "liberal", label: "Less strict", description: "Env ≥ 1 SD · Climate z ≥ 1 · Poverty ≤ $21.70 · Malnutrition ≥ 10%" },
-];
+// The description lists every dimension's cutoff for that variant.
+export const THRESHOLD_OPTIONS = MANIFEST.thresholds.map(({ key }) => ({ key }));
+
+// ── Threshold comparison modes ──────────────────────────────────────────────
+// Strict (left) vs. less strict (right), as a swipe or side-by-side view.
+export const COMPARE_MODES = [{ key: "off" }, { key: "swipe" }, { key: "split" }];
 
 // ── Co-occurrence colour scale ──────────────────────────────────────────────
-// Pixel value = number of simultaneous burden hotspots (0–4)
-// 0 = no burdens,  4 = all four burdens co-occur
+// Pixel value = number of simultaneous burden hotspots (0–N)
+// 0 = no burdens,  N = all burdens co-occur. The manifest's colours are
+// resampled when their count differs from N; pre-rendered co-occurrence
+// tiles must use the resulting palette.
 export const COOCCURRENCE_COLORS = [
-  { value: 0, color: "rgba(0,0,0,0)",    label: "No burden" },
-  { value: 1, color: "#fee08b",          label: "1 burden" },
-  { value: 2, color: "#fc8d59",          label: "2 burdens" },
-  { value: 3, color: "#d73027",          label: "3 burdens" },
-  { value: 4, color: "#7f0000",          label: "4 burdens (all)" },
+  { value: 0, color: "rgba(0,0,0,0)" },
+  ...sampleRamp(MANIFEST.cooccurrence.colors, BURDEN_COUNT).map((color, i) => ({ value: i + 1, color })),
 ];
 
-// ── Individual burden layers ────────────────────────────────────────────────
-// Each burden is also available as a binary hotspot raster (0 = no, 1 = hotspot).
-// tileDir names match what the data pipeline will produce.
-export const BURDEN_LAYERS = {
-  env_footprint: {
-    key: "env_footprint",
-    label: "Environmental Footprint",
-    shortLabel: "Env. Footprint",
-    description:
-      "Cumulative food-production pressure index (GHG emissions, freshwater use, habitat disturbance, nutrient pollution). Hotspot: ≥ 2 SD above the global mean of all pixels.",
-    source: "Halpern et al. 2022 (via Levers et al. 2025)",
-    icon: "🌿",
-    color: "#2d9929",
-    colorDark: "#145214",
-    tileDir: {
-      strict:  "env_footprint_strict",
-      liberal: "env_footprint_liberal",
-    },
-    legendColors: [
-      { value: 0, color: "#e5f5e0", label: "Not a hotspot" },
-      { value: 1, color: "#2d9929", label: "Hotspot" },
-    ],
-  },
-  weather_extremes: {
-    key: "weather_extremes",
-    label: "Weather Extremes",
-    shortLabel: "Weather Extremes",
-    description:
-      "Pixel-level z-scores of drought (CDD), excess precipitation (RX5), heat (TX35), and frost (FD) relative to each pixel's own 1980–2009 climatology. Hotspot if any indicator ≥ 2 SD.",
-    source: "ERA5 / Hersbach et al. 2020 (via Levers et al. 2025)",
-    icon: "⛈️",
-    color: "#1f78b4",
-    colorDark: "#0a3d6b",
-    tileDir: {
-      strict:  "weather_extremes_strict",
-      liberal: "weather_extremes_liberal",
-    },
-    legendColors: [
-      { value: 0, color: "#deebf7", label: "Not a hotspot" },
-      { value: 1, color: "#1f78b4", label: "Hotspot" },
-    ],
-  },
-  income_poverty: {
-    key: "income_poverty",
-    label: "Income Poverty",
-    shortLabel: "Poverty",
-    description:
-      "Subnational GNI per capita (PPP, 2011 US$). Hotspot: ≤ $5.50/day (strict) or ≤ $21.70/day (less strict), based on World Bank international poverty lines.",
-    source: "Smits & Permanyer 2019 (via Levers et al. 2025)",
-    icon: "💰",
-    color: "#d94701",
-    colorDark: "#7f2700",
-    tileDir: {
-      strict:  "income_poverty_strict",
-      liberal: "income_poverty_liberal",
-    },
-    legendColors: [
-      { value: 0, color: "#fee6ce", label: "Not a hotspot" },
-      { value: 1, color: "#d94701", label: "Hotspot" },
-    ],
-  },
-  malnutrition: {
-    key: "malnutrition",
-    label: "Malnutrition",
-    shortLabel: "Malnutrition",
-    description:
-      "Double burden of malnutrition: combined prevalence of childhood wasting and overweight (under-5). Hotspot: ≥ 15% (strict) or ≥ 10% (less strict). LMICs only.",
-    source: "Kinyoki et al. 2020 (via Levers et al. 2025)",
-    icon: "🍽️",
-    color: "#756bb1",
-    colorDark: "#3d2b8b",
-    tileDir: {
-      strict:  "malnutrition_strict",
-      liberal: "malnutrition_liberal",
-    },
-    legendColors: [
-      { value: 0, color: "#efedf5", label: "Not a hotspot" },
-      { value: 1, color: "#756bb1", label: "Hotspot" },
-    ],
-  },
-};
+// "No burden", "1 burden", "2 burdens" … "4 burdens (all)"
+function cooccurrenceLabel(n) {
+  if (n === 0) return t("cooccurrence.class.none");
+  return n === BURDEN_COUNT ? t("cooccurrence.class.all", { n }) : tn("cooccurrence.class", n);
+}
 
 // ── Co-occurrence layer ─────────────────────────────────────────────────────
-// This is the main "hero" layer — shows 0–4 burden count per pixel.
+// This is the main "hero" layer — shows 0–N burden count per pixel.
 export const COOCCURRENCE_LAYER = {
   key: "cooccurrence",
-  label: "Burden Co-occurrence",
-  description:
-    "Number of simultaneous burden hotspots per location (0–4). A pixel is coloured by how many of the four burden dimensions are in hotspot status.",
-  tileDir: {
-    strict:  "cooccurrence_strict",
-    liberal: "cooccurrence_liberal",
-  },
+  tileDir: MANIFEST.cooccurrence.tileDir,
 };
 
-// ── Layer descriptions for tooltips ────────────────────────────────────────
-export const LAYER_DESCRIPTIONS = {
-  breadbaskets: {
-    text: "Global food production areas coloured by dominant food group (grains, fruits, meat, etc.).",
-    source: "Plotline breadbasket dataset",
-  },
-  cooccurrence: {
-    text: "Pixel colour shows how many of the four burden dimensions are simultaneously in hotspot status at that location.",
-    source: "Levers et al. 2025, Environ. Res. Lett.",
-  },
-  env_footprint: {
-    text: "Cumulative food-production pressure (GHG, freshwater, habitat, nutrients). Hotspot if ≥ 2 SD above the global mean.",
-    source: "Halpern et al. 2022 via Levers et al. 2025",
-  },
-  weather_extremes: {
-    text: "Pixel-level z-scores of drought, precipitation, heat, and frost vs. each pixel's own 1980–2009 climatology. Hotspot if any indicator ≥ 2 SD.",
-    source: "ERA5 via Levers et al. 2025",
-  },
-  income_poverty: {
-    text: "Subnational GNI per capita (PPP). Hotspot if ≤ $5.50/day (strict) or ≤ $21.70/day (less strict).",
-    source: "Smits & Permanyer 2019 via Levers et al. 2025",
-  },
-  malnutrition: {
-    text: "Combined prevalence of childhood wasting and overweight (under-5, LMICs only). Hotspot if ≥ 15% (strict) or ≥ 10% (less strict).",
-    source: "Kinyoki et al. 2020 via Levers et al. 2025",
-  },
+// ── Burden combination layer ────────────────────────────────────────────────
+// Derived client-side from the binary burden rasters: a pixel is drawn only if
+// every "required" burden is a hotspot and every "excluded" burden is not.
+export const COMBINATION_LAYER = {
+  key: "combination",
+  color: "#e7298a",
+};
+
+// Per-burden states in the combination picker
+export const COMBINATION_STATES = [{ key: "any" }, { key: "require" }, { key: "exclude" }];
+
+// ── Threshold sensitivity layer ─────────────────────────────────────────────
+// Derived client-side by comparing the strict and liberal rasters.
+// For one burden each pixel is classed by where it is a hotspot; strict
+// cutoffs are nested inside the liberal ones, so a strict hotspot counts as
+// "both". For co-occurrence the class is the extra burden count under the
+// liberal threshold (cooccurrence_liberal − cooccurrence_strict).
+export const SENSITIVITY_LAYER = {
+  key: "sensitivity",
+  color: "#8073ac",
+  burdenClasses: [
+    { value: "both",    color: "#542788" },
+    { value: "liberal", color: "#f1a340" },
+  ],
+  deltaColors: sampleRamp(["#c6dbef", "#6baed6", "#2171b5", "#08306b"], BURDEN_COUNT).map((color, i) => ({
+    value: i + 1,
+    color,
+  })),
+};
+
+// ── Bivariate production × burden layer ────────────────────────────────────
+// Breadbasket sites coloured on two axes: production (terciles of the sites
+// in view) and the co-occurrence count at the site (see utils/bivariate.js).
+// `colors[burdenClass][productionClass]`, low → high on both axes.
+export const BIVARIATE_LAYER = {
+  key: "bivariate",
+  color: "#3b4994",
+  productionClasses: ["low", "mid", "high"].map((key) => ({ key })),
+  burdenClasses: [
+    { min: 0, label: "0" },
+    { min: 1, label: "1" },
+    { min: 2, label: "2+" },
+  ],
+  colors: [
+    ["#e8e8e8", "#ace4e4", "#5ac8c8"],
+    ["#dfb0d6", "#a5add3", "#5698b9"],
+    ["#be64ac", "#8c62aa", "#3b4994"],
+  ],
+};
+
+// ── Zonal statistics choropleth ─────────────────────────────────────────────
+// Administrative units shaded by the share of their area where two or more
+// burdens co-occur (see utils/zonalStats.js).
+export const ZONAL_LAYER = {
+  key: "zonal",
+  color: "#e34a33",
+  stops: [
+    { value: 0,    color: "#fef0d9" },
+    { value: 0.1,  color: "#fdcc8a" },
+    { value: 0.25, color: "#fc8d59" },
+    { value: 0.5,  color: "#e34a33" },
+    { value: 0.75, color: "#b30000" },
+  ],
+};
+
+// ── Colour palettes ─────────────────────────────────────────────────────────
+// Colours of the pre-rendered raster tiles, whatever the display palette:
+// what utils/tileSampler.js decodes pixels against.
+export const TILE_COLORS = {
+  cooccurrence: COOCCURRENCE_COLORS.map((c) => c.color),
+  burdens: Object.fromEntries(
+    Object.values(BURDEN_LAYERS).map((cfg) => [
+      cfg.key,
+      { hotspot: cfg.color, notHotspot: cfg.legendColors[0].color },
+    ])
+  ),
+};
+
+// Default display colours, in the shape palettes.resolvePalette() expects
+const BASE_COLORS = {
+  burdens: Object.values(BURDEN_LAYERS).map((cfg) => ({
+    color: cfg.color,
+    colorDark: cfg.colorDark,
+    notHotspot: cfg.legendColors[0].color,
+  })),
+  cooccurrence: COOCCURRENCE_COLORS.slice(1).map((c) => c.color),
+  foodGroups: Object.values(FOOD_GROUP_COLORS).map((g) => g.color),
+  combination: COMBINATION_LAYER.color,
+  sensitivity: SENSITIVITY_LAYER.burdenClasses.map((c) => c.color),
+  sensitivityDelta: SENSITIVITY_LAYER.deltaColors.map((c) => c.color),
+  zonal: ZONAL_LAYER.stops.map((s) => s.color),
 };
 
+const paletteCache = {};
+
+/**
+ * Display colours under palette `key` — what components and layer builders
+ * draw with, in place of the colours of the objects above:
+ *   key
+ *   burdens           { <burden key>: { color, colorDark, notHotspot } }
+ *   cooccurrence      colour per count 0…N, as COOCCURRENCE_COLORS
+ *   foodGroups        { <food group key>: colour }
+ *   combination       colour
+ *   sensitivity       one per SENSITIVITY_LAYER.burdenClasses
+ *   sensitivityDelta  one per SENSITIVITY_LAYER.deltaColors
+ *   zonal             one per ZONAL_LAYER.stops
+ * The same object is returned for the same palette.
+ */
+export function paletteColors(key) {
+  if (!paletteCache[key]) {
+    const colors = resolvePalette(key, BASE_COLORS);
+    paletteCache[key] = {
+      key,
+      burdens: Object.fromEntries(Object.keys(BURDEN_LAYERS).map((k, i) => [k, colors.burdens[i]])),
+      cooccurrence: [COOCCURRENCE_COLORS[0].color, ...colors.cooccurrence],
+      foodGroups: Object.fromEntries(Object.keys(FOOD_GROUP_COLORS).map((k, i) => [k, colors.foodGroups[i]])),
+      combination: colors.combination,
+      sensitivity: colors.sensitivity,
+      sensitivityDelta: colors.sensitivityDelta,
+      zonal: colors.zonal,
+    };
+  }
+  return paletteCache[key];
+}
+
+// Boundary levels the statistics can be aggregated to (layers/boundaries.js).
+// `zonalZoom` is the tile zoom the rasters are read at for that level.
+export const BOUNDARY_LEVELS = [
+  { key: "admin0", zonalZoom: 3 },
+  { key: "admin1", zonalZoom: 4 },
+];
+
+// ── Layer descriptions for tooltips ────────────────────────────────────────
+export const LAYER_DESCRIPTIONS = {};
+
+// ── Info panel ──────────────────────────────────────────────────────────────
+// Headline findings and the per-dimension explainer rows
+export const KEY_FINDINGS = [];
+
+export const BURDEN_INFO = [];
+
+// ── Language ────────────────────────────────────────────────────────────────
+/**
+ * Switch the text of the layer definitions to language `key`: manifest
+ * text from the language's catalogue (i18n.localizeManifest), the app's
+ * own labels from its messages. The objects are updated in place and
+ * components pick the text up on their next render.
+ */
+export function applyLocale(key) {
+  setLocale(key);
+  const m = localizeManifest(MANIFEST);
+  const source = MANIFEST.citation.short;
+
+  Object.assign(BREADBASKET, { label: m.breadbaskets.label, valueUnit: m.breadbaskets.valueUnit || "" });
+  m.breadbaskets.foodGroups.forEach((g) => (FOOD_GROUP_COLORS[g.key].label = g.label));
+
+  m.dimensions.forEach((d) => {
+    const cfg = BURDEN_LAYERS[d.key];
+    Object.assign(cfg, { label: d.label, shortLabel: d.shortLabel, description: d.description, criteria: d.criteria });
+    if (cfg.index) cfg.index.format = d.index.format;
+    cfg.legendColors.forEach((c) => (c.label = d.legendColors.find((l) => l.value === c.value).label));
+  });
+
+  m.thresholds.forEach(({ key: threshold, label }, i) =>
+    Object.assign(THRESHOLD_OPTIONS[i], {
+      label,
+      description: Object.values(BURDEN_LAYERS).map((cfg) => cfg.criteria[threshold]).join(" · "),
+    })
+  );
+  COMPARE_MODES.forEach((mode) => (mode.label = t(`compare.${mode.key}`)));
+
+  COOCCURRENCE_COLORS.forEach((c) => (c.label = cooccurrenceLabel(c.value)));
+  Object.assign(COOCCURRENCE_LAYER, {
+    label: m.cooccurrence.label,
+    description: withCount(m.cooccurrence.description),
+    legendNote: m.cooccurrence.legendNote,
+  });
+
+  Object.assign(COMBINATION_LAYER, { label: t("combination.label"), description: t("combination.description") });
+  COMBINATION_STATES.forEach((state) => (state.label = t(`combination.${state.key}`)));
+
+  SENSITIVITY_LAYER.label = t("sensitivity.label");
+  SENSITIVITY_LAYER.burdenClasses.forEach((c) => (c.label = t(`sensitivity.${c.value}`)));
+  SENSITIVITY_LAYER.deltaColors.forEach((c) => (c.label = tn("sensitivity.delta", c.value)));
+
+  BIVARIATE_LAYER.label = t("bivariate.label");
+  BIVARIATE_LAYER.productionClasses.forEach((c) => (c.label = t(`bivariate.${c.key}`)));
+
+  ZONAL_LAYER.label = t("zonal.label");
+  ZONAL_LAYER.stops.forEach((stop, i, stops) => {
+    const percent = formatNumber(stop.value, { style: "percent" });
+    stop.label = i === stops.length - 1 ? `≥ ${percent}` : percent;
+  });
+  BOUNDARY_LEVELS.forEach((level) => (level.label = t(`boundary.${level.key}`)));
+
+  Object.assign(LAYER_DESCRIPTIONS, {
+    breadbaskets: m.breadbaskets.tooltip,
+    cooccurrence: { text: withCount(m.cooccurrence.tooltip.text), source: m.cooccurrence.tooltip.source },
+    combination: { text: t("describe.combination"), source: t("describe.derivedFrom", { source }) },
+    sensitivity: { text: t("describe.sensitivity"), source: t("describe.derivedFromMaps", { source }) },
+    region: { text: t("describe.region"), source: t("describe.derivedFromBreadbaskets", { source }) },
+    bivariate: { text: t("describe.bivariate"), source: t("describe.derivedFromBreadbaskets", { source }) },
+    zonal: { text: t("describe.zonal"), source: t("describe.derivedFrom", { source }) },
+    ...Object.fromEntries(m.dimensions.map((d) => [d.key, d.tooltip])),
+  });
+
+  KEY_FINDINGS.splice(0, KEY_FINDINGS.length, ...(m.findings || []));
+  BURDEN_INFO.splice(
+    0,
+    BURDEN_INFO.length,
+    ...m.dimensions.map((d) => ({ key: d.key, icon: d.icon, name: d.label, ...d.info }))
+  );
+}
+
+// ── Citation ────────────────────────────────────────────────────────────────
+export const CITATION = MANIFEST.citation;
+
 // ── Tile URL helpers ────────────────────────────────────────────────────────
+// Tile hosts are configured at runtime (see tileSources.js). Defaults:
 // In dev:  Use tile server on port 8766 (python tile_server.py)
 // In prod: Tiles served from static host alongside the app
-const IS_PROD = process.env.NODE_ENV === "production";
-export const TILE_BASE = IS_PROD
-  ? "https://kushankbajaj.com/burdens-tiles"
-  : "http://localhost:8766";
 
+// Deepest zoom level the raster tile pyramids are rendered to
+export const TILE_MAXZOOM = 7;
+
+// Layer key owning each tile directory (for per-layer source overrides)
+const TILE_DIR_LAYER = Object.fromEntries(
+  [COOCCURRENCE_LAYER, ...Object.values(BURDEN_LAYERS)].flatMap((layer) =>
+    [...Object.values(layer.tileDir), layer.index?.tileDir].filter(Boolean).map((dir) => [dir, layer.key])
+  )
+);
+
+// Every raster tile directory the app reads, with its layer key
+export const TILE_DIRS = Object.entries(TILE_DIR_LAYER).map(([dir, layerKey]) => ({ dir, layerKey }));
+
+// Primary URL template for a tile directory
 export function tileUrl(tileDir) {
-  return `${TILE_BASE}/${tileDir}/{z}/{x}/{y}.png`;
+  return resolveTileUrls(tileDir, TILE_DIR_LAYER[tileDir])[0];
+}
+
+// One URL template per configured mirror (Mapbox `tiles` array)
+export function tileUrls(tileDir) {
+  return resolveTileUrls(tileDir, TILE_DIR_LAYER[tileDir]);
 }
 
 // All raster layer keys (co-occurrence + 4 individual burdens)
@@ -203,3 +378,6 @@ export const ALL_RASTER_KEYS = [
   "cooccurrence",
   ...Object.keys(BURDEN_LAYERS),
 ];
+
+// The language chosen in an earlier session (or the permalink)
+applyLocale(initialLocale());
@@ -0,0 +1,47 @@
+/**
+ * customSources.js — Rebuild the map's custom sources in a copy of its style
+ *
+ * getStyle() cannot serialise Mapbox custom sources (archive-backed rasters,
+ * recoloured rasters), so every one is registered here with a factory and a
+ * copy of the map (image export) re-creates them from the registry.
+ */
+
+// Source ID → () => fresh custom source implementation
+const factories = new Map();
+
+export function registerCustomSource(id, create) {
+  factories.set(id, create);
+}
+
+/**
+ * Split a style from getStyle() into a plain style without the registered
+ * custom sources (and their layers) plus a function that re-adds them, in
+ * the original layer order, once the receiving map has loaded.
+ */
+export function detachCustomSources(style) {
+  const custom = new Set(
+    Object.keys(style.sources).filter((id) => style.sources[id].type === "custom" && factories.has(id))
+  );
+  if (!custom.size) return { style, attach: () => {} };
+
+  const layers = style.layers;
+  const removed = layers
+    .map((layer, i) => ({ layer, i }))
+    .filter(({ layer }) => custom.has(layer.source));
+  const kept = layers.filter((layer) => !custom.has(layer.source));
+
+  return {
+    style: {
+      ...style,
+      sources: Object.fromEntries(Object.entries(style.sources).filter(([id]) => !custom.has(id))),
+      layers: kept,
+    },
+    attach: (m) => {
+      for (const id of custom) m.addSource(id, factories.get(id)());
+      for (const { layer, i } of removed) {
+        const before = layers.slice(i + 1).find((l) => !custom.has(l.source));
+        m.addLayer(layer, before?.id);
+      }
+    },
+  };
+}
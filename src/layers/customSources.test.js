@@ -0,0 +1,28 @@
+import { detachCustomSources } from "./customSources";
+import { archiveSource } from "./pmtilesArchive";
+
+test("archive-backed sources are detached from a style and re-added in layer order", () => {
+  archiveSource("raster-a", "pmtiles:///tiles/a.pmtiles", { maxzoom: 7 });
+  const style = {
+    version: 8,
+    sources: { base: { type: "vector" }, "raster-a": { type: "custom" } },
+    layers: [
+      { id: "bg", source: "base" },
+      { id: "raster-a", source: "raster-a" },
+      { id: "dots", source: "base" },
+    ],
+  };
+  const { style: plain, attach } = detachCustomSources(style);
+  expect(Object.keys(plain.sources)).toEqual(["base"]);
+  expect(plain.layers.map((l) => l.id)).toEqual(["bg", "dots"]);
+
+  const calls = [];
+  attach({
+    addSource: (id, source) => calls.push(["source", id, source.type, source.maxzoom]),
+    addLayer: (layer, before) => calls.push(["layer", layer.id, before]),
+  });
+  expect(calls).toEqual([
+    ["source", "raster-a", "custom", 7],
+    ["layer", "raster-a", "dots"],
+  ]);
+});
@@ -0,0 +1,158 @@
+/**
+ * derivedLayers.js — Specs for layers computed client-side from the burden tiles
+ *
+ * A derived-layer spec is what Map.js needs to composite a layer for the
+ * current viewport (see utils/rasterComposite.js):
+ *   id       map layer/source suffix
+ *   key      changes whenever the rendered output would change
+ *   inputs   [{ layerKey, threshold }] tiles to decode
+ *   pixel    (values) → [r, g, b, a] | null
+ *   opacity  raster opacity
+ *
+ * Specs are drawn in a palette's colour set (burdenConfig.paletteColors),
+ * `colors` below; the palette is part of each key.
+ */
+
+import { BURDEN_LAYERS, COMBINATION_LAYER, SENSITIVITY_LAYER } from "./burdenConfig";
+import { hexToRgba } from "../utils/color";
+import { t } from "../utils/i18n";
+import { isCustomCutoff, uniformThreshold } from "./thresholds";
+
+// ── Burden combination ──────────────────────────────────────────────────────
+// `combination` maps each burden key to "any" | "require" | "exclude".
+export const DEFAULT_COMBINATION = Object.fromEntries(
+  Object.keys(BURDEN_LAYERS).map((k) => [k, "any"])
+);
+
+// A combination needs at least one required burden — exclusions alone would
+// match every pixel on Earth.
+export function isCombinationActive(combination) {
+  return Object.values(combination).includes("require");
+}
+
+// "Poverty + Malnutrition, not Env. Footprint"
+export function describeCombination(combination) {
+  const names = (state) =>
+    Object.keys(BURDEN_LAYERS)
+      .filter((k) => combination[k] === state)
+      .map((k) => BURDEN_LAYERS[k].shortLabel);
+  const required = names("require");
+  const excluded = names("exclude");
+  if (!required.length) return t("combination.none");
+  const all = required.join(t("combination.and"));
+  return excluded.length ? t("combination.not", { required: all, excluded: excluded.join(t("combination.or")) }) : all;
+}
+
+// `burdenThresholds` picks the threshold variant for each burden's raster.
+export function combinationLayerSpec(combination, burdenThresholds, opacity, colors) {
+  const keys = Object.keys(BURDEN_LAYERS).filter((k) => combination[k] !== "any");
+  const want = keys.map((k) => (combination[k] === "require" ? 1 : 0));
+  const rgba = hexToRgba(colors.combination);
+
+  return {
+    id: COMBINATION_LAYER.key,
+    key: `${colors.key}|${keys.map((k, i) => `${k}:${want[i]}:${burdenThresholds[k]}`).join(",")}`,
+    inputs: keys.map((layerKey) => ({ layerKey, threshold: burdenThresholds[layerKey] })),
+    pixel: (values) => (values.every((v, i) => v === want[i]) ? rgba : null),
+    opacity,
+  };
+}
+
+// ── Mixed-threshold co-occurrence ───────────────────────────────────────────
+// Sum of the four binary rasters, each at its own threshold, coloured with the
+// standard co-occurrence ramp. Only used when thresholds differ per burden.
+export function cooccurrenceLayerSpec(burdenThresholds, opacity, colors) {
+  const keys = Object.keys(BURDEN_LAYERS);
+  const ramp = colors.cooccurrence.map((color, value) => (value === 0 ? null : hexToRgba(color)));
+
+  return {
+    id: "cooccurrence",
+    key: `${colors.key}|${keys.map((k) => `${k}:${burdenThresholds[k]}`).join(",")}`,
+    inputs: keys.map((layerKey) => ({ layerKey, threshold: burdenThresholds[layerKey] })),
+    pixel: (values) => ramp[values.reduce((sum, v) => sum + v, 0)],
+    opacity,
+  };
+}
+
+// ── Burden at a custom cutoff ───────────────────────────────────────────────
+// One burden's hotspots classified from its index tiles; replaces the
+// pre-rendered binary raster while the burden has a custom cutoff.
+export function customBurdenLayerSpec(layerKey, cutoff, opacity, colors) {
+  const rgba = hexToRgba(colors.burdens[layerKey].color);
+  return {
+    id: `burden-${layerKey}`,
+    key: `${colors.key}|${layerKey}:${cutoff}`,
+    inputs: [{ layerKey, threshold: cutoff }],
+    pixel: ([v]) => (v === 1 ? rgba : null),
+    opacity,
+  };
+}
+
+// ── Threshold sensitivity ───────────────────────────────────────────────────
+// `target` is "cooccurrence" (count delta) or a BURDEN_LAYERS key (robust /
+// less-strict-only classes). Always strict vs. liberal, independent of the
+// explorer's own threshold selection.
+
+// Class of one burden given its strict and liberal binary values
+export function sensitivityClass(strict, liberal) {
+  if (strict) return "both";
+  return liberal ? "liberal" : null;
+}
+
+export function sensitivityLayerSpec(target, opacity, colors) {
+  const inputs = [
+    { layerKey: target, threshold: "strict" },
+    { layerKey: target, threshold: "liberal" },
+  ];
+
+  if (target === "cooccurrence") {
+    const ramp = [null, ...colors.sensitivityDelta.map(hexToRgba)];
+    return {
+      id: SENSITIVITY_LAYER.key,
+      key: `${colors.key}|${target}`,
+      inputs,
+      pixel: ([s, l]) => ramp[Math.max(0, l - s)],
+      opacity,
+    };
+  }
+
+  const classColors = Object.fromEntries(
+    SENSITIVITY_LAYER.burdenClasses.map((c, i) => [c.value, hexToRgba(colors.sensitivity[i])])
+  );
+  return {
+    id: SENSITIVITY_LAYER.key,
+    key: `${colors.key}|${target}`,
+    inputs,
+    pixel: ([s, l]) => classColors[sensitivityClass(s, l)] || null,
+    opacity,
+  };
+}
+
+// ── Active specs ────────────────────────────────────────────────────────────
+/**
+ * All derived layers the map should draw for the given explorer state, in
+ * the colour set `colors`. Thresholds are passed separately so compare
+ * views can build a spec list per side from the same state.
+ */
+export function buildDerivedLayers(
+  { activeLayers, combination, sensitivityTarget, layerOpacity },
+  burdenThresholds,
+  colors
+) {
+  const specs = [];
+  if (activeLayers.includes("cooccurrence") && !uniformThreshold(burdenThresholds)) {
+    specs.push(cooccurrenceLayerSpec(burdenThresholds, layerOpacity.cooccurrence, colors));
+  }
+  for (const key of Object.keys(BURDEN_LAYERS)) {
+    if (activeLayers.includes(key) && isCustomCutoff(burdenThresholds[key])) {
+      specs.push(customBurdenLayerSpec(key, burdenThresholds[key], layerOpacity[key], colors));
+    }
+  }
+  if (activeLayers.includes("combination") && isCombinationActive(combination)) {
+    specs.push(combinationLayerSpec(combination, burdenThresholds, layerOpacity.combination, colors));
+  }
+  if (activeLayers.includes("sensitivity")) {
+    specs.push(sensitivityLayerSpec(sensitivityTarget, layerOpacity.sensitivity, colors));
+  }
+  return specs;
+}
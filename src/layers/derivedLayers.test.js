@@ -0,0 +1,99 @@
+import {
+  DEFAULT_COMBINATION,
+  combinationLayerSpec,
+  describeCombination,
+  buildDerivedLayers,
+  cooccurrenceLayerSpec,
+  isCombinationActive,
+  sensitivityLayerSpec,
+} from "./derivedLayers";
+import {
+  cutoffThreshold,
+  describeThresholds,
+  thresholdLabel,
+  uniformThreshold,
+  uniformThresholds,
+} from "./thresholds";
+import { paletteColors } from "./burdenConfig";
+
+const COLORS = paletteColors("default");
+
+const combo = { ...DEFAULT_COMBINATION, income_poverty: "require", malnutrition: "require", env_footprint: "exclude" };
+
+test("combination needs at least one required burden", () => {
+  expect(isCombinationActive(DEFAULT_COMBINATION)).toBe(false);
+  expect(isCombinationActive({ ...DEFAULT_COMBINATION, env_footprint: "exclude" })).toBe(false);
+  expect(isCombinationActive(combo)).toBe(true);
+  expect(describeCombination(combo)).toBe("Poverty + Malnutrition, not Env. Footprint");
+});
+
+test("combination spec only decodes constrained burdens and matches them all", () => {
+  const thresholds = { ...uniformThresholds("liberal"), env_footprint: "strict" };
+  const spec = combinationLayerSpec(combo, thresholds, 0.8, COLORS);
+  expect(spec.inputs).toEqual([
+    { layerKey: "env_footprint", threshold: "strict" },
+    { layerKey: "income_poverty", threshold: "liberal" },
+    { layerKey: "malnutrition", threshold: "liberal" },
+  ]);
+  expect(spec.pixel([0, 1, 1])).not.toBeNull();
+  expect(spec.pixel([1, 1, 1])).toBeNull();
+  expect(spec.pixel([0, 1, 0])).toBeNull();
+});
+
+test("mixed-threshold co-occurrence counts hotspots across per-burden thresholds", () => {
+  const thresholds = { ...uniformThresholds("strict"), income_poverty: "liberal" };
+  const spec = cooccurrenceLayerSpec(thresholds, 0.75, COLORS);
+  expect(spec.inputs.find((i) => i.layerKey === "income_poverty").threshold).toBe("liberal");
+  expect(spec.pixel([0, 0, 0, 0])).toBeNull();
+  expect(spec.pixel([1, 0, 1, 1])).toEqual([215, 48, 39, 255]); // 3 burdens → #d73027
+  expect(describeThresholds(thresholds)).toBe("Env ≥ 2 SD · Climate z ≥ 2 · Poverty ≤ $21.70 · Malnutrition ≥ 15%");
+});
+
+test("specs are drawn in the palette they are given", () => {
+  const thresholds = { ...uniformThresholds("strict"), income_poverty: "liberal" };
+  const cvd = cooccurrenceLayerSpec(thresholds, 0.75, paletteColors("cvd"));
+  expect(cvd.pixel([1, 0, 1, 1])).toEqual([188, 55, 84, 255]); // 3 burdens → #bc3754
+  expect(cvd.key).not.toBe(cooccurrenceLayerSpec(thresholds, 0.75, COLORS).key);
+  expect(combinationLayerSpec(combo, thresholds, 0.8, paletteColors("greyscale")).pixel([0, 1, 1])).toEqual([
+    255, 255, 255, 255,
+  ]);
+});
+
+test("sensitivity classifies burden pixels and co-occurrence deltas", () => {
+  const burden = sensitivityLayerSpec("income_poverty", 0.8, COLORS);
+  expect(burden.inputs.map((i) => i.threshold)).toEqual(["strict", "liberal"]);
+  expect(burden.pixel([1, 1])).toEqual([84, 39, 136, 255]);  // robust
+  expect(burden.pixel([0, 1])).toEqual([241, 163, 64, 255]); // less strict only
+  expect(burden.pixel([0, 0])).toBeNull();
+
+  const cooc = sensitivityLayerSpec("cooccurrence", 0.8, COLORS);
+  expect(cooc.pixel([2, 2])).toBeNull();
+  expect(cooc.pixel([1, 3])).toEqual([107, 174, 214, 255]);  // +2
+});
+
+test("custom cutoffs snap to the step and to the reference cutoffs", () => {
+  expect(cutoffThreshold("env_footprint", 1.54)).toBe(1.5);
+  expect(cutoffThreshold("env_footprint", 2.01)).toBe("strict");
+  expect(cutoffThreshold("income_poverty", 21.7)).toBe("liberal");
+  expect(cutoffThreshold("income_poverty", 0)).toBe(1);
+});
+
+test("a custom cutoff recomputes co-occurrence and redraws that burden", () => {
+  const thresholds = { ...uniformThresholds("strict"), env_footprint: 1.5 };
+  expect(uniformThreshold(thresholds)).toBeNull();
+  expect(uniformThreshold(uniformThresholds(1.5))).toBeNull();
+  expect(thresholdLabel(thresholds)).toBe("Custom");
+  expect(describeThresholds(thresholds)).toBe("Env ≥ 1.5 SD · Climate z ≥ 2 · Poverty ≤ $5.50 · Malnutrition ≥ 15%");
+
+  const specs = buildDerivedLayers(
+    {
+      activeLayers: ["cooccurrence", "env_footprint", "malnutrition"],
+      combination: DEFAULT_COMBINATION,
+      layerOpacity: { cooccurrence: 0.75, env_footprint: 0.7 },
+    },
+    thresholds,
+    COLORS
+  );
+  expect(specs.map((s) => s.id)).toEqual(["cooccurrence", "burden-env_footprint"]);
+  expect(specs[0].inputs[0]).toEqual({ layerKey: "env_footprint", threshold: 1.5 });
+});
@@ -0,0 +1,99 @@
+/**
+ * manifest.js — The layer manifest every layer definition is built from
+ *
+ * burdenConfig.js derives the burden dimensions, thresholds, co-occurrence
+ * scale, breadbasket styling, tooltips and info-panel text from a single
+ * JSON manifest (default: manifest.json next to this file), validated
+ * against manifest.schema.json.
+ *
+ * A deployment can replace it without rebuilding: at startup, before the
+ * app modules load, a manifest is fetched from
+ *   ?layers=<url>  ·  REACT_APP_LAYER_MANIFEST  ·  `${PUBLIC_URL}/layers.json`
+ * (the last is optional and ignored when absent). An invalid manifest stops
+ * startup with the list of problems.
+ *
+ * Description strings may use {n} (number of dimensions, "4") and {count}
+ * (the same as a word, "four"). A finding's headline figure may be given as
+ * a number (`value`, or a [low, high] range) so it is written out in the
+ * reader's language; `stat` is the fallback. Translations of the built-in
+ * manifest's text are in src/locales (utils/i18n.js).
+ *
+ * A dimension may also describe a continuous `index` raster (value tiles,
+ * see utils/tileSampler.js) with the strict / liberal cutoffs on it; users
+ * can then set their own cutoff for that dimension.
+ */
+
+import DEFAULT_MANIFEST from "./manifest.json";
+import MANIFEST_SCHEMA from "./manifest.schema.json";
+import { fetchConfigJson } from "../utils/fetchJson";
+import { validateSchema } from "../utils/jsonSchema";
+
+// Keys the app already uses for its own layers
+const RESERVED_KEYS = ["breadbaskets", "cooccurrence", "combination", "sensitivity", "zonal", "region"];
+
+function duplicates(values) {
+  return [...new Set(values.filter((v, i) => values.indexOf(v) !== i))];
+}
+
+/**
+ * Schema errors plus the cross-field rules a schema cannot express.
+ * Returns a list of messages, empty when the manifest is valid.
+ */
+export function validateManifest(manifest) {
+  const errors = validateSchema(manifest, MANIFEST_SCHEMA);
+  if (errors.length) return errors;
+
+  const keys = manifest.dimensions.map((d) => d.key);
+  duplicates(keys).forEach((k) => errors.push(`dimensions: duplicate key "${k}"`));
+  keys
+    .filter((k) => RESERVED_KEYS.includes(k))
+    .forEach((k) => errors.push(`dimensions: "${k}" is reserved for a built-in layer`));
+
+  const dirs = [manifest.cooccurrence, ...manifest.dimensions].flatMap((l) => Object.values(l.tileDir));
+  manifest.dimensions.forEach((d) => d.index && dirs.push(d.index.tileDir));
+  duplicates(dirs).forEach((d) => errors.push(`tileDir "${d}" is used by more than one layer`));
+
+  duplicates(manifest.thresholds.map((t) => t.key)).forEach((k) =>
+    errors.push(`thresholds: duplicate key "${k}"`)
+  );
+
+  manifest.dimensions.forEach((d, i) => {
+    if (duplicates(d.legendColors.map((c) => c.value)).length) {
+      errors.push(`dimensions[${i}].legendColors: needs one class for 0 and one for 1`);
+    }
+    if (d.index) {
+      const { min, max, step, cutoffs } = d.index;
+      if (!(min < max) || !(step > 0)) errors.push(`dimensions[${i}].index: needs min < max and step > 0`);
+      Object.entries(cutoffs)
+        .filter(([, v]) => v < min || v > max)
+        .forEach(([k]) => errors.push(`dimensions[${i}].index.cutoffs.${k}: outside min–max`));
+    }
+  });
+  return errors;
+}
+
+function checked(manifest, origin) {
+  const errors = validateManifest(manifest);
+  if (errors.length) {
+    throw new Error(`Invalid layer manifest (${origin}):\n${errors.join("\n")}`);
+  }
+  return manifest;
+}
+
+let current = checked(DEFAULT_MANIFEST, "built-in");
+
+export function getLayerManifest() {
+  return current;
+}
+
+/**
+ * Replace the built-in manifest with a deployment's, if one is configured.
+ * Must run before burdenConfig.js is first imported.
+ */
+export async function loadLayerManifest(search = window.location.search) {
+  const explicit = new URLSearchParams(search).get("layers") || process.env.REACT_APP_LAYER_MANIFEST;
+  const url = explicit || `${process.env.PUBLIC_URL || ""}/layers.json`;
+  const json = await fetchConfigJson(url, { what: "Layer manifest", required: Boolean(explicit) });
+  if (json) current = checked(json, url);
+  return current;
+}
@@ -0,0 +1,61 @@
+import DEFAULT_MANIFEST from "./manifest.json";
+import { validateManifest } from "./manifest";
+
+const clone = () => JSON.parse(JSON.stringify(DEFAULT_MANIFEST));
+
+function fifthDimension(manifest) {
+  const extra = { ...manifest.dimensions[0], key: "water_stress", label: "Water Stress", shortLabel: "Water" };
+  extra.tileDir = { strict: "water_stress_strict", liberal: "water_stress_liberal" };
+  delete extra.index; // continuous index tiles are optional
+  manifest.dimensions.push(extra);
+  return manifest;
+}
+
+test("the built-in manifest is valid", () => {
+  expect(validateManifest(DEFAULT_MANIFEST)).toEqual([]);
+});
+
+test("schema and cross-field problems are reported with their path", () => {
+  const m = clone();
+  delete m.dimensions[1].tileDir.liberal;
+  m.dimensions[2].color = "orange";
+  expect(validateManifest(m)).toEqual([
+    'dimensions[1].tileDir: missing "liberal"',
+    "dimensions[2].color: must match ^#[0-9a-fA-F]{6}$",
+  ]);
+
+  const dup = clone();
+  dup.dimensions[3].key = "env_footprint";
+  dup.dimensions[3].tileDir = { ...dup.dimensions[0].tileDir };
+  dup.dimensions.push({ ...dup.dimensions[1], key: "zonal", tileDir: { strict: "z1", liberal: "z2" } });
+  dup.dimensions[2].index.cutoffs.strict = 50;
+  expect(validateManifest(dup)).toEqual([
+    'dimensions: duplicate key "env_footprint"',
+    'dimensions: "zonal" is reserved for a built-in layer',
+    'tileDir "env_footprint_strict" is used by more than one layer',
+    'tileDir "env_footprint_liberal" is used by more than one layer',
+    'tileDir "weather_extremes_index" is used by more than one layer',
+    "dimensions[2].index.cutoffs.strict: outside min–max",
+  ]);
+});
+
+test("a fifth dimension extends the layers, thresholds and co-occurrence scale", () => {
+  const manifest = fifthDimension(clone());
+  expect(validateManifest(manifest)).toEqual([]);
+
+  jest.isolateModules(() => {
+    jest.doMock("./manifest", () => ({ getLayerManifest: () => manifest }));
+    const config = require("./burdenConfig");
+    expect(config.BURDEN_COUNT).toBe(5);
+    expect(Object.keys(config.BURDEN_LAYERS)).toContain("water_stress");
+    expect(config.COOCCURRENCE_COLORS.map((c) => c.value)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(config.COOCCURRENCE_COLORS[5].label).toBe("5 burdens (all)");
+    expect(config.COOCCURRENCE_COLORS[1].color).toBe("#fee08b");
+    expect(config.COOCCURRENCE_COLORS[5].color).toBe("#7f0000");
+    expect(config.SENSITIVITY_LAYER.deltaColors).toHaveLength(5);
+    expect(config.COOCCURRENCE_LAYER.description).toContain("0–5");
+    expect(config.COOCCURRENCE_LAYER.description).toContain("five burden dimensions");
+    expect(config.THRESHOLD_OPTIONS[0].description.split(" · ")).toHaveLength(5);
+    expect(config.TILE_DIRS).toContainEqual({ dir: "water_stress_liberal", layerKey: "water_stress" });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * palettes.js — Colour palettes for the map, legends and panels
+ *
+ * "default" is the layer manifest's own colours — the ones the raster tiles
+ * are rendered in. The others override them:
+ *   cvd        distinguishable with red–green colour-vision deficiency
+ *              (Okabe & Ito burden colours, an inferno co-occurrence ramp,
+ *              Tol's "muted" food groups)
+ *   greyscale  for black-and-white print
+ *
+ * Overrides are lists applied in manifest order; burden and food-group
+ * lists repeat when the manifest has more entries, ramps are resampled to
+ * the number of classes. Anything a palette leaves out keeps its default
+ * colour (the bivariate scheme is already readable with a CVD).
+ *
+ * burdenConfig.paletteColors() resolves a palette into the colour set the
+ * app draws with; the choice is kept in localStorage. Names and
+ * descriptions are the `palette.<key>` messages (utils/i18n.js).
+ */
+
+import { mixHex, sampleRamp } from "../utils/color";
+
+export const DEFAULT_PALETTE = "default";
+
+const STORAGE_KEY = "burdens-palette";
+
+export const PALETTES = [
+  { key: "default" },
+  {
+    key: "cvd",
+    colors: {
+      burdens: ["#009e73", "#0072b2", "#e69f00", "#cc79a7", "#56b4e9", "#d55e00", "#f0e442"],
+      cooccurrence: ["#fcffa4", "#f98e09", "#bc3754", "#57106e"],
+      foodGroups: ["#ddcc77", "#cc6677", "#88ccee", "#117733", "#44aa99", "#999933", "#882255", "#aa4499", "#332288", "#dddddd"],
+      combination: "#cc79a7",
+    },
+  },
+  {
+    key: "greyscale",
+    colors: {
+      burdens: ["#f0f0f0", "#c8c8c8", "#a0a0a0", "#787878"],
+      notHotspot: "#3c3c3c",
+      cooccurrence: ["#f7f7f7", "#bdbdbd", "#858585", "#525252"],
+      foodGroups: ["#f7f7f7", "#d9d9d9", "#bdbdbd", "#969696", "#737373"],
+      combination: "#ffffff",
+      sensitivity: ["#f0f0f0", "#8c8c8c"],
+      sensitivityDelta: ["#525252", "#f0f0f0"],
+      zonal: ["#f7f7f7", "#cccccc", "#969696", "#636363", "#252525"],
+    },
+  },
+];
+
+const repeat = (list, i) => list[i % list.length];
+
+/**
+ * Every display colour under palette `key`. `base` holds the default
+ * colours in the same shape:
+ *   { burdens: [{ color, colorDark, notHotspot }], cooccurrence: [1…N],
+ *     foodGroups, combination, sensitivity, sensitivityDelta, zonal }
+ */
+export function resolvePalette(key, base) {
+  const colors = PALETTES.find((p) => p.key === key)?.colors;
+  if (!colors) return base;
+  return {
+    burdens: colors.burdens
+      ? base.burdens.map((_, i) => {
+          const color = repeat(colors.burdens, i);
+          return {
+            color,
+            colorDark: mixHex(color, "#000000", 0.5),
+            notHotspot: colors.notHotspot || mixHex(color, "#ffffff", 0.85),
+          };
+        })
+      : base.burdens,
+    cooccurrence: colors.cooccurrence
+      ? sampleRamp(colors.cooccurrence, base.cooccurrence.length)
+      : base.cooccurrence,
+    foodGroups: colors.foodGroups ? base.foodGroups.map((_, i) => repeat(colors.foodGroups, i)) : base.foodGroups,
+    combination: colors.combination || base.combination,
+    sensitivity: colors.sensitivity || base.sensitivity,
+    sensitivityDelta: colors.sensitivityDelta
+      ? sampleRamp(colors.sensitivityDelta, base.sensitivityDelta.length)
+      : base.sensitivityDelta,
+    zonal: colors.zonal ? sampleRamp(colors.zonal, base.zonal.length) : base.zonal,
+  };
+}
+
+// ── Persistence ─────────────────────────────────────────────────────────────
+export function storedPalette() {
+  try {
+    const key = window.localStorage.getItem(STORAGE_KEY);
+    return PALETTES.some((p) => p.key === key) ? key : DEFAULT_PALETTE;
+  } catch (e) {
+    return DEFAULT_PALETTE; // storage blocked (private mode, sandboxed iframe)
+  }
+}
+
+export function storePalette(key) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, key);
+  } catch (e) {
+    // not persisted; the palette still applies for this session
+  }
+}
@@ -0,0 +1,32 @@
+import { PALETTES, resolvePalette } from "./palettes";
+
+const BASE = {
+  burdens: [
+    { color: "#31a354", colorDark: "#006d2c", notHotspot: "#e5f5e0" },
+    { color: "#3182bd", colorDark: "#08519c", notHotspot: "#deebf7" },
+  ],
+  cooccurrence: ["#fee08b", "#fc8d59", "#d73027"],
+  foodGroups: ["#111111", "#222222", "#333333"],
+  combination: "#e7298a",
+  sensitivity: ["#542788", "#f1a340"],
+  sensitivityDelta: ["#c6dbef", "#6baed6", "#2171b5"],
+  zonal: ["#fef0d9", "#fdcc8a", "#fc8d59", "#e34a33", "#b30000"],
+};
+
+test("the default palette keeps the base colours", () => {
+  expect(resolvePalette("default", BASE)).toBe(BASE);
+  expect(resolvePalette("unknown", BASE)).toBe(BASE);
+});
+
+test("overrides keep the base shape: ramps resampled, lists repeated", () => {
+  for (const { key } of PALETTES) {
+    const colors = resolvePalette(key, BASE);
+    for (const name of ["burdens", "cooccurrence", "foodGroups", "sensitivity", "sensitivityDelta", "zonal"]) {
+      expect(colors[name]).toHaveLength(BASE[name].length);
+    }
+  }
+  const cvd = resolvePalette("cvd", BASE);
+  expect(cvd.burdens[0]).toEqual({ color: "#009e73", colorDark: "#004f3a", notHotspot: "#d9f0ea" });
+  expect(cvd.sensitivity).toBe(BASE.sensitivity);
+  expect(resolvePalette("greyscale", BASE).burdens[1].notHotspot).toBe("#3c3c3c");
+});
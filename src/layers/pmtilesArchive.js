@@ -0,0 +1,87 @@
+/**
+ * pmtilesArchive.js — Burden rasters from single-file PMTiles archives
+ *
+ * A tile URL of the form `pmtiles://<archive url>` (see the "pmtiles" format
+ * in tileSources.js) names a PMTiles v3 archive holding one raster tile
+ * pyramid, read with HTTP range requests. The archive may be same-origin
+ * (`pmtiles:///tiles/cooccurrence_strict.pmtiles`) or on any host that
+ * allows range requests.
+ *
+ * Mapbox GL has no custom URL protocols, so archive-backed rasters are added
+ * as custom sources under the usual source IDs (`raster-cooccurrence-strict`
+ * …) and the raster layers on top of them are unchanged. The tile sampler
+ * reads the same archives through readArchiveTile().
+ *
+ * The pmtiles library is loaded on first use, so PNG-directory deployments
+ * never download it.
+ */
+
+import { registerCustomSource } from "./customSources";
+
+export const PMTILES_SCHEME = "pmtiles://";
+
+export function isPmtilesUrl(url) {
+  return url.startsWith(PMTILES_SCHEME);
+}
+
+// ── Archives ────────────────────────────────────────────────────────────────
+const archives = new Map();
+
+// One reader per archive; a failed open (e.g. the library chunk did not
+// load) is forgotten so the next read tries again
+function openArchive(url) {
+  const location = url.slice(PMTILES_SCHEME.length);
+  if (!archives.has(location)) {
+    const opening = import("pmtiles")
+      .then(({ PMTiles }) => new PMTiles(location))
+      .catch((e) => {
+        if (archives.get(location) === opening) archives.delete(location);
+        throw e;
+      });
+    archives.set(location, opening);
+  }
+  return archives.get(location);
+}
+
+/**
+ * Raw bytes of one tile, or null when the archive has no tile there
+ * (no data, e.g. open ocean).
+ */
+export async function readArchiveTile(url, z, x, y, signal) {
+  const archive = await openArchive(url);
+  const tile = await archive.getZxy(z, x, y, signal);
+  return tile?.data ? new Blob([tile.data]) : null;
+}
+
+// Startup check: the archive answers range requests and has a valid header
+export async function probeArchive(url) {
+  try {
+    const header = await (await openArchive(url)).getHeader();
+    return { ok: true, status: `ok (z${header.minZoom}–${header.maxZoom})` };
+  } catch (e) {
+    archives.delete(url.slice(PMTILES_SCHEME.length));
+    return { ok: false, status: e.message || "unreadable archive" };
+  }
+}
+
+// ── Map sources ─────────────────────────────────────────────────────────────
+/**
+ * Mapbox custom raster source reading tiles from an archive.
+ * Missing tiles resolve to null (draw nothing); deeper zooms are
+ * over-scaled from `maxzoom`.
+ */
+export function archiveSource(id, url, { tileSize = 256, minzoom = 0, maxzoom } = {}) {
+  registerCustomSource(id, () => archiveSource(id, url, { tileSize, minzoom, maxzoom }));
+  return {
+    id,
+    type: "custom",
+    dataType: "raster",
+    tileSize,
+    minzoom,
+    maxzoom,
+    async loadTile({ z, x, y }, { signal }) {
+      const blob = await readArchiveTile(url, z, x, y, signal);
+      return blob ? createImageBitmap(blob) : null;
+    },
+  };
+}
@@ -0,0 +1,53 @@
+import { PMTiles } from "pmtiles";
+import { probeArchive, readArchiveTile } from "./pmtilesArchive";
+
+jest.mock("pmtiles", () => ({ PMTiles: jest.fn() }));
+
+// Archive reader whose tiles are { "z/x/y": bytes }
+function fakeArchive(tiles, header = { minZoom: 0, maxZoom: 7 }) {
+  return {
+    getZxy: jest.fn(async (z, x, y) => (tiles[`${z}/${x}/${y}`] ? { data: tiles[`${z}/${x}/${y}`] } : undefined)),
+    getHeader: jest.fn(async () => header),
+  };
+}
+
+beforeEach(() => {
+  PMTiles.mockReset();
+});
+
+test("tiles are read from one reader per archive; missing tiles are null", async () => {
+  const archive = fakeArchive({ "3/4/2": new Uint8Array([1, 2, 3]) });
+  PMTiles.mockImplementation(() => archive);
+  const url = "pmtiles:///tiles/cooccurrence_strict.pmtiles";
+
+  const blob = await readArchiveTile(url, 3, 4, 2);
+  expect(blob).toBeInstanceOf(Blob);
+  expect(blob.size).toBe(3);
+  await expect(readArchiveTile(url, 3, 5, 2)).resolves.toBeNull();
+  expect(PMTiles).toHaveBeenCalledTimes(1);
+  expect(PMTiles).toHaveBeenCalledWith("/tiles/cooccurrence_strict.pmtiles");
+});
+
+test("an archive that failed to open is opened again on the next read", async () => {
+  const url = "pmtiles://https://tiles.example.org/malnutrition_strict.pmtiles";
+  PMTiles.mockImplementationOnce(() => {
+    throw new Error("Loading chunk failed");
+  });
+  await expect(readArchiveTile(url, 0, 0, 0)).rejects.toThrow("Loading chunk failed");
+
+  PMTiles.mockImplementation(() => fakeArchive({ "0/0/0": new Uint8Array([9]) }));
+  await expect(readArchiveTile(url, 0, 0, 0)).resolves.toBeInstanceOf(Blob);
+  expect(PMTiles).toHaveBeenCalledTimes(2);
+});
+
+test("the startup probe reports the zoom range, or the error and retries later", async () => {
+  const url = "pmtiles:///tiles/poverty_strict.pmtiles";
+  const broken = fakeArchive({});
+  broken.getHeader.mockRejectedValue(new Error("Bad magic number"));
+  PMTiles.mockImplementationOnce(() => broken);
+  await expect(probeArchive(url)).resolves.toEqual({ ok: false, status: "Bad magic number" });
+
+  PMTiles.mockImplementation(() => fakeArchive({}, { minZoom: 0, maxZoom: 6 }));
+  await expect(probeArchive(url)).resolves.toEqual({ ok: true, status: "ok (z0–6)" });
+  expect(PMTiles).toHaveBeenCalledTimes(2);
+});
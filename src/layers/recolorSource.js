@@ -0,0 +1,77 @@
+/**
+ * recolorSource.js — Burden rasters redrawn in the display palette
+ *
+ * The raster tiles are pre-rendered in the manifest colours. With another
+ * palette selected (palettes.js, resolved by burdenConfig.paletteColors())
+ * Map.js adds each raster as a custom source under its usual source ID whose
+ * tiles are read through the tile sampler, decoded pixel by pixel and
+ * painted again in the palette's colours. Tile
+ * alpha is kept, so anti-aliased edges and baked-in transparency survive.
+ * Tiles fail the way raster tiles do, so tile health (utils/tileHealth.js)
+ * watches these sources too: a tile that is not there rejects as a 404 and
+ * one that could not be read rejects with the sampler's error. A reload
+ * forgets the sampler's copies of the source's tiles first.
+ */
+
+import { TILE_MAXZOOM } from "./burdenConfig";
+import { registerCustomSource } from "./customSources";
+import { decodePixel, forgetTiles, hasData, loadTileData } from "../utils/tileSampler";
+import { TILE_SIZE } from "../utils/tileMath";
+import { hexToRgb } from "../utils/color";
+
+// [r, g, b] (or null = transparent) for each decoded value of a layer
+function valueColors(layerKey, colors) {
+  if (layerKey === "cooccurrence") {
+    return colors.cooccurrence.map((color, value) => (value === 0 ? null : hexToRgb(color)));
+  }
+  const { color, notHotspot } = colors.burdens[layerKey];
+  return [hexToRgb(notHotspot), hexToRgb(color)];
+}
+
+/**
+ * RGBA pixels of a decoded tile in the colour set `colors`. `threshold` is
+ * the tile's threshold variant ("strict" / "liberal").
+ */
+export function recolorPixels(layerKey, threshold, data, colors) {
+  const rgbs = valueColors(layerKey, colors);
+  const out = new Uint8ClampedArray(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    if (!hasData(data, i)) continue;
+    const rgb = rgbs[decodePixel(layerKey, data, i, threshold)];
+    if (!rgb) continue;
+    out[i] = rgb[0];
+    out[i + 1] = rgb[1];
+    out[i + 2] = rgb[2];
+    out[i + 3] = data[i + 3];
+  }
+  return out;
+}
+
+/**
+ * Mapbox custom raster source drawing `tileDir` (a `layerKey` raster at
+ * `threshold`) in the colour set `colors`. Missing tiles draw nothing.
+ * Call reload() rather than the bare clearTiles() / update() pair.
+ */
+export function recolorSource(id, { tileDir, layerKey, threshold, colors }) {
+  registerCustomSource(id, () => recolorSource(id, { tileDir, layerKey, threshold, colors }));
+  return {
+    id,
+    type: "custom",
+    dataType: "raster",
+    tileSize: TILE_SIZE,
+    minzoom: 0,
+    maxzoom: TILE_MAXZOOM,
+    async loadTile({ z, x, y }) {
+      const tile = await loadTileData(tileDir, z, x, y);
+      if (!tile) throw Object.assign(new Error("Not found"), { status: 404 });
+      const pixels = recolorPixels(layerKey, threshold, tile.data, colors);
+      return createImageBitmap(new ImageData(pixels, TILE_SIZE, TILE_SIZE));
+    },
+    // clearTiles and update are attached by Mapbox once the source is added
+    reload() {
+      forgetTiles(tileDir);
+      this.clearTiles();
+      this.update();
+    },
+  };
+}
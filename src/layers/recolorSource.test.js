@@ -0,0 +1,45 @@
+import { paletteColors } from "./burdenConfig";
+import { recolorSource } from "./recolorSource";
+import { tileDirFor } from "../utils/tileSampler";
+
+const response = (status) => ({ ok: status < 300, status, blob: () => Promise.resolve(new Blob()) });
+
+const source = () =>
+  recolorSource("raster-cooccurrence-strict", {
+    tileDir: tileDirFor("cooccurrence", "strict"),
+    layerKey: "cooccurrence",
+    threshold: "strict",
+    colors: paletteColors("cvd"),
+  });
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("tiles fail like raster tiles: missing as a 404, others with their status", async () => {
+  const s = source();
+  fetch.mockResolvedValueOnce(response(404)).mockResolvedValueOnce(response(502));
+  await expect(s.loadTile({ z: 1, x: 0, y: 0 })).rejects.toMatchObject({ status: 404 });
+  await expect(s.loadTile({ z: 1, x: 1, y: 0 })).rejects.toMatchObject({ status: 502 });
+});
+
+test("a reload re-requests tiles the sampler had cached as missing", async () => {
+  const s = source();
+  s.clearTiles = jest.fn();
+  s.update = jest.fn();
+  fetch.mockResolvedValue(response(404));
+  await expect(s.loadTile({ z: 2, x: 1, y: 1 })).rejects.toMatchObject({ status: 404 });
+  await expect(s.loadTile({ z: 2, x: 1, y: 1 })).rejects.toMatchObject({ status: 404 });
+  expect(fetch).toHaveBeenCalledTimes(1);
+
+  s.reload();
+  expect(s.clearTiles).toHaveBeenCalled();
+  expect(s.update).toHaveBeenCalled();
+  fetch.mockResolvedValue(response(503));
+  await expect(s.loadTile({ z: 2, x: 1, y: 1 })).rejects.toMatchObject({ status: 503 });
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
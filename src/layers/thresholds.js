@@ -0,0 +1,92 @@
+/**
+ * thresholds.js — Per-burden threshold selection helpers
+ *
+ * Each burden dimension can be classified with its own threshold variant.
+ * `burdenThresholds` maps every BURDEN_LAYERS key to a THRESHOLD_OPTIONS key:
+ *   { env_footprint: "strict", weather_extremes: "strict", income_poverty: "liberal", ... }
+ *
+ * When all burdens agree the pre-rendered co-occurrence tiles for that threshold
+ * are used; when they differ the co-occurrence count is recomputed client-side
+ * from the chosen binary layers (see cooccurrenceLayerSpec).
+ *
+ * A burden with a continuous `index` raster may instead have a custom cutoff:
+ * a number on that index, e.g. { env_footprint: 1.5 }. Its hotspots are then
+ * classified on the client from the value tiles (tileSampler.decodePixel).
+ */
+
+import { BURDEN_LAYERS, THRESHOLD_OPTIONS } from "./burdenConfig";
+import { formatNumber, t } from "../utils/i18n";
+
+// Same threshold for every burden
+export function uniformThresholds(threshold) {
+  return Object.fromEntries(Object.keys(BURDEN_LAYERS).map((k) => [k, threshold]));
+}
+
+// A custom cutoff value rather than a THRESHOLD_OPTIONS key
+export function isCustomCutoff(threshold) {
+  return typeof threshold === "number";
+}
+
+// The shared threshold key, or null when burdens use different thresholds
+// (or any custom cutoff — there are no pre-rendered tiles for those)
+export function uniformThreshold(burdenThresholds) {
+  const values = new Set(Object.keys(BURDEN_LAYERS).map((k) => burdenThresholds[k]));
+  const [shared] = values;
+  return values.size === 1 && !isCustomCutoff(shared) ? shared : null;
+}
+
+// ── Custom cutoffs ──────────────────────────────────────────────────────────
+// Position of a threshold on a burden's index (a variant's reference cutoff)
+export function cutoffValue(key, threshold) {
+  if (isCustomCutoff(threshold)) return threshold;
+  return BURDEN_LAYERS[key].index?.cutoffs[threshold] ?? null;
+}
+
+/**
+ * Threshold for a cutoff picked on a burden's index: clamped to its range
+ * and rounded to its step, or the variant key when it lands on a reference
+ * cutoff (so the pre-rendered tiles are used).
+ */
+export function cutoffThreshold(key, value) {
+  const { min, max, step, decimals, cutoffs } = BURDEN_LAYERS[key].index;
+  const stepped = min + Math.round((Math.min(max, Math.max(min, value)) - min) / step) * step;
+  const rounded = Number(stepped.toFixed(decimals));
+  return THRESHOLD_OPTIONS.find((o) => cutoffs[o.key] === rounded)?.key ?? rounded;
+}
+
+// Whether an index value is a hotspot at a cutoff
+export function isHotspotValue(key, value, cutoff) {
+  return BURDEN_LAYERS[key].index.hotspot === "below" ? value <= cutoff : value >= cutoff;
+}
+
+// "Env ≥ 2 SD" for a variant, "Env ≥ 1.5 SD" for a custom cutoff
+export function criterionFor(key, threshold) {
+  const cfg = BURDEN_LAYERS[key];
+  if (!isCustomCutoff(threshold)) return cfg.criteria[threshold];
+  const { format, decimals } = cfg.index;
+  const digits = { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+  return format.replace("{v}", formatNumber(threshold, digits));
+}
+
+// "Strict", "Less strict" or "Custom" for one burden's threshold
+export function variantLabel(threshold) {
+  if (isCustomCutoff(threshold)) return t("threshold.custom");
+  return THRESHOLD_OPTIONS.find((o) => o.key === threshold)?.label;
+}
+
+// ── Summaries ───────────────────────────────────────────────────────────────
+// "Env ≥ 2 SD · Climate z ≥ 2 · Poverty ≤ $21.70 · Malnutrition ≥ 15%"
+export function describeThresholds(burdenThresholds) {
+  const shared = uniformThreshold(burdenThresholds);
+  if (shared) return THRESHOLD_OPTIONS.find((o) => o.key === shared)?.description;
+  return Object.keys(BURDEN_LAYERS)
+    .map((k) => criterionFor(k, burdenThresholds[k]))
+    .join(" · ");
+}
+
+// Short label for the active selection: "Strict", "Less strict", "Custom" or "Mixed"
+export function thresholdLabel(burdenThresholds) {
+  const shared = uniformThreshold(burdenThresholds);
+  if (shared) return THRESHOLD_OPTIONS.find((o) => o.key === shared)?.label;
+  return t(Object.values(burdenThresholds).some(isCustomCutoff) ? "threshold.custom" : "threshold.mixed");
+}
@@ -0,0 +1,272 @@
+/**
+ * tileSources.js — Where the raster tiles are fetched from
+ *
+ * Tile locations are configured at runtime so a self-hosted mirror can be
+ * used without editing source. Sources, lowest to highest precedence:
+ *
+ *   1. Built-in default (the public tile host, or localhost:8766 in dev)
+ *   2. Build environment
+ *        REACT_APP_TILE_MIRRORS   comma-separated base URLs
+ *        REACT_APP_TILE_TEMPLATE  URL template (see below)
+ *        REACT_APP_TILE_FORMAT    "png" (tile directories) or "pmtiles"
+ *        REACT_APP_TILE_CONFIG    URL of the config file
+ *   3. config.json, fetched at startup from `${PUBLIC_URL}/config.json`
+ *      (or the URL given by REACT_APP_TILE_CONFIG / ?tileConfig=)
+ *        {
+ *          "tiles": {
+ *            "mirrors":  ["https://tiles.example.org/burdens", "https://backup.example.org/burdens"],
+ *            "template": "{base}/{dir}/{z}/{x}/{y}.png",
+ *            "layers":   { "malnutrition": { "mirrors": ["https://other.example.org"] },
+ *                          "cooccurrence": { "format": "pmtiles" } },
+ *            "validate": true
+ *          }
+ *        }
+ *   4. URL query parameters
+ *        ?tiles=<base>[,<base>…]      mirrors
+ *        ?tileTemplate=<template>
+ *        ?tileFormat=png|pmtiles
+ *        ?tiles.<layer>=<base>[,…]    per-layer mirrors
+ *        ?tileFormat.<layer>=png|pmtiles
+ *
+ * Template placeholders: {base} (a mirror), {dir} (the layer's tile
+ * directory, e.g. "cooccurrence_strict") and {z} {x} {y}. A template without
+ * {base} is an absolute URL and ignores the mirrors. A template starting with
+ * pmtiles:// names one PMTiles archive per tile directory instead of a
+ * {z}/{x}/{y} tree (pmtilesArchive.js); "format" is shorthand for the
+ * default template of each layout:
+ *   png      {base}/{dir}/{z}/{x}/{y}.png
+ *   pmtiles  pmtiles://{base}/{dir}.pmtiles
+ *
+ * Per-layer overrides are keyed by layer key ("cooccurrence", a burden key)
+ * or by an exact tile directory, and may set mirrors, template
+ * or format. All mirrors of a layer are handed to Mapbox, which spreads tile
+ * requests across them.
+ *
+ * Before the map loads every mirror is probed (one z0 tile, or the archive
+ * header, per distinct source); unreachable mirrors are dropped so requests
+ * only go to live ones.
+ */
+
+import { fetchConfigJson } from "../utils/fetchJson";
+import { isPmtilesUrl, probeArchive } from "./pmtilesArchive";
+
+const IS_PROD = process.env.NODE_ENV === "production";
+
+export const DEFAULT_TILE_TEMPLATE = "{base}/{dir}/{z}/{x}/{y}.png";
+
+// Default template per tile layout
+export const TILE_FORMATS = {
+  png: DEFAULT_TILE_TEMPLATE,
+  pmtiles: "pmtiles://{base}/{dir}.pmtiles",
+};
+
+export const DEFAULT_TILE_SOURCES = {
+  mirrors: [IS_PROD ? "https://kushankbajaj.com/burdens-tiles" : "http://localhost:8766"],
+  template: DEFAULT_TILE_TEMPLATE,
+  layers: {},
+  validate: true,
+};
+
+// Give up on a mirror that has not answered the probe after this long
+const PROBE_TIMEOUT_MS = 8000;
+
+// ── Parsing ─────────────────────────────────────────────────────────────────
+function splitList(value) {
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((s) => String(s).trim().replace(/\/+$/, "")).filter(Boolean);
+}
+
+function checkTemplate(template, origin) {
+  if (typeof template !== "string") throw new Error(`Invalid tile template in ${origin}: expected a string`);
+  // Archives are addressed as a whole; tile directories need the tile coordinates
+  if (isPmtilesUrl(template)) return template;
+  if (!["{z}", "{x}", "{y}"].every((p) => template.includes(p))) {
+    throw new Error(`Invalid tile template in ${origin}: must contain {z}, {x} and {y}`);
+  }
+  return template;
+}
+
+function checkMirrors(mirrors, origin) {
+  for (const url of mirrors) {
+    if (!/^https?:\/\//.test(url) && !url.startsWith("/")) {
+      throw new Error(`Invalid tile mirror in ${origin}: "${url}" is not an http(s) URL or absolute path`);
+    }
+  }
+  return mirrors;
+}
+
+function parseSource(raw, origin) {
+  const source = {};
+  if (raw.mirrors != null) source.mirrors = checkMirrors(splitList(raw.mirrors), origin);
+  if (raw.template != null) {
+    source.template = checkTemplate(raw.template, origin);
+  } else if (raw.format != null) {
+    if (!TILE_FORMATS[raw.format]) {
+      throw new Error(`Invalid tile format in ${origin}: "${raw.format}" (expected ${Object.keys(TILE_FORMATS).join(" or ")})`);
+    }
+    source.template = TILE_FORMATS[raw.format];
+  }
+  return source;
+}
+
+/**
+ * Validate a partial tile-source config (from env, config.json or the URL).
+ * Throws an Error naming `origin` on the first problem found.
+ */
+export function parseTileSources(raw, origin) {
+  if (!raw || typeof raw !== "object") throw new Error(`Invalid tile config in ${origin}: expected an object`);
+  const config = parseSource(raw, origin);
+  if (raw.layers != null) {
+    if (typeof raw.layers !== "object") throw new Error(`Invalid tile config in ${origin}: "layers" must be an object`);
+    config.layers = Object.fromEntries(
+      Object.entries(raw.layers).map(([key, layer]) => [key, parseSource(layer || {}, `${origin} (layers.${key})`)])
+    );
+  }
+  if (raw.validate != null) config.validate = Boolean(raw.validate);
+  return config;
+}
+
+// Later configs win; per-layer overrides merge by key
+export function mergeTileSources(...configs) {
+  return configs.filter(Boolean).reduce((merged, c) => ({
+    ...merged,
+    ...c,
+    mirrors: c.mirrors?.length ? c.mirrors : merged.mirrors,
+    layers: { ...merged.layers, ...c.layers },
+  }));
+}
+
+export function envTileSources() {
+  const raw = {};
+  if (process.env.REACT_APP_TILE_MIRRORS) raw.mirrors = process.env.REACT_APP_TILE_MIRRORS;
+  if (process.env.REACT_APP_TILE_TEMPLATE) raw.template = process.env.REACT_APP_TILE_TEMPLATE;
+  if (process.env.REACT_APP_TILE_FORMAT) raw.format = process.env.REACT_APP_TILE_FORMAT;
+  return parseTileSources(raw, "environment");
+}
+
+export function urlTileSources(search) {
+  const params = new URLSearchParams(search);
+  const raw = { layers: {} };
+  const mirrors = params.getAll("tiles");
+  if (mirrors.length) raw.mirrors = mirrors.flatMap(splitList);
+  if (params.has("tileTemplate")) raw.template = params.get("tileTemplate");
+  if (params.has("tileFormat")) raw.format = params.get("tileFormat");
+  const layer = (key) => raw.layers[key] || (raw.layers[key] = {});
+  for (const [name, value] of params) {
+    if (name.startsWith("tiles.")) layer(name.slice(6)).mirrors = value;
+    if (name.startsWith("tileFormat.")) layer(name.slice(11)).format = value;
+  }
+  return parseTileSources(raw, "URL parameters");
+}
+
+// ── Resolution ──────────────────────────────────────────────────────────────
+let active = DEFAULT_TILE_SOURCES;
+
+export function getTileSources() {
+  return active;
+}
+
+export function setTileSources(config) {
+  active = mergeTileSources(DEFAULT_TILE_SOURCES, config);
+}
+
+// Mirrors + template that serve one tile directory
+export function sourceFor(tileDir, layerKey, config = active) {
+  const override = config.layers[tileDir] || config.layers[layerKey] || {};
+  return {
+    group: config.layers[tileDir] ? tileDir : config.layers[layerKey] ? layerKey : "default",
+    mirrors: override.mirrors?.length ? override.mirrors : config.mirrors,
+    template: override.template || config.template,
+  };
+}
+
+function fill(template, vars) {
+  return template.replace(/\{(base|dir|z|x|y)\}/g, (m, key) => (vars[key] != null ? vars[key] : m));
+}
+
+/**
+ * Tile URL templates ({z}/{x}/{y} left in place) for a tile directory, one
+ * per mirror. Identical URLs (e.g. an absolute template) are collapsed.
+ */
+export function resolveTileUrls(tileDir, layerKey, config = active) {
+  const { mirrors, template } = sourceFor(tileDir, layerKey, config);
+  return [...new Set(mirrors.map((base) => fill(template, { base, dir: tileDir })))];
+}
+
+// ── Startup ─────────────────────────────────────────────────────────────────
+async function probe(url) {
+  if (isPmtilesUrl(url)) return probeArchive(url);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal, cache: "no-store" });
+    return { ok: res.ok, status: res.ok ? "ok" : `HTTP ${res.status}` };
+  } catch (e) {
+    return { ok: false, status: controller.signal.aborted ? "timed out" : "unreachable" };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function loadConfigFile(search) {
+  const explicit = new URLSearchParams(search).get("tileConfig") || process.env.REACT_APP_TILE_CONFIG;
+  const url = explicit || `${process.env.PUBLIC_URL || ""}/config.json`;
+  const json = await fetchConfigJson(url, { what: "Tile config", required: Boolean(explicit) });
+  return json?.tiles ? parseTileSources(json.tiles, url) : null;
+}
+
+/**
+ * Resolve the tile configuration and check the endpoints respond.
+ *
+ * @param {Array<{dir: string, layerKey: string}>} probes  tile directories
+ *   the app reads; one representative per distinct source is probed
+ * @returns {Promise<{ ok: boolean, checks: Array<{ group, mirror, url, ok, status }> }>}
+ *   ok is false when some source has no reachable mirror. Sources keep
+ *   only their reachable mirrors (or all of them if none responded).
+ */
+export async function initTileSources(probes, search = window.location.search) {
+  const config = mergeTileSources(
+    DEFAULT_TILE_SOURCES,
+    envTileSources(),
+    await loadConfigFile(search),
+    urlTileSources(search)
+  );
+  if (!config.validate) {
+    active = config;
+    return { ok: true, checks: [] };
+  }
+
+  // One probe per (source group, mirror)
+  const targets = new Map();
+  for (const { dir, layerKey } of probes) {
+    const { group, mirrors, template } = sourceFor(dir, layerKey, config);
+    for (const base of mirrors) {
+      const key = `${group}\n${base}`;
+      if (!targets.has(key)) {
+        targets.set(key, { group, mirror: base, url: fill(template, { base, dir, z: 0, x: 0, y: 0 }) });
+      }
+    }
+  }
+  const checks = await Promise.all(
+    [...targets.values()].map(async (t) => ({ ...t, ...(await probe(t.url)) }))
+  );
+
+  const live = (group, mirrors) => {
+    const up = mirrors.filter((m) => checks.some((c) => c.group === group && c.mirror === m && c.ok));
+    return up.length ? up : mirrors;
+  };
+  active = {
+    ...config,
+    mirrors: live("default", config.mirrors),
+    layers: Object.fromEntries(
+      Object.entries(config.layers).map(([key, layer]) => [
+        key,
+        layer.mirrors ? { ...layer, mirrors: live(key, layer.mirrors) } : layer,
+      ])
+    ),
+  };
+
+  const groups = new Set(checks.map((c) => c.group));
+  const ok = [...groups].every((g) => checks.some((c) => c.group === g && c.ok));
+  return { ok, checks };
+}
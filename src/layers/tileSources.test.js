@@ -0,0 +1,59 @@
+import {
+  DEFAULT_TILE_SOURCES,
+  mergeTileSources,
+  parseTileSources,
+  resolveTileUrls,
+  urlTileSources,
+} from "./tileSources";
+
+test("URL parameters give mirrors, template and per-layer overrides", () => {
+  const config = urlTileSources(
+    "?tiles=https://a.example.org/t/,https://b.example.org/t&tileTemplate={base}/{dir}/{z}/{y}/{x}.png" +
+      "&tiles.malnutrition=https://c.example.org"
+  );
+  expect(config.mirrors).toEqual(["https://a.example.org/t", "https://b.example.org/t"]);
+  expect(config.layers.malnutrition.mirrors).toEqual(["https://c.example.org"]);
+
+  const merged = mergeTileSources(DEFAULT_TILE_SOURCES, config);
+  expect(resolveTileUrls("cooccurrence_strict", "cooccurrence", merged)).toEqual([
+    "https://a.example.org/t/cooccurrence_strict/{z}/{y}/{x}.png",
+    "https://b.example.org/t/cooccurrence_strict/{z}/{y}/{x}.png",
+  ]);
+  expect(resolveTileUrls("malnutrition_liberal", "malnutrition", merged)).toEqual([
+    "https://c.example.org/malnutrition_liberal/{z}/{y}/{x}.png",
+  ]);
+});
+
+test("later sources win and layer overrides merge by key", () => {
+  const merged = mergeTileSources(
+    DEFAULT_TILE_SOURCES,
+    parseTileSources({ mirrors: "https://env.example.org", layers: { cooccurrence: { mirrors: ["/local"] } } }, "env"),
+    parseTileSources({ template: "https://cdn.example.org/{dir}/{z}/{x}/{y}.webp", layers: { env_footprint: {} } }, "file")
+  );
+  expect(merged.mirrors).toEqual(["https://env.example.org"]);
+  expect(Object.keys(merged.layers)).toEqual(["cooccurrence", "env_footprint"]);
+  // An absolute template ignores the mirrors, so duplicates collapse
+  expect(resolveTileUrls("weather_extremes_strict", "weather_extremes", merged)).toEqual([
+    "https://cdn.example.org/weather_extremes_strict/{z}/{x}/{y}.webp",
+  ]);
+});
+
+test("pmtiles format addresses one archive per tile directory", () => {
+  const merged = mergeTileSources(
+    DEFAULT_TILE_SOURCES,
+    urlTileSources("?tiles=/data&tileFormat.cooccurrence=pmtiles")
+  );
+  expect(resolveTileUrls("cooccurrence_liberal", "cooccurrence", merged)).toEqual([
+    "pmtiles:///data/cooccurrence_liberal.pmtiles",
+  ]);
+  expect(resolveTileUrls("malnutrition_strict", "malnutrition", merged)).toEqual([
+    "/data/malnutrition_strict/{z}/{x}/{y}.png",
+  ]);
+  expect(() => parseTileSources({ format: "mbtiles" }, "config.json")).toThrow(/png or pmtiles/);
+});
+
+test("invalid configuration is rejected with its origin", () => {
+  expect(() => parseTileSources({ template: "{base}/{dir}.png" }, "config.json")).toThrow(/config\.json.*\{z\}/);
+  expect(() => parseTileSources({ mirrors: ["ftp://x"] }, "URL parameters")).toThrow(/URL parameters/);
+  expect(() => parseTileSources("nope", "environment")).toThrow(/expected an object/);
+});
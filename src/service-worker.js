@@ -0,0 +1,76 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * service-worker.js — App shell precache and offline fallback
+ *
+ * Built by react-scripts (Workbox InjectManifest), which fills
+ * `self.__WB_MANIFEST` with the hashed build assets. Registered in
+ * production builds only (serviceWorkerRegistration.js).
+ *
+ *   App shell      precached on install; served cache-first
+ *   Navigations    network first, falling back to the cached index.html
+ *   Everything     network first; when the network fails the request is
+ *   else           answered from any cache that holds it — this is how
+ *                  tiles pre-downloaded by the offline panel
+ *                  (utils/offlineCache.js) are served
+ *
+ * Other same-origin files (config.json, layers.json) are cached as they are
+ * fetched so a configured deployment also starts offline; same-origin tiles
+ * are not, so browsing does not fill the cache. The network-first fallback
+ * lives in utils/offlineFallback.js.
+ */
+
+import { fromCache, isRuntimeCached, networkFirst } from "./utils/offlineFallback";
+
+const SHELL_CACHE = "burdens-shell-v1";
+const RUNTIME_CACHE = "burdens-runtime-v1";
+const INDEX_URL = `${process.env.PUBLIC_URL}/index.html`;
+
+const PRECACHE_URLS = [INDEX_URL, ...self.__WB_MANIFEST.map((entry) => new URL(entry.url, self.location).href)];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // Drop shell caches from older builds; offline regions are kept
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((n) => n.startsWith("burdens-shell-") && n !== SHELL_CACHE)
+            .map((n) => caches.delete(n))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith("http")) return;
+  // Range reads (PMTiles archives) go straight to the network
+  if (request.headers.has("range")) return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(INDEX_URL))
+    );
+    return;
+  }
+
+  if (PRECACHE_URLS.includes(url.href)) {
+    event.respondWith(fromCache(request).then((cached) => cached || fetch(request)));
+    return;
+  }
+
+  const store = isRuntimeCached(url, self.location.origin);
+  event.respondWith(networkFirst(request, store ? RUNTIME_CACHE : null));
+});
@@ -0,0 +1,25 @@
+/**
+ * serviceWorkerRegistration.js — Register the offline service worker
+ *
+ * Production builds only: the dev server rebuilds assets constantly and a
+ * cached shell would hide changes. To try offline mode locally:
+ *   1. serve tiles locally and `npm run build`, then serve the build folder
+ *   2. open it with `?tiles=http://localhost:8766`, save a region from the
+ *      Offline panel
+ *   3. stop the tile server, switch the browser offline and reload
+ */
+
+export function register() {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((e) => console.warn("Service worker registration failed:", e));
+  });
+}
+
+// True once a service worker controls the page (the app shell is cached);
+// never in development
+export function serviceWorkerActive() {
+  return process.env.NODE_ENV === "production" && Boolean(navigator.serviceWorker?.controller);
+}
@@ -0,0 +1,145 @@
+/**
+ * stories.js — Guided stories: camera stops with a caption each
+ *
+ * A story is data (story.schema.json), so briefings can be written without
+ * touching the code:
+ *   key, title, description
+ *   steps       each { key, title, caption, camera: { center: [lng, lat],
+ *               zoom }, viewMode } plus optional
+ *                 finding      index into the manifest's findings, shown
+ *                              with its headline figure
+ *                 layers       the full list of layers to show (otherwise
+ *                              the view mode's default)
+ *                 threshold    THRESHOLD_OPTIONS key ("strict" if absent)
+ *                 combination  burden key → "require" / "exclude" for the
+ *                              combination view (others "any")
+ *                 compareMode  "off" (default) / "swipe" / "split"
+ *
+ * The built-in stories are the JSON files next to this one; translations of
+ * their text are in src/locales (utils/i18n.js localizeStory). A deployment
+ * adds its own, without rebuilding, as a JSON list of stories fetched at
+ * startup from
+ *   ?stories=<url>  ·  REACT_APP_STORIES  ·  `${PUBLIC_URL}/stories.json`
+ * A story with a built-in story's key replaces it. `?stories=` only loads
+ * files from the app's own origin, so a shared link cannot put someone
+ * else's captions under the app's name. Stories are checked
+ * against the layer manifest in use, so layer and burden keys must exist
+ * there. Only a file set by REACT_APP_STORIES stops the app from starting
+ * when it cannot be read or is invalid; a `?stories=` file or the optional
+ * stories.json is then left out with a warning and the app starts with the
+ * built-in stories.
+ */
+
+import FINDINGS_STORY from "./findings.json";
+import STORY_SCHEMA from "./story.schema.json";
+import { BURDEN_LAYERS, KEY_FINDINGS, THRESHOLD_OPTIONS } from "../layers/burdenConfig";
+import { DEFAULT_COMBINATION } from "../layers/derivedLayers";
+import { fetchConfigJson } from "../utils/fetchJson";
+import { validateSchema } from "../utils/jsonSchema";
+import { LAYER_KEYS, normalizeCamera } from "../utils/urlState";
+
+// ── Validation ──────────────────────────────────────────────────────────────
+/**
+ * Schema errors plus the checks against the layer manifest in use.
+ * Returns a list of messages, empty when the story is valid.
+ */
+export function validateStory(story) {
+  const errors = validateSchema(story, STORY_SCHEMA, "story");
+  if (errors.length) return errors;
+
+  const keys = story.steps.map((s) => s.key);
+  [...new Set(keys.filter((k, i) => keys.indexOf(k) !== i))].forEach((k) =>
+    errors.push(`steps: duplicate key "${k}"`)
+  );
+
+  story.steps.forEach((step, i) => {
+    const path = `steps[${i}]`;
+    const [lng, lat] = step.camera.center;
+    if (Math.abs(lng) > 180 || Math.abs(lat) > 85) errors.push(`${path}.camera.center: outside the map`);
+    if (step.camera.zoom < 0 || step.camera.zoom > 22) errors.push(`${path}.camera.zoom: must be 0–22`);
+    if (step.finding != null && !KEY_FINDINGS[step.finding]) {
+      errors.push(`${path}.finding: no finding ${step.finding}`);
+    }
+    (step.layers || [])
+      .filter((k) => !LAYER_KEYS.includes(k))
+      .forEach((k) => errors.push(`${path}.layers: unknown layer "${k}"`));
+    if (step.threshold != null && !THRESHOLD_OPTIONS.some((o) => o.key === step.threshold)) {
+      errors.push(`${path}.threshold: unknown threshold "${step.threshold}"`);
+    }
+    Object.keys(step.combination || {})
+      .filter((k) => !BURDEN_LAYERS[k])
+      .forEach((k) => errors.push(`${path}.combination: unknown burden "${k}"`));
+  });
+  return errors;
+}
+
+// ── Stories in use ──────────────────────────────────────────────────────────
+const BUILT_IN = [FINDINGS_STORY];
+
+// Built-in stories that do not fit a deployment's manifest are left out
+let current = BUILT_IN.filter((story) => {
+  const errors = validateStory(story);
+  if (errors.length) console.warn(`Story "${story.key}" left out:\n${errors.join("\n")}`);
+  return !errors.length;
+});
+
+export function getStories() {
+  return current;
+}
+
+function isSameOrigin(url) {
+  try {
+    return new URL(url, window.location.href).origin === window.location.origin;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Add a deployment's stories, if any are configured. Must run after the
+ * layer manifest is loaded.
+ */
+export async function loadStories(search = window.location.search) {
+  const fromUrl = new URLSearchParams(search).get("stories");
+  if (fromUrl && !isSameOrigin(fromUrl)) {
+    console.warn(`Stories ${fromUrl} are not on this site's origin and are left out.`);
+    return current;
+  }
+  const explicit = fromUrl || process.env.REACT_APP_STORIES;
+  const url = explicit || `${process.env.PUBLIC_URL || ""}/stories.json`;
+  let json;
+  try {
+    json = await fetchConfigJson(url, { what: "Stories", required: Boolean(explicit) });
+    if (!json) return current;
+    if (!Array.isArray(json)) throw new Error(`Invalid stories (${url}):\nexpected a list of stories`);
+
+    const errors = json.flatMap((story, i) =>
+      validateStory(story).map((e) => `stories[${i}]${e.startsWith("story:") ? e.slice(5) : `.${e}`}`)
+    );
+    if (errors.length) throw new Error(`Invalid stories (${url}):\n${errors.join("\n")}`);
+  } catch (e) {
+    if (explicit && !fromUrl) throw e; // the deployment's own stories
+    console.warn(`${e.message}\nThese stories are left out.`);
+    return current;
+  }
+
+  const added = json.map((s) => s.key);
+  current = [...current.filter((s) => !added.includes(s.key)), ...json];
+  return current;
+}
+
+// ── Steps ───────────────────────────────────────────────────────────────────
+/**
+ * Explorer state a step sets, with the defaults filled in. `layers` is null
+ * when the step leaves them to its view mode.
+ */
+export function stepState(step) {
+  return {
+    viewMode: step.viewMode,
+    layers: step.layers || null,
+    threshold: step.threshold || THRESHOLD_OPTIONS[0].key,
+    combination: { ...DEFAULT_COMBINATION, ...step.combination },
+    compareMode: step.compareMode || "off",
+    camera: normalizeCamera(step.camera),
+  };
+}
@@ -0,0 +1,105 @@
+import FINDINGS_STORY from "./findings.json";
+import { getStories, loadStories, stepState, validateStory } from "./stories";
+import { localizeStory } from "../utils/i18n";
+
+const clone = () => JSON.parse(JSON.stringify(FINDINGS_STORY));
+
+test("the built-in story is valid and in use", () => {
+  expect(validateStory(FINDINGS_STORY)).toEqual([]);
+  expect(getStories().map((s) => s.key)).toEqual(["findings"]);
+});
+
+test("schema and manifest problems are reported with their path", () => {
+  const s = clone();
+  delete s.steps[1].caption;
+  s.steps[2].viewMode = "globe";
+  expect(validateStory(s)).toEqual([
+    'steps[1]: missing "caption"',
+    'steps[2].viewMode: must be one of "cooccurrence", "individual", "combination", "bivariate"',
+  ]);
+
+  const bad = clone();
+  bad.steps[1].key = "overview";
+  bad.steps[0].camera.center = [200, 0];
+  bad.steps[0].finding = 9;
+  bad.steps[0].layers.push("water_stress");
+  bad.steps[2].threshold = "lenient";
+  bad.steps[2].combination.water_stress = "require";
+  expect(validateStory(bad)).toEqual([
+    'steps: duplicate key "overview"',
+    "steps[0].camera.center: outside the map",
+    "steps[0].finding: no finding 9",
+    'steps[0].layers: unknown layer "water_stress"',
+    'steps[2].threshold: unknown threshold "lenient"',
+    'steps[2].combination: unknown burden "water_stress"',
+  ]);
+  expect(validateStory([])).toEqual(["story: expected object, got array"]);
+});
+
+test("a step's state fills in the defaults", () => {
+  const [overview, , combination] = FINDINGS_STORY.steps;
+  expect(stepState(overview)).toEqual({
+    viewMode: "cooccurrence",
+    layers: ["breadbaskets", "cooccurrence"],
+    threshold: "strict",
+    combination: { env_footprint: "any", weather_extremes: "any", income_poverty: "any", malnutrition: "any" },
+    compareMode: "off",
+    camera: { center: [20, 15], zoom: 1.6 },
+  });
+  expect(stepState(combination).combination).toEqual({
+    env_footprint: "any",
+    weather_extremes: "any",
+    income_poverty: "require",
+    malnutrition: "require",
+  });
+  expect(stepState({ ...overview, layers: undefined }).layers).toBeNull();
+});
+
+test("story text is translated by step key, everything else kept", () => {
+  const fr = localizeStory(FINDINGS_STORY, "fr");
+  expect(fr.title).toBe("Visite des résultats clés");
+  expect(fr.steps.find((s) => s.key === "robustness").title).toBe("Les points chauds sont-ils robustes ?");
+  expect(fr.steps.map((s) => s.camera)).toEqual(FINDINGS_STORY.steps.map((s) => s.camera));
+  expect(localizeStory(FINDINGS_STORY, "en")).toEqual(FINDINGS_STORY);
+  expect(localizeStory({ ...FINDINGS_STORY, key: "briefing" }, "fr").title).toBe(FINDINGS_STORY.title);
+});
+
+describe("deployment stories", () => {
+  const invalid = [{ ...clone(), key: "briefing", steps: [] }];
+
+  beforeEach(() => {
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => invalid }));
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    delete process.env.REACT_APP_STORIES;
+    console.warn.mockRestore();
+  });
+
+  test("an invalid optional or ?stories= file is left out and the built-in stories stay", async () => {
+    await expect(loadStories("")).resolves.toEqual(getStories());
+    await expect(loadStories("?stories=/briefings/sahel.json")).resolves.toEqual(getStories());
+    expect(getStories().map((s) => s.key)).toEqual(["findings"]);
+    expect(console.warn).toHaveBeenCalledTimes(2);
+    expect(console.warn.mock.calls[1][0]).toMatch(/^Invalid stories \(\/briefings\/sahel\.json\)/);
+
+    fetch.mockImplementation(async () => ({ ok: false, status: 404 }));
+    await expect(loadStories("?stories=/briefings/missing.json")).resolves.toEqual(getStories());
+    expect(console.warn).toHaveBeenCalledTimes(3);
+  });
+
+  test("?stories= files from another origin are not fetched", async () => {
+    await expect(loadStories("?stories=https://example.org/briefing.json")).resolves.toEqual(getStories());
+    await expect(loadStories("?stories=//example.org/briefing.json")).resolves.toEqual(getStories());
+    await expect(loadStories("?stories=http://[bad")).resolves.toEqual(getStories());
+    expect(fetch).not.toHaveBeenCalled();
+    expect(console.warn.mock.calls[0][0]).toMatch(/not on this site's origin/);
+  });
+
+  test("the build's own REACT_APP_STORIES file must be valid", async () => {
+    process.env.REACT_APP_STORIES = "/briefing.json";
+    await expect(loadStories("")).rejects.toThrow("Invalid stories (/briefing.json)");
+  });
+});
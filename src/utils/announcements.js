@@ -0,0 +1,59 @@
+/**
+ * announcements.js — Text for the screen-reader live regions
+ *
+ * The map itself says nothing to assistive technology, so App.js announces
+ * (components/MapAnnouncer.js) which layers are shown and the burden
+ * readout at the map centre whenever the view settles.
+ */
+
+import {
+  BIVARIATE_LAYER,
+  BREADBASKET,
+  BURDEN_COUNT,
+  BURDEN_LAYERS,
+  COMBINATION_LAYER,
+  COOCCURRENCE_LAYER,
+  SENSITIVITY_LAYER,
+  ZONAL_LAYER,
+} from "../layers/burdenConfig";
+import { thresholdLabel } from "../layers/thresholds";
+import { formatNumber, t } from "./i18n";
+
+const COMPASS = { N: "coord.north", S: "coord.south", E: "coord.east", W: "coord.west" };
+
+// "12.34° N" / "56.78° W"
+export function formatCoord(value, pos, neg) {
+  const v = formatNumber(Math.abs(value), { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return t(COMPASS[value >= 0 ? pos : neg], { v });
+}
+
+// Display name of an activeLayers key
+export function layerLabel(key) {
+  if (key === "breadbaskets") return BREADBASKET.label;
+  if (key === "cooccurrence") return COOCCURRENCE_LAYER.label;
+  const derived = [COMBINATION_LAYER, SENSITIVITY_LAYER, BIVARIATE_LAYER, ZONAL_LAYER].find((l) => l.key === key);
+  return derived?.label || BURDEN_LAYERS[key]?.label || key;
+}
+
+// "Showing Food Breadbaskets and Burden Co-occurrence, strict thresholds."
+export function describeLayers(activeLayers, burdenThresholds) {
+  if (!activeLayers.length) return t("a11y.noLayers");
+  const names = activeLayers.map(layerLabel);
+  const list =
+    names.length > 1 ? t("a11y.list", { items: names.slice(0, -1).join(", "), last: names[names.length - 1] }) : names[0];
+  return t("a11y.showing", { layers: list, thresholds: thresholdLabel(burdenThresholds).toLowerCase() });
+}
+
+/**
+ * "Map centre 12.30° N, 45.60° E: 2 of 4 burdens — Poverty, Malnutrition."
+ * `burdens` is a tileSampler.sampleBurdensAt() result, or null when the
+ * tiles could not be read there.
+ */
+export function describeReadout([lng, lat], burdens) {
+  const where = t("a11y.centre", { lat: formatCoord(lat, "N", "S"), lng: formatCoord(lng, "E", "W") });
+  if (!burdens) return t("a11y.unavailable", { where });
+  const hotspots = Object.values(BURDEN_LAYERS).filter((cfg) => burdens.hotspots[cfg.key]);
+  if (!hotspots.length) return t("a11y.noHotspots", { where });
+  const names = hotspots.map((cfg) => cfg.label).join(", ");
+  return t("a11y.hotspots", { where, count: burdens.cooccurrence, total: BURDEN_COUNT, burdens: names });
+}
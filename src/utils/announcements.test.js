@@ -0,0 +1,23 @@
+import { BURDEN_COUNT, BURDEN_LAYERS } from "../layers/burdenConfig";
+import { describeLayers, describeReadout, formatCoord } from "./announcements";
+
+const keys = Object.keys(BURDEN_LAYERS);
+const strict = Object.fromEntries(keys.map((k) => [k, "strict"]));
+
+test("layer announcements name every shown layer and the thresholds", () => {
+  expect(describeLayers([], strict)).toBe("No layers shown.");
+  expect(describeLayers(["breadbaskets", "cooccurrence", keys[0]], strict)).toBe(
+    `Showing Food Breadbaskets, Burden Co-occurrence and ${BURDEN_LAYERS[keys[0]].label}, strict thresholds.`
+  );
+});
+
+test("centre readouts give the position, count and hotspot burdens", () => {
+  expect(formatCoord(-3.456, "N", "S")).toBe("3.46° S");
+  const none = { cooccurrence: 0, hotspots: {} };
+  expect(describeReadout([10, 20], none)).toBe("Map centre 20.00° N, 10.00° E: no burden hotspots.");
+  const two = { cooccurrence: 2, hotspots: { [keys[0]]: true, [keys[2]]: true } };
+  expect(describeReadout([-1, -2], two)).toBe(
+    `Map centre 2.00° S, 1.00° W: 2 of ${BURDEN_COUNT} burdens — ${BURDEN_LAYERS[keys[0]].label}, ${BURDEN_LAYERS[keys[2]].label}.`
+  );
+  expect(describeReadout([10, 20], null)).toBe("Map centre 20.00° N, 10.00° E: burden layers could not be read here.");
+});
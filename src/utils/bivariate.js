@@ -0,0 +1,75 @@
+/**
+ * bivariate.js — Breadbasket sites classed by production × burden count
+ *
+ * For the sites in view:
+ *   1. production is split into terciles (low / mid / high) of those sites
+ *   2. the co-occurrence count is read from the burden tiles at each site,
+ *      at the zoom the derived layers use for the view (rasterComposite.js)
+ *   3. each site gets a class "<burden>-<production>" (indices into
+ *      BIVARIATE_LAYER.colors)
+ * The result is a GeoJSON FeatureCollection drawn as a circle layer.
+ */
+
+import { BIVARIATE_LAYER, BREADBASKET } from "../layers/burdenConfig";
+import { coveringTiles } from "./rasterComposite";
+import { sampleCountAt } from "./tileSampler";
+
+// Tercile cut points of a list of values: [p33, p67]
+export function productionBreaks(values) {
+  if (!values.length) return [0, 0];
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  return [at(1 / 3), at(2 / 3)];
+}
+
+export function productionClass(value, [low, high]) {
+  if (value >= high) return 2;
+  return value >= low ? 1 : 0;
+}
+
+export function burdenClass(count) {
+  const classes = BIVARIATE_LAYER.burdenClasses;
+  let cls = 0;
+  classes.forEach((c, i) => {
+    if (count >= c.min) cls = i;
+  });
+  return cls;
+}
+
+/**
+ * Classify breadbasket point features inside `bounds` (duplicates across
+ * vector tiles are dropped). Resolves to { collection, breaks }.
+ */
+export async function computeBivariatePoints({ features, bounds, zoom, burdenThresholds }) {
+  const seen = new Set();
+  const sites = [];
+  for (const f of features) {
+    if (f.geometry?.type !== "Point") continue;
+    const [lng, lat] = f.geometry.coordinates;
+    const key = f.id ?? `${lng.toFixed(5)},${lat.toFixed(5)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (lng < bounds.west || lng > bounds.east || lat < bounds.south || lat > bounds.north) continue;
+    sites.push({ lng, lat, props: f.properties || {}, value: Number(f.properties?.[BREADBASKET.valueKey]) || 0 });
+  }
+
+  const breaks = productionBreaks(sites.map((s) => s.value));
+  const { z } = coveringTiles(bounds, zoom);
+  const counts = await Promise.all(sites.map((s) => sampleCountAt(s.lng, s.lat, burdenThresholds, z)));
+
+  return {
+    breaks,
+    collection: {
+      type: "FeatureCollection",
+      features: sites.map((s, i) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [s.lng, s.lat] },
+        properties: {
+          ...s.props,
+          burdens: counts[i],
+          bivariate: `${burdenClass(counts[i])}-${productionClass(s.value, breaks)}`,
+        },
+      })),
+    },
+  };
+}
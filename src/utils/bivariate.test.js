@@ -0,0 +1,12 @@
+import { burdenClass, productionBreaks, productionClass } from "./bivariate";
+
+test("production splits into terciles of the sites in view", () => {
+  const breaks = productionBreaks([9, 1, 5, 3, 7, 2, 8, 4, 6]);
+  expect(breaks).toEqual([4, 7]);
+  expect([1, 4, 6, 7, 9].map((v) => productionClass(v, breaks))).toEqual([0, 1, 1, 2, 2]);
+  expect(productionBreaks([])).toEqual([0, 0]);
+});
+
+test("burden counts of two or more share the top class", () => {
+  expect([0, 1, 2, 5].map(burdenClass)).toEqual([0, 1, 2, 2]);
+});
@@ -0,0 +1,82 @@
+/**
+ * breadbasketTiles.js — Read breadbasket points straight from the vector tiles
+ *
+ * The map's breadbasket source only holds the tiles in view, generalised at
+ * low zoom, so statistics read the Mapbox tiles themselves: the block
+ * covering a bbox at the tileset's max zoom (stepped down, as for the
+ * rasters, when a large region would need more than MAX_TILES), whether or
+ * not the layer is shown. The same region therefore always gives the same
+ * points.
+ *
+ * Points in a tile's buffer belong to its neighbour and are skipped. A 404
+ * is an empty tile; any other failure rejects.
+ */
+
+import { BREADBASKET } from "../layers/burdenConfig";
+import { coveringTiles } from "./rasterComposite";
+
+const API = "https://api.mapbox.com/v4";
+const TOKEN = process.env.REACT_APP_MAPBOX_TOKEN;
+const MAX_TILES = 64;
+
+async function fetchOk(url) {
+  const res = await fetch(url);
+  if (!res.ok && res.status !== 404) {
+    throw Object.assign(new Error(`HTTP ${res.status} for ${url.split("?")[0]}`), { status: res.status });
+  }
+  return res;
+}
+
+// ── Tileset metadata ────────────────────────────────────────────────────────
+let tileJson = null;
+
+// TileJSON of the breadbasket tileset, fetched once per session (a failed
+// fetch is forgotten so the next read retries)
+function loadTileJson() {
+  if (!tileJson) {
+    tileJson = fetchOk(`${API}/${BREADBASKET.id}.json?secure&access_token=${TOKEN}`)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Tileset ${BREADBASKET.id} not found`);
+        return res.json();
+      })
+      .catch((e) => {
+        tileJson = null;
+        throw e;
+      });
+  }
+  return tileJson;
+}
+
+// ── Tiles ───────────────────────────────────────────────────────────────────
+// Point features of the breadbasket layer in one tile, as GeoJSON
+async function readTile(z, x, y) {
+  const res = await fetchOk(`${API}/${BREADBASKET.id}/${z}/${x}/${y}.vector.pbf?access_token=${TOKEN}`);
+  if (res.status === 404) return [];
+  const [{ VectorTile }, { default: Pbf }] = await Promise.all([import("@mapbox/vector-tile"), import("pbf")]);
+  const layer = new VectorTile(new Pbf(await res.arrayBuffer())).layers[BREADBASKET.layer];
+  if (!layer) return [];
+
+  const features = [];
+  for (let i = 0; i < layer.length; i++) {
+    const feature = layer.feature(i);
+    const [[point] = []] = feature.loadGeometry();
+    if (!point || point.x < 0 || point.y < 0 || point.x >= layer.extent || point.y >= layer.extent) continue;
+    const geojson = feature.toGeoJSON(x, y, z);
+    if (geojson.geometry.type === "Point") features.push(geojson);
+  }
+  return features;
+}
+
+/**
+ * Every breadbasket point in the tiles covering `bbox` ([w, s, e, n]):
+ * { zoom, features } with GeoJSON Point features.
+ */
+export async function loadBreadbasketPoints([west, south, east, north]) {
+  const { maxzoom } = await loadTileJson();
+  const { z, x0, x1, y0, y1 } = coveringTiles({ west, south, east, north }, maxzoom, MAX_TILES, maxzoom);
+  const reads = [];
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) reads.push(readTile(z, x, y));
+  }
+  return { zoom: z, features: (await Promise.all(reads)).flat() };
+}
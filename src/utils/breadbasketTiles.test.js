@@ -0,0 +1,97 @@
+import { BREADBASKET } from "../layers/burdenConfig";
+import { loadBreadbasketPoints } from "./breadbasketTiles";
+import { computeRegionBreadbaskets, makeRegion } from "./regionStats";
+
+// Decoded tiles by "z/x/y": [{ x, y, lng, lat, group, value }] in tile units
+const mockTiles = {};
+
+jest.mock("pbf", () => ({
+  __esModule: true,
+  default: function Pbf(buffer) {
+    this.key = buffer; // the fake response body is the tile's z/x/y
+  },
+}));
+
+jest.mock("@mapbox/vector-tile", () => ({
+  VectorTile: function VectorTile(pbf) {
+    const points = mockTiles[pbf.key] || [];
+    const { BREADBASKET: bb } = jest.requireActual("../layers/burdenConfig");
+    this.layers = {
+      [bb.layer]: {
+        extent: 4096,
+        length: points.length,
+        feature: (i) => ({
+          loadGeometry: () => [[{ x: points[i].x, y: points[i].y }]],
+          toGeoJSON: () => ({
+            type: "Feature",
+            id: points[i].id,
+            geometry: { type: "Point", coordinates: [points[i].lng, points[i].lat] },
+            properties: { [bb.groupKey]: points[i].group, [bb.valueKey]: points[i].value },
+          }),
+        }),
+      },
+    };
+  },
+}));
+
+const MAXZOOM = 5;
+
+function serve({ failing } = {}) {
+  fetch.mockImplementation(async (url) => {
+    if (url.includes(`/${BREADBASKET.id}.json`)) {
+      return { ok: true, status: 200, json: async () => ({ maxzoom: MAXZOOM }) };
+    }
+    const key = url.match(/\/(\d+\/\d+\/\d+)\.vector\.pbf/)[1];
+    if (key === failing) return { ok: false, status: 500 };
+    if (!mockTiles[key]) return { ok: false, status: 404 };
+    return { ok: true, status: 200, arrayBuffer: async () => key };
+  });
+}
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  Object.assign(mockTiles, {
+    "5/18/16": [
+      { id: 1, x: 100, y: 200, lng: 33.5, lat: -1.2, group: "grains", value: 40 },
+      { id: 2, x: 4100, y: 200, lng: 34, lat: -1.2, group: "grains", value: 999 }, // buffer: 5/19/16's
+    ],
+    "5/19/16": [
+      { id: 2, x: 5, y: 200, lng: 34, lat: -1.2, group: "grains", value: 999 },
+      { id: 3, x: 300, y: 300, lng: 36.8, lat: -1.3, group: "fruits", value: 60 },
+    ],
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+// Nairobi to Lake Victoria: tiles 5/18/16 and 5/19/16 at the tileset's max zoom
+const BBOX = [33, -1.5, 37.1, -1.1];
+
+test("the tiles covering a bbox are read at the tileset's max zoom, each point once", async () => {
+  serve();
+  const { zoom, features } = await loadBreadbasketPoints(BBOX);
+  expect(zoom).toBe(MAXZOOM);
+  expect(features.map((f) => f.id).sort()).toEqual([1, 2, 3]);
+  expect(fetch.mock.calls.map(([url]) => url).filter((u) => u.includes(".vector.pbf"))).toHaveLength(2);
+});
+
+test("a region's summary does not depend on what the map has loaded", async () => {
+  serve();
+  const region = makeRegion({
+    type: "Polygon",
+    coordinates: [[[33, -1.5], [37.1, -1.5], [37.1, -1.1], [33, -1.1], [33, -1.5]]],
+  });
+  const summary = await computeRegionBreadbaskets(region);
+  expect(summary).toMatchObject({ count: 3, totalProduction: 1099 });
+  expect(summary.groups.map((g) => [g.key, g.count])).toEqual([
+    ["grains", 2],
+    ["fruits", 1],
+  ]);
+});
+
+test("a failing tile fails the read instead of dropping its points", async () => {
+  serve({ failing: "5/19/16" });
+  await expect(loadBreadbasketPoints(BBOX)).rejects.toMatchObject({ status: 500 });
+});
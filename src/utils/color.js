@@ -0,0 +1,40 @@
+/**
+ * color.js — Small colour helpers shared by the raster decoders/compositors
+ */
+
+// "#rrggbb" → [r, g, b]
+export function hexToRgb(hex) {
+  const h = hex.replace("#", "");
+  return [0, 2, 4].map((i) => parseInt(h.slice(i, i + 2), 16));
+}
+
+// "#rrggbb" + alpha (0–1) → [r, g, b, a] with a in 0–255
+export function hexToRgba(hex, alpha = 1) {
+  return [...hexToRgb(hex), Math.round(alpha * 255)];
+}
+
+// [r, g, b] → "#rrggbb"
+export function rgbToHex(rgb) {
+  return `#${rgb.map((v) => Math.round(v).toString(16).padStart(2, "0")).join("")}`;
+}
+
+// Blend "#rrggbb" `a` towards `b` by `t` (0 = a, 1 = b)
+export function mixHex(a, b, t) {
+  const [ra, rb] = [hexToRgb(a), hexToRgb(b)];
+  return rgbToHex(ra.map((v, c) => v + (rb[c] - v) * t));
+}
+
+// `n` colours evenly spaced along a ramp of "#rrggbb" stops (the stops
+// themselves when the count already matches)
+export function sampleRamp(stops, n) {
+  if (n === stops.length) return [...stops];
+  if (n === 1) return [stops[stops.length - 1]];
+  const rgb = stops.map(hexToRgb);
+  return Array.from({ length: n }, (_, i) => {
+    const pos = (i / (n - 1)) * (stops.length - 1);
+    const lo = Math.floor(pos);
+    const hi = Math.min(lo + 1, stops.length - 1);
+    const t = pos - lo;
+    return rgbToHex(rgb[lo].map((v, c) => v + (rgb[hi][c] - v) * t));
+  });
+}
@@ -0,0 +1,16 @@
+/**
+ * download.js — Save generated content as a file from the browser
+ */
+
+// Trigger a download of `content` (string or Blob) as `filename`
+export function downloadFile(content, filename, type = "text/plain") {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,159 @@
+/**
+ * drawRegion.js — Minimal polygon / rectangle drawing on a Mapbox map
+ *
+ * Modes:
+ *   polygon    click to add vertices; double-click, Enter or clicking the
+ *              first vertex closes the shape
+ *   rectangle  click one corner, then the opposite corner
+ * Escape cancels. The draft and the finished region share one GeoJSON
+ * source (`draw-region`) drawn above the data layers.
+ */
+
+import { makeRegion } from "./regionStats";
+
+const SOURCE = "draw-region";
+const COLOR = "#66c2a5";
+const SNAP_PX = 10;
+const EMPTY = { type: "FeatureCollection", features: [] };
+
+function ensureLayers(m) {
+  if (m.getSource(SOURCE)) return;
+  const isPolygon = ["in", ["geometry-type"], ["literal", ["Polygon", "MultiPolygon"]]];
+  m.addSource(SOURCE, { type: "geojson", data: EMPTY });
+  m.addLayer({
+    id: "draw-region-fill",
+    type: "fill",
+    source: SOURCE,
+    filter: isPolygon,
+    paint: { "fill-color": COLOR, "fill-opacity": 0.15 },
+  });
+  m.addLayer({
+    id: "draw-region-line",
+    type: "line",
+    source: SOURCE,
+    filter: ["!=", ["geometry-type"], "Point"],
+    paint: { "line-color": COLOR, "line-width": 2 },
+  });
+  m.addLayer({
+    id: "draw-region-vertex",
+    type: "circle",
+    source: SOURCE,
+    filter: ["==", ["geometry-type"], "Point"],
+    paint: {
+      "circle-radius": 4,
+      "circle-color": "#ffffff",
+      "circle-stroke-color": COLOR,
+      "circle-stroke-width": 2,
+    },
+  });
+}
+
+function rectangleRing([x0, y0], [x1, y1]) {
+  const w = Math.min(x0, x1), e = Math.max(x0, x1);
+  const s = Math.min(y0, y1), n = Math.max(y0, y1);
+  return [[w, s], [e, s], [e, n], [w, n], [w, s]];
+}
+
+const feature = (type, coordinates) => ({ type: "Feature", properties: {}, geometry: { type, coordinates } });
+
+// Show a finished region (or nothing, with null)
+export function showRegion(m, region) {
+  if (!m.getStyle()) return;
+  ensureLayers(m);
+  m.getSource(SOURCE).setData(region ? { type: "FeatureCollection", features: [region] } : EMPTY);
+}
+
+/**
+ * Start drawing in `mode`. `onFinish(region)` receives the finished region
+ * Feature; `onCancel()` runs on Escape. Returns a function that aborts the
+ * drawing and clears the draft.
+ */
+export function startDrawing(m, mode, { onFinish, onCancel }) {
+  ensureLayers(m);
+  const points = [];
+  let cursor = null;
+  const canvas = m.getCanvas();
+
+  const render = () => {
+    const features = [];
+    const line = cursor ? [...points, cursor] : points;
+    if (mode === "rectangle") {
+      if (line.length === 2) features.push(feature("Polygon", [rectangleRing(line[0], line[1])]));
+    } else if (line.length >= 3) {
+      features.push(feature("Polygon", [[...line, line[0]]]));
+    } else if (line.length === 2) {
+      features.push(feature("LineString", line));
+    }
+    points.forEach((p) => features.push(feature("Point", p)));
+    m.getSource(SOURCE).setData({ type: "FeatureCollection", features });
+  };
+
+  const near = (a, point) => {
+    const pa = m.project(a);
+    return Math.hypot(pa.x - point.x, pa.y - point.y) < SNAP_PX;
+  };
+
+  const finish = () => {
+    const ring = mode === "rectangle" ? rectangleRing(points[0], points[1]) : [...points, points[0]];
+    stop();
+    const region = makeRegion({ type: "Polygon", coordinates: [ring] });
+    showRegion(m, region);
+    onFinish(region);
+  };
+
+  const handleClick = (e) => {
+    const p = [e.lngLat.lng, e.lngLat.lat];
+    if (mode === "polygon" && points.length >= 3 && near(points[0], e.point)) {
+      finish();
+      return;
+    }
+    // The two clicks of a double-click land on the same spot — keep one
+    if (points.length && near(points[points.length - 1], e.point)) return;
+    points.push(p);
+    if (mode === "rectangle" && points.length === 2) finish();
+    else render();
+  };
+
+  const handleDblClick = (e) => {
+    e.preventDefault();
+    if (mode === "polygon" && points.length >= 3) finish();
+  };
+
+  const handleMove = (e) => {
+    cursor = [e.lngLat.lng, e.lngLat.lat];
+    if (points.length) render();
+  };
+
+  const handleKey = (e) => {
+    if (e.key === "Escape") {
+      abort();
+      onCancel?.();
+    } else if (e.key === "Enter" && mode === "polygon" && points.length >= 3) {
+      finish();
+    }
+  };
+
+  function stop() {
+    m.off("click", handleClick);
+    m.off("dblclick", handleDblClick);
+    m.off("mousemove", handleMove);
+    window.removeEventListener("keydown", handleKey);
+    m.doubleClickZoom.enable();
+    canvas.style.cursor = "";
+  }
+
+  function abort() {
+    stop();
+    showRegion(m, null);
+  }
+
+  m.doubleClickZoom.disable();
+  canvas.style.cursor = "crosshair";
+  m.on("click", handleClick);
+  m.on("dblclick", handleDblClick);
+  m.on("mousemove", handleMove);
+  window.addEventListener("keydown", handleKey);
+  showRegion(m, null);
+
+  return abort;
+}
@@ -0,0 +1,180 @@
+/**
+ * embed.js — Embedding the explorer in another page
+ *
+ * Embed mode is switched on by the page's query string:
+ *   ?embed=1        no header; the view is the one in the link's hash and
+ *                   is not written back, so the host page's history is
+ *                   left alone
+ *   &controls=0     no control panel or stories either: the view is locked
+ *                   to the link's configuration and only the host page can
+ *                   change it; readers can still pan, zoom and inspect
+ *   &origin=<url>   only exchange messages with a host page at this origin;
+ *                   the embed code always sets it (hand-made links without
+ *                   it talk to any parent page)
+ *
+ * postMessage API (useEmbedApi.js) — every message is an object with a
+ * `type`:
+ *   host → map
+ *     burdens:set       any of { viewMode, layers, threshold, combination,
+ *                       compareMode, camera: { center: [lng, lat], zoom } },
+ *                       applied as the control panel would; a message with
+ *                       an invalid field is rejected as a whole
+ *     burdens:getState  answered with burdens:state
+ *   map → host
+ *     burdens:ready     { state } once the map has loaded
+ *     burdens:state     { state } after every change of the view
+ *     burdens:click     { lng, lat, burdens } for a clicked location, with
+ *                       burdens as read by the pixel inspector
+ *                       ({ cooccurrence, hotspots, indexValues }), or null
+ *                       when the burden tiles could not be read there
+ *     burdens:error     { errors } for a rejected burdens:set
+ */
+
+import {
+  BURDEN_LAYERS,
+  COMBINATION_STATES,
+  COMPARE_MODES,
+  THRESHOLD_OPTIONS,
+} from "../layers/burdenConfig";
+import { uniformThreshold } from "../layers/thresholds";
+import { LAYER_KEYS, VIEW_MODES, normalizeCamera } from "./urlState";
+
+// Fields a burdens:set message may carry
+const VIEW_FIELDS = ["viewMode", "layers", "threshold", "combination", "compareMode", "camera"];
+
+// ── Options ─────────────────────────────────────────────────────────────────
+/**
+ * Embed options from a query string, or null outside embed mode:
+ * { controls: boolean, origin: string | null }
+ */
+export function readEmbedOptions(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const embed = params.get("embed");
+  if (embed === null || embed === "0" || embed === "false") return null;
+  return { controls: params.get("controls") !== "0", origin: params.get("origin") || null };
+}
+
+// ── Messages ────────────────────────────────────────────────────────────────
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+/**
+ * Problems with the view of a burdens:set message (the message without its
+ * `type`). Returns a list of messages, empty when it can be applied.
+ */
+export function validateView(view) {
+  const errors = [];
+  Object.keys(view)
+    .filter((k) => !VIEW_FIELDS.includes(k))
+    .forEach((k) => errors.push(`unknown field "${k}"`));
+
+  const { viewMode, layers, threshold, combination, compareMode, camera } = view;
+  if (viewMode !== undefined && !VIEW_MODES.includes(viewMode)) {
+    errors.push(`viewMode: must be one of ${VIEW_MODES.join(", ")}`);
+  }
+  if (layers !== undefined) {
+    if (!Array.isArray(layers)) errors.push("layers: expected a list of layer keys");
+    else layers.filter((k) => !LAYER_KEYS.includes(k)).forEach((k) => errors.push(`layers: unknown layer "${k}"`));
+  }
+  if (threshold !== undefined && !THRESHOLD_OPTIONS.some((o) => o.key === threshold)) {
+    errors.push(`threshold: must be one of ${THRESHOLD_OPTIONS.map((o) => o.key).join(", ")}`);
+  }
+  if (combination !== undefined) {
+    if (!combination || typeof combination !== "object" || Array.isArray(combination)) {
+      errors.push("combination: expected burden key → state");
+    } else {
+      Object.entries(combination).forEach(([k, state]) => {
+        if (!BURDEN_LAYERS[k]) errors.push(`combination: unknown burden "${k}"`);
+        else if (!COMBINATION_STATES.some((s) => s.key === state)) {
+          errors.push(`combination.${k}: must be one of ${COMBINATION_STATES.map((s) => s.key).join(", ")}`);
+        }
+      });
+    }
+  }
+  if (compareMode !== undefined && !COMPARE_MODES.some((m) => m.key === compareMode)) {
+    errors.push(`compareMode: must be one of ${COMPARE_MODES.map((m) => m.key).join(", ")}`);
+  }
+  if (camera !== undefined) {
+    const [lng, lat] = Array.isArray(camera?.center) ? camera.center : [];
+    if (!isNumber(lng) || !isNumber(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 85) {
+      errors.push("camera.center: expected [lng, lat] on the map");
+    }
+    if (!isNumber(camera?.zoom) || camera.zoom < 0 || camera.zoom > 22) errors.push("camera.zoom: must be 0–22");
+  }
+  return errors;
+}
+
+/**
+ * The view as reported to the host page. `threshold` is the shared
+ * threshold, null when burdens use different ones (see burdenThresholds).
+ */
+export function embedState({
+  viewMode,
+  activeLayers,
+  burdenThresholds,
+  combination,
+  compareMode,
+  camera,
+  locale,
+}) {
+  return {
+    viewMode,
+    layers: activeLayers,
+    threshold: uniformThreshold(burdenThresholds),
+    burdenThresholds,
+    combination,
+    compareMode,
+    camera: normalizeCamera(camera),
+    locale,
+  };
+}
+
+// ── Embed code ──────────────────────────────────────────────────────────────
+// Origin of a host page address ("https://example.org/page" →
+// "https://example.org"), or null if it is not an http(s) address
+export function pageOrigin(address) {
+  try {
+    const url = new URL(String(address).trim());
+    return url.protocol === "https:" || url.protocol === "http:" ? url.origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// The page at `href` (view in its hash) as an embed link for a host page
+// at `origin`
+export function embedUrl(href, { controls = true, origin }) {
+  const url = new URL(href);
+  url.searchParams.set("embed", "1");
+  if (controls) url.searchParams.delete("controls");
+  else url.searchParams.set("controls", "0");
+  url.searchParams.set("origin", origin);
+  return url.toString();
+}
+
+function attr(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+// <iframe> snippet for a host page
+export function embedCode({ src, width, height, title }) {
+  return (
+    `<iframe id="burdens-map" src="${attr(src)}" width="${attr(width)}" height="${attr(height)}" ` +
+    `title="${attr(title)}" style="border:0" loading="lazy" allow="fullscreen"></iframe>`
+  );
+}
+
+// Example of driving an embedded map (served from `origin`) from the host
+// page's script
+export function embedScript(origin) {
+  const layers = JSON.stringify(["breadbaskets", Object.keys(BURDEN_LAYERS)[0]]);
+  return [
+    `const map = document.getElementById("burdens-map").contentWindow;`,
+    `window.addEventListener("message", (e) => {`,
+    `  if (e.origin !== "${origin}") return;`,
+    `  if (e.data?.type === "burdens:ready") {`,
+    `    map.postMessage({ type: "burdens:set", viewMode: "individual", layers: ${layers} }, "${origin}");`,
+    `  }`,
+    `  if (e.data?.type === "burdens:click") console.log(e.data.lng, e.data.lat, e.data.burdens);`,
+    `});`,
+  ].join("\n");
+}
@@ -0,0 +1,86 @@
+import { embedCode, embedState, embedUrl, pageOrigin, readEmbedOptions, validateView } from "./embed";
+import { uniformThresholds } from "../layers/thresholds";
+
+test("embed options come from the query string", () => {
+  expect(readEmbedOptions("")).toBeNull();
+  expect(readEmbedOptions("?embed=0")).toBeNull();
+  expect(readEmbedOptions("?embed=1")).toEqual({ controls: true, origin: null });
+  expect(readEmbedOptions("?embed&controls=0&origin=https://example.org")).toEqual({
+    controls: false,
+    origin: "https://example.org",
+  });
+});
+
+test("burdens:set views are checked field by field", () => {
+  expect(
+    validateView({
+      viewMode: "combination",
+      layers: ["breadbaskets", "combination"],
+      threshold: "strict",
+      combination: { malnutrition: "require" },
+      compareMode: "swipe",
+      camera: { center: [-60, -10], zoom: 3 },
+    })
+  ).toEqual([]);
+  expect(validateView({})).toEqual([]);
+
+  expect(
+    validateView({
+      zoom: 3,
+      layers: ["breadbaskets", "water_stress"],
+      combination: { malnutrition: "maybe" },
+      camera: { center: [0, 90], zoom: 30 },
+    })
+  ).toEqual([
+    'unknown field "zoom"',
+    'layers: unknown layer "water_stress"',
+    "combination.malnutrition: must be one of any, require, exclude",
+    "camera.center: expected [lng, lat] on the map",
+    "camera.zoom: must be 0–22",
+  ]);
+  expect(validateView({ viewMode: "globe", compareMode: "overlay", layers: "cooccurrence" })).toEqual([
+    "viewMode: must be one of cooccurrence, individual, combination, bivariate",
+    "layers: expected a list of layer keys",
+    "compareMode: must be one of off, swipe, split",
+  ]);
+});
+
+test("the reported state names the shared threshold", () => {
+  const state = embedState({
+    viewMode: "cooccurrence",
+    activeLayers: ["cooccurrence"],
+    burdenThresholds: uniformThresholds("strict"),
+    combination: {},
+    compareMode: "off",
+    camera: { center: [20.123456, 15], zoom: 2.0001, animate: true },
+    locale: "en",
+  });
+  expect(state.threshold).toBe("strict");
+  expect(state.layers).toEqual(["cooccurrence"]);
+  expect(state.camera).toEqual({ center: [20.1235, 15], zoom: 2 });
+});
+
+test("embed links keep the view and escape into the snippet", () => {
+  const href = "https://maps.example.org/burdens/?controls=0&lang=fr&origin=https://old.org#v=2&layers=cooccurrence";
+  const origin = "https://news.example.com";
+  expect(embedUrl(href, { origin })).toBe(
+    "https://maps.example.org/burdens/?lang=fr&origin=https%3A%2F%2Fnews.example.com&embed=1#v=2&layers=cooccurrence"
+  );
+  expect(embedUrl(href, { controls: false, origin })).toBe(
+    "https://maps.example.org/burdens/?controls=0&lang=fr&origin=https%3A%2F%2Fnews.example.com&embed=1#v=2&layers=cooccurrence"
+  );
+  expect(readEmbedOptions(new URL(embedUrl(href, { origin })).search).origin).toBe(origin);
+
+  const code = embedCode({ src: "https://x.org/?a=1&b=2", width: "100%", height: 500, title: 'The "map"' });
+  expect(code).toContain('src="https://x.org/?a=1&amp;b=2"');
+  expect(code).toContain('title="The &quot;map&quot;"');
+  expect(code).toMatch(/^<iframe id="burdens-map" .*><\/iframe>$/);
+});
+
+test("the host page is given as its origin", () => {
+  expect(pageOrigin(" https://news.example.com/2026/story.html?x=1 ")).toBe("https://news.example.com");
+  expect(pageOrigin("http://localhost:8080")).toBe("http://localhost:8080");
+  expect(pageOrigin("news.example.com")).toBeNull();
+  expect(pageOrigin("ftp://files.example.com/map")).toBeNull();
+  expect(pageOrigin("")).toBeNull();
+});
@@ -0,0 +1,392 @@
+/**
+ * exportFigure.js — Compose a publication figure from a rendered map
+ *
+ * The map snapshot (utils/mapSnapshot.js) is drawn onto a larger canvas with:
+ *   - the active legend blocks (same content as Legend.js), bottom-right
+ *   - a metric scale bar, bottom-left
+ *   - a footer with the threshold description, the Levers et al. citation
+ *     and DOI, and the basemap attribution
+ * Everything is laid out in CSS pixels and multiplied by `scale` (DPI / 96).
+ * Figure text is in the interface language, as on screen.
+ */
+
+import {
+  BIVARIATE_LAYER,
+  BURDEN_LAYERS,
+  CITATION,
+  COOCCURRENCE_COLORS,
+  FOOD_GROUP_COLORS,
+  SENSITIVITY_LAYER,
+  ZONAL_LAYER,
+} from "../layers/burdenConfig";
+import { DEFAULT_BREADBASKET_FILTER, formatProduction, shownFoodGroups } from "../layers/breadbasketFilter";
+import { describeCombination, isCombinationActive } from "../layers/derivedLayers";
+import { describeThresholds, isCustomCutoff, thresholdLabel, uniformThreshold } from "../layers/thresholds";
+import { formatNumber, t } from "./i18n";
+
+// Labels are the `export.size.<key>` messages
+export const EXPORT_SIZES = [
+  { key: "view" },
+  { key: "slide",  width: 1280, height: 720 },
+  { key: "a4",     width: 1123, height: 794 },
+  { key: "square", width: 1000, height: 1000 },
+];
+export const EXPORT_DPIS = [96, 150, 300];
+export const EXPORT_FORMATS = [
+  { key: "png", label: "PNG" },
+  { key: "svg", label: "SVG" },
+];
+
+const ATTRIBUTION = "© Mapbox © OpenStreetMap";
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+const FONT = "Inter, 'Segoe UI', system-ui, sans-serif";
+const COLORS = {
+  panel: "rgba(15, 17, 23, 0.9)",
+  footer: "#0f1117",
+  text: "#e2e8f0",
+  muted: "#7c8ca0",
+  dim: "#4a5568",
+};
+
+// ── Legend content ──────────────────────────────────────────────────────────
+/**
+ * Legend blocks for the current explorer state, drawn in `colors`
+ * (burdenConfig.paletteColors), mirroring Legend.js:
+ * [{ title, items: [{ color, label, dashed? }], grid?, note? }]
+ * `grid` is the bivariate key: { rows: [{ label, colors }] (most burdens
+ * first), columns: [production label], xLabel, yLabel }.
+ */
+export function legendBlocks({
+  activeLayers,
+  viewMode,
+  combination,
+  burdenThresholds,
+  sensitivityTarget,
+  colors,
+  breadbasketFilter = DEFAULT_BREADBASKET_FILTER,
+}) {
+  const blocks = [];
+
+  if (viewMode === "cooccurrence" && activeLayers.includes("cooccurrence")) {
+    blocks.push({
+      title: t("legend.simultaneous"),
+      items: COOCCURRENCE_COLORS.map(({ value, label }) => ({
+        color: value === 0 ? "rgba(60,60,80,0.4)" : colors.cooccurrence[value],
+        dashed: value === 0,
+        label,
+      })),
+      note: uniformThreshold(burdenThresholds)
+        ? null
+        : t(Object.values(burdenThresholds).some(isCustomCutoff) ? "legend.customCutoffs" : "legend.mixed"),
+    });
+  }
+
+  const activeBurdens = Object.values(BURDEN_LAYERS).filter((cfg) => activeLayers.includes(cfg.key));
+  if (viewMode === "individual" && activeBurdens.length) {
+    blocks.push({
+      title: t("export.legend.hotspots"),
+      items: activeBurdens.map((cfg) => ({ color: colors.burdens[cfg.key].color, label: cfg.shortLabel })),
+    });
+  }
+
+  if (viewMode === "combination" && activeLayers.includes("combination") && isCombinationActive(combination)) {
+    blocks.push({
+      title: t("combination.label"),
+      items: [{ color: colors.combination, label: describeCombination(combination) }],
+    });
+  }
+
+  if (viewMode === "bivariate" && activeLayers.includes(BIVARIATE_LAYER.key)) {
+    const { burdenClasses, productionClasses } = BIVARIATE_LAYER;
+    blocks.push({
+      title: BIVARIATE_LAYER.label,
+      items: [],
+      grid: {
+        rows: BIVARIATE_LAYER.colors.map((row, b) => ({ label: burdenClasses[b].label, colors: row })).reverse(),
+        columns: productionClasses.map(({ label }) => label),
+        yLabel: t("legend.burdens"),
+        xLabel: t("legend.production"),
+      },
+      note: t("legend.bivariateNote"),
+    });
+  }
+
+  if (activeLayers.includes("sensitivity")) {
+    const isCooc = sensitivityTarget === "cooccurrence";
+    blocks.push({
+      title: t("legend.sensitivity", {
+        target: isCooc ? t("panel.tab.cooccurrence") : BURDEN_LAYERS[sensitivityTarget].shortLabel,
+      }),
+      items: (isCooc ? SENSITIVITY_LAYER.deltaColors : SENSITIVITY_LAYER.burdenClasses).map(({ label }, i) => ({
+        color: (isCooc ? colors.sensitivityDelta : colors.sensitivity)[i],
+        label,
+      })),
+    });
+  }
+
+  if (activeLayers.includes(ZONAL_LAYER.key)) {
+    blocks.push({
+      title: t("legend.zonal"),
+      items: ZONAL_LAYER.stops.map(({ label }, i) => ({ color: colors.zonal[i], label })),
+    });
+  }
+
+  // Only the food groups the filter leaves on the map
+  const shownGroups = shownFoodGroups(breadbasketFilter);
+  if (activeLayers.includes("breadbaskets") && shownGroups.length) {
+    blocks.push({
+      title: t("export.legend.foodGroups"),
+      items: shownGroups.map((key) => ({ color: colors.foodGroups[key], label: FOOD_GROUP_COLORS[key].label, dot: true })),
+      columns: 2,
+      note:
+        breadbasketFilter.minValue > 0
+          ? t("export.minProduction", { value: formatProduction(breadbasketFilter.minValue) })
+          : null,
+    });
+  }
+
+  return blocks;
+}
+
+// ── Scale bar ───────────────────────────────────────────────────────────────
+/**
+ * Longest "nice" distance (1 / 2 / 5 × 10ⁿ m) fitting in `maxWidth` CSS px at
+ * a latitude and Mapbox zoom (512 px world tiles).
+ */
+export function scaleBar(lat, zoom, maxWidth = 120) {
+  const metersPerPx = (EARTH_CIRCUMFERENCE_M * Math.cos((lat * Math.PI) / 180)) / (512 * 2 ** zoom);
+  const maxMeters = metersPerPx * maxWidth;
+  const pow = 10 ** Math.floor(Math.log10(maxMeters));
+  const meters = [5, 2, 1].map((m) => m * pow).find((m) => m <= maxMeters);
+  return {
+    meters,
+    width: meters / metersPerPx,
+    label: meters >= 1000 ? `${formatNumber(meters / 1000)} km` : `${formatNumber(meters)} m`,
+  };
+}
+
+// ── Canvas helpers ──────────────────────────────────────────────────────────
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(" ")) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(next).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+const ROW_H = 16;
+const TITLE_H = 18;
+const BLOCK_GAP = 10;
+const PAD = 10;
+const GRID_LABEL_W = 24;
+const GRID_CELL_W = 34;
+
+// Rows of a block: its items, or the grid with its axis label and tick rows
+function blockRows(b) {
+  return b.grid ? b.grid.rows.length + 3 : Math.ceil(b.items.length / (b.columns || 1));
+}
+
+function measureLegend(blocks, colWidth) {
+  const width = PAD * 2 + colWidth * Math.max(...blocks.map((b) => b.columns || 1));
+  const height =
+    PAD * 2 +
+    blocks.reduce((h, b) => h + TITLE_H + blockRows(b) * ROW_H + (b.note ? ROW_H : 0), 0) +
+    BLOCK_GAP * (blocks.length - 1);
+  return { width, height };
+}
+
+function drawLegend(ctx, blocks, right, bottom) {
+  const colWidth = 150;
+  const { width, height } = measureLegend(blocks, colWidth);
+  const x0 = right - width;
+  const y0 = bottom - height;
+
+  ctx.fillStyle = COLORS.panel;
+  roundRect(ctx, x0, y0, width, height, 8);
+  ctx.fill();
+
+  let y = y0 + PAD;
+  ctx.textBaseline = "middle";
+  for (const block of blocks) {
+    ctx.font = `700 9px ${FONT}`;
+    ctx.fillStyle = COLORS.muted;
+    ctx.fillText(block.title.toUpperCase(), x0 + PAD, y + TITLE_H / 2 - 2);
+    y += TITLE_H;
+
+    const cols = block.columns || 1;
+    const top = y;
+    block.items.forEach((item, i) => {
+      const cx = x0 + PAD + (i % cols) * colWidth;
+      const cy = top + Math.floor(i / cols) * ROW_H + ROW_H / 2;
+      ctx.fillStyle = item.color;
+      if (item.dot) {
+        ctx.beginPath();
+        ctx.arc(cx + 5, cy, 4, 0, Math.PI * 2);
+        ctx.fill();
+      } else {
+        roundRect(ctx, cx, cy - 6, 16, 12, 2);
+        ctx.fill();
+        if (item.dashed) {
+          ctx.setLineDash([2, 2]);
+          ctx.strokeStyle = "#555";
+          ctx.stroke();
+          ctx.setLineDash([]);
+        }
+      }
+      ctx.font = `400 10px ${FONT}`;
+      ctx.fillStyle = COLORS.text;
+      ctx.fillText(item.label, cx + 22, cy);
+    });
+    if (block.grid) drawGrid(ctx, block.grid, x0 + PAD, top);
+    y += blockRows(block) * ROW_H;
+
+    if (block.note) {
+      ctx.font = `italic 400 9px ${FONT}`;
+      ctx.fillStyle = COLORS.muted;
+      ctx.fillText(block.note, x0 + PAD, y + ROW_H / 2);
+      y += ROW_H;
+    }
+    y += BLOCK_GAP;
+  }
+}
+
+// Bivariate key: y-axis label, colour rows with their burden labels,
+// production ticks, x-axis label
+function drawGrid(ctx, grid, left, top) {
+  const row = (i) => top + i * ROW_H + ROW_H / 2;
+  ctx.font = `400 9px ${FONT}`;
+  ctx.fillStyle = COLORS.muted;
+  ctx.textAlign = "left";
+  ctx.fillText(`${grid.yLabel} ↑`, left, row(0));
+  grid.rows.forEach(({ label, colors }, r) => {
+    ctx.font = `400 10px ${FONT}`;
+    ctx.fillStyle = COLORS.text;
+    ctx.fillText(label, left, row(r + 1));
+    colors.forEach((color, c) => {
+      ctx.fillStyle = color;
+      roundRect(ctx, left + GRID_LABEL_W + c * GRID_CELL_W, row(r + 1) - 6, GRID_CELL_W - 4, 12, 2);
+      ctx.fill();
+    });
+  });
+  ctx.font = `400 9px ${FONT}`;
+  ctx.fillStyle = COLORS.muted;
+  ctx.textAlign = "center";
+  grid.columns.forEach((label, c) => {
+    ctx.fillText(label, left + GRID_LABEL_W + c * GRID_CELL_W + (GRID_CELL_W - 4) / 2, row(grid.rows.length + 1));
+  });
+  ctx.textAlign = "left";
+  ctx.fillText(grid.xLabel, left + GRID_LABEL_W, row(grid.rows.length + 2));
+}
+
+function drawScaleBar(ctx, bar, left, bottom) {
+  const h = 6;
+  ctx.fillStyle = COLORS.panel;
+  roundRect(ctx, left - 6, bottom - h - 22, bar.width + 12, h + 28, 6);
+  ctx.fill();
+  ctx.strokeStyle = COLORS.text;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(left, bottom - h - 6);
+  ctx.lineTo(left, bottom - 6);
+  ctx.lineTo(left + bar.width, bottom - 6);
+  ctx.lineTo(left + bar.width, bottom - h - 6);
+  ctx.stroke();
+  ctx.font = `600 10px ${FONT}`;
+  ctx.fillStyle = COLORS.text;
+  ctx.textBaseline = "alphabetic";
+  ctx.fillText(bar.label, left, bottom - h - 10);
+}
+
+/**
+ * Draw the finished figure.
+ *
+ * @param {HTMLCanvasElement} mapCanvas  snapshot at `scale` × CSS size
+ * @param {object} opts
+ * @param {number} opts.scale     device pixels per CSS pixel
+ * @param {object} opts.state     explorer state (layers, thresholds, …)
+ * @param {object} opts.camera    { lat, zoom } of the snapshot
+ * @param {string} [opts.title]   optional heading drawn top-left
+ * @returns {HTMLCanvasElement}
+ */
+export function composeFigure(mapCanvas, { scale, state, camera, title }) {
+  const width = mapCanvas.width / scale;
+  const mapHeight = mapCanvas.height / scale;
+
+  // Footer text is measured first so the canvas can be sized to fit it
+  const measure = document.createElement("canvas").getContext("2d");
+  measure.font = `400 10px ${FONT}`;
+  const footerLines = [
+    {
+      text: t("export.threshold", {
+        label: thresholdLabel(state.burdenThresholds),
+        description: describeThresholds(state.burdenThresholds),
+      }),
+      color: COLORS.text,
+    },
+    ...wrapText(measure, `${CITATION.text} DOI: ${CITATION.doi}`, width - 24).map((text) => ({ text, color: COLORS.muted })),
+    { text: ATTRIBUTION, color: COLORS.dim },
+  ];
+  const footerHeight = 12 + footerLines.length * 14;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round((mapHeight + footerHeight) * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(mapCanvas, 0, 0);
+  ctx.scale(scale, scale);
+
+  if (title) {
+    ctx.font = `700 16px ${FONT}`;
+    const w = ctx.measureText(title).width;
+    ctx.fillStyle = COLORS.panel;
+    roundRect(ctx, 12, 12, w + 20, 30, 6);
+    ctx.fill();
+    ctx.fillStyle = COLORS.text;
+    ctx.textBaseline = "middle";
+    ctx.fillText(title, 22, 27);
+  }
+
+  const blocks = legendBlocks(state);
+  if (blocks.length) drawLegend(ctx, blocks, width - 12, mapHeight - 12);
+
+  drawScaleBar(ctx, scaleBar(camera.lat, camera.zoom), 18, mapHeight - 12);
+
+  ctx.fillStyle = COLORS.footer;
+  ctx.fillRect(0, mapHeight, width, footerHeight);
+  ctx.font = `400 10px ${FONT}`;
+  ctx.textBaseline = "top";
+  footerLines.forEach((line, i) => {
+    ctx.fillStyle = line.color;
+    ctx.fillText(line.text, 12, mapHeight + 8 + i * 14);
+  });
+
+  return canvas;
+}
+
+// Wrap a PNG data URL in an SVG document of the figure's CSS size
+export function svgWrap(dataUrl, width, height) {
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+    `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+    `  <image width="${width}" height="${height}" xlink:href="${dataUrl}" href="${dataUrl}"/>\n` +
+    `</svg>\n`
+  );
+}
@@ -0,0 +1,80 @@
+import { legendBlocks, scaleBar, svgWrap } from "./exportFigure";
+import { paletteColors } from "../layers/burdenConfig";
+import { DEFAULT_COMBINATION } from "../layers/derivedLayers";
+import { uniformThresholds } from "../layers/thresholds";
+import { setLocale } from "./i18n";
+
+const state = {
+  activeLayers: ["breadbaskets", "cooccurrence"],
+  viewMode: "cooccurrence",
+  combination: DEFAULT_COMBINATION,
+  burdenThresholds: uniformThresholds("strict"),
+  sensitivityTarget: "cooccurrence",
+  colors: paletteColors("default"),
+};
+
+test("legend blocks follow the active view", () => {
+  expect(legendBlocks(state).map((b) => b.title)).toEqual([
+    "Simultaneous Burdens",
+    "Breadbaskets · Food Group",
+  ]);
+
+  const individual = legendBlocks({
+    ...state,
+    viewMode: "individual",
+    activeLayers: ["malnutrition", "sensitivity"],
+    burdenThresholds: { ...state.burdenThresholds, malnutrition: "liberal" },
+  });
+  expect(individual.map((b) => b.title)).toEqual(["Burden Hotspots", "Threshold Sensitivity · Co-occurrence"]);
+  expect(individual[0].items).toEqual([{ color: "#756bb1", label: "Malnutrition" }]);
+
+  const greyscale = legendBlocks({
+    ...state,
+    viewMode: "individual",
+    activeLayers: ["malnutrition"],
+    colors: paletteColors("greyscale"),
+  });
+  expect(greyscale[0].items).toEqual([{ color: "#787878", label: "Malnutrition" }]);
+});
+
+test("the food-group legend follows the breadbasket filter", () => {
+  const blocks = legendBlocks({ ...state, breadbasketFilter: { groups: ["grains", "fruits"], minValue: 5000 } });
+  const foodGroups = blocks[blocks.length - 1];
+  expect(foodGroups.items.map((i) => i.label)).toEqual(["Grains", "Fruits"]);
+  expect(foodGroups.note).toBe("Min. production: 5,000 tonnes");
+
+  const none = legendBlocks({ ...state, breadbasketFilter: { groups: [], minValue: 0 } });
+  expect(none.map((b) => b.title)).toEqual(["Simultaneous Burdens"]);
+});
+
+test("the bivariate view exports its production × burden grid", () => {
+  const [block] = legendBlocks({ ...state, viewMode: "bivariate", activeLayers: ["bivariate"] });
+  expect(block.title).toBe("Production × Burdens");
+  expect(block.grid.rows.map((r) => r.label)).toEqual(["2+", "1", "0"]);
+  expect(block.grid.rows[0].colors).toEqual(["#be64ac", "#8c62aa", "#3b4994"]);
+  expect(block.grid.columns).toEqual(["Low", "Mid", "High"]);
+});
+
+test("figure text follows the interface language", () => {
+  setLocale("es");
+  try {
+    expect(legendBlocks(state).map((b) => b.title)).toEqual(["Cargas simultáneas", "Graneros · Grupo de alimentos"]);
+    expect(scaleBar(0, 2, 120).label).toBe("2000 km");
+  } finally {
+    setLocale("en");
+  }
+});
+
+test("scale bar picks a round distance that fits", () => {
+  const bar = scaleBar(0, 2, 120);
+  expect(bar.label).toBe("2,000 km"); // ≈ 19.6 km per px at the equator
+  expect(bar.width).toBeLessThanOrEqual(120);
+  expect(bar.width).toBeGreaterThan(120 / 5);
+  expect(scaleBar(60, 12, 120).label).toBe("1 km");
+});
+
+test("SVG wrapper embeds the image at CSS size", () => {
+  const svg = svgWrap("data:image/png;base64,AAA", 800, 600);
+  expect(svg).toContain('viewBox="0 0 800 600"');
+  expect(svg).toContain('href="data:image/png;base64,AAA"');
+});
@@ -0,0 +1,27 @@
+/**
+ * fetchJson.js — Fetch a JSON configuration file
+ *
+ * Files at their default location are optional: a missing file (or the
+ * index.html a dev server answers unknown paths with) resolves to null.
+ * A file the user asked for explicitly must load, or the promise rejects.
+ */
+
+export async function fetchConfigJson(url, { what, required }) {
+  let res;
+  try {
+    res = await fetch(url, { cache: "no-store" });
+  } catch (e) {
+    if (required) throw new Error(`${what} ${url} could not be fetched`);
+    return null;
+  }
+  if (!res.ok) {
+    if (required) throw new Error(`${what} ${url} could not be fetched (HTTP ${res.status})`);
+    return null;
+  }
+  try {
+    return await res.json();
+  } catch (e) {
+    if (required) throw new Error(`${what} ${url} is not valid JSON`);
+    return null;
+  }
+}
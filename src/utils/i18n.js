@@ -0,0 +1,159 @@
+/**
+ * i18n.js — Interface language, message catalogues and number formatting
+ *
+ * Catalogues live in src/locales/<key>.json:
+ *   language    the language's own name, for the switcher
+ *   countWords  "zero", "one", … for the manifest's {count} placeholder
+ *   messages    interface text by key; `{name}` placeholders are filled
+ *               from t()'s params. Plural forms are `<key>.one`,
+ *               `<key>.other` … as chosen by Intl.PluralRules (tn()).
+ *   manifest    translations of the layer manifest's text, in the
+ *               manifest's own shape with dimensions, thresholds and food
+ *               groups keyed by `key` (see localizeManifest)
+ *   stories     translations of the built-in stories by story key, steps
+ *               keyed by step key (see localizeStory)
+ * English interface text is in en.json; English layer and story text is
+ * the manifest and the stories themselves. Missing translations fall back
+ * to English.
+ *
+ * Translated: header, control panel, legend, info panel, story player, map
+ * popup and canvas label, pixel inspector, viewport statistics, tile-health
+ * banner, region, zonal statistics, offline and export panels, exported
+ * figures, the embed dialog, the start-up screens and the screen-reader
+ * announcements.
+ *
+ * The language is chosen by `lang` in the permalink (urlState.js), then
+ * the choice stored by an earlier session, then the browser language.
+ * burdenConfig.applyLocale() switches it.
+ */
+
+import en from "../locales/en.json";
+import es from "../locales/es.json";
+import fr from "../locales/fr.json";
+
+const CATALOGUES = { en, es, fr };
+
+export const DEFAULT_LOCALE = "en";
+
+export const LOCALES = Object.entries(CATALOGUES).map(([key, c]) => ({ key, label: c.language }));
+
+const STORAGE_KEY = "burdens-locale";
+
+let current = DEFAULT_LOCALE;
+
+export function getLocale() {
+  return current;
+}
+
+// Set the language for t() and the number formatters (and the page's lang)
+export function setLocale(key) {
+  current = CATALOGUES[key] ? key : DEFAULT_LOCALE;
+  if (typeof document !== "undefined") document.documentElement.lang = current;
+}
+
+// ── Messages ────────────────────────────────────────────────────────────────
+function fill(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Message `key` in the current language; "{n} of {total}" → t(key, { n: 2, total: 4 })
+export function t(key, params = {}) {
+  const text = CATALOGUES[current].messages[key] ?? en.messages[key] ?? key;
+  return fill(text, params);
+}
+
+// Plural message for count `n` (also available as {n} in the text)
+export function tn(key, n, params = {}) {
+  const form = new Intl.PluralRules(current).select(n);
+  const catalogue = CATALOGUES[current].messages;
+  const text =
+    catalogue[`${key}.${form}`] ?? catalogue[`${key}.other`] ??
+    en.messages[`${key}.${new Intl.PluralRules(DEFAULT_LOCALE).select(n)}`] ?? en.messages[`${key}.other`] ?? key;
+  return fill(text, { n: formatNumber(n), ...params });
+}
+
+// Number as a word for the manifest's {count} placeholder ("four", "cuatro")
+export function countWord(n) {
+  return CATALOGUES[current].countWords?.[n] || en.countWords[n] || String(n);
+}
+
+// ── Numbers ─────────────────────────────────────────────────────────────────
+export function formatNumber(value, options) {
+  return new Intl.NumberFormat(current, options).format(value);
+}
+
+/**
+ * Headline figure of a manifest finding. With a numeric `value` (or a
+ * [low, high] range) it is written out for the language — "~5 billion",
+ * "~5 mil millones" — in `compact` "long" or "short" notation plus `unit`;
+ * otherwise `stat` is shown as written.
+ */
+export function formatStat({ stat, value, approx, compact = "long", unit }) {
+  if (value == null) return stat;
+  const format = new Intl.NumberFormat(current, {
+    notation: "compact",
+    compactDisplay: compact,
+    maximumFractionDigits: 1,
+  });
+  const text = Array.isArray(value) ? format.formatRange(value[0], value[1]) : format.format(value);
+  return `${approx ? "~" : ""}${text}${unit ? ` ${unit}` : ""}`;
+}
+
+// ── Layer manifest and stories ──────────────────────────────────────────────
+// Lists matched to their translation by `key` (by position for findings)
+function mergeText(base, text) {
+  if (text == null) return base;
+  if (typeof base === "string") return typeof text === "string" ? text : base;
+  if (Array.isArray(base)) {
+    return base.map((item, i) => {
+      const match = item?.key != null && !Array.isArray(text) ? text[item.key] : text[i];
+      return mergeText(item, match);
+    });
+  }
+  if (base && typeof base === "object") {
+    return Object.fromEntries(Object.entries(base).map(([k, v]) => [k, mergeText(v, text[k])]));
+  }
+  return base;
+}
+
+/**
+ * Copy of `manifest` with its text translated into `locale` where the
+ * catalogue has a translation. Only string values are replaced, and
+ * catalogues hold nothing but text.
+ */
+export function localizeManifest(manifest, locale = current) {
+  return mergeText(manifest, CATALOGUES[locale]?.manifest);
+}
+
+// Copy of a story (stories/stories.js) in `locale`, the same way
+export function localizeStory(story, locale = current) {
+  return mergeText(story, CATALOGUES[locale]?.stories?.[story.key]);
+}
+
+// ── Choice of language ──────────────────────────────────────────────────────
+// "es-MX" → "es"; null when there is no catalogue for the language
+export function matchLocale(tag) {
+  const key = String(tag || "").toLowerCase().split("-")[0];
+  return CATALOGUES[key] ? key : null;
+}
+
+export function storeLocale(key) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, key);
+  } catch (e) {
+    // not persisted; the language still applies for this session
+  }
+}
+
+// Language to start in: permalink, then stored choice, then the browser's
+export function initialLocale() {
+  let stored = null;
+  try {
+    stored = window.localStorage.getItem(STORAGE_KEY);
+  } catch (e) {
+    // storage blocked
+  }
+  const fromUrl = new URLSearchParams(window.location.hash.replace(/^#/, "")).get("lang");
+  const browser = (navigator.languages || [navigator.language]).map(matchLocale).find(Boolean);
+  return matchLocale(fromUrl) || matchLocale(stored) || browser || DEFAULT_LOCALE;
+}
@@ -0,0 +1,50 @@
+import en from "../locales/en.json";
+import es from "../locales/es.json";
+import fr from "../locales/fr.json";
+import manifest from "../layers/manifest.json";
+import { formatStat, localizeManifest, setLocale, t, tn } from "./i18n";
+
+afterEach(() => setLocale("en"));
+
+test("every catalogue has the English messages with the same placeholders", () => {
+  const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+  for (const catalogue of [es, fr]) {
+    expect(Object.keys(catalogue.messages).sort()).toEqual(Object.keys(en.messages).sort());
+    for (const [key, text] of Object.entries(en.messages)) {
+      expect([key, placeholders(catalogue.messages[key])]).toEqual([key, placeholders(text)]);
+    }
+  }
+});
+
+test("messages fill placeholders, pick plural forms and fall back to English", () => {
+  setLocale("fr");
+  expect(t("popup.ofTotal", { n: 2, total: 4 })).toBe("2 sur 4");
+  expect(tn("cooccurrence.class", 1)).toBe("1 pression");
+  expect(tn("cooccurrence.class", 3)).toBe("3 pressions");
+  expect(t("no.such.key")).toBe("no.such.key");
+  setLocale("xx");
+  expect(t("legend.all")).toBe("All");
+});
+
+test("headline figures are written out for the language", () => {
+  const [people, overlap, area, farms] = manifest.findings;
+  expect(formatStat(people)).toBe("~5 billion");
+  expect(formatStat(overlap)).toBe("1.8–1.9 billion");
+  expect(formatStat(area)).toBe("470M ha");
+  expect(formatStat(farms)).toBe("Small farms");
+  setLocale("es");
+  expect(formatStat(people)).toBe("~5 mil millones");
+  setLocale("fr");
+  expect(formatStat(people)).toBe("~5 milliards");
+});
+
+test("manifest text is translated by key, everything else kept", () => {
+  const localized = localizeManifest(manifest, "es");
+  const poverty = localized.dimensions.find((d) => d.key === "income_poverty");
+  expect(poverty.label).toBe("Pobreza de ingresos");
+  expect(poverty.color).toBe(manifest.dimensions.find((d) => d.key === "income_poverty").color);
+  expect(localized.thresholds.map((o) => o.label)).toEqual(["Estricto", "Menos estricto"]);
+  expect(localized.breadbaskets.foodGroups.find((g) => g.key === "grains").label).toBe("Cereales");
+  expect(localized.findings[0].value).toBe(manifest.findings[0].value);
+  expect(localizeManifest(manifest, "en")).toEqual(manifest);
+});
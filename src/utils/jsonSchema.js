@@ -0,0 +1,85 @@
+/**
+ * jsonSchema.js — Minimal JSON Schema validator
+ *
+ * Supports the subset the app's schemas use: type, enum, pattern,
+ * minLength, required, properties, additionalProperties, items, minItems,
+ * maxItems, uniqueItems and local $ref ("#/definitions/…").
+ */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function resolveRef(root, ref) {
+  return ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, part) => node?.[part], root);
+}
+
+function check(value, schema, path, root, errors, name) {
+  if (schema.$ref) {
+    check(value, resolveRef(root, schema.$ref), path, root, errors, name);
+    return;
+  }
+  const fail = (message) => errors.push(`${path || name}: ${message}`);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t))) {
+      fail(`expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) fail("must not be empty");
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`needs at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) fail(`allows at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map((v) => JSON.stringify(v))).size !== value.length) {
+      fail("items must be unique");
+    }
+    if (schema.items) value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, root, errors, name));
+  }
+
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing "${key}"`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const child = path ? `${path}.${key}` : key;
+      if (props[key]) check(v, props[key], child, root, errors, name);
+      else if (schema.additionalProperties === false) fail(`unknown property "${key}"`);
+      else if (typeof schema.additionalProperties === "object") {
+        check(v, schema.additionalProperties, child, root, errors, name);
+      }
+    }
+  }
+}
+
+/**
+ * Validate `value` against `schema`. Returns a list of error messages
+ * ("dimensions[2].tileDir: missing \"strict\""), empty when valid;
+ * problems with the value as a whole are reported under `name`.
+ */
+export function validateSchema(value, schema, name = "manifest") {
+  const errors = [];
+  check(value, schema, "", schema, errors, name);
+  return errors;
+}
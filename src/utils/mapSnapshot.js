@@ -0,0 +1,102 @@
+/**
+ * mapSnapshot.js — Render the current map off-screen at a chosen size and DPI
+ *
+ * Mapbox draws at `window.devicePixelRatio`, so the snapshot is taken from a
+ * temporary, non-interactive copy of the map (same style — including derived
+ * image layers and the zonal choropleth — and camera) created in a hidden
+ * container while the ratio is overridden. The zoom is offset so the current
+ * view fits the requested frame. Custom sources (archive-backed and
+ * recoloured rasters), which getStyle() cannot carry, are re-added once the
+ * copy has loaded.
+ */
+
+import mapboxgl from "mapbox-gl";
+import { detachCustomSources } from "../layers/customSources";
+
+// Keep the drawing buffer within what WebGL reliably supports
+export const MAX_CANVAS_PX = 8192;
+
+// Give up waiting for missing tiles after this long and use what has loaded
+const IDLE_TIMEOUT_MS = 30000;
+
+/**
+ * Device pixels per CSS pixel for a DPI, clamped so neither side of the
+ * output exceeds MAX_CANVAS_PX.
+ */
+export function snapshotScale(width, height, dpi) {
+  return Math.min(dpi / 96, MAX_CANVAS_PX / width, MAX_CANVAS_PX / height);
+}
+
+function overrideDevicePixelRatio(value) {
+  const original = Object.getOwnPropertyDescriptor(window, "devicePixelRatio");
+  Object.defineProperty(window, "devicePixelRatio", { configurable: true, get: () => value });
+  return () => {
+    if (original) Object.defineProperty(window, "devicePixelRatio", original);
+    else delete window.devicePixelRatio;
+  };
+}
+
+/**
+ * @param {mapboxgl.Map} map    the live map
+ * @param {object} opts
+ * @param {number} opts.width   output width in CSS px
+ * @param {number} opts.height  output height in CSS px
+ * @param {number} opts.scale   device pixels per CSS px
+ * @returns {Promise<{ canvas: HTMLCanvasElement, camera: { lat, zoom } }>}
+ */
+export async function renderMapSnapshot(map, { width, height, scale }) {
+  const view = map.getContainer();
+  const fit = Math.min(width / view.clientWidth, height / view.clientHeight);
+  const zoom = map.getZoom() + Math.log2(fit);
+  const center = map.getCenter();
+
+  const container = document.createElement("div");
+  Object.assign(container.style, {
+    position: "fixed",
+    left: "-100000px",
+    top: "0",
+    width: `${width}px`,
+    height: `${height}px`,
+  });
+  document.body.appendChild(container);
+  const restoreRatio = overrideDevicePixelRatio(scale);
+  let snapshot = null;
+
+  // Everything from here on is undone in `finally`, including when the
+  // copy cannot be created (e.g. no WebGL context for a very large canvas)
+  try {
+    const { style, attach } = detachCustomSources(map.getStyle());
+    snapshot = new mapboxgl.Map({
+      container,
+      style,
+      center,
+      zoom,
+      bearing: map.getBearing(),
+      pitch: map.getPitch(),
+      projection: "mercator",
+      interactive: false,
+      attributionControl: false,
+      preserveDrawingBuffer: true,
+      fadeDuration: 0,
+    });
+    snapshot.once("load", () => attach(snapshot));
+
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, IDLE_TIMEOUT_MS);
+      snapshot.once("idle", () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+    const source = snapshot.getCanvas();
+    const canvas = document.createElement("canvas");
+    canvas.width = source.width;
+    canvas.height = source.height;
+    canvas.getContext("2d").drawImage(source, 0, 0);
+    return { canvas, camera: { lat: center.lat, zoom } };
+  } finally {
+    snapshot?.remove();
+    container.remove();
+    restoreRatio();
+  }
+}
@@ -0,0 +1,30 @@
+import mapboxgl from "mapbox-gl";
+import { renderMapSnapshot, snapshotScale } from "./mapSnapshot";
+
+jest.mock("mapbox-gl", () => ({ __esModule: true, default: { Map: jest.fn() } }));
+
+const liveMap = {
+  getContainer: () => ({ clientWidth: 800, clientHeight: 600 }),
+  getZoom: () => 3,
+  getCenter: () => ({ lng: 10, lat: 20 }),
+  getStyle: () => ({ version: 8, sources: {}, layers: [] }),
+  getBearing: () => 0,
+  getPitch: () => 0,
+};
+
+test("the scale is clamped to the largest canvas WebGL draws reliably", () => {
+  expect(snapshotScale(1000, 800, 150)).toBeCloseTo(150 / 96);
+  expect(snapshotScale(4000, 2000, 300)).toBeCloseTo(8192 / 4000);
+});
+
+test("a copy that cannot be created leaves the page as it was", async () => {
+  const ratio = window.devicePixelRatio;
+  const children = document.body.children.length;
+  mapboxgl.Map.mockImplementation(() => {
+    throw new Error("Failed to initialize WebGL");
+  });
+
+  await expect(renderMapSnapshot(liveMap, { width: 4000, height: 3000, scale: 2 })).rejects.toThrow("WebGL");
+  expect(window.devicePixelRatio).toBe(ratio);
+  expect(document.body.children).toHaveLength(children);
+});
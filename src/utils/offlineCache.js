@@ -0,0 +1,204 @@
+/**
+ * offlineCache.js — Pre-download burden tiles for use without a network
+ *
+ * A saved region is its own Cache Storage cache ("burdens-region-<id>")
+ * holding every raster tile (all layers, both thresholds) covering its
+ * bounds over a zoom range, plus a small world overview (z0–2) so the app
+ * can start offline. A metadata entry in the same cache records the name,
+ * bounds, zooms, tile count and size, so regions can be listed and deleted
+ * independently even when they overlap.
+ *
+ * The service worker (src/service-worker.js) answers failed network
+ * requests from any cache, which is what makes these tiles show up offline.
+ * Archive-backed (PMTiles) layers are read with range requests and are not
+ * pre-downloaded; serve the archive from the local machine instead.
+ */
+
+import { TILE_DIRS, tileUrl } from "../layers/burdenConfig";
+import { isPmtilesUrl } from "../layers/pmtilesArchive";
+import { lngLatToWorld } from "./tileMath";
+
+export const REGION_CACHE_PREFIX = "burdens-region-";
+
+// Largest download offered (tile requests across all layers)
+export const MAX_OFFLINE_REQUESTS = 20000;
+
+// Zooms always included so the world view renders offline
+const OVERVIEW_MAXZOOM = 2;
+
+const CONCURRENCY = 6;
+
+export const offlineSupported = typeof caches !== "undefined";
+
+function metaUrl() {
+  return new URL("__offline-region__.json", `${window.location.origin}/`).href;
+}
+
+// ── Tile lists ──────────────────────────────────────────────────────────────
+// XYZ tiles covering `bounds` at zoom z (longitudes clamped to ±180)
+function tilesAt(bounds, z) {
+  const n = 2 ** z;
+  const clamp = (v) => Math.min(n - 1, Math.max(0, v));
+  const nw = lngLatToWorld(Math.max(-180, bounds.west), bounds.north, z);
+  const se = lngLatToWorld(Math.min(180, bounds.east), bounds.south, z);
+  const tiles = [];
+  for (let x = clamp(Math.floor(nw.x)); x <= clamp(Math.ceil(se.x) - 1); x++) {
+    for (let y = clamp(Math.floor(nw.y)); y <= clamp(Math.ceil(se.y) - 1); y++) {
+      tiles.push({ z, x, y });
+    }
+  }
+  return tiles;
+}
+
+const WORLD = { west: -180, south: -85, east: 180, north: 85 };
+
+/**
+ * Tile positions for a region over minZoom…maxZoom, plus the world
+ * overview below minZoom. Positions are unique.
+ */
+export function regionTiles(bounds, minZoom, maxZoom) {
+  const seen = new Set();
+  const tiles = [];
+  const add = (list) =>
+    list.forEach((t) => {
+      const key = `${t.z}/${t.x}/${t.y}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        tiles.push(t);
+      }
+    });
+  for (let z = 0; z <= Math.min(OVERVIEW_MAXZOOM, maxZoom); z++) add(tilesAt(WORLD, z));
+  for (let z = minZoom; z <= maxZoom; z++) add(tilesAt(bounds, z));
+  return tiles;
+}
+
+/**
+ * URLs to fetch for a list of tile positions: one per tile per raster tile
+ * directory (the boundaries are part of the precached app). `skipped` lists
+ * the directories served from PMTiles archives.
+ */
+export function offlineRequests(tiles) {
+  const urls = [];
+  const skipped = [];
+  for (const { dir } of TILE_DIRS) {
+    const template = tileUrl(dir);
+    if (isPmtilesUrl(template)) {
+      skipped.push(dir);
+      continue;
+    }
+    for (const { z, x, y } of tiles) {
+      urls.push(template.replace("{z}", z).replace("{x}", x).replace("{y}", y));
+    }
+  }
+  return { urls, skipped };
+}
+
+// ── Download ────────────────────────────────────────────────────────────────
+/**
+ * Fetch and store every tile of a region.
+ *
+ * @param {object} region  { name, bounds: { west, south, east, north }, minZoom, maxZoom }
+ * @param {object} opts
+ * @param {(p: { done, total, bytes }) => void} [opts.onProgress]
+ * @param {AbortSignal} [opts.signal]  aborting deletes the partial download
+ * @returns {Promise<object>} the stored region's metadata
+ */
+export async function downloadRegion(region, { onProgress, signal } = {}) {
+  const { urls } = offlineRequests(regionTiles(region.bounds, region.minZoom, region.maxZoom));
+  if (urls.length > MAX_OFFLINE_REQUESTS) {
+    throw Object.assign(new Error(`Region needs ${urls.length} tiles`), { code: "tooLarge", tiles: urls.length });
+  }
+  // Ask the browser not to evict the tiles under storage pressure
+  navigator.storage?.persist?.().catch(() => {});
+
+  const id = Date.now().toString(36);
+  const cacheName = `${REGION_CACHE_PREFIX}${id}`;
+  const cache = await caches.open(cacheName);
+  let next = 0;
+  let done = 0;
+  let stored = 0;
+  let failed = 0;
+  let bytes = 0;
+
+  const worker = async () => {
+    while (next < urls.length && !signal?.aborted) {
+      const url = urls[next++];
+      try {
+        const res = await fetch(url, { signal });
+        if (res.ok) {
+          const blob = await res.clone().blob();
+          await cache.put(url, res);
+          bytes += blob.size;
+          stored++;
+        } else if (res.status !== 404) {
+          failed++; // 404 = no data there (open ocean)
+        }
+      } catch (e) {
+        if (!signal?.aborted) failed++;
+      }
+      done++;
+      onProgress?.({ done, total: urls.length, bytes });
+    }
+  };
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+  if (signal?.aborted) {
+    await caches.delete(cacheName);
+    throw new DOMException("Download cancelled", "AbortError");
+  }
+
+  const meta = {
+    id,
+    cacheName,
+    name: region.name,
+    bounds: region.bounds,
+    minZoom: region.minZoom,
+    maxZoom: region.maxZoom,
+    tiles: stored,
+    failed,
+    bytes,
+    created: new Date().toISOString(),
+  };
+  await cache.put(
+    metaUrl(),
+    new Response(JSON.stringify(meta), { headers: { "Content-Type": "application/json" } })
+  );
+  return meta;
+}
+
+// ── Cache manager ───────────────────────────────────────────────────────────
+/**
+ * Stored regions, newest first. A cache without metadata (a download that
+ * was interrupted by closing the page) is listed as incomplete.
+ */
+export async function listRegions() {
+  if (!offlineSupported) return [];
+  const names = (await caches.keys()).filter((n) => n.startsWith(REGION_CACHE_PREFIX));
+  const regions = await Promise.all(
+    names.map(async (cacheName) => {
+      const res = await (await caches.open(cacheName)).match(metaUrl());
+      return res
+        ? { ...(await res.json()), cacheName }
+        : { id: cacheName.slice(REGION_CACHE_PREFIX.length), cacheName, name: null, incomplete: true };
+    })
+  );
+  return regions.sort((a, b) => (b.created || "").localeCompare(a.created || ""));
+}
+
+export function deleteRegion(cacheName) {
+  return caches.delete(cacheName);
+}
+
+export async function clearRegions() {
+  const names = (await caches.keys()).filter((n) => n.startsWith(REGION_CACHE_PREFIX));
+  await Promise.all(names.map((n) => caches.delete(n)));
+}
+
+// Browser storage used / available in bytes, when the browser reports it
+export async function storageEstimate() {
+  try {
+    return (await navigator.storage?.estimate?.()) || null;
+  } catch (e) {
+    return null;
+  }
+}
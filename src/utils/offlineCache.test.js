@@ -0,0 +1,142 @@
+import { TILE_DIRS } from "../layers/burdenConfig";
+import { MAX_OFFLINE_REQUESTS, REGION_CACHE_PREFIX, downloadRegion, offlineRequests, regionTiles } from "./offlineCache";
+import { isRuntimeCached, networkFirst } from "./offlineFallback";
+
+// In-memory Cache Storage: cache name → (url → Response)
+function fakeCaches() {
+  const stores = new Map();
+  const urlOf = (request) => (typeof request === "string" ? request : request.url);
+  return {
+    stores,
+    async open(name) {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const store = stores.get(name);
+      return {
+        put: async (request, res) => void store.set(urlOf(request), res),
+        match: async (request) => store.get(urlOf(request)),
+      };
+    },
+    async match(request) {
+      for (const store of stores.values()) {
+        if (store.has(urlOf(request))) return store.get(urlOf(request));
+      }
+      return undefined;
+    },
+    delete: async (name) => stores.delete(name),
+    keys: async () => [...stores.keys()],
+  };
+}
+
+beforeEach(() => {
+  global.caches = fakeCaches();
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  delete global.caches;
+  delete global.fetch;
+});
+
+// ── Tile enumeration ──
+test("a region includes the world overview and its own tiles once", () => {
+  const bounds = { west: 0, south: 0, east: 45, north: 40 };
+  const tiles = regionTiles(bounds, 3, 3);
+  // z0–2 world (1 + 4 + 16) plus the single z3 tile covering the box
+  expect(tiles).toHaveLength(22);
+  expect(tiles).toContainEqual({ z: 3, x: 4, y: 3 });
+  // Overlapping zooms are not listed twice
+  expect(regionTiles(bounds, 1, 2)).toHaveLength(21);
+});
+
+test("region tiles are exactly the block covering the bounds", () => {
+  const bounds = { west: 0, south: 0, east: 45, north: 40 };
+  expect(regionTiles(bounds, 4, 4).filter((t) => t.z === 4)).toEqual([
+    { z: 4, x: 8, y: 6 },
+    { z: 4, x: 8, y: 7 },
+    { z: 4, x: 9, y: 6 },
+    { z: 4, x: 9, y: 7 },
+  ]);
+  // Bounds past the antimeridian and the poles are clamped to the world
+  const beyond = regionTiles({ west: -200, south: -89, east: 200, north: 89 }, 1, 1);
+  expect(beyond).toHaveLength(5);
+  expect(beyond.every(({ z, x, y }) => x >= 0 && y >= 0 && x < 2 ** z && y < 2 ** z)).toBe(true);
+});
+
+test("every tile directory is requested for every tile", () => {
+  const { urls, skipped } = offlineRequests([{ z: 3, x: 4, y: 3 }]);
+  expect(skipped).toEqual([]);
+  expect(urls).toHaveLength(TILE_DIRS.length);
+  expect(urls[0]).toMatch(new RegExp(`/${TILE_DIRS[0].dir}/3/4/3\\.png$`));
+  expect(urls[urls.length - 1]).toMatch(new RegExp(`/${TILE_DIRS[TILE_DIRS.length - 1].dir}/3/4/3\\.png$`));
+});
+
+// ── Region download ──
+const REGION = { name: "Sahel", bounds: { west: 0, south: 0, east: 45, north: 40 }, minZoom: 3, maxZoom: 3 };
+
+test("a download stores every tile it gets and counts real failures", async () => {
+  const { urls } = offlineRequests(regionTiles(REGION.bounds, 3, 3));
+  const broken = urls.find((u) => /\/1\/1\/1\.png$/.test(u)); // one z1 tile of one directory
+  fetch.mockImplementation(async (url) => {
+    if (/\/0\/0\/0\.png$/.test(url)) return new Response("", { status: 404 }); // open ocean
+    if (url === broken) return new Response("", { status: 503 });
+    if (/\/2\/0\/0\.png$/.test(url)) throw new TypeError("Failed to fetch");
+    return new Response("0123456789");
+  });
+  const progress = jest.fn();
+
+  const meta = await downloadRegion(REGION, { onProgress: progress });
+
+  const stored = urls.length - 2 * TILE_DIRS.length - 1;
+  expect(meta).toMatchObject({ name: "Sahel", tiles: stored, failed: TILE_DIRS.length + 1, bytes: stored * 10 });
+  expect(progress).toHaveBeenLastCalledWith({ done: urls.length, total: urls.length, bytes: stored * 10 });
+
+  const cache = caches.stores.get(meta.cacheName);
+  expect(meta.cacheName.startsWith(REGION_CACHE_PREFIX)).toBe(true);
+  expect(cache.has(urls[urls.length - 1])).toBe(true);
+  expect(cache.has(broken)).toBe(false);
+  // Tiles plus the metadata entry
+  expect(cache.size).toBe(stored + 1);
+});
+
+test("a cancelled download leaves no cache behind", async () => {
+  const controller = new AbortController();
+  fetch.mockImplementation(async () => new Response("x"));
+  const pending = downloadRegion(REGION, { signal: controller.signal, onProgress: () => controller.abort() });
+  await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+  expect(await caches.keys()).toEqual([]);
+});
+
+test("regions over the request limit are refused before downloading", async () => {
+  const world = { ...REGION, bounds: { west: -180, south: -85, east: 180, north: 85 }, minZoom: 0, maxZoom: 6 };
+  expect(offlineRequests(regionTiles(world.bounds, 0, 6)).urls.length).toBeGreaterThan(MAX_OFFLINE_REQUESTS);
+  await expect(downloadRegion(world)).rejects.toMatchObject({ code: "tooLarge", tiles: expect.any(Number) });
+  expect(fetch).not.toHaveBeenCalled();
+});
+
+// ── Cache fallback (service worker) ──
+const TILE = "https://tiles.example.org/cooccurrence_strict/3/4/3.png";
+
+test("the network answers first; region tiles are not copied at runtime", async () => {
+  fetch.mockResolvedValue(new Response("live"));
+  const res = await networkFirst(TILE, null);
+  expect(await res.text()).toBe("live");
+  expect(await caches.keys()).toEqual([]);
+
+  await networkFirst("https://app.example.org/config.json", "runtime");
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  expect(caches.stores.get("runtime").has("https://app.example.org/config.json")).toBe(true);
+
+  const origin = "https://app.example.org";
+  expect(isRuntimeCached(new URL(`${origin}/config.json`), origin)).toBe(true);
+  expect(isRuntimeCached(new URL(`${origin}/tiles/cooccurrence_strict/3/4/3.png`), origin)).toBe(false);
+  expect(isRuntimeCached(new URL(TILE), origin)).toBe(false);
+});
+
+test("without a network, downloaded tiles are served from their region cache", async () => {
+  const region = await caches.open(`${REGION_CACHE_PREFIX}abc`);
+  await region.put(TILE, new Response("saved"));
+  fetch.mockRejectedValue(new TypeError("Failed to fetch"));
+
+  expect(await (await networkFirst(TILE, null)).text()).toBe("saved");
+  await expect(networkFirst(TILE.replace("3/4/3", "3/5/3"), null)).rejects.toThrow("Failed to fetch");
+});
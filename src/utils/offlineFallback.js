@@ -0,0 +1,41 @@
+/**
+ * offlineFallback.js — Network-first fetching with a cache fallback
+ *
+ * The service worker (src/service-worker.js) sends requests to the network
+ * and, when the network fails, answers them from any cache that holds them:
+ * the app shell, the runtime cache and the region caches filled by
+ * offlineCache.js.
+ */
+
+// {z}/{x}/{y} raster tiles — only stored by explicit region downloads
+const TILE_PATH = /\/\d+\/\d+\/\d+\.\w+$/;
+
+// True for responses kept as they are fetched: same-origin files other
+// than tiles, so browsing does not fill the cache
+export function isRuntimeCached(url, origin) {
+  return url.origin === origin && !TILE_PATH.test(url.pathname);
+}
+
+export function fromCache(request) {
+  return caches.match(request, { ignoreVary: true });
+}
+
+/**
+ * Response for `request` from the network, else from any cache; rejects
+ * with the network error when no cache has it. Successful responses are
+ * copied into `runtimeCache` when one is given.
+ */
+export async function networkFirst(request, runtimeCache) {
+  try {
+    const response = await fetch(request);
+    if (runtimeCache && response.ok) {
+      const copy = response.clone();
+      caches.open(runtimeCache).then((cache) => cache.put(request, copy));
+    }
+    return response;
+  } catch (e) {
+    const cached = await fromCache(request);
+    if (cached) return cached;
+    throw e;
+  }
+}
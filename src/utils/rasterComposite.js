@@ -0,0 +1,110 @@
+/**
+ * rasterComposite.js — Client-side compositing of burden tiles
+ *
+ * Derived layers (e.g. burden combinations) are computed in the browser from
+ * the binary/co-occurrence tiles rather than served as their own tile sets.
+ * For the current viewport we:
+ *   1. pick a tile zoom and the block of tiles covering the view
+ *   2. decode every input layer's tile with tileSampler.decodePixel
+ *   3. run a per-pixel function over the decoded values → RGBA
+ *   4. hand back a canvas plus its four lng/lat corners, ready for a
+ *      Mapbox `image` source
+ * A tile whose inputs cannot be read is left blank rather than drawn as if
+ * it had no burdens.
+ */
+
+import { TILE_MAXZOOM } from "../layers/burdenConfig";
+import { TILE_SIZE, lngLatToWorld, tileBounds } from "./tileMath";
+import { decodePixel, loadTileData, tileDirFor } from "./tileSampler";
+
+// Upper bound on tiles composited per view (keeps the canvas ≲ 2k × 1.5k px)
+const MAX_TILES = 48;
+
+/**
+ * Tile block covering a lng/lat bounds at roughly the map's zoom (at most
+ * `maxZoom`, the raster pyramids' by default), stepping the zoom down until
+ * the block fits within `maxTiles`.
+ */
+export function coveringTiles(bounds, mapZoom, maxTiles = MAX_TILES, maxZoom = TILE_MAXZOOM) {
+  const west = Math.max(-180, bounds.west);
+  const east = Math.min(180, bounds.east);
+  let z = Math.max(0, Math.min(maxZoom, Math.ceil(mapZoom)));
+
+  for (; z >= 0; z--) {
+    const n = 2 ** z;
+    const nw = lngLatToWorld(west, bounds.north, z);
+    const se = lngLatToWorld(east, bounds.south, z);
+    const x0 = Math.max(0, Math.floor(nw.x));
+    const x1 = Math.min(n - 1, Math.floor(se.x - 1e-9));
+    const y0 = Math.max(0, Math.floor(nw.y));
+    const y1 = Math.min(n - 1, Math.floor(se.y - 1e-9));
+    const count = (x1 - x0 + 1) * (y1 - y0 + 1);
+    if (count <= maxTiles || z === 0) return { z, x0, x1, y0, y1 };
+  }
+  return { z: 0, x0: 0, x1: 0, y0: 0, y1: 0 };
+}
+
+/**
+ * Composite a derived layer over `bounds`.
+ *
+ * @param {object}   opts
+ * @param {object}   opts.bounds  { west, south, east, north }
+ * @param {number}   opts.zoom    current map zoom
+ * @param {Array}    opts.inputs  [{ layerKey, threshold }] — decoded in this order
+ * @param {Function} opts.pixel   (values: number[]) → [r, g, b, a] | null
+ * @returns {Promise<{ canvas: HTMLCanvasElement, coordinates: number[][] }>}
+ */
+export async function compositeViewport({ bounds, zoom, inputs, pixel }) {
+  const { z, x0, x1, y0, y1 } = coveringTiles(bounds, zoom);
+  const cols = x1 - x0 + 1;
+  const rows = y1 - y0 + 1;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = cols * TILE_SIZE;
+  canvas.height = rows * TILE_SIZE;
+  const ctx = canvas.getContext("2d");
+
+  const jobs = [];
+  for (let ty = y0; ty <= y1; ty++) {
+    for (let tx = x0; tx <= x1; tx++) {
+      jobs.push(
+        Promise.all(
+          inputs.map(({ layerKey, threshold }) =>
+            loadTileData(tileDirFor(layerKey, threshold), z, tx, ty)
+          )
+        )
+          .then((tiles) => {
+            if (tiles.every((t) => !t)) return;
+            const out = ctx.createImageData(TILE_SIZE, TILE_SIZE);
+            const values = new Array(inputs.length);
+            for (let i = 0; i < out.data.length; i += 4) {
+              for (let k = 0; k < inputs.length; k++) {
+                values[k] = tiles[k] ? decodePixel(inputs[k].layerKey, tiles[k].data, i, inputs[k].threshold) : 0;
+              }
+              const rgba = pixel(values);
+              if (!rgba) continue;
+              out.data[i] = rgba[0];
+              out.data[i + 1] = rgba[1];
+              out.data[i + 2] = rgba[2];
+              out.data[i + 3] = rgba[3];
+            }
+            ctx.putImageData(out, (tx - x0) * TILE_SIZE, (ty - y0) * TILE_SIZE);
+          })
+          .catch((e) => console.warn("Composite tile failed:", z, tx, ty, e))
+      );
+    }
+  }
+  await Promise.all(jobs);
+
+  const nw = tileBounds(z, x0, y0);
+  const se = tileBounds(z, x1, y1);
+  return {
+    canvas,
+    coordinates: [
+      [nw.west, nw.north],
+      [se.east, nw.north],
+      [se.east, se.south],
+      [nw.west, se.south],
+    ],
+  };
+}
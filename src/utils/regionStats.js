@@ -0,0 +1,254 @@
+/**
+ * regionStats.js — Burden profile of a user-drawn or uploaded region
+ *
+ * A region is a GeoJSON Feature with a Polygon / MultiPolygon geometry.
+ * Its profile combines:
+ *   - burden statistics from the raster tiles (same aggregation as the
+ *     zonal statistics, at the finest zoom that keeps the read small)
+ *   - breadbasket points inside the region, summarised by food group, read
+ *     from the vector tiles covering it (utils/breadbasketTiles.js) so the
+ *     numbers do not depend on the view or on the layer being shown
+ * and can be exported as CSV or as a GeoJSON feature carrying the results.
+ */
+
+import {
+  BREADBASKET,
+  BURDEN_LAYERS,
+  COOCCURRENCE_COLORS,
+  FOOD_GROUP_COLORS,
+  TILE_MAXZOOM,
+} from "../layers/burdenConfig";
+import { geometryBbox } from "../layers/boundaries";
+import { loadBreadbasketPoints } from "./breadbasketTiles";
+import { t } from "./i18n";
+import { coveringTiles } from "./rasterComposite";
+import { computeZonalStats } from "./zonalStats";
+
+// Most tiles read per layer for one region
+const MAX_REGION_TILES = 64;
+
+// ── Region input ────────────────────────────────────────────────────────────
+/**
+ * Normalise uploaded GeoJSON (FeatureCollection, Feature or bare geometry)
+ * into a single region Feature. All polygons are merged into one
+ * MultiPolygon; other geometry types are ignored. Throws (code
+ * "noPolygon") if none remain.
+ */
+export function parseRegionGeoJSON(json) {
+  const geometries = [];
+  const collect = (g) => {
+    if (!g) return;
+    if (g.type === "Feature") collect(g.geometry);
+    else if (g.type === "FeatureCollection") g.features.forEach(collect);
+    else if (g.type === "GeometryCollection") g.geometries.forEach(collect);
+    else if (g.type === "Polygon") geometries.push(g.coordinates);
+    else if (g.type === "MultiPolygon") geometries.push(...g.coordinates);
+  };
+  collect(json);
+  if (!geometries.length) {
+    throw Object.assign(new Error("No polygon found in the GeoJSON file"), { code: "noPolygon" });
+  }
+
+  const name = json.type === "Feature" ? json.properties?.name : json.name;
+  return makeRegion(
+    geometries.length === 1
+      ? { type: "Polygon", coordinates: geometries[0] }
+      : { type: "MultiPolygon", coordinates: geometries },
+    name || null,
+    "uploaded"
+  );
+}
+
+// Wrap a geometry as a region Feature (shape expected by computeZonalStats).
+// `source` ("drawn" | "uploaded") names a region that has no name of its own.
+export function makeRegion(geometry, name = null, source = "drawn") {
+  return {
+    type: "Feature",
+    geometry,
+    bbox: geometryBbox(geometry),
+    properties: { index: 0, id: "region", name, parent: null, source },
+  };
+}
+
+// Name shown and exported: the region's own, else one in the current language
+export function regionName(region) {
+  const { name, source } = region.properties;
+  return name || t(`region.name.${source}`);
+}
+
+// ── Geometry ────────────────────────────────────────────────────────────────
+function inRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Even-odd point-in-polygon test (holes handled by the rule)
+export function pointInRegion(point, geometry) {
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.some((polygon) => polygon.filter((ring) => inRing(point, ring)).length % 2 === 1);
+}
+
+// ── Breadbaskets ────────────────────────────────────────────────────────────
+// Identity of a point feature (features repeat across vector tiles)
+function pointKey(f) {
+  const coords = f.geometry.coordinates;
+  return f.id ?? `${coords[0].toFixed(5)},${coords[1].toFixed(5)}`;
+}
+
+/**
+ * Summarise breadbasket point features (possibly duplicated across tiles)
+ * that fall inside the region.
+ * Returns { count, totalProduction, groups: [{ key, label, count,
+ * production, share }] } with groups sorted by production.
+ */
+export function summarizeBreadbaskets(features, geometry) {
+  const seen = new Set();
+  const groups = {};
+  let count = 0;
+  let totalProduction = 0;
+
+  for (const f of features) {
+    if (f.geometry?.type !== "Point") continue;
+    const coords = f.geometry.coordinates;
+    const props = f.properties || {};
+    const key = pointKey(f);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (!pointInRegion(coords, geometry)) continue;
+
+    const group = props[BREADBASKET.groupKey] || "other";
+    const value = Number(props[BREADBASKET.valueKey]) || 0;
+    const g = groups[group] || (groups[group] = { key: group, count: 0, production: 0 });
+    g.count++;
+    g.production += value;
+    count++;
+    totalProduction += value;
+  }
+
+  return {
+    count,
+    totalProduction,
+    groups: Object.values(groups)
+      .map((g) => ({
+        ...g,
+        label: FOOD_GROUP_COLORS[g.key]?.label || g.key,
+        share: totalProduction > 0 ? g.production / totalProduction : 0,
+      }))
+      .sort((a, b) => b.production - a.production),
+  };
+}
+
+// Breadbasket summary of a region from the tiles covering it
+export async function computeRegionBreadbaskets(region) {
+  const { features } = await loadBreadbasketPoints(region.bbox);
+  return summarizeBreadbaskets(features, region.geometry);
+}
+
+/**
+ * Rank of a production value among breadbasket point features (1 = the
+ * largest): { rank, total }, or null when there are no points.
+ */
+export function productionRank(value, features) {
+  const seen = new Set();
+  let total = 0;
+  let larger = 0;
+  for (const f of features) {
+    if (f.geometry?.type !== "Point") continue;
+    const key = pointKey(f);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    total++;
+    if ((Number(f.properties?.[BREADBASKET.valueKey]) || 0) > value) larger++;
+  }
+  return total ? { rank: larger + 1, total } : null;
+}
+
+// ── Burden statistics ───────────────────────────────────────────────────────
+// Tile zoom for a region: as fine as possible within MAX_REGION_TILES
+export function regionZoom(bbox) {
+  const [west, south, east, north] = bbox;
+  return coveringTiles({ west, south, east, north }, TILE_MAXZOOM, MAX_REGION_TILES).z;
+}
+
+export async function computeRegionBurdens(region, burdenThresholds) {
+  const [stats] = await computeZonalStats(
+    { type: "FeatureCollection", features: [region] },
+    burdenThresholds,
+    { zoom: regionZoom(region.bbox) }
+  );
+  return stats;
+}
+
+// ── Export ──────────────────────────────────────────────────────────────────
+function csvCell(value) {
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Flat [section, item, value, unit] rows describing the profile (CSV body)
+export function profileRows({ name, thresholdsLabel, burdens, breadbaskets }) {
+  const rows = [
+    ["region", "name", name, ""],
+    ["region", "threshold", thresholdsLabel, ""],
+    ["region", "area", burdens.areaKm2.toFixed(0), "km2"],
+  ];
+  COOCCURRENCE_COLORS.forEach(({ value, label }) => {
+    const share = burdens.classShare[value];
+    rows.push(["cooccurrence", label, (share * burdens.areaKm2).toFixed(0), "km2"]);
+    rows.push(["cooccurrence", label, (share * 100).toFixed(2), "%"]);
+  });
+  rows.push(["cooccurrence", "mean burdens", burdens.meanCount.toFixed(3), "count"]);
+  Object.values(BURDEN_LAYERS).forEach((cfg) => {
+    rows.push(["hotspot share", cfg.label, (burdens.burdenShare[cfg.key] * 100).toFixed(2), "%"]);
+  });
+  if (breadbaskets) {
+    rows.push(["breadbaskets", "count", breadbaskets.count, "points"]);
+    rows.push(["breadbaskets", "total production", breadbaskets.totalProduction, BREADBASKET.valueUnit]);
+    breadbaskets.groups.forEach((g) => {
+      rows.push(["breadbaskets", `${g.label} production`, g.production, BREADBASKET.valueUnit]);
+      rows.push(["breadbaskets", `${g.label} share`, (g.share * 100).toFixed(2), "%"]);
+    });
+  }
+  return rows;
+}
+
+export function profileToCsv(profile) {
+  const rows = [["section", "item", "value", "unit"], ...profileRows(profile)];
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n");
+}
+
+export function profileToGeoJSON(region, profile) {
+  const { burdens, breadbaskets } = profile;
+  return {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        geometry: region.geometry,
+        properties: {
+          name: profile.name,
+          threshold: profile.thresholdsLabel,
+          area_km2: Math.round(burdens.areaKm2),
+          ...Object.fromEntries(
+            COOCCURRENCE_COLORS.map(({ value }) => [`share_${value}_burdens`, burdens.classShare[value]])
+          ),
+          share_multi_burden: burdens.multiShare,
+          mean_burdens: burdens.meanCount,
+          ...Object.fromEntries(
+            Object.keys(BURDEN_LAYERS).map((k) => [`hotspot_share_${k}`, burdens.burdenShare[k]])
+          ),
+          ...(breadbaskets && {
+            breadbasket_count: breadbaskets.count,
+            total_production: breadbaskets.totalProduction,
+            dominant_food_groups: breadbaskets.groups.slice(0, 3).map((g) => g.key),
+          }),
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,99 @@
+import {
+  makeRegion,
+  parseRegionGeoJSON,
+  pointInRegion,
+  profileToCsv,
+  profileToGeoJSON,
+  productionRank,
+  regionName,
+  summarizeBreadbaskets,
+} from "./regionStats";
+import { setLocale } from "./i18n";
+
+const square = (w, s, e, n) => [[w, s], [e, s], [e, n], [w, n], [w, s]];
+
+test("uploaded GeoJSON is merged into one region", () => {
+  const fc = {
+    type: "FeatureCollection",
+    features: [
+      { type: "Feature", geometry: { type: "Polygon", coordinates: [square(0, 0, 1, 1)] } },
+      { type: "Feature", geometry: { type: "Point", coordinates: [5, 5] } },
+      { type: "Feature", geometry: { type: "Polygon", coordinates: [square(2, 2, 3, 3)] } },
+    ],
+  };
+  const region = parseRegionGeoJSON(fc);
+  expect(region.geometry.type).toBe("MultiPolygon");
+  expect(region.geometry.coordinates).toHaveLength(2);
+  expect(region.bbox).toEqual([0, 0, 3, 3]);
+  expect(() => parseRegionGeoJSON({ type: "Point", coordinates: [0, 0] })).toThrow(
+    expect.objectContaining({ code: "noPolygon" })
+  );
+});
+
+test("unnamed regions are named in the current language", () => {
+  const geometry = { type: "Polygon", coordinates: [square(0, 0, 1, 1)] };
+  const uploaded = parseRegionGeoJSON({ type: "Feature", geometry, properties: {} });
+  expect(regionName(uploaded)).toBe("Uploaded region");
+  expect(regionName(makeRegion(geometry))).toBe("Drawn region");
+  expect(regionName(parseRegionGeoJSON({ type: "Feature", geometry, properties: { name: "Rift" } }))).toBe("Rift");
+
+  setLocale("fr");
+  try {
+    expect(regionName(uploaded)).toBe("Région importée");
+    expect(regionName(makeRegion(geometry))).toBe("Région dessinée");
+  } finally {
+    setLocale("en");
+  }
+});
+
+test("point-in-region respects holes", () => {
+  const geometry = { type: "Polygon", coordinates: [square(0, 0, 10, 10), square(4, 4, 6, 6)] };
+  expect(pointInRegion([1, 1], geometry)).toBe(true);
+  expect(pointInRegion([5, 5], geometry)).toBe(false);
+  expect(pointInRegion([11, 5], geometry)).toBe(false);
+});
+
+test("breadbaskets are deduplicated and ranked by production", () => {
+  const pt = (id, x, group, value) => ({
+    id,
+    geometry: { type: "Point", coordinates: [x, 1] },
+    properties: { max_food_group: group, max_food_group_value: value },
+  });
+  const summary = summarizeBreadbaskets(
+    [pt(1, 1, "grains", 30), pt(1, 1, "grains", 30), pt(2, 2, "fruits", 10), pt(3, 20, "grains", 99)],
+    { type: "Polygon", coordinates: [square(0, 0, 10, 10)] }
+  );
+  expect(summary.count).toBe(2);
+  expect(summary.totalProduction).toBe(40);
+  expect(summary.groups.map((g) => g.key)).toEqual(["grains", "fruits"]);
+  expect(summary.groups[0].share).toBeCloseTo(0.75);
+
+  const sites = [pt(1, 1, "grains", 30), pt(1, 1, "grains", 30), pt(2, 2, "fruits", 10), pt(3, 20, "grains", 99)];
+  expect(productionRank(30, sites)).toEqual({ rank: 2, total: 3 });
+  expect(productionRank(5, [])).toBeNull();
+});
+
+test("profile exports as CSV and GeoJSON", () => {
+  const region = makeRegion({ type: "Polygon", coordinates: [square(0, 0, 1, 1)] }, "Lake, \"North\"");
+  const profile = {
+    name: region.properties.name,
+    thresholdsLabel: "Strict",
+    burdens: {
+      areaKm2: 1000,
+      classShare: [0.5, 0.3, 0.2, 0, 0],
+      multiShare: 0.2,
+      meanCount: 0.7,
+      burdenShare: { env_footprint: 0.4, weather_extremes: 0.1, income_poverty: 0.4, malnutrition: 0 },
+    },
+    breadbaskets: null,
+  };
+  const csv = profileToCsv(profile).split("\n");
+  expect(csv[0]).toBe("section,item,value,unit");
+  expect(csv[1]).toBe('region,name,"Lake, ""North""",');
+  expect(csv).toContain("cooccurrence,2 burdens,200,km2");
+
+  const props = profileToGeoJSON(region, profile).features[0].properties;
+  expect(props.share_multi_burden).toBe(0.2);
+  expect(props.hotspot_share_env_footprint).toBe(0.4);
+  expect(props).not.toHaveProperty("breadbasket_count");
+});
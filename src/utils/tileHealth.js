@@ -0,0 +1,193 @@
+/**
+ * tileHealth.js — Track tile loading per map source and retry failures
+ *
+ * A raster whose tiles fail to load is simply blank, which looks exactly
+ * like "no hotspots here". The watcher listens to a map's `sourcedata` and
+ * `error` events and classifies each watched source:
+ *   loading   tiles requested, not all finished yet
+ *   ok        tiles are arriving (404s next to loaded tiles are open ocean)
+ *   failing   FAIL_AFTER consecutive errors other than 404, or 404s from a
+ *             source that has never returned a tile (missing tile directory)
+ * Failing sources are reloaded automatically with exponential backoff and
+ * stay "failing" until a tile loads again.
+ */
+
+import { isCustomCutoff, uniformThreshold } from "../layers/thresholds";
+
+export const FAIL_AFTER = 2;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 60000;
+
+// Wait before retry number `attempt` (0-based): 2 s, 4 s, 8 s … capped at 1 min
+export function retryDelay(attempt) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+}
+
+// ── Per-source records ──────────────────────────────────────────────────────
+export function emptyRecord() {
+  return { loaded: 0, errors: 0, missing: 0, lastError: null, attempt: 0, retryAt: null };
+}
+
+/**
+ * Fold one tile outcome into a record (returns a new record).
+ * `outcome` is { ok: true } or { status, message, url } for a failed tile.
+ */
+export function recordTile(record, outcome) {
+  if (outcome.ok) {
+    return { ...record, loaded: record.loaded + 1, errors: 0, missing: 0, attempt: 0, retryAt: null };
+  }
+  const error = { status: outcome.status ?? null, message: outcome.message || "", url: outcome.url || null };
+  return outcome.status === 404
+    ? { ...record, missing: record.missing + 1, lastError: record.lastError || error }
+    : { ...record, errors: record.errors + 1, lastError: error };
+}
+
+// Enough failures since the last loaded tile (or retry) to call it broken
+function failedNow(record) {
+  return record.errors >= FAIL_AFTER || (record.loaded === 0 && record.missing >= FAIL_AFTER);
+}
+
+export function isFailing(record) {
+  return failedNow(record) || record.attempt > 0 || record.retryAt != null;
+}
+
+// ── Layers ──────────────────────────────────────────────────────────────────
+const STATUS_RANK = { ok: 0, loading: 1, failing: 2 };
+
+/**
+ * Map source(s) drawing a layer at the given thresholds. Empty for layers
+ * composited on the client (mixed-threshold co-occurrence, custom cutoffs)
+ * or not drawn from tiles.
+ */
+export function layerSourceIds(layerKey, burdenThresholds) {
+  if (layerKey === "breadbaskets" || layerKey === "bivariate") return ["breadbaskets"];
+  if (layerKey === "cooccurrence") {
+    const t = uniformThreshold(burdenThresholds);
+    return t ? [`raster-cooccurrence-${t}`] : [];
+  }
+  const t = burdenThresholds[layerKey];
+  return t && !isCustomCutoff(t) ? [`raster-${layerKey}-${t}`] : [];
+}
+
+/**
+ * Status of each active layer ("loading" / "ok" / "failing"), the worst of
+ * its sources; layers without a watched source are left out.
+ */
+export function layerTileStatus(sources, activeLayers, burdenThresholds) {
+  const result = {};
+  for (const key of activeLayers) {
+    const statuses = layerSourceIds(key, burdenThresholds)
+      .map((id) => sources[id]?.status)
+      .filter(Boolean);
+    if (statuses.length) {
+      result[key] = statuses.reduce((a, b) => (STATUS_RANK[b] > STATUS_RANK[a] ? b : a));
+    }
+  }
+  return result;
+}
+
+// ── Map watcher ─────────────────────────────────────────────────────────────
+/**
+ * Watch tile loading for `sourceIds` on map `m`.
+ *
+ * @param {object} opts
+ * @param {(id: string) => void} opts.reload  re-request every tile of a source
+ * @param {(sources: object) => void} opts.onChange
+ *        called with { [sourceId]: { status, error, retryAt } } when it changes
+ * @returns {{ retryNow: () => void, stop: () => void }}
+ */
+export function watchTileHealth(m, sourceIds, { reload, onChange }) {
+  const watched = new Set(sourceIds);
+  const records = Object.fromEntries(sourceIds.map((id) => [id, emptyRecord()]));
+  const timers = {};
+  let lastReport = null;
+
+  const sourceLoaded = (id) => {
+    try {
+      return m.isSourceLoaded(id);
+    } catch (e) {
+      return true; // source not added yet
+    }
+  };
+
+  const report = () => {
+    const sources = Object.fromEntries(
+      sourceIds.map((id) => {
+        const r = records[id];
+        const status = isFailing(r) ? "failing" : sourceLoaded(id) ? "ok" : "loading";
+        return [id, { status, error: status === "failing" ? r.lastError : null, retryAt: r.retryAt }];
+      })
+    );
+    const key = JSON.stringify(sources);
+    if (key === lastReport) return;
+    lastReport = key;
+    onChange(sources);
+  };
+
+  const retry = (id) => {
+    clearTimeout(timers[id]);
+    delete timers[id];
+    const r = records[id];
+    // Attempts keep counting until a tile loads; error counts restart
+    records[id] = { ...r, errors: 0, missing: 0, attempt: r.attempt + 1, retryAt: null };
+    reload(id);
+    report();
+  };
+
+  // After a retry any further error schedules the next one
+  const scheduleRetry = (id) => {
+    const r = records[id];
+    if (timers[id] || !(failedNow(r) || r.attempt > 0)) return;
+    const delay = retryDelay(r.attempt);
+    records[id] = { ...r, retryAt: Date.now() + delay };
+    timers[id] = setTimeout(() => retry(id), delay);
+  };
+
+  const update = (id, outcome) => {
+    records[id] = recordTile(records[id], outcome);
+    if (outcome.ok) {
+      clearTimeout(timers[id]);
+      delete timers[id];
+    } else {
+      scheduleRetry(id);
+    }
+    report();
+  };
+
+  const handleData = (e) => {
+    if (!watched.has(e.sourceId) || e.dataType !== "source" || !e.tile) return;
+    if (e.sourceDataType === "error") {
+      update(e.sourceId, { status: 404, message: "Not found" });
+    } else if (!e.sourceDataType) {
+      update(e.sourceId, { ok: true });
+    }
+  };
+
+  const handleError = (e) => {
+    if (!watched.has(e.sourceId)) {
+      // A listener stops Mapbox logging errors itself
+      console.error(e.error);
+      return;
+    }
+    const err = e.error || {};
+    update(e.sourceId, { status: err.status, message: err.message, url: err.url });
+  };
+
+  m.on("sourcedata", handleData);
+  m.on("error", handleError);
+  m.on("idle", report);
+
+  return {
+    retryNow() {
+      Object.keys(records)
+        .filter((id) => isFailing(records[id]))
+        .forEach(retry);
+    },
+    stop() {
+      m.off("sourcedata", handleData);
+      m.off("error", handleError);
+      m.off("idle", report);
+      Object.values(timers).forEach(clearTimeout);
+    },
+  };
+}
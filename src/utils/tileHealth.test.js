@@ -0,0 +1,37 @@
+import { emptyRecord, isFailing, layerTileStatus, recordTile, retryDelay } from "./tileHealth";
+
+const fold = (outcomes) => outcomes.reduce(recordTile, emptyRecord());
+const NOT_FOUND = { status: 404 };
+const DOWN = { message: "Failed to fetch" };
+
+test("404s only count as failing when the source never returned a tile", () => {
+  expect(isFailing(fold([NOT_FOUND, NOT_FOUND, NOT_FOUND]))).toBe(true);
+  expect(isFailing(fold([{ ok: true }, NOT_FOUND, NOT_FOUND, NOT_FOUND]))).toBe(false);
+});
+
+test("consecutive network errors fail until a tile loads", () => {
+  const failing = fold([{ ok: true }, DOWN, DOWN]);
+  expect(isFailing(failing)).toBe(true);
+  expect(failing.lastError).toEqual({ status: null, message: "Failed to fetch", url: null });
+  expect(isFailing(recordTile({ ...failing, attempt: 2 }, { ok: true }))).toBe(false);
+  // A retry in progress stays failing until it succeeds
+  expect(isFailing({ ...emptyRecord(), attempt: 1 })).toBe(true);
+});
+
+test("retries back off exponentially up to a minute", () => {
+  expect([0, 1, 2, 3].map(retryDelay)).toEqual([2000, 4000, 8000, 16000]);
+  expect(retryDelay(10)).toBe(60000);
+});
+
+test("layers take the status of the source drawn at their threshold", () => {
+  const sources = {
+    "raster-cooccurrence-strict": { status: "ok" },
+    "raster-env_footprint-liberal": { status: "failing" },
+    breadbaskets: { status: "loading" },
+  };
+  const thresholds = { env_footprint: "liberal", weather_extremes: "strict" };
+  expect(layerTileStatus(sources, ["breadbaskets", "cooccurrence", "env_footprint", "zonal"], thresholds)).toEqual({
+    breadbaskets: "loading",
+    env_footprint: "failing",
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * tileMath.js — Web-Mercator tile arithmetic for the burden rasters
+ *
+ * All burden rasters are XYZ PNG tiles (256 px, Mercator). These helpers
+ * convert between lng/lat, tile indices and pixel positions within a tile so
+ * that tiles can be sampled and composited client-side.
+ */
+
+export const TILE_SIZE = 256;
+const MAX_LAT = 85.0511287798;
+
+function clampLat(lat) {
+  return Math.max(-MAX_LAT, Math.min(MAX_LAT, lat));
+}
+
+// lng/lat → fractional world coordinates in tile units at zoom z
+export function lngLatToWorld(lng, lat, z) {
+  const n = 2 ** z;
+  const rad = (clampLat(lat) * Math.PI) / 180;
+  const x = ((lng + 180) / 360) * n;
+  const y = ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n;
+  return { x, y };
+}
+
+// Fractional world coordinates (tile units at zoom z) → lng/lat
+export function worldToLngLat(x, y, z) {
+  const n = 2 ** z;
+  const lng = (x / n) * 360 - 180;
+  const lat = (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / n))) * 180) / Math.PI;
+  return { lng, lat };
+}
+
+/**
+ * Locate the tile and the pixel within it that contains lng/lat at zoom z.
+ * Tile x wraps around the antimeridian; y is clamped to the valid range.
+ */
+export function lngLatToTilePixel(lng, lat, z) {
+  const n = 2 ** z;
+  const { x, y } = lngLatToWorld(lng, lat, z);
+  const tx = ((Math.floor(x) % n) + n) % n;
+  const ty = Math.min(n - 1, Math.max(0, Math.floor(y)));
+  const px = Math.min(TILE_SIZE - 1, Math.floor((x - Math.floor(x)) * TILE_SIZE));
+  const py = Math.min(TILE_SIZE - 1, Math.max(0, Math.floor((y - ty) * TILE_SIZE)));
+  return { z, x: tx, y: ty, px, py };
+}
+
+// Geographic bounds of tile z/x/y as { west, south, east, north }
+export function tileBounds(z, x, y) {
+  const nw = worldToLngLat(x, y, z);
+  const se = worldToLngLat(x + 1, y + 1, z);
+  return { west: nw.lng, south: se.lat, east: se.lng, north: nw.lat };
+}
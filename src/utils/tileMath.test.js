@@ -0,0 +1,20 @@
+import { lngLatToTilePixel, tileBounds, worldToLngLat, lngLatToWorld } from "./tileMath";
+
+test("locates the tile and pixel containing a point", () => {
+  expect(lngLatToTilePixel(0, 0, 1)).toEqual({ z: 1, x: 1, y: 1, px: 0, py: 0 });
+  expect(lngLatToTilePixel(-179.99, 84, 0)).toMatchObject({ x: 0, y: 0, px: 0 });
+  // Longitudes past the antimeridian wrap back into range
+  expect(lngLatToTilePixel(190, 0, 2).x).toBe(lngLatToTilePixel(-170, 0, 2).x);
+});
+
+test("tile bounds and world coordinates are inverse operations", () => {
+  const b = tileBounds(2, 1, 1);
+  expect(b.west).toBeCloseTo(-90);
+  expect(b.east).toBeCloseTo(0);
+  expect(b.south).toBeCloseTo(0);
+
+  const { x, y } = lngLatToWorld(36.8, -1.3, 7);
+  const back = worldToLngLat(x, y, 7);
+  expect(back.lng).toBeCloseTo(36.8);
+  expect(back.lat).toBeCloseTo(-1.3);
+});
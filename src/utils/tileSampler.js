@@ -0,0 +1,216 @@
+/**
+ * tileSampler.js — Read burden values back out of the raster PNG tiles
+ *
+ * The burden tiles are pre-rendered RGBA PNGs, not value rasters, so values
+ * are recovered by matching each pixel against the palette the pipeline
+ * rendered it with (TILE_COLORS — the manifest colours, not the display
+ * palette):
+ *   - co-occurrence tiles → nearest co-occurrence colour (0–N)
+ *   - burden tiles        → nearest of "not a hotspot" / hotspot colour (0 / 1)
+ * Fully transparent pixels (and missing tiles, e.g. open ocean) decode to 0.
+ * Only a 404 counts as a missing tile: network errors, other HTTP errors and
+ * undecodable images reject (HTTP errors carry `status` and `url`), so
+ * callers can tell "no burdens" from "could not read".
+ *
+ * Continuous index tiles (a burden's `index` in the manifest) are value
+ * tiles instead: a 16-bit value in red (high byte) and green (low byte),
+ *   value = offset + (R · 256 + G) · scale
+ * with transparent pixels as no data. They are read when a burden has a
+ * custom cutoff (layers/thresholds.js) and classified against it.
+ *
+ * Decoded tiles are cached as ImageData so repeated queries are cheap;
+ * failed reads are dropped from the cache so the next query tries again,
+ * and forgetTiles() drops a whole tile directory before a source reloads.
+ */
+
+import {
+  BURDEN_LAYERS,
+  COOCCURRENCE_LAYER,
+  TILE_COLORS,
+  TILE_MAXZOOM,
+  tileUrl,
+} from "../layers/burdenConfig";
+import { isPmtilesUrl, readArchiveTile } from "../layers/pmtilesArchive";
+import { TILE_SIZE, lngLatToTilePixel } from "./tileMath";
+import { hexToRgb } from "./color";
+import { isCustomCutoff, isHotspotValue, uniformThreshold } from "../layers/thresholds";
+
+const ALPHA_CUTOFF = 16;
+const CACHE_LIMIT = 256;
+
+// ── Palette matching ────────────────────────────────────────────────────────
+function nearest(palette, r, g, b) {
+  let best = palette[0];
+  let bestDist = Infinity;
+  for (const entry of palette) {
+    const [pr, pg, pb] = entry.rgb;
+    const d = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+    if (d < bestDist) {
+      bestDist = d;
+      best = entry;
+    }
+  }
+  return best.value;
+}
+
+const COOCCURRENCE_PALETTE = TILE_COLORS.cooccurrence
+  .map((color, value) => ({ value, rgb: value > 0 ? hexToRgb(color) : null }))
+  .filter((c) => c.rgb);
+
+const BURDEN_PALETTES = Object.fromEntries(
+  Object.entries(TILE_COLORS.burdens).map(([key, { hotspot, notHotspot }]) => [
+    key,
+    [
+      { value: 0, rgb: hexToRgb(notHotspot) },
+      { value: 1, rgb: hexToRgb(hotspot) },
+    ],
+  ])
+);
+
+// Index value of the pixel at byte offset `i` of a burden's value tile, or null
+export function decodeIndex(layerKey, data, i) {
+  if (data[i + 3] < ALPHA_CUTOFF) return null;
+  const { offset, scale } = BURDEN_LAYERS[layerKey].index.encoding;
+  return offset + (data[i] * 256 + data[i + 1]) * scale;
+}
+
+/**
+ * Decode the pixel at byte offset `i` of an RGBA buffer for a given layer key
+ * ("cooccurrence" or a BURDEN_LAYERS key). With a custom cutoff as
+ * `threshold` the buffer is the burden's index tile, classified to 0 / 1.
+ */
+export function decodePixel(layerKey, data, i, threshold) {
+  if (isCustomCutoff(threshold)) {
+    const value = decodeIndex(layerKey, data, i);
+    return value != null && isHotspotValue(layerKey, value, threshold) ? 1 : 0;
+  }
+  if (data[i + 3] < ALPHA_CUTOFF) return 0;
+  const palette = layerKey === "cooccurrence"
+    ? COOCCURRENCE_PALETTE
+    : BURDEN_PALETTES[layerKey];
+  return nearest(palette, data[i], data[i + 1], data[i + 2]);
+}
+
+// True when the pixel at byte offset `i` carries data (burden tiles paint
+// non-hotspot land too, so transparent means ocean / outside coverage)
+export function hasData(data, i) {
+  return data[i + 3] >= ALPHA_CUTOFF;
+}
+
+// Tile directory for a raster layer key at a threshold (the index tiles for
+// a custom cutoff)
+export function tileDirFor(layerKey, threshold) {
+  const cfg = layerKey === "cooccurrence" ? COOCCURRENCE_LAYER : BURDEN_LAYERS[layerKey];
+  return isCustomCutoff(threshold) ? cfg.index.tileDir : cfg.tileDir[threshold];
+}
+
+// ── Tile loading ────────────────────────────────────────────────────────────
+const tileCache = new Map();
+
+// PNG bytes of one tile from a {z}/{x}/{y} URL or a PMTiles archive
+async function fetchTileBlob(template, z, x, y) {
+  if (isPmtilesUrl(template)) return readArchiveTile(template, z, x, y);
+  const url = template.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+  const res = await fetch(url);
+  if (res.status === 404) return null;
+  if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status} for ${url}`), { status: res.status, url });
+  return res.blob();
+}
+
+async function fetchTileData(template, z, x, y) {
+  const blob = await fetchTileBlob(template, z, x, y);
+  if (!blob) return null; // missing tile = no data here
+  // Value tiles must reach the canvas byte for byte
+  const bitmap = await createImageBitmap(blob, { colorSpaceConversion: "none", premultiplyAlpha: "none" });
+  const canvas = document.createElement("canvas");
+  canvas.width = TILE_SIZE;
+  canvas.height = TILE_SIZE;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, TILE_SIZE, TILE_SIZE);
+  return ctx.getImageData(0, 0, TILE_SIZE, TILE_SIZE);
+}
+
+/**
+ * Load one tile as ImageData (or null when it does not exist); rejects when
+ * the tile could not be read. Results are memoised per tile, the oldest
+ * entries evicted first; a rejected read is forgotten.
+ */
+export function loadTileData(tileDir, z, x, y) {
+  const template = tileUrl(tileDir);
+  const key = `${template} ${z}/${x}/${y}`;
+  if (tileCache.has(key)) return tileCache.get(key);
+
+  const promise = fetchTileData(template, z, x, y);
+  promise.catch(() => {
+    if (tileCache.get(key) === promise) tileCache.delete(key);
+  });
+  tileCache.set(key, promise);
+  if (tileCache.size > CACHE_LIMIT) {
+    tileCache.delete(tileCache.keys().next().value);
+  }
+  return promise;
+}
+
+// Drop every cached tile of a directory, missing ones included, so the next
+// reads go back to the network
+export function forgetTiles(tileDir) {
+  const prefix = `${tileUrl(tileDir)} `;
+  for (const key of [...tileCache.keys()]) {
+    if (key.startsWith(prefix)) tileCache.delete(key);
+  }
+}
+
+// ── Point queries ───────────────────────────────────────────────────────────
+/**
+ * Decoded value of one raster layer at lng/lat. Sampled at the tiles' native
+ * max zoom by default so the answer does not depend on how far the map is
+ * zoomed in; many-point callers can pass a coarser zoom to read fewer tiles.
+ */
+export async function sampleLayerAt(layerKey, threshold, lng, lat, zoom = TILE_MAXZOOM) {
+  const { z, x, y, px, py } = lngLatToTilePixel(lng, lat, zoom);
+  const tile = await loadTileData(tileDirFor(layerKey, threshold), z, x, y);
+  if (!tile) return 0;
+  return decodePixel(layerKey, tile.data, (py * TILE_SIZE + px) * 4, threshold);
+}
+
+// Continuous index value of a burden at lng/lat (null where there is no data)
+export async function sampleIndexAt(layerKey, lng, lat, zoom = TILE_MAXZOOM) {
+  const { z, x, y, px, py } = lngLatToTilePixel(lng, lat, zoom);
+  const tile = await loadTileData(BURDEN_LAYERS[layerKey].index.tileDir, z, x, y);
+  return tile ? decodeIndex(layerKey, tile.data, (py * TILE_SIZE + px) * 4) : null;
+}
+
+/**
+ * Full burden readout at lng/lat for per-burden thresholds:
+ *   { cooccurrence: 0–N, hotspots: { env_footprint: true, ... }, indexValues }
+ * With a shared threshold the count comes from the co-occurrence tiles;
+ * with mixed thresholds it is the sum of the chosen binary layers.
+ * `indexValues` holds the index value of each burden with a custom cutoff.
+ */
+export async function sampleBurdensAt(lng, lat, burdenThresholds, zoom = TILE_MAXZOOM) {
+  const keys = Object.keys(BURDEN_LAYERS);
+  const shared = uniformThreshold(burdenThresholds);
+  const flags = await Promise.all(
+    keys.map((k) => sampleLayerAt(k, burdenThresholds[k], lng, lat, zoom))
+  );
+  const cooccurrence = shared
+    ? await sampleLayerAt("cooccurrence", shared, lng, lat, zoom)
+    : flags.reduce((sum, v) => sum + v, 0);
+  const custom = keys.filter((k) => isCustomCutoff(burdenThresholds[k]));
+  const values = await Promise.all(custom.map((k) => sampleIndexAt(k, lng, lat, zoom)));
+  return {
+    cooccurrence,
+    hotspots: Object.fromEntries(keys.map((k, i) => [k, flags[i] === 1])),
+    indexValues: Object.fromEntries(custom.map((k, i) => [k, values[i]])),
+  };
+}
+
+// Co-occurrence count alone at lng/lat (a single tile read with a shared threshold)
+export async function sampleCountAt(lng, lat, burdenThresholds, zoom = TILE_MAXZOOM) {
+  const shared = uniformThreshold(burdenThresholds);
+  if (shared) return sampleLayerAt("cooccurrence", shared, lng, lat, zoom);
+  const flags = await Promise.all(
+    Object.keys(BURDEN_LAYERS).map((k) => sampleLayerAt(k, burdenThresholds[k], lng, lat, zoom))
+  );
+  return flags.reduce((sum, v) => sum + v, 0);
+}
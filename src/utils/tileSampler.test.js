@@ -0,0 +1,54 @@
+import { forgetTiles, loadTileData, sampleBurdensAt, sampleLayerAt, tileDirFor } from "./tileSampler";
+import { BURDEN_LAYERS } from "../layers/burdenConfig";
+import { uniformThresholds } from "../layers/thresholds";
+
+const response = (status) => ({ ok: status < 300, status, blob: () => Promise.resolve(new Blob()) });
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("a 404 is a missing tile: no data, remembered", async () => {
+  fetch.mockResolvedValue(response(404));
+  await expect(sampleLayerAt("cooccurrence", "strict", 10, 10)).resolves.toBe(0);
+  await expect(sampleLayerAt("cooccurrence", "strict", 10, 10)).resolves.toBe(0);
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+test("server and network errors reject and are retried on the next read", async () => {
+  const dir = tileDirFor("cooccurrence", "strict");
+  fetch.mockResolvedValueOnce(response(503)).mockRejectedValueOnce(new TypeError("Failed to fetch"));
+  await expect(loadTileData(dir, 3, 4, 2)).rejects.toMatchObject({ status: 503, message: expect.stringContaining("HTTP 503") });
+  await expect(loadTileData(dir, 3, 4, 2)).rejects.toThrow("Failed to fetch");
+
+  fetch.mockResolvedValueOnce(response(404));
+  await expect(loadTileData(dir, 3, 4, 2)).resolves.toBeNull();
+  expect(fetch).toHaveBeenCalledTimes(3);
+});
+
+test("a burden readout fails, rather than reading zero, when one tile fails", async () => {
+  const [failing] = Object.keys(BURDEN_LAYERS);
+  const failingDir = tileDirFor(failing, "strict");
+  fetch.mockImplementation(async (url) => (url.includes(`/${failingDir}/`) ? response(500) : response(404)));
+  await expect(sampleBurdensAt(-40, -20, uniformThresholds("strict"))).rejects.toThrow("HTTP 500");
+
+  // Once the tile is back, the same location reads normally
+  fetch.mockImplementation(async () => response(404));
+  await expect(sampleBurdensAt(-40, -20, uniformThresholds("strict"))).resolves.toMatchObject({ cooccurrence: 0 });
+});
+
+test("forgetting a tile directory re-reads its missing tiles too", async () => {
+  const dir = tileDirFor("cooccurrence", "liberal");
+  fetch.mockResolvedValue(response(404));
+  await loadTileData(dir, 2, 1, 1);
+  await loadTileData(dir, 2, 1, 1);
+  expect(fetch).toHaveBeenCalledTimes(1);
+
+  forgetTiles(dir);
+  await loadTileData(dir, 2, 1, 1);
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
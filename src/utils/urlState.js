@@ -0,0 +1,233 @@
+/**
+ * urlState.js — Permalink (URL hash) serialization of explorer state
+ *
+ * Hash format (all keys optional, unknown keys ignored):
+ *   #v=cooccurrence&t=strict&l=breadbaskets,cooccurrence&o=cooccurrence:0.5&map=2.00/15.0000/20.0000
+ *
+ *   v    view mode          ("cooccurrence" | "individual" | "combination" | "bivariate")
+ *   t    threshold          (THRESHOLD_OPTIONS key)
+ *   bt   per-burden overrides of t (key:threshold pairs; a number is a
+ *        custom cutoff on the burden's index, e.g. env_footprint:1.5)
+ *   l    active layers      (comma-separated layer keys)
+ *   c    burden combination (key:+ required, key:- excluded; "any" omitted)
+ *   st   threshold-sensitivity target ("cooccurrence" or a burden key)
+ *   cmp  threshold comparison ("swipe" | "split"; omitted when off)
+ *   zl   zonal statistics boundary level (BOUNDARY_LEVELS key, if not default)
+ *   bg   breadbasket food groups shown (comma-separated; omitted when all)
+ *   bmin minimum breadbasket production shown (omitted when 0)
+ *   o    opacity overrides  (key:value pairs, only where they differ from the defaults)
+ *   map  camera             (zoom/lat/lng — same order as Mapbox's own hash)
+ *   lang interface language (utils/i18n.js LOCALES key; omitted for English)
+ *
+ * Decoding is forgiving: malformed or unknown values fall back to the defaults,
+ * so an old or hand-edited link still opens a sensible map.
+ */
+
+import {
+  ALL_RASTER_KEYS,
+  BIVARIATE_LAYER,
+  BOUNDARY_LEVELS,
+  BURDEN_LAYERS,
+  COMBINATION_LAYER,
+  COMPARE_MODES,
+  FOOD_GROUP_COLORS,
+  SENSITIVITY_LAYER,
+  THRESHOLD_OPTIONS,
+  ZONAL_LAYER,
+} from "../layers/burdenConfig";
+import { cutoffThreshold } from "../layers/thresholds";
+import { DEFAULT_LOCALE, matchLocale } from "./i18n";
+
+export const VIEW_MODES = ["cooccurrence", "individual", "combination", "bivariate"];
+export const LAYER_KEYS = [
+  "breadbaskets",
+  ...ALL_RASTER_KEYS,
+  COMBINATION_LAYER.key,
+  SENSITIVITY_LAYER.key,
+  BIVARIATE_LAYER.key,
+  ZONAL_LAYER.key,
+];
+const COMBINATION_CODES = { require: "+", exclude: "-" };
+
+// ── Number helpers ──────────────────────────────────────────────────────────
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Camera values are rounded so that encode → decode → encode is stable.
+export function normalizeCamera({ center, zoom }) {
+  return {
+    center: [round(center[0], 4), round(center[1], 4)],
+    zoom: round(zoom, 2),
+  };
+}
+
+// True when two cameras are identical at permalink precision
+export function sameCamera(a, b) {
+  const na = normalizeCamera(a);
+  const nb = normalizeCamera(b);
+  return na.zoom === nb.zoom && na.center[0] === nb.center[0] && na.center[1] === nb.center[1];
+}
+
+// ── Encode ──────────────────────────────────────────────────────────────────
+/**
+ * Serialize explorer state into a URL hash (including the leading "#").
+ * `layerOpacity` and `camera` may be null to omit them.
+ */
+export function encodeState(state, defaults) {
+  const params = [];
+
+  params.push(`v=${state.viewMode}`);
+  params.push(`t=${state.selectedThreshold}`);
+
+  const threshOverrides = Object.keys(BURDEN_LAYERS)
+    .filter((k) => state.burdenThresholds[k] !== state.selectedThreshold)
+    .map((k) => `${k}:${state.burdenThresholds[k]}`);
+  if (threshOverrides.length) params.push(`bt=${threshOverrides.join(",")}`);
+  params.push(`l=${state.activeLayers.join(",")}`);
+
+  const combo = Object.keys(BURDEN_LAYERS)
+    .filter((k) => COMBINATION_CODES[state.combination?.[k]])
+    .map((k) => `${k}:${COMBINATION_CODES[state.combination[k]]}`);
+  if (combo.length) params.push(`c=${combo.join(",")}`);
+
+  if (state.sensitivityTarget && state.sensitivityTarget !== defaults.sensitivityTarget) {
+    params.push(`st=${state.sensitivityTarget}`);
+  }
+
+  if (state.compareMode && state.compareMode !== "off") params.push(`cmp=${state.compareMode}`);
+
+  if (state.zonalLevel && state.zonalLevel !== defaults.zonalLevel) params.push(`zl=${state.zonalLevel}`);
+
+  if (state.breadbasketFilter) {
+    const { groups, minValue } = state.breadbasketFilter;
+    if (groups) params.push(`bg=${groups.join(",")}`);
+    if (minValue > 0) params.push(`bmin=${Math.round(minValue)}`);
+  }
+
+  if (state.layerOpacity) {
+    const overrides = LAYER_KEYS
+      .filter((k) => state.layerOpacity[k] != null && state.layerOpacity[k] !== defaults.layerOpacity[k])
+      .map((k) => `${k}:${round(state.layerOpacity[k], 2)}`);
+    if (overrides.length) params.push(`o=${overrides.join(",")}`);
+  }
+
+  if (state.camera) {
+    const { center, zoom } = normalizeCamera(state.camera);
+    params.push(`map=${zoom.toFixed(2)}/${center[1].toFixed(4)}/${center[0].toFixed(4)}`);
+  }
+
+  if (state.locale && state.locale !== DEFAULT_LOCALE) params.push(`lang=${state.locale}`);
+
+  return `#${params.join("&")}`;
+}
+
+// ── Decode ──────────────────────────────────────────────────────────────────
+function parseParams(hash) {
+  const out = {};
+  const body = (hash || "").replace(/^#/, "");
+  if (!body) return out;
+  for (const part of body.split("&")) {
+    const i = part.indexOf("=");
+    if (i <= 0) continue;
+    try {
+      out[part.slice(0, i)] = decodeURIComponent(part.slice(i + 1));
+    } catch {
+      // Malformed escape sequence — ignore this param
+    }
+  }
+  return out;
+}
+
+function decodeLayers(raw, fallback) {
+  if (raw == null) return fallback;
+  const keys = raw.split(",").filter((k) => LAYER_KEYS.includes(k));
+  return [...new Set(keys)];
+}
+
+function decodeOpacity(raw, fallback) {
+  const out = { ...fallback };
+  if (!raw) return out;
+  for (const pair of raw.split(",")) {
+    const [key, value] = pair.split(":");
+    const num = parseFloat(value);
+    if (LAYER_KEYS.includes(key) && Number.isFinite(num)) {
+      out[key] = clamp(num, 0, 1);
+    }
+  }
+  return out;
+}
+
+function decodeBurdenThresholds(raw, base, thresholdKeys) {
+  const out = Object.fromEntries(Object.keys(BURDEN_LAYERS).map((k) => [k, base]));
+  if (!raw) return out;
+  for (const pair of raw.split(",")) {
+    const [key, value] = pair.split(":");
+    if (!BURDEN_LAYERS[key]) continue;
+    if (thresholdKeys.includes(value)) {
+      out[key] = value;
+    } else if (BURDEN_LAYERS[key].index && Number.isFinite(parseFloat(value))) {
+      out[key] = cutoffThreshold(key, parseFloat(value));
+    }
+  }
+  return out;
+}
+
+function decodeCombination(raw, fallback) {
+  if (raw == null) return fallback;
+  const out = Object.fromEntries(Object.keys(BURDEN_LAYERS).map((k) => [k, "any"]));
+  for (const pair of raw.split(",")) {
+    const [key, code] = pair.split(":");
+    const state = Object.keys(COMBINATION_CODES).find((s) => COMBINATION_CODES[s] === code);
+    if (BURDEN_LAYERS[key] && state) out[key] = state;
+  }
+  return out;
+}
+
+function decodeBreadbasketFilter(groups, minValue, fallback) {
+  const min = parseFloat(minValue);
+  return {
+    groups: groups == null ? fallback.groups : [...new Set(groups.split(",").filter((k) => FOOD_GROUP_COLORS[k]))],
+    minValue: Number.isFinite(min) && min > 0 ? Math.round(min) : fallback.minValue,
+  };
+}
+
+function decodeCamera(raw, fallback) {
+  if (!raw) return fallback;
+  const [zoom, lat, lng] = raw.split("/").map(parseFloat);
+  if (![zoom, lat, lng].every(Number.isFinite)) return fallback;
+  return normalizeCamera({
+    center: [clamp(lng, -180, 180), clamp(lat, -85, 85)],
+    zoom: clamp(zoom, 0, 22),
+  });
+}
+
+/**
+ * Parse a URL hash into a complete explorer state, filling anything missing
+ * or invalid from `defaults`.
+ */
+export function decodeState(hash, defaults) {
+  const p = parseParams(hash);
+  const thresholdKeys = THRESHOLD_OPTIONS.map((o) => o.key);
+  const selectedThreshold = thresholdKeys.includes(p.t) ? p.t : defaults.selectedThreshold;
+
+  return {
+    viewMode: VIEW_MODES.includes(p.v) ? p.v : defaults.viewMode,
+    selectedThreshold,
+    burdenThresholds: decodeBurdenThresholds(p.bt, selectedThreshold, thresholdKeys),
+    activeLayers: decodeLayers(p.l, defaults.activeLayers),
+    layerOpacity: decodeOpacity(p.o, defaults.layerOpacity),
+    combination: decodeCombination(p.c, defaults.combination),
+    sensitivityTarget: ALL_RASTER_KEYS.includes(p.st) ? p.st : defaults.sensitivityTarget,
+    compareMode: COMPARE_MODES.some((m) => m.key === p.cmp) ? p.cmp : defaults.compareMode,
+    zonalLevel: BOUNDARY_LEVELS.some((b) => b.key === p.zl) ? p.zl : defaults.zonalLevel,
+    breadbasketFilter: decodeBreadbasketFilter(p.bg, p.bmin, defaults.breadbasketFilter),
+    camera: decodeCamera(p.map, defaults.camera),
+    locale: matchLocale(p.lang) || defaults.locale,
+  };
+}
@@ -0,0 +1,78 @@
+import { encodeState, decodeState, sameCamera } from "./urlState";
+
+const DEFAULTS = {
+  activeLayers: ["breadbaskets", "cooccurrence"],
+  layerOpacity: { breadbaskets: 0.85, cooccurrence: 0.75, malnutrition: 0.7 },
+  selectedThreshold: "strict",
+  burdenThresholds: { env_footprint: "strict", weather_extremes: "strict", income_poverty: "strict", malnutrition: "strict" },
+  viewMode: "cooccurrence",
+  combination: { env_footprint: "any", weather_extremes: "any", income_poverty: "any", malnutrition: "any" },
+  compareMode: "off",
+  zonalLevel: "admin0",
+  breadbasketFilter: { groups: null, minValue: 0 },
+  camera: { center: [20, 15], zoom: 2 },
+  locale: "en",
+};
+
+test("round-trips a full explorer state through the hash", () => {
+  const state = {
+    activeLayers: ["income_poverty", "malnutrition"],
+    layerOpacity: { ...DEFAULTS.layerOpacity, malnutrition: 0.4 },
+    selectedThreshold: "liberal",
+    burdenThresholds: { env_footprint: "strict", weather_extremes: "liberal", income_poverty: "liberal", malnutrition: "liberal" },
+    viewMode: "individual",
+    combination: { ...DEFAULTS.combination, income_poverty: "require", env_footprint: "exclude" },
+    compareMode: "swipe",
+    zonalLevel: "admin1",
+    breadbasketFilter: { groups: ["grains", "pulses"], minValue: 5000 },
+    camera: { center: [2.123456, 14.987654], zoom: 4.5678 },
+    locale: "fr",
+  };
+  const hash = encodeState(state, DEFAULTS);
+  expect(hash).toContain("o=malnutrition:0.4");
+  expect(hash).not.toContain("breadbaskets:");
+
+  const decoded = decodeState(hash, DEFAULTS);
+  expect(decoded.activeLayers).toEqual(state.activeLayers);
+  expect(decoded.layerOpacity.malnutrition).toBe(0.4);
+  expect(decoded.selectedThreshold).toBe("liberal");
+  expect(decoded.burdenThresholds).toEqual(state.burdenThresholds);
+  expect(hash).toContain("bt=env_footprint:strict");
+  expect(decoded.viewMode).toBe("individual");
+  expect(decoded.combination).toEqual(state.combination);
+  expect(decoded.compareMode).toBe("swipe");
+  expect(decoded.zonalLevel).toBe("admin1");
+  expect(decoded.breadbasketFilter).toEqual(state.breadbasketFilter);
+  expect(hash).toContain("lang=fr");
+  expect(decoded.locale).toBe("fr");
+  expect(decodeState("#bg=", DEFAULTS).breadbasketFilter.groups).toEqual([]);
+  expect(sameCamera(decoded.camera, state.camera)).toBe(true);
+  expect(encodeState(decoded, DEFAULTS)).toBe(hash);
+});
+
+test("falls back to defaults for missing or invalid values", () => {
+  expect(decodeState("", DEFAULTS)).toEqual(DEFAULTS);
+
+  const decoded = decodeState("#v=globe&t=lenient&l=nope,malnutrition&o=cooccurrence:abc&map=x/1/2&lang=xx", DEFAULTS);
+  expect(decoded.viewMode).toBe("cooccurrence");
+  expect(decoded.selectedThreshold).toBe("strict");
+  expect(decoded.activeLayers).toEqual(["malnutrition"]);
+  expect(decoded.layerOpacity).toEqual(DEFAULTS.layerOpacity);
+  expect(decoded.camera).toEqual(DEFAULTS.camera);
+  expect(decoded.locale).toBe("en");
+});
+
+test("custom cutoffs round-trip and snap to the reference cutoffs", () => {
+  const state = {
+    ...DEFAULTS,
+    burdenThresholds: { ...DEFAULTS.burdenThresholds, env_footprint: 1.5, income_poverty: 12.25 },
+  };
+  const hash = encodeState(state, DEFAULTS);
+  expect(hash).toContain("bt=env_footprint:1.5,income_poverty:12.25");
+  expect(decodeState(hash, DEFAULTS).burdenThresholds).toEqual(state.burdenThresholds);
+
+  const snapped = decodeState("#bt=env_footprint:1,malnutrition:99,weather_extremes:x", DEFAULTS);
+  expect(snapped.burdenThresholds.env_footprint).toBe("liberal");
+  expect(snapped.burdenThresholds.malnutrition).toBe(40);
+  expect(snapped.burdenThresholds.weather_extremes).toBe("strict");
+});
@@ -0,0 +1,69 @@
+/**
+ * useEmbedApi.js — React hook speaking the embed postMessage API
+ *
+ * Message types and embed options are described in embed.js. Messages are
+ * only accepted from the parent window (and its `origin`, if given);
+ * burdens:set views are handed to `onSet` once valid.
+ *
+ * Returns `reportClick(lngLat, burdenThresholds)`, which reads the burdens
+ * at a clicked location and sends burdens:click. Idle outside embed mode
+ * (`options` null).
+ */
+
+import { useCallback, useEffect, useRef } from "react";
+import { embedState, validateView } from "./embed";
+import { sampleBurdensAt } from "./tileSampler";
+
+function post(options, type, data) {
+  if (window.parent === window) return;
+  window.parent.postMessage({ type, ...data }, options.origin || "*");
+}
+
+export default function useEmbedApi(options, { state, ready, onSet }) {
+  const stateRef = useRef(state);
+  const onSetRef = useRef(onSet);
+  const reported = options ? JSON.stringify(embedState(state)) : null;
+
+  useEffect(() => {
+    stateRef.current = state;
+    onSetRef.current = onSet;
+  }, [state, onSet]);
+
+  // Commands from the host page
+  useEffect(() => {
+    if (!options) return;
+    const handleMessage = (e) => {
+      if (e.source !== window.parent || (options.origin && e.origin !== options.origin)) return;
+      const { type, ...view } = e.data || {};
+      if (type === "burdens:getState") {
+        post(options, "burdens:state", { state: embedState(stateRef.current) });
+      } else if (type === "burdens:set") {
+        const errors = validateView(view);
+        if (errors.length) post(options, "burdens:error", { errors });
+        else onSetRef.current(view);
+      }
+    };
+    window.addEventListener("message", handleMessage);
+    return () => window.removeEventListener("message", handleMessage);
+  }, [options]);
+
+  useEffect(() => {
+    if (options && ready) post(options, "burdens:ready", { state: embedState(stateRef.current) });
+  }, [options, ready]);
+
+  // Every change of the view
+  useEffect(() => {
+    if (reported) post(options, "burdens:state", { state: JSON.parse(reported) });
+  }, [options, reported]);
+
+  return useCallback(
+    (lngLat, burdenThresholds) => {
+      if (!options) return;
+      const { lng, lat } = lngLat;
+      sampleBurdensAt(lng, lat, burdenThresholds)
+        .catch(() => null)
+        .then((burdens) => post(options, "burdens:click", { lng, lat, burdens }));
+    },
+    [options]
+  );
+}
@@ -0,0 +1,36 @@
+/**
+ * useMediaQuery.js — React hook following a CSS media query
+ *
+ * Queries shared with the responsive rules in styles/global.css:
+ *   COMPACT_QUERY   phones — the control panel becomes a bottom drawer and
+ *                   the legend and viewport statistics start collapsed
+ *   NO_HOVER_QUERY  touch screens — the breadbasket popup and the layer
+ *                   tooltips open on tap instead of hover
+ *   REDUCED_MOTION_QUERY  the system asks for less animation — story steps
+ *                   jump to their view instead of flying there
+ */
+
+import { useEffect, useState } from "react";
+
+export const COMPACT_QUERY = "(max-width: 768px)";
+export const NO_HOVER_QUERY = "(hover: none)";
+export const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+export function matchesMedia(query) {
+  return typeof window !== "undefined" && Boolean(window.matchMedia?.(query).matches);
+}
+
+export default function useMediaQuery(query) {
+  const [matches, setMatches] = useState(() => matchesMedia(query));
+
+  useEffect(() => {
+    const list = window.matchMedia?.(query);
+    if (!list) return;
+    const update = () => setMatches(list.matches);
+    update();
+    list.addEventListener("change", update);
+    return () => list.removeEventListener("change", update);
+  }, [query]);
+
+  return matches;
+}
@@ -0,0 +1,55 @@
+import { act, renderHook } from "@testing-library/react";
+import useMediaQuery, { COMPACT_QUERY, matchesMedia } from "./useMediaQuery";
+
+// matchMedia stand-in: one list per query, switched with set(query, matches)
+function mockMatchMedia(initial) {
+  const lists = {};
+  window.matchMedia = jest.fn((query) => {
+    if (!lists[query]) {
+      const listeners = new Set();
+      lists[query] = {
+        matches: Boolean(initial[query]),
+        addEventListener: jest.fn((type, fn) => type === "change" && listeners.add(fn)),
+        removeEventListener: jest.fn((type, fn) => type === "change" && listeners.delete(fn)),
+        set(matches) {
+          this.matches = matches;
+          listeners.forEach((fn) => fn({ matches, media: query }));
+        },
+      };
+    }
+    return lists[query];
+  });
+  return lists;
+}
+
+afterEach(() => {
+  delete window.matchMedia;
+});
+
+test("the hook starts from the query's current match", () => {
+  mockMatchMedia({ [COMPACT_QUERY]: true });
+  const { result } = renderHook(() => useMediaQuery(COMPACT_QUERY));
+  expect(result.current).toBe(true);
+  expect(matchesMedia("(hover: none)")).toBe(false);
+});
+
+test("the hook follows change events and stops listening on unmount", () => {
+  const lists = mockMatchMedia({});
+  const { result, unmount } = renderHook(() => useMediaQuery(COMPACT_QUERY));
+  expect(result.current).toBe(false);
+
+  act(() => lists[COMPACT_QUERY].set(true));
+  expect(result.current).toBe(true);
+  act(() => lists[COMPACT_QUERY].set(false));
+  expect(result.current).toBe(false);
+
+  unmount();
+  const [[, listener]] = lists[COMPACT_QUERY].addEventListener.mock.calls;
+  expect(lists[COMPACT_QUERY].removeEventListener).toHaveBeenCalledWith("change", listener);
+});
+
+test("without matchMedia nothing matches", () => {
+  const { result } = renderHook(() => useMediaQuery(COMPACT_QUERY));
+  expect(result.current).toBe(false);
+  expect(matchesMedia(COMPACT_QUERY)).toBe(false);
+});
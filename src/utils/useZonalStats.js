@@ -0,0 +1,54 @@
+/**
+ * useZonalStats.js — React hook running zonal statistics for a boundary level
+ *
+ * Loads the boundaries for `level` and aggregates the burden rasters at the
+ * given per-burden thresholds. Re-runs when either changes; a run that is
+ * superseded mid-way is cancelled. Idle while `enabled` is false.
+ *
+ * Returns { status: "idle" | "loading" | "ready" | "error",
+ *           progress: 0–1, collection, stats, error }
+ */
+
+import { useEffect, useState } from "react";
+import { BOUNDARY_LEVELS } from "../layers/burdenConfig";
+import { loadBoundaries } from "../layers/boundaries";
+import { computeZonalStats } from "./zonalStats";
+
+const IDLE = { status: "idle", progress: 0, collection: null, stats: null, error: null };
+
+export default function useZonalStats({ enabled, level, burdenThresholds }) {
+  const [result, setResult] = useState(IDLE);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    const { zonalZoom } = BOUNDARY_LEVELS.find((l) => l.key === level);
+
+    setResult((prev) => ({ ...prev, status: "loading", progress: 0, error: null }));
+
+    loadBoundaries(level)
+      .then((collection) =>
+        computeZonalStats(collection, burdenThresholds, {
+          zoom: zonalZoom,
+          isCancelled: () => cancelled,
+          onProgress: (done, total) => {
+            if (!cancelled) setResult((prev) => ({ ...prev, progress: done / total }));
+          },
+        }).then((stats) => {
+          if (cancelled || !stats) return;
+          setResult({ status: "ready", progress: 1, collection, stats, error: null });
+        })
+      )
+      .catch((error) => {
+        if (cancelled) return;
+        console.warn("Zonal statistics failed:", error);
+        setResult({ ...IDLE, status: "error", error });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, level, burdenThresholds]);
+
+  return result;
+}
@@ -0,0 +1,104 @@
+/**
+ * viewportStats.js — Burden distribution across the pixels currently in view
+ *
+ * Reads the burden tiles covering the map's bounds (at a zoom coarse enough
+ * to stay cheap on every pan) and tallies, over pixels that carry data:
+ *   - the share of area with 0, 1, 2, 3 and 4 co-occurring burdens
+ *   - the share of area that is a hotspot for each burden dimension
+ *
+ * Only pixels whose centre lies inside the bounds count, and each is weighted
+ * by its ground area (Mercator pixels shrink ∝ cos² latitude), so the shares
+ * are true area shares — a view spanning the tropics and Scandinavia does not
+ * over-count the north.
+ */
+
+import { BURDEN_COUNT, BURDEN_LAYERS } from "../layers/burdenConfig";
+import { uniformThreshold } from "../layers/thresholds";
+import { coveringTiles } from "./rasterComposite";
+import { TILE_SIZE, lngLatToWorld } from "./tileMath";
+import { decodePixel, hasData, loadTileData, tileDirFor } from "./tileSampler";
+import { pixelAreaKm2 } from "./zonalStats";
+
+// Tiles read per view — a histogram needs far less detail than the map
+const MAX_TILES = 16;
+
+/**
+ * @param {object} opts
+ * @param {object} opts.bounds            { west, south, east, north }
+ * @param {number} opts.zoom              current map zoom
+ * @param {object} opts.burdenThresholds  per-burden threshold keys
+ * @returns {Promise<{ areaKm2, classShare: number[], multiShare, burdenShare }>}
+ */
+export async function computeViewportStats({ bounds, zoom, burdenThresholds }) {
+  const keys = Object.keys(BURDEN_LAYERS);
+  const shared = uniformThreshold(burdenThresholds);
+  const clipped = {
+    ...bounds,
+    west: Math.max(-180, bounds.west),
+    east: Math.min(180, bounds.east),
+  };
+  const { z, x0, x1, y0, y1 } = coveringTiles(clipped, zoom, MAX_TILES);
+
+  // Viewport in world-pixel space at the tile zoom
+  const nw = lngLatToWorld(clipped.west, clipped.north, z);
+  const se = lngLatToWorld(clipped.east, clipped.south, z);
+  const px0 = nw.x * TILE_SIZE;
+  const px1 = se.x * TILE_SIZE;
+  const py0 = nw.y * TILE_SIZE;
+  const py1 = se.y * TILE_SIZE;
+
+  const classArea = new Array(BURDEN_COUNT + 1).fill(0);
+  const burdenArea = Object.fromEntries(keys.map((k) => [k, 0]));
+
+  const jobs = [];
+  for (let ty = y0; ty <= y1; ty++) {
+    for (let tx = x0; tx <= x1; tx++) {
+      const layers = shared ? [...keys, "cooccurrence"] : keys;
+      jobs.push(
+        Promise.all(
+          layers.map((k) => loadTileData(tileDirFor(k, shared || burdenThresholds[k]), z, tx, ty))
+        ).then((tiles) => {
+          if (tiles.every((t) => !t)) return;
+          const cooc = shared ? tiles[keys.length] : null;
+          const ox = tx * TILE_SIZE;
+          const oy = ty * TILE_SIZE;
+          const c0 = Math.max(0, Math.ceil(px0 - ox - 0.5));
+          const c1 = Math.min(TILE_SIZE - 1, Math.floor(px1 - ox - 0.5));
+          const r0 = Math.max(0, Math.ceil(py0 - oy - 0.5));
+          const r1 = Math.min(TILE_SIZE - 1, Math.floor(py1 - oy - 0.5));
+
+          for (let row = r0; row <= r1; row++) {
+            const a = pixelAreaKm2(oy + row + 0.5, z);
+            for (let col = c0; col <= c1; col++) {
+              const i = (row * TILE_SIZE + col) * 4;
+              let any = false;
+              let sum = 0;
+              for (let k = 0; k < keys.length; k++) {
+                const t = tiles[k];
+                if (!t || !hasData(t.data, i)) continue;
+                any = true;
+                if (decodePixel(keys[k], t.data, i, burdenThresholds[keys[k]]) === 1) {
+                  sum++;
+                  burdenArea[keys[k]] += a;
+                }
+              }
+              if (!any) continue;
+              const count = cooc ? decodePixel("cooccurrence", cooc.data, i) : sum;
+              classArea[count] += a;
+            }
+          }
+        })
+      );
+    }
+  }
+  await Promise.all(jobs);
+
+  const total = classArea.reduce((sum, a) => sum + a, 0);
+  const share = (v) => (total > 0 ? v / total : 0);
+  return {
+    areaKm2: total,
+    classShare: classArea.map(share),
+    multiShare: share(classArea.slice(2).reduce((sum, a) => sum + a, 0)),
+    burdenShare: Object.fromEntries(keys.map((k) => [k, share(burdenArea[k])])),
+  };
+}
@@ -0,0 +1,36 @@
+import { computeViewportStats } from "./viewportStats";
+import { uniformThresholds } from "../layers/thresholds";
+
+// Every pixel has data; env. footprint (and so co-occurrence) is a hotspot
+// across the northern-hemisphere tiles only
+jest.mock("./tileSampler", () => {
+  const tile = (hot) => {
+    const data = new Uint8ClampedArray(256 * 256 * 4);
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = hot ? 255 : 0;
+      data[i + 3] = 255;
+    }
+    return { data };
+  };
+  return {
+    tileDirFor: (key) => key,
+    loadTileData: (dir, z, x, y) =>
+      Promise.resolve(tile((dir === "env_footprint" || dir === "cooccurrence") && y === 0)),
+    decodePixel: (key, data, i) => (data[i] > 0 ? 1 : 0),
+    hasData: (data, i) => data[i + 3] > 0,
+  };
+});
+
+test("weights pixels by ground area, not Mercator pixel count", async () => {
+  const stats = await computeViewportStats({
+    bounds: { west: -20, east: 20, south: -10, north: 80 },
+    zoom: 1,
+    burdenThresholds: uniformThresholds("strict"),
+  });
+  // Area of 0–80°N over 10°S–80°N: (sin 80°) / (sin 80° + sin 10°) ≈ 0.85
+  // (a raw pixel count would give ≈ 0.93)
+  expect(stats.burdenShare.env_footprint).toBeCloseTo(0.85, 1);
+  expect(stats.classShare[1]).toBeCloseTo(0.85, 1);
+  expect(stats.classShare[0] + stats.classShare[1]).toBeCloseTo(1);
+  expect(stats.burdenShare.malnutrition).toBe(0);
+});
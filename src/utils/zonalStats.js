@@ -0,0 +1,180 @@
+/**
+ * zonalStats.js — Aggregate the burden rasters over administrative units
+ *
+ * For a boundary FeatureCollection (see layers/boundaries.js) and a set of
+ * per-burden thresholds, every tile touched by a unit is processed once:
+ *   1. the units are scan-line rasterised onto the tile's 256 × 256 grid
+ *      (exact even-odd fill on pixel centres — no anti-aliased edges)
+ *   2. the binary burden tiles are decoded; co-occurrence is their sum
+ *   3. each pixel adds its ground area to its unit's totals
+ *
+ * Pixel areas are Mercator-corrected (∝ cos² latitude) so shares are true
+ * area shares, not pixel-count shares.
+ */
+
+import { BURDEN_COUNT, BURDEN_LAYERS } from "../layers/burdenConfig";
+import { TILE_SIZE, lngLatToWorld, worldToLngLat } from "./tileMath";
+import { decodePixel, loadTileData, tileDirFor } from "./tileSampler";
+
+const EARTH_CIRCUMFERENCE_KM = 40075.016686;
+
+// Ground area (km²) of one pixel centred on world-pixel row `py` at zoom z
+export function pixelAreaKm2(py, z) {
+  const worldPx = TILE_SIZE * 2 ** z;
+  const { lat } = worldToLngLat(0, py / TILE_SIZE, z);
+  const side = (EARTH_CIRCUMFERENCE_KM / worldPx) * Math.cos((lat * Math.PI) / 180);
+  return side * side;
+}
+
+// ── Rasterisation ───────────────────────────────────────────────────────────
+// Project every ring into world-pixel space as a flat edge list.
+function projectFeature(f, z) {
+  const polygons = f.geometry.type === "Polygon" ? [f.geometry.coordinates] : f.geometry.coordinates;
+  const edges = [];
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const polygon of polygons) {
+    for (const ring of polygon) {
+      let prev = null;
+      for (const [lng, lat] of ring) {
+        const w = lngLatToWorld(lng, lat, z);
+        const p = [w.x * TILE_SIZE, w.y * TILE_SIZE];
+        if (p[0] < minX) minX = p[0];
+        if (p[0] > maxX) maxX = p[0];
+        if (p[1] < minY) minY = p[1];
+        if (p[1] > maxY) maxY = p[1];
+        if (prev) edges.push(prev[0], prev[1], p[0], p[1]);
+        prev = p;
+      }
+    }
+  }
+  return { edges, minX, minY, maxX, maxY };
+}
+
+// Even-odd scan-line fill of one projected unit into a tile's zone grid
+function fillUnit(zone, unit, value, ox, oy) {
+  const { edges } = unit;
+  const xs = [];
+  const rowStart = Math.max(0, Math.floor(unit.minY - oy));
+  const rowEnd = Math.min(TILE_SIZE - 1, Math.ceil(unit.maxY - oy));
+
+  for (let row = rowStart; row <= rowEnd; row++) {
+    const yc = oy + row + 0.5;
+    xs.length = 0;
+    for (let i = 0; i < edges.length; i += 4) {
+      const y1 = edges[i + 1];
+      const y2 = edges[i + 3];
+      if ((y1 <= yc) === (y2 <= yc)) continue;
+      const x1 = edges[i];
+      const x2 = edges[i + 2];
+      xs.push(x1 + ((yc - y1) * (x2 - x1)) / (y2 - y1));
+    }
+    if (xs.length < 2) continue;
+    xs.sort((a, b) => a - b);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const c0 = Math.max(0, Math.ceil(xs[k] - ox - 0.5));
+      const c1 = Math.min(TILE_SIZE - 1, Math.floor(xs[k + 1] - ox - 0.5));
+      for (let c = c0; c <= c1; c++) zone[row * TILE_SIZE + c] = value;
+    }
+  }
+}
+
+// ── Aggregation ─────────────────────────────────────────────────────────────
+function emptyTotals(keys) {
+  return {
+    area: 0,
+    classArea: new Array(BURDEN_COUNT + 1).fill(0),
+    burdenArea: Object.fromEntries(keys.map((k) => [k, 0])),
+  };
+}
+
+function summarize(f, totals, keys) {
+  const { area, classArea, burdenArea } = totals;
+  const share = (a) => (area > 0 ? a / area : 0);
+  return {
+    index: f.properties.index,
+    id: f.properties.id,
+    name: f.properties.name,
+    parent: f.properties.parent,
+    bbox: f.bbox,
+    areaKm2: area,
+    classShare: classArea.map(share),
+    multiShare: share(classArea.slice(2).reduce((sum, a) => sum + a, 0)),
+    meanCount: area > 0 ? classArea.reduce((sum, a, c) => sum + a * c, 0) / area : 0,
+    burdenShare: Object.fromEntries(keys.map((k) => [k, share(burdenArea[k])])),
+  };
+}
+
+/**
+ * Compute zonal statistics for every unit in `collection`.
+ *
+ * @param {object}   collection        normalised boundary FeatureCollection
+ * @param {object}   burdenThresholds  per-burden threshold keys
+ * @param {object}   opts
+ * @param {number}   opts.zoom         tile zoom to aggregate at
+ * @param {Function} [opts.onProgress] (done, total) after each tile
+ * @param {Function} [opts.isCancelled] polled between tiles
+ * @returns {Promise<Array|null>} one summary per unit (null if cancelled)
+ */
+export async function computeZonalStats(collection, burdenThresholds, { zoom, onProgress, isCancelled }) {
+  const keys = Object.keys(BURDEN_LAYERS);
+  const units = collection.features.map((f) => projectFeature(f, zoom));
+  const totals = collection.features.map(() => emptyTotals(keys));
+  const n = 2 ** zoom;
+
+  // Tiles touched by at least one unit, with the units touching each
+  const tiles = new Map();
+  units.forEach((u, idx) => {
+    if (!u.edges.length) return;
+    const tx0 = Math.max(0, Math.floor(u.minX / TILE_SIZE));
+    const tx1 = Math.min(n - 1, Math.ceil(u.maxX / TILE_SIZE) - 1);
+    const ty0 = Math.max(0, Math.floor(u.minY / TILE_SIZE));
+    const ty1 = Math.min(n - 1, Math.ceil(u.maxY / TILE_SIZE) - 1);
+    for (let ty = ty0; ty <= ty1; ty++) {
+      for (let tx = tx0; tx <= tx1; tx++) {
+        const key = `${tx}/${ty}`;
+        if (!tiles.has(key)) tiles.set(key, { tx, ty, units: [] });
+        tiles.get(key).units.push(idx);
+      }
+    }
+  });
+
+  let done = 0;
+  const zone = new Int32Array(TILE_SIZE * TILE_SIZE);
+  const rowArea = new Float64Array(TILE_SIZE);
+
+  for (const { tx, ty, units: idxs } of tiles.values()) {
+    if (isCancelled?.()) return null;
+
+    const data = await Promise.all(
+      keys.map((k) => loadTileData(tileDirFor(k, burdenThresholds[k]), zoom, tx, ty))
+    );
+
+    const ox = tx * TILE_SIZE;
+    const oy = ty * TILE_SIZE;
+    zone.fill(0);
+    for (const idx of idxs) fillUnit(zone, units[idx], idx + 1, ox, oy);
+    for (let row = 0; row < TILE_SIZE; row++) rowArea[row] = pixelAreaKm2(oy + row + 0.5, zoom);
+
+    for (let p = 0; p < zone.length; p++) {
+      const z = zone[p];
+      if (!z) continue;
+      const t = totals[z - 1];
+      const a = rowArea[(p / TILE_SIZE) | 0];
+      let count = 0;
+      for (let k = 0; k < keys.length; k++) {
+        if (data[k] && decodePixel(keys[k], data[k].data, p * 4, burdenThresholds[keys[k]]) === 1) {
+          count++;
+          t.burdenArea[keys[k]] += a;
+        }
+      }
+      t.area += a;
+      t.classArea[count] += a;
+    }
+
+    done++;
+    onProgress?.(done, tiles.size);
+    await new Promise((resolve) => setTimeout(resolve, 0)); // keep the UI responsive
+  }
+
+  return collection.features.map((f, i) => summarize(f, totals[i], keys));
+}
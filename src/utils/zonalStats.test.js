@@ -0,0 +1,62 @@
+import { computeZonalStats, pixelAreaKm2 } from "./zonalStats";
+import { uniformThresholds } from "../layers/thresholds";
+
+// Env. footprint and poverty tiles are hotspots everywhere, the rest missing
+jest.mock("./tileSampler", () => ({
+  tileDirFor: (key) => key,
+  loadTileData: (dir) =>
+    Promise.resolve(
+      dir === "env_footprint" || dir === "income_poverty"
+        ? { data: new Uint8ClampedArray(256 * 256 * 4).fill(255) }
+        : null
+    ),
+  decodePixel: (key, data, i) => (data[i + 3] > 0 ? 1 : 0),
+}));
+
+const square = (w, s, e, n) => ({
+  type: "Feature",
+  geometry: { type: "Polygon", coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] },
+  bbox: [w, s, e, n],
+});
+
+const collection = {
+  type: "FeatureCollection",
+  features: [square(0, 0, 10, 10), square(-70, -30, -60, -20)].map((f, i) => ({
+    ...f,
+    properties: { id: `u${i}`, name: `Unit ${i}`, parent: null, index: i },
+  })),
+};
+
+test("pixel areas shrink towards the poles", () => {
+  const equator = pixelAreaKm2(1024, 3);
+  expect(equator).toBeCloseTo((40075.016686 / 2048) ** 2, 1);
+  expect(pixelAreaKm2(400, 3)).toBeLessThan(equator);
+});
+
+test("aggregates burden area per unit with area-weighted shares", async () => {
+  const progress = jest.fn();
+  const stats = await computeZonalStats(collection, uniformThresholds("strict"), {
+    zoom: 3,
+    onProgress: progress,
+  });
+
+  expect(stats).toHaveLength(2);
+  const [a] = stats;
+  expect(a.name).toBe("Unit 0");
+  // 10° × 10° at the equator ≈ 1.23 million km²
+  expect(a.areaKm2 / 1.23e6).toBeCloseTo(1, 1);
+  expect(a.classShare[2]).toBeCloseTo(1);
+  expect(a.multiShare).toBeCloseTo(1);
+  expect(a.meanCount).toBeCloseTo(2);
+  expect(a.burdenShare.env_footprint).toBeCloseTo(1);
+  expect(a.burdenShare.malnutrition).toBe(0);
+  expect(progress).toHaveBeenLastCalledWith(2, 2);
+});
+
+test("stops early when cancelled", async () => {
+  const stats = await computeZonalStats(collection, uniformThresholds("strict"), {
+    zoom: 3,
+    isCancelled: () => true,
+  });
+  expect(stats).toBeNull();
+});